@@ -131,3 +131,29 @@ function readString(bytes) {
     })
     .run();
 });
+
+var tileRoot = protobuf.loadSync(require.resolve("../tests/data/mapbox/vector_tile.proto")),
+    Tile     = tileRoot.lookupType("vector_tile.Tile"),
+    tileData = require("fs").readFileSync(require.resolve("../tests/data/mapbox/vector_tile.bin"));
+
+function readLazy(buffer) {
+    var reader = protobuf.Reader.create(buffer);
+    reader.lazy = true;
+    return Tile.decode(reader);
+}
+
+// lazy vs. eager decoding speed when accessing only some or all of the fields
+newSuite("vector tile")
+.add("eager layer names", function() {
+    Tile.decode(tileData).layers.map(function(layer) { return layer.name; });
+})
+.add("lazy layer names", function() {
+    readLazy(tileData).layers.map(function(layer) { return layer.name; });
+})
+.add("eager toObject", function() {
+    Tile.toObject(Tile.decode(tileData));
+})
+.add("lazy toObject", function() {
+    Tile.toObject(readLazy(tileData));
+})
+.run();
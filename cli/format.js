@@ -0,0 +1,332 @@
+"use strict";
+module.exports = format;
+
+var protobuf = require("..");
+
+var indentation = "    ";
+
+/**
+ * Formats a .proto source in canonical style.
+ *
+ * Declarations keep their order, except that consecutive imports are sorted. Each statement is put on a line of its
+ * own with normalized spacing and double quoted strings, field numbers of consecutive fields and enum values are
+ * aligned, and comments as well as single blank lines between declarations are preserved.
+ * @param {string} source .proto source
+ * @param {string} [filename] File name for error reporting
+ * @returns {string} Formatted source
+ * @throws {ParseError} If the source is not valid
+ */
+function format(source, filename) {
+    protobuf.parse.filename = filename || null;
+    protobuf.parse(source, { keepCase: true }); // validates
+    var file = readItems(lex(source)),
+        out = [];
+    printItems(file.children, 0, out);
+    printFooter(file.footer, file.children.length, "", out);
+    while (out.length && out[out.length - 1] === "")
+        out.pop();
+    return out.join("\n") + "\n";
+}
+
+// Converts a single quoted string to a double quoted one
+function quote(str) {
+    if (str.charAt(0) === "\"")
+        return str;
+    return "\"" + str.substring(1, str.length - 1).replace(/\\([\s\S])|"/g, function($0, $1) {
+        if ($1 === undefined)
+            return "\\\"";
+        return $1 === "'" ? "'" : $0;
+    }) + "\"";
+}
+
+// Splits a source into tokens, including comments, with the lines they start and end on
+function lex(source) {
+    var re = /(\s+)|(\/\/[^\n]*|\/\*[\s\S]*?\*\/)|("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')|(\.?[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*|0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)|(\S)/g,
+        tokens = [],
+        line = 1,
+        match;
+    while ((match = re.exec(source)) !== null) {
+        var endLine = line + match[0].split("\n").length - 1;
+        if (!match[1])
+            tokens.push({
+                text    : match[3] ? quote(match[3]) : match[0].replace(/\s+$/, ""),
+                comment : Boolean(match[2]),
+                line    : line,
+                endLine : endLine
+            });
+        line = endLine;
+    }
+    return tokens;
+}
+
+/**
+ * A statement or block with its comments.
+ * @typedef FormatItem
+ * @type {Object}
+ * @property {Object[]} tokens Tokens up to, but not including, the terminating `;` or opening `{`
+ * @property {Object[]} leading Comments preceding the item, each with `text` and whether there is a `blank` line before
+ * @property {boolean} blank Whether there is a blank line before the item
+ * @property {?string} trailing Comment trailing the `;` or `{`
+ * @property {FormatItem[]|undefined} children Items within the block, if a block
+ * @property {Object[]|undefined} footer Comments before the closing `}`, if a block
+ * @property {?string} closeTrailing Comment trailing the closing `}`, if a block
+ * @ignore
+ */
+
+// Reads the tokens into a tree of items, attaching comments to the items they belong to
+function readItems(tokens) {
+    var pos = 0,
+        trailTarget = null, // object and key a comment on trailLine attaches to
+        trailKey = null,
+        trailLine = 0,
+        last = 0; // line of the last comment or token
+
+    function readComment(tok, leading) {
+        if (trailTarget && tok.line === trailLine && trailTarget[trailKey] === null)
+            trailTarget[trailKey] = tok.text;
+        else
+            leading.push({ text: tok.text, blank: tok.line > last + 1 });
+        last = tok.endLine;
+    }
+
+    function readBlock(owner) {
+        var items = [],
+            leading = [];
+        owner.children = items;
+        owner.footer = leading;
+        while (pos < tokens.length) {
+            var tok = tokens[pos++];
+            if (tok.comment) {
+                readComment(tok, leading);
+                continue;
+            }
+            if (tok.text === "}") {
+                owner.footer = leading;
+                last = tok.line;
+                return;
+            }
+            if (tok.text === ";") { // empty statement
+                last = tok.line;
+                continue;
+            }
+            var item = {
+                tokens   : [],
+                leading  : leading,
+                blank    : tok.line > last + 1,
+                trailing : null
+            };
+            leading = [];
+            trailTarget = null;
+            readItem(item, tok);
+            items.push(item);
+        }
+        owner.footer = leading;
+    }
+
+    function readItem(item, tok) {
+        var depth = 0, // within an aggregate option value
+            isBlock = false;
+        for (;; tok = tokens[pos++]) {
+            if (tok.comment) {
+                item.leading.push({ text: tok.text, blank: false });
+                continue;
+            }
+            last = tok.line;
+            if (!depth && tok.text === ";")
+                break;
+            if (tok.text === "{") {
+                var prev = item.tokens[item.tokens.length - 1];
+                if (!depth && prev && prev.text !== "=" && prev.text !== ":") {
+                    isBlock = true;
+                    item.closeTrailing = null;
+                    trailTarget = item;
+                    trailKey = "trailing";
+                    trailLine = tok.line;
+                    readBlock(item);
+                    if (pos < tokens.length && tokens[pos].text === ";")
+                        last = tokens[pos++].line;
+                    break;
+                }
+                ++depth;
+            } else if (tok.text === "}")
+                --depth;
+            item.tokens.push(tok);
+        }
+        trailTarget = item;
+        trailKey = isBlock ? "closeTrailing" : "trailing";
+        trailLine = last;
+    }
+
+    var file = {};
+    readBlock(file);
+    sortImports(file.children);
+    return file;
+}
+
+// Sorts runs of consecutive imports by path
+function sortImports(items) {
+    for (var i = 0; i < items.length; ++i) {
+        if (!isImport(items[i]))
+            continue;
+        var j = i + 1;
+        while (j < items.length && isImport(items[j]) && !items[j].blank && !hasBlankComment(items[j]))
+            ++j;
+        var run = items.slice(i, j).sort(compareImports),
+            blank = items[i].blank;
+        for (var k = 0; k < run.length; ++k) {
+            run[k].blank = k ? false : blank;
+            items[i + k] = run[k];
+        }
+        i = j - 1;
+    }
+}
+
+function compareImports(a, b) {
+    var pa = importPath(a),
+        pb = importPath(b);
+    return pa < pb ? -1 : pa > pb ? 1 : a.tokens[0].line - b.tokens[0].line;
+}
+
+function isImport(item) {
+    return !item.children && item.tokens[0].text === "import";
+}
+
+function importPath(item) {
+    return item.tokens[item.tokens.length - 1].text;
+}
+
+function hasBlankComment(item) {
+    return item.leading.some(function(comment) {
+        return comment.blank;
+    });
+}
+
+// Tests if there is a space between two tokens of a statement
+function isSpaced(prev, text, inOptions) {
+    if (/^[;,)\]>:<]$/.test(text) || /^[([<-]$/.test(prev))
+        return false;
+    if (prev === ")" && text.charAt(0) === ".") // i.e. (custom).option
+        return false;
+    if (inOptions && (prev === "=" || text === "="))
+        return false;
+    return true;
+}
+
+function join(tokens) {
+    var sb = [],
+        inOptions = 0;
+    for (var i = 0; i < tokens.length; ++i) {
+        var text = tokens[i].text;
+        if (i && isSpaced(tokens[i - 1].text, text, inOptions))
+            sb.push(" ");
+        sb.push(text);
+        if (text === "[")
+            ++inOptions;
+        else if (text === "]")
+            --inOptions;
+    }
+    return sb.join("");
+}
+
+// Tests if an item is a field or enum value, with its number to be aligned
+function isAlignable(item) {
+    return !item.children
+        && !/^(?:syntax|package|import|option|reserved|extensions|rpc)$/.test(item.tokens[0].text)
+        && item.tokens.some(function(tok) { return tok.text === "="; });
+}
+
+function splitAt(item) {
+    for (var i = 0; i < item.tokens.length; ++i)
+        if (item.tokens[i].text === "=")
+            return i;
+    return -1;
+}
+
+function pad(str, len) {
+    while (str.length < len)
+        str += " ";
+    return str;
+}
+
+function printComment(text, indent, out) {
+    var lines = text.split("\n");
+    out.push(indent + lines[0]);
+    for (var i = 1; i < lines.length; ++i) {
+        var line = lines[i].replace(/^\s+/, "");
+        out.push(line.length ? indent + (line.charAt(0) === "*" ? " " : "   ") + line : "");
+    }
+}
+
+// Appends a comment to the last line, continuing multi-line block comments on the following lines
+function appendComment(text, indent, out) {
+    var start = out.length;
+    printComment(text, indent, out);
+    out[start - 1] += " " + out[start].substring(indent.length);
+    out.splice(start, 1);
+}
+
+function printItems(items, level, out) {
+    var indent = "",
+        i;
+    for (i = 0; i < level; ++i)
+        indent += indentation;
+
+    // Compute the width of the part before the field number for each run of consecutive fields
+    var widths = [];
+    for (i = 0; i < items.length;) {
+        var j = i,
+            width = 0;
+        while (j < items.length && isAlignable(items[j]) && (j === i || !items[j].blank && !hasBlankComment(items[j]))) {
+            width = Math.max(width, join(items[j].tokens.slice(0, splitAt(items[j]))).length);
+            ++j;
+        }
+        if (j === i)
+            ++j;
+        for (; i < j; ++i)
+            widths[i] = width;
+    }
+
+    items.forEach(function(item, index) {
+        item.leading.forEach(function(comment, commentIndex) {
+            if (comment.blank && (index || commentIndex))
+                out.push("");
+            printComment(comment.text, indent, out);
+        });
+        if (item.blank && (index || item.leading.length))
+            out.push("");
+
+        var line;
+        if (isAlignable(item)) {
+            var at = splitAt(item);
+            line = pad(join(item.tokens.slice(0, at)), widths[index]) + " = " + join(item.tokens.slice(at + 1));
+        } else
+            line = join(item.tokens);
+
+        if (!item.children) {
+            out.push(indent + line + ";");
+            if (item.trailing)
+                appendComment(item.trailing, indent, out);
+            return;
+        }
+        if (!item.children.length && !item.footer.length && !item.trailing) {
+            out.push(indent + line + " {}");
+        } else {
+            out.push(indent + line + " {");
+            if (item.trailing)
+                appendComment(item.trailing, indent, out);
+            printItems(item.children, level + 1, out);
+            printFooter(item.footer, item.children.length, indent + indentation, out);
+            out.push(indent + "}");
+        }
+        if (item.closeTrailing)
+            appendComment(item.closeTrailing, indent, out);
+    });
+}
+
+function printFooter(footer, hasItems, indent, out) {
+    footer.forEach(function(comment, index) {
+        if (comment.blank && (hasItems || index))
+            out.push("");
+        printComment(comment.text, indent, out);
+    });
+}
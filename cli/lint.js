@@ -0,0 +1,188 @@
+"use strict";
+var path     = require("path"),
+    fs       = require("fs"),
+    pkg      = require(path.join(__dirname, "..", "package.json")),
+    util     = require("./util");
+
+var minimist = util.require("minimist", pkg.devDependencies.minimist),
+    chalk    = util.require("chalk", pkg.devDependencies.chalk),
+    glob     = util.require("glob", pkg.devDependencies.glob);
+
+var protobuf = require("..");
+
+/**
+ * Built-in rules by name.
+ * @type {Object.<string,function>}
+ */
+var rules = exports.rules = util.requireAll("./rules");
+
+var severities = [ "off", "warning", "error" ];
+
+/**
+ * Tests if a rule is disabled for the specified object or enum value through a `lint:ignore` comment.
+ * A comment line `lint:ignore` ignores all rules while `lint:ignore rule1, rule2` ignores only the listed ones.
+ * @param {?string} comment Comment text
+ * @param {string} name Rule name
+ * @returns {boolean} `true` if ignored
+ */
+function isIgnored(comment, name) {
+    if (!comment)
+        return false;
+    var re = /^lint:ignore\b(.*)$/mg,
+        match;
+    while ((match = re.exec(comment)) !== null) {
+        var names = match[1].trim();
+        if (!names.length || names.split(/[\s,]+/).indexOf(name) > -1)
+            return true;
+    }
+    return false;
+}
+
+/**
+ * Runs a set of rules over every reflection object within the specified root.
+ *
+ * A rule is a function invoked with each object and a `report(message, [target], [valueName])` function, where
+ * `target` defaults to the object and `valueName` names an enum value of `target` to report at. Its `severity` property
+ * specifies its default severity. Only problems of objects declared in a .proto file are reported.
+ * @param {Root} root Root to lint
+ * @param {Object.<string,function>} [ruleSet] Rules by name, defaults to the built-in rules
+ * @param {Object.<string,string>} [config] Severities by rule name, overriding the defaults (`"error"`, `"warning"` or `"off"`)
+ * @returns {Object[]} Problems found, each with `rule`, `severity`, `message`, `filename`, `line` and `column`
+ * @throws {Error} If a severity is invalid
+ */
+exports.lint = function lint(root, ruleSet, config) {
+    if (!ruleSet)
+        ruleSet = rules;
+    if (!config)
+        config = {};
+    var problems = [],
+        active = Object.keys(ruleSet).filter(function(name) {
+            var severity = config[name] || ruleSet[name].severity || "error";
+            if (severities.indexOf(severity) < 0)
+                throw Error("invalid severity '" + severity + "' of rule " + name);
+            return severity !== "off";
+        });
+
+    function visit(object) {
+        active.forEach(function(name) {
+            ruleSet[name](object, function report(message, target, valueName) {
+                if (!target)
+                    target = object;
+                if (!target.filename) // i.e. a common type or a package
+                    return;
+                if (isIgnored(target.comment, name) || valueName && isIgnored(target.comments[valueName], name))
+                    return;
+                var location = valueName && target.locations[valueName] || target.location || {};
+                problems.push({
+                    rule     : name,
+                    severity : config[name] || ruleSet[name].severity || "error",
+                    message  : message,
+                    filename : target.filename,
+                    line     : location.line || 0,
+                    column   : location.column || 0
+                });
+            });
+        });
+        [ object.fieldsArray, object.oneofsArray, object.methodsArray, object.nestedArray ].forEach(function(children) {
+            if (children)
+                children.forEach(function(child) {
+                    if (!child.declaringField)
+                        visit(child);
+                });
+        });
+    }
+
+    visit(root);
+    return problems;
+};
+
+/**
+ * Runs pbjs lint programmatically.
+ * @param {string[]} args Command line arguments
+ * @param {function(?Error)} [callback] Optional completion callback
+ * @returns {number|undefined} Exit code, if known
+ */
+exports.main = function(args, callback) {
+    var argv = minimist(args, {
+        alias: {
+            path   : "p",
+            config : "c"
+        },
+        string: [ "path", "config", "rules" ]
+    });
+
+    var files = argv._,
+        paths = typeof argv.path === "string" ? [ argv.path ] : argv.path || [];
+
+    if (!files.length) {
+        var descs = Object.keys(rules).map(function(key) {
+            return "                  " + util.pad(key, 20, true) + rules[key].description;
+        });
+        if (callback)
+            callback(Error("usage"));
+        else
+            console.error([
+                "protobuf.js v" + pkg.version + " cli",
+                "",
+                "Checks .proto files against a set of style rules.",
+                "",
+                descs.join("\n"),
+                "",
+                "  -p, --path      Adds a directory to the include path.",
+                "",
+                "  -c, --config    Specifies a JSON file of severities by rule name (\"error\", \"warning\" or \"off\").",
+                "",
+                "  --rules         Adds the rules of a directory, one module per rule.",
+                "",
+                "Rules can be disabled for a declaration with a `// lint:ignore [rule1, rule2]` comment.",
+                "",
+                "usage: " + chalk.bold.green("pbjs lint") + " [options] file1.proto file2.proto ..."
+            ].join("\n"));
+        return 1;
+    }
+
+    // Resolve glob expressions
+    for (var i = 0; i < files.length;) {
+        if (glob.hasMagic(files[i])) {
+            var matches = glob.sync(files[i]);
+            Array.prototype.splice.apply(files, [i, 1].concat(matches));
+            i += matches.length;
+        } else
+            ++i;
+    }
+
+    var ruleSet = rules;
+    if (argv.rules) {
+        ruleSet = protobuf.util.merge({}, rules);
+        protobuf.util.merge(ruleSet, util.requireAll(path.relative(__dirname, path.resolve(process.cwd(), argv.rules))));
+    }
+
+    var problems;
+    try {
+        var config = argv.config ? JSON.parse(fs.readFileSync(argv.config, "utf8")) : {};
+        problems = exports.lint(util.createRoot(paths).loadSync(files, { keepCase: true }), ruleSet, config);
+    } catch (err) {
+        if (callback) {
+            callback(err);
+            return;
+        } else
+            throw err;
+    }
+
+    var errors = 0;
+    problems.forEach(function(problem) {
+        if (problem.severity === "error")
+            ++errors;
+        process.stdout.write(
+            problem.filename + ":" + problem.line + ":" + problem.column + ": "
+          + (problem.severity === "error" ? chalk.red("error") : chalk.yellow("warning")) + ": "
+          + problem.message + " " + chalk.gray("[" + problem.rule + "]") + "\n"
+        );
+    });
+    if (problems.length)
+        process.stdout.write(chalk.bold(problems.length + " problem" + (problems.length === 1 ? "" : "s") + " (" + errors + " error" + (errors === 1 ? "" : "s") + ")") + "\n");
+
+    if (callback)
+        callback(null);
+    return errors ? 1 : 0;
+};
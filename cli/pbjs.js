@@ -8,7 +8,8 @@ var minimist = util.require("minimist", pkg.devDependencies.minimist),
     glob     = util.require("glob", pkg.devDependencies.glob);
 
 var protobuf = require(".."),
-    targets  = util.requireAll("./targets");
+    targets  = util.requireAll("./targets"),
+    format   = require("./format");
 
 /**
  * Runs pbjs programmatically.
@@ -17,6 +18,9 @@ var protobuf = require(".."),
  * @returns {number|undefined} Exit code, if known
  */
 exports.main = function(args, callback) {
+    if (args[0] === "lint")
+        return require("./lint").main(args.slice(1), callback);
+
     var argv = minimist(args, {
         alias: {
             target : "t",
@@ -26,13 +30,14 @@ exports.main = function(args, callback) {
             root   : "r"
         },
         string: [ "target", "out", "path", "wrap", "root" ],
-        boolean: [ "keep-case", "create", "encode", "decode", "verify", "delimited" ],
+        boolean: [ "keep-case", "check-compat", "format", "write", "check", "create", "encode", "decode", "verify", "convert", "delimited", "deterministic" ],
         default: {
             target: "json",
             create: true,
             encode: true,
             decode: true,
             verify: true,
+            convert: true,
             delimited: true
         }
     });
@@ -41,7 +46,7 @@ exports.main = function(args, callback) {
         files  = argv._,
         paths  = typeof argv.path === 'string' ? [ argv.path ] : argv.path || [];
 
-    if (!files.length) {
+    if (!files.length || argv["check-compat"] && files.length !== 2) {
         var descs = Object.keys(targets).filter(function(key) { return !targets[key].private; }).map(function(key) {
             return "                  " + util.pad(key, 14, true) + targets[key].description;
         });
@@ -71,6 +76,16 @@ exports.main = function(args, callback) {
                 "",
                 "  -r, --root      Specifies an alternative protobuf.roots name.",
                 "",
+                "  --check-compat  Compares two versions of a schema, each a directory or file, and prints the",
+                "                  changes as JSON instead. Exits with code 1 if any change is breaking.",
+                "",
+                "  --format        Formats .proto files in canonical style instead, printing the results.",
+                "",
+                "  Format only:",
+                "",
+                "  --write         Rewrites the files in place instead of printing the results.",
+                "  --check         Lists the files that are not formatted and exits with code 1 if there are any.",
+                "",
                 "  Proto sources only:",
                 "",
                 "  --keep-case     Keeps field casing instead of converting to camel case (not recommended).",
@@ -81,9 +96,14 @@ exports.main = function(args, callback) {
                 "  --no-encode     Does not generate encode functions.",
                 "  --no-decode     Does not generate decode functions.",
                 "  --no-verify     Does not generate verify functions.",
+                "  --no-convert    Does not generate from/toObject conversion functions.",
                 "  --no-delimited  Does not generate delimited encode/decode functions.",
+                "  --deterministic Generates encode functions that always encode deterministically.",
                 "",
-                "usage: " + chalk.bold.green("pbjs") + " [options] file1.proto file2.json ..."
+                "usage: " + chalk.bold.green("pbjs") + " [options] file1.proto file2.json ...",
+                "       " + chalk.bold.green("pbjs") + " --check-compat [options] old/ new/",
+                "       " + chalk.bold.green("pbjs") + " --format [--write|--check] file1.proto file2.proto ...",
+                "       " + chalk.bold.green("pbjs") + " lint [options] file1.proto file2.proto ..."
             ].join("\n"));
         return 1;
     }
@@ -98,32 +118,64 @@ exports.main = function(args, callback) {
             ++i;
     }
 
+    // Format sources instead of converting
+    if (argv.format) {
+        var unformatted = [];
+        try {
+            files.forEach(function(file) {
+                var source = fs.readFileSync(file, "utf8"),
+                    output = format(source, file);
+                if (argv.check) {
+                    if (output !== source)
+                        unformatted.push(file);
+                } else if (argv.write) {
+                    if (output !== source)
+                        fs.writeFileSync(file, output, { encoding: "utf8" });
+                } else
+                    process.stdout.write(output, "utf8");
+            });
+        } catch (err) {
+            if (callback) {
+                callback(err);
+                return;
+            } else
+                throw err;
+        }
+        if (unformatted.length)
+            process.stdout.write(unformatted.join("\n") + "\n", "utf8");
+        if (callback)
+            callback(null);
+        return unformatted.length ? 1 : 0;
+    }
+
     // Require custom target
     if (!target)
         target = require(path.resolve(process.cwd(), argv.target));
 
-    var root = new protobuf.Root();
-
-    // Search include paths when resolving imports
-    root.resolvePath = function pbjsResolvePath(origin, target) {
-        var filepath = protobuf.util.path.resolve(origin, target);
-        if (fs.existsSync(filepath))
-            return filepath;
-        for (var i = 0; i < paths.length; ++i) {
-            var ifilepath = protobuf.util.path.resolve(paths[i] + "/", target);
-            if (fs.existsSync(ifilepath))
-                return ifilepath;
-        }
-        return filepath;
-    };
-
     var parseOptions = {
         "keepCase": argv["keep-case"] || false
     };
 
-    var root;
+    function load(files, paths) {
+        return util.createRoot(paths).loadSync(files, parseOptions); // sync is deterministic while async is not
+    }
+
+    // Loads all .proto files of a directory, which also becomes an include path, or just a single file
+    function loadVersion(file) {
+        if (!fs.statSync(file).isDirectory())
+            return load([ file ], paths);
+        return load(glob.sync("**/*.proto", { cwd: file }).map(function(name) {
+            return path.join(file, name);
+        }), [ file ].concat(paths));
+    }
+
+    var root,
+        changes;
     try {
-        root = root.loadSync(files, parseOptions); // sync is deterministic while async is not
+        if (argv["check-compat"])
+            changes = protobuf.compare(loadVersion(files[0]), loadVersion(files[1]));
+        else
+            root = load(files, paths);
     } catch (err) {
         if (callback) {
             callback(err);
@@ -132,6 +184,18 @@ exports.main = function(args, callback) {
             throw err;
     }
 
+    if (changes) {
+        var breaking = changes.some(function(change) { return change.breaking; }),
+            output = JSON.stringify({ breaking: breaking, changes: changes }, null, 2) + "\n";
+        if (argv.out)
+            fs.writeFileSync(argv.out, output, { encoding: "utf8" });
+        else
+            process.stdout.write(output, "utf8");
+        if (callback)
+            callback(null);
+        return breaking ? 1 : 0;
+    }
+
     target(root, argv, function(err, output) {
         if (err) {
             if (callback)
@@ -0,0 +1,15 @@
+"use strict";
+module.exports = enum_value_name_rule;
+
+var protobuf = require("../..");
+
+enum_value_name_rule.description = "Enum value names are UPPER_SNAKE_CASE";
+enum_value_name_rule.severity = "error";
+
+function enum_value_name_rule(object, report) {
+    if (object instanceof protobuf.Enum)
+        Object.keys(object.values).forEach(function(name) {
+            if (!/^[A-Z][A-Z0-9]*(?:_[A-Z0-9]+)*$/.test(name))
+                report("value name '" + name + "' is not UPPER_SNAKE_CASE", object, name);
+        });
+}
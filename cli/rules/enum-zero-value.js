@@ -0,0 +1,17 @@
+"use strict";
+module.exports = enum_zero_value_rule;
+
+var protobuf = require("../..");
+
+enum_zero_value_rule.description = "Enums have a zero value named *_UNSPECIFIED";
+enum_zero_value_rule.severity = "error";
+
+function enum_zero_value_rule(object, report) {
+    if (!(object instanceof protobuf.Enum))
+        return;
+    var zero = object.getValuesById()[0];
+    if (zero === undefined)
+        report("enum has no zero value");
+    else if (!/_UNSPECIFIED$/.test(zero))
+        report("zero value '" + zero + "' is not named *_UNSPECIFIED", object, zero);
+}
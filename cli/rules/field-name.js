@@ -0,0 +1,12 @@
+"use strict";
+module.exports = field_name_rule;
+
+var protobuf = require("../..");
+
+field_name_rule.description = "Field and oneof names are lower_snake_case";
+field_name_rule.severity = "error";
+
+function field_name_rule(object, report) {
+    if ((object instanceof protobuf.Field || object instanceof protobuf.OneOf) && !/^[a-z][a-z0-9]*(?:_[a-z0-9]+)*$/.test(object.name))
+        report("name '" + object.name + "' is not lower_snake_case");
+}
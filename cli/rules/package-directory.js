@@ -0,0 +1,25 @@
+"use strict";
+module.exports = package_directory_rule;
+
+var protobuf = require("../..");
+
+var path = require("path");
+
+package_directory_rule.description = "Packages match the directories of their files";
+package_directory_rule.severity = "warning";
+
+function package_directory_rule(object, report) {
+    if (!(object instanceof protobuf.Namespace) || object instanceof protobuf.Type || object instanceof protobuf.Service || object instanceof protobuf.Root)
+        return;
+    var pkgPath = object.getFullName().substring(1).replace(/\./g, "/"),
+        reported = {};
+    object.nestedArray.forEach(function(nested) {
+        if (!nested.filename || nested instanceof protobuf.Namespace && !(nested instanceof protobuf.Type || nested instanceof protobuf.Service) || reported[nested.filename])
+            return;
+        var dirname = path.dirname(nested.filename).replace(/\\/g, "/");
+        if (dirname !== pkgPath && dirname.substring(dirname.length - pkgPath.length - 1) !== "/" + pkgPath) {
+            reported[nested.filename] = true;
+            report("package '" + object.getFullName().substring(1) + "' does not match directory '" + dirname + "'", nested);
+        }
+    });
+}
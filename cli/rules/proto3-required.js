@@ -0,0 +1,13 @@
+"use strict";
+module.exports = proto3_required_rule;
+
+var protobuf = require("../..");
+
+proto3_required_rule.description = "Fields of proto3 files are not required";
+proto3_required_rule.severity = "error";
+
+function proto3_required_rule(object, report) {
+    var fileSyntax = object.root.fileSyntax;
+    if (object instanceof protobuf.Field && object.required && fileSyntax && fileSyntax[object.filename] === "proto3")
+        report("field '" + object.name + "' is required in a proto3 file");
+}
@@ -0,0 +1,12 @@
+"use strict";
+module.exports = type_name_rule;
+
+var protobuf = require("../..");
+
+type_name_rule.description = "Message, enum and service names are UpperCamelCase";
+type_name_rule.severity = "error";
+
+function type_name_rule(object, report) {
+    if ((object instanceof protobuf.Type || object instanceof protobuf.Enum || object instanceof protobuf.Service) && !/^[A-Z][a-zA-Z0-9]*$/.test(object.name))
+        report("name '" + object.name + "' is not UpperCamelCase");
+}
@@ -70,6 +70,14 @@ function value(v) {
             return v ? 'true' : 'false';
         case 'number':
             return v.toString();
+        case 'object':
+            if (Array.isArray(v))
+                return "[" + v.map(value).join(", ") + "]";
+            if (v !== null)
+                return "{ " + Object.keys(v).map(function(key) {
+                    return key + ": " + value(v[key]);
+                }).join(" ") + " }";
+            // fallthrough
         default:
             return '"' + escape(v + '') + '"';
     }
@@ -144,7 +152,9 @@ function buildRanges(keyword, ranges) {
     if (ranges && ranges.length) {
         push("");
         ranges.forEach(function(range) {
-            if (range[0] === range[1])
+            if (typeof range === "string")
+                push(keyword + " \"" + underScore(range) + "\";");
+            else if (range[0] === range[1])
                 push(keyword + " " + range[0] + ";");
             else
                 push(keyword + " " + range[0] + " to " + (range[1] === 0x1FFFFFFF ? "max" : range[1]) + ";");
@@ -230,6 +240,12 @@ function buildFieldOptions(field) {
                     break;
                 // otherwise fallthrough
             default:
+                if (Array.isArray(val) && key.charAt(0) === "(") { // repeated custom option
+                    val.forEach(function(element) {
+                        sb.push(key + "=" + value(element));
+                    });
+                    return;
+                }
                 val = value(val);
                 break;
         }
@@ -299,6 +315,8 @@ function buildOptions(object) {
         if (first)
             push(""), first = false;
         var val = object.options[key];
-        push("option " + key + " = " + JSON.stringify(val) + ";");
+        (Array.isArray(val) && key.charAt(0) === "(" ? val : [ val ]).forEach(function(val) { // repeated custom option
+            push("option " + key + " = " + (val !== null && typeof val === "object" ? value(val) : JSON.stringify(val)) + ";");
+        });
     });
 }
@@ -74,6 +74,13 @@ function pushComment(lines) {
     push(" */");
 }
 
+// Gets the lines of an object's comment for use within JSDoc, or the fallback if there is none
+function commentLines(object, fallback) {
+    return object.comment
+        ? object.comment.replace(/\*\//g, "*\\/").split(/\r?\n/g)
+        : [ fallback ];
+}
+
 var reservedRe = /^(?:do|if|in|for|let|new|try|var|case|else|enum|eval|false|null|this|true|void|with|break|catch|class|const|super|throw|while|yield|delete|export|import|public|return|static|switch|typeof|default|extends|finally|package|private|continue|debugger|function|arguments|interface|protected|implements|instanceof)$/;
 
 function name(name) {
@@ -152,12 +159,11 @@ function buildType(ref, type) {
     var fullName = type.fullName.substring(1);
 
     push("");
-    pushComment([
-        "Constructs a new " + type.name + ".",
+    pushComment(commentLines(type, "Constructs a new " + type.name + ".").concat([
         "@exports " + fullName,
         "@constructor",
         "@param {Object} [properties] Properties to set"
-    ]);
+    ]));
     push("function " + name(type.name) + "(properties) {");
         ++indent;
         push("if (properties) {");
@@ -221,11 +227,10 @@ function buildType(ref, type) {
         if (field.repeated)
             jsType = "Array.<" + jsType + ">";
         push("");
-        pushComment([
-            type.name + " " + field.name + ".",
+        pushComment(commentLines(field, type.name + " " + field.name + ".").concat([
             "@name " + fullName + "#" + name(field.name),
             "@type {" + jsType + "}"
-        ]);
+        ]));
         if (Array.isArray(field.defaultValue)) {
             push("$prototype[" + JSON.stringify(field.name) + "] = $protobuf.util.emptyArray;");
         } else if (util.isObject(field.defaultValue))
@@ -294,7 +299,19 @@ function buildType(ref, type) {
             "@param {Writer} [writer] Writer to encode to",
             "@returns {Writer} Writer"
         ]);
-        buildFunction(type, "encode", protobuf.encoder(type), {
+        buildFunction(type, "encode", protobuf.encoder(type, config.deterministic), {
+            Writer : "$protobuf.Writer",
+            util   : "$protobuf.util"
+        });
+
+        push("");
+        pushComment([
+            "Computes the byte length of the specified " + type.name + " as written by {@link " + fullName + ".encode}.",
+            "@function",
+            "@param {" + fullName + "|Object} message " + type.name + " or plain object",
+            "@returns {number} Byte length"
+        ]);
+        buildFunction(type, "encodedSize", protobuf.sizer(type), {
             Writer : "$protobuf.Writer",
             util   : "$protobuf.util"
         });
@@ -361,104 +378,104 @@ function buildType(ref, type) {
         });
 
     }
+
+    if (config.convert) {
+        push("");
+        pushComment([
+            "Creates a " + type.name + " message from a plain object. Also converts values to their respective internal types.",
+            "@function",
+            "@param {Object.<string,*>} object Plain object",
+            "@returns {" + fullName + "} " + type.name
+        ]);
+        buildFunction(type, "fromObject", protobuf.converter.fromObject(type), {
+            util : "$protobuf.util"
+        });
+
+        push("");
+        pushComment([
+            "Creates a plain object from a " + type.name + " message. Also converts values to other types if specified.",
+            "@function",
+            "@param {" + fullName + "} message " + type.name,
+            "@param {Object.<string,*>} [options] Conversion options",
+            "@returns {Object.<string,*>} Plain object"
+        ]);
+        buildFunction(type, "toObject", protobuf.converter.toObject(type), {
+            util : "$protobuf.util"
+        });
+
+        push("");
+        pushComment([
+            "Creates a plain object from this " + type.name + " message. Also converts values to other types if specified.",
+            "@param {Object.<string,*>} [options] Conversion options",
+            "@returns {Object.<string,*>} Plain object"
+        ]);
+        push(name(type.name) + ".prototype.toObject = function toObject(options) {");
+        ++indent;
+        push("return this.constructor.toObject(this, options);");
+        --indent;
+        push("};");
+    }
 }
 
 function buildService(ref, service) {
     var fullName = service.fullName.substring(1);
 
     push("");
-    pushComment([
-        "Constructs a new " + service.name + ".",
+    pushComment(commentLines(service, "Constructs a new " + service.name + ".").concat([
         "@exports " + fullName,
+        "@extends rpc.Service",
         "@constructor",
         "@param {function(function, Uint8Array, function)} rpc RPC implementation",
         "@param {boolean} [requestDelimited=false] Whether requests are length-delimited",
         "@param {boolean} [responseDelimited=false] Whether responses are length-delimited"
-    ]);
+    ]));
     push("function " + name(service.name) + "(rpc, requestDelimited, responseDelimited) {");
     ++indent;
-    push("");
-    pushComment([
-        "RPC implementation.",
-        "@type {function(function, Uint8Array, function)}"
-    ]);
-    push("this.rpc = rpc;");
-    push("");
-    pushComment([
-        "Whether requests are length-delimited.",
-        "@type {boolean}"
-    ]);
-    push("this.requestDelimited = Boolean(requestDelimited);");
-    push("");
-    pushComment([
-        "Whether responses are length-delimited.",
-        "@type {boolean}"
-    ]);
-    push("this.responseDelimited = Boolean(responseDelimited);");
+    push("$protobuf.rpc.Service.call(this, rpc, requestDelimited, responseDelimited);");
     --indent;
-    push("};");
+    push("}");
+    push("");
+    push("(" + name(service.name) + ".prototype = Object.create($protobuf.rpc.Service.prototype)).constructor = " + name(service.name) + ";");
     service.getMethodsArray().forEach(function(method) {
         method.resolve();
-        var lcName = method.name.substring(0, 1).toLowerCase() + method.name.substring(1);
+        var lcName = method.name.substring(0, 1).toLowerCase() + method.name.substring(1),
+            requestType  = method.resolvedRequestType.fullName.substring(1),
+            responseType = method.resolvedResponseType.fullName.substring(1);
         push("");
-        pushComment([
-            "Calls " + method.name + ".",
-            "@param {" + method.resolvedRequestType.fullName.substring(1) + "|Object} request " + method.resolvedRequestType.name + " or plain object",
-            "@param {function(?Error, " + method.resolvedResponseType.fullName.substring(1) + "=)} callback Node-style callback called with the error, if any, and " + method.resolvedResponseType.name,
-            "@returns {undefined}"
-        ]);
+        pushComment(commentLines(method, "Calls " + method.name + ".").concat([
+            method.requestStream
+                ? "@param {" + requestType + "|Object|Array.<" + requestType + "|Object>} request " + method.resolvedRequestType.name + " or plain object, or an array, iterable or async iterable of these"
+                : "@param {" + requestType + "|Object} request " + method.resolvedRequestType.name + " or plain object",
+            "@param {function(?Error, " + responseType + "=)} [callback] Node-style callback called with the error, if any, and " + method.resolvedResponseType.name,
+            method.responseStream
+                ? "@returns {rpc.Stream|undefined} Stream of " + method.resolvedResponseType.name + " if `callback` has been omitted"
+                : "@returns {Promise<" + responseType + ">|undefined} Promise of " + method.resolvedResponseType.name + " if `callback` has been omitted"
+        ]));
         push(name(service.name) + ".prototype[" + JSON.stringify(lcName) + "] = function " + name(lcName) + "(request, callback) {");
             ++indent;
-            push("var requestData;");
-            push("try {");
-                ++indent;
-                push("requestData = (this.requestDelimited ? $root" + name(method.resolvedRequestType.fullName) + ".encodeDelimited(request) : $root" + name(method.resolvedRequestType.fullName) + ".encode(request)).finish();");
-                --indent;
-            push("} catch (err) {");
-                ++indent;
-                push("(typeof setImmediate === 'function' ? setImmediate : setTimeout)(function() { callback(err); });");
-                push("return;");
-                --indent;
-            push("}");
-            push("var self = this;");
-            push("this.rpc(" + name(lcName) + ", requestData, function(err, responseData) {");
-                ++indent;
-                push("if (err) {");
-                    ++indent;
-                    push("callback(err);");
-                    push("return;");
-                    --indent;
-                push("}");
-                push("var response;");
-                push("try {");
-                    ++indent;
-                    push("response = self.responseDelimited ? $root" + name(method.resolvedResponseType.fullName) + ".decodeDelimited(responseData) : $root" + name(method.resolvedResponseType.fullName) + ".decode(responseData);");
-                    --indent;
-                push("} catch (err2) {");
-                    ++indent;
-                    push("callback(err2);");
-                    push("return;");
-                    --indent;
-                push("}");
-                push("callback(null, response);");
-                --indent;
-            push("});");
-        --indent;
+            push("return this.rpcCall(" + name(lcName) + ", $root" + name(method.resolvedRequestType.fullName) + ", $root" + name(method.resolvedResponseType.fullName) + ", request, callback);");
+            --indent;
         push("};");
+        if (method.requestStream)
+            push(name(service.name) + ".prototype[" + JSON.stringify(lcName) + "].requestStream = true;");
+        if (method.responseStream)
+            push(name(service.name) + ".prototype[" + JSON.stringify(lcName) + "].responseStream = true;");
     });
 }
 
 function buildEnum(ref, enm) {
+    var keys = Object.keys(enm.values);
     push("");
-    pushComment([
-        enm.name + " values.",
+    pushComment(commentLines(enm, enm.name + " values.").concat([
         "@exports " + enm.fullName.substring(1),
         "@type {Object.<string,number>}"
-    ]);
+    ], keys.map(function(key) {
+        var comment = enm.comments[key];
+        return "@property {number} " + key + "=" + enm.values[key] + (comment ? " " + comment.replace(/\*\//g, "*\\/").replace(/\s*\r?\n\s*/g, " ") : "");
+    })));
     push(name(ref) + "." + name(enm.name) + " = {");
     push("");
     ++indent;
-    var keys = Object.keys(enm.values);
     for (var i = 0; i < keys.length; ++i) {
         push(name(keys[i]) + ": " + enm.values[keys[i]].toString(10) + (i < keys.length - 1 ? "," : ""));
     }
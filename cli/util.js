@@ -31,6 +31,25 @@ exports.requireAll = function requireAll(dirname) {
     return all;
 };
 
+exports.createRoot = function createRoot(paths) {
+    var root = new protobuf.Root();
+
+    // Search include paths when resolving imports
+    root.resolvePath = function pbjsResolvePath(origin, target) {
+        var filepath = protobuf.util.path.resolve(origin, target);
+        if (fs.existsSync(filepath))
+            return filepath;
+        for (var i = 0; i < paths.length; ++i) {
+            var ifilepath = protobuf.util.path.resolve(paths[i] + "/", target);
+            if (fs.existsSync(ifilepath))
+                return ifilepath;
+        }
+        return filepath;
+    };
+
+    return root;
+};
+
 exports.inspect = function inspect(object, indent) {
     if (!object)
         return "";
@@ -7,6 +7,7 @@ protobuf.BufferWriter = require("../src/writer_buffer");
 protobuf.Reader = require("../src/reader");
 protobuf.BufferReader = require("../src/reader_buffer");
 protobuf.util = require("../src/util/runtime");
+protobuf.rpc = require("../src/rpc");
 protobuf.roots = {};
 protobuf.configure = configure;
 
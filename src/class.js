@@ -65,7 +65,7 @@ function create(type, ctor) {
         // the value on the prototype for ALL messages of this type. Hence, these objects are frozen.
         prototype[field.name] = Array.isArray(field.resolve().defaultValue)
             ? util.emptyArray
-            : util.isObject(field.defaultValue)
+            : util.isObject(field.defaultValue) && !field.long
             ? util.emptyObject
             : field.defaultValue;
     });
@@ -140,3 +140,56 @@ Class.prototype = Message;
  * @param {Message|Object} message Message or plain object to verify
  * @returns {?string} `null` if valid, otherwise the reason why it is not
  */
+
+/**
+ * Creates a new message of this type from a plain object. Also converts values to their respective internal types.
+ * @name Class#fromObject
+ * @function
+ * @param {Object.<string,*>} object Plain object
+ * @returns {Message} Message instance
+ */
+
+/**
+ * Creates a plain object from a message of this type. Also converts values to other types if specified.
+ * @name Class#toObject
+ * @function
+ * @param {Message} message Message instance
+ * @param {ConversionOptions} [options] Conversion options
+ * @returns {Object.<string,*>} Plain object
+ */
+
+/**
+ * Converts a message of this type to its canonical proto3 JSON representation.
+ * @name Class#encodeJSON
+ * @function
+ * @param {Message|Object} message Message or plain object to convert
+ * @param {JSONEncodeOptions} [options] Conversion options
+ * @returns {*} JSON value, usually an object
+ */
+
+/**
+ * Converts a canonical proto3 JSON value to a message of this type.
+ * @name Class#decodeJSON
+ * @function
+ * @param {*} value JSON value, usually an object as returned by `JSON.parse`
+ * @param {JSONDecodeOptions} [options] Conversion options
+ * @returns {Message} Message instance
+ */
+
+/**
+ * Converts a message of this type to text format.
+ * @name Class#toText
+ * @function
+ * @param {Message|Object} message Message or plain object to convert
+ * @param {TextEncodeOptions} [options] Conversion options
+ * @returns {string} Text format
+ */
+
+/**
+ * Converts text format to a message of this type.
+ * @name Class#fromText
+ * @function
+ * @param {string} source Text format
+ * @param {TextDecodeOptions} [options] Conversion options
+ * @returns {Message} Message instance
+ */
@@ -0,0 +1,251 @@
+"use strict";
+module.exports = compare;
+
+var Type      = require("./type"),
+    Field     = require("./field"),
+    Enum      = require("./enum"),
+    Service   = require("./service"),
+    types     = require("./types");
+
+/**
+ * A schema change as reported by {@link compare}.
+ * @typedef SchemaChange
+ * @type {Object}
+ * @property {string} kind Kind of change, i.e. `"field-removed"`
+ * @property {boolean} breaking Whether the change is breaking
+ * @property {string} path Full name of the affected reflection object, without the leading dot
+ * @property {string} message Human readable description of the change
+ */
+
+// Wire compatible classes of basic types
+var wireClasses = {
+    int32    : "varint",
+    uint32   : "varint",
+    int64    : "varint",
+    uint64   : "varint",
+    bool     : "varint",
+    sint32   : "zigzag",
+    sint64   : "zigzag",
+    fixed32  : "fixed32",
+    sfixed32 : "fixed32",
+    fixed64  : "fixed64",
+    sfixed64 : "fixed64",
+    float    : "float",
+    double   : "double",
+    string   : "bytes",
+    bytes    : "bytes"
+};
+
+function pathOf(object) {
+    return object.getFullName().substring(1);
+}
+
+function kindOf(object) {
+    if (object instanceof Type)
+        return "type";
+    if (object instanceof Enum)
+        return "enum";
+    if (object instanceof Service)
+        return "service";
+    if (object instanceof Field)
+        return "field";
+    return "namespace";
+}
+
+function wireClass(type, resolvedType) {
+    if (resolvedType instanceof Enum)
+        return "varint";
+    if (resolvedType instanceof Type)
+        return (resolvedType.group ? "group " : "message ") + pathOf(resolvedType);
+    return wireClasses[type];
+}
+
+function fieldClass(field) {
+    var valueClass = wireClass(field.type, field.resolvedType);
+    return field.map
+        ? "map " + wireClass(field.keyType, field.resolvedKeyType) + " " + valueClass
+        : valueClass;
+}
+
+function fieldType(field) {
+    return field.map ? "map<" + field.keyType + "," + field.type + ">" : field.type;
+}
+
+function isPacked(field) {
+    return field.repeated && !field.map && types.packed[field.resolvedType instanceof Enum ? "uint32" : field.type] !== undefined && field.packed;
+}
+
+function methodSignature(method) {
+    return (method.requestStream ? "stream " : "") + method.resolvedRequestType.getFullName() + " " + (method.responseStream ? "stream " : "") + method.resolvedResponseType.getFullName();
+}
+
+function serviceSignature(service) {
+    return service.getMethodsArray().map(function(method) {
+        return method.name + " " + methodSignature(method);
+    }).sort().join(",");
+}
+
+/**
+ * Compares two versions of a schema and reports the changes between them.
+ *
+ * Changes that break existing readers or writers of the old schema on the wire (i.e. reused or retyped field ids,
+ * removed enum values, changed required-ness or packing) as well as removed or renamed declarations and services
+ * are flagged as `breaking`. Additions and changes that keep the wire format compatible are reported as safe.
+ * @param {Root} oldRoot Old version of the schema
+ * @param {Root} newRoot New version of the schema
+ * @returns {SchemaChange[]} Changes, in declaration order
+ * @throws {Error} If either version cannot be resolved
+ */
+function compare(oldRoot, newRoot) {
+    var changes = [];
+
+    function report(kind, breaking, path, message) {
+        changes.push({
+            kind     : kind,
+            breaking : breaking,
+            path     : path,
+            message  : message
+        });
+    }
+
+    function reportAll(object, change) {
+        if (object instanceof Type || object instanceof Enum || object instanceof Service)
+            report(kindOf(object) + "-" + change, change === "removed", pathOf(object), kindOf(object) + " " + change);
+        else if (!(object instanceof Field))
+            object.getNestedArray().forEach(function(nested) {
+                reportAll(nested, change);
+            });
+    }
+
+    function compareNested(oldNs, newNs) {
+        var oldNested = oldNs.getNestedArray(),
+            newNested = newNs.getNestedArray(),
+            removedServices = [],
+            addedServices = [];
+        oldNested.forEach(function(oldObject) {
+            var newObject = newNs.nested && newNs.nested[oldObject.name];
+            if (oldObject instanceof Field) // extension fields are compared on the extended type
+                return;
+            if (!newObject) {
+                if (oldObject instanceof Service)
+                    removedServices.push(oldObject);
+                else
+                    reportAll(oldObject, "removed");
+            } else if (kindOf(oldObject) !== kindOf(newObject))
+                report("kind-changed", true, pathOf(oldObject), kindOf(oldObject) + " changed to " + kindOf(newObject));
+            else if (oldObject instanceof Type)
+                compareType(oldObject, newObject);
+            else if (oldObject instanceof Enum)
+                compareEnum(oldObject, newObject);
+            else if (oldObject instanceof Service)
+                compareService(oldObject, newObject);
+            else
+                compareNested(oldObject, newObject);
+        });
+        newNested.forEach(function(newObject) {
+            if (!oldNs.nested || !oldNs.nested[newObject.name]) {
+                if (newObject instanceof Service)
+                    addedServices.push(newObject);
+                else
+                    reportAll(newObject, "added");
+            }
+        });
+        matchRenamed(removedServices, addedServices, serviceSignature, "service");
+    }
+
+    function matchRenamed(removed, added, signature, kind) {
+        removed.forEach(function(oldObject) {
+            var oldSignature = signature(oldObject);
+            for (var i = 0; i < added.length; ++i)
+                if (signature(added[i]) === oldSignature) {
+                    report(kind + "-renamed", true, pathOf(oldObject), kind + " renamed to '" + added[i].name + "'");
+                    added.splice(i, 1);
+                    return;
+                }
+            report(kind + "-removed", true, pathOf(oldObject), kind + " removed");
+        });
+        added.forEach(function(newObject) {
+            report(kind + "-added", false, pathOf(newObject), kind + " added");
+        });
+    }
+
+    function compareType(oldType, newType) {
+        var path = pathOf(newType),
+            oldFields = oldType.getFieldsById(),
+            newFields = newType.getFieldsById();
+
+        function fieldPath(field) {
+            return field.name.charAt(0) === "." ? field.name.substring(1) : path + "." + field.name;
+        }
+
+        Object.keys(oldFields).forEach(function(id) {
+            var oldField = oldFields[id].resolve(),
+                newField = newFields[id];
+            if (!newField) {
+                var reserved = newType.isReservedId(oldField.id);
+                report("field-removed", !reserved, fieldPath(oldField), "field with id " + id + " removed" + (reserved ? "" : " without reserving its id"));
+            } else
+                compareField(oldField, newField.resolve(), fieldPath(newField));
+        });
+        Object.keys(newFields).forEach(function(id) {
+            var newField = newFields[id];
+            if (!oldFields[id])
+                report("field-added", newField.required, fieldPath(newField), newField.required ? "required field added" : "field added");
+        });
+        compareNested(oldType, newType);
+    }
+
+    function compareField(oldField, newField, path) {
+        var compatible = fieldClass(oldField) === fieldClass(newField);
+        if (oldField.name !== newField.name) {
+            if (!compatible) {
+                report("field-id-reused", true, path, "id " + newField.id + " of field '" + oldField.name + "' reused by '" + newField.name + "' of incompatible type " + fieldType(newField));
+                return;
+            }
+            report("field-renamed", false, path, "field '" + oldField.name + "' renamed to '" + newField.name + "'");
+        }
+        if (fieldType(oldField) !== fieldType(newField) || !compatible)
+            report("field-type-changed", !compatible, path, "type changed from " + fieldType(oldField) + " to " + fieldType(newField));
+        if (oldField.required !== newField.required)
+            report("field-required-changed", true, path, newField.required ? "field became required" : "field is no longer required");
+        if (oldField.repeated !== newField.repeated)
+            report("field-repeated-changed", true, path, newField.repeated ? "field became repeated" : "field is no longer repeated");
+        else if (isPacked(oldField) !== isPacked(newField))
+            report("field-packed-changed", true, path, newField.packed ? "field became packed" : "field is no longer packed");
+    }
+
+    function compareEnum(oldEnum, newEnum) {
+        var path = pathOf(newEnum);
+        Object.keys(oldEnum.values).forEach(function(name) {
+            if (newEnum.values[name] === undefined)
+                report("enum-value-removed", true, path + "." + name, "enum value removed");
+            else if (newEnum.values[name] !== oldEnum.values[name])
+                report("enum-value-changed", true, path + "." + name, "enum value changed from " + oldEnum.values[name] + " to " + newEnum.values[name]);
+        });
+        Object.keys(newEnum.values).forEach(function(name) {
+            if (oldEnum.values[name] === undefined)
+                report("enum-value-added", false, path + "." + name, "enum value added");
+        });
+    }
+
+    function compareService(oldService, newService) {
+        var removedMethods = [],
+            addedMethods = [];
+        oldService.getMethodsArray().forEach(function(oldMethod) {
+            var newMethod = newService.methods[oldMethod.name];
+            if (!newMethod)
+                removedMethods.push(oldMethod);
+            else if (methodSignature(oldMethod) !== methodSignature(newMethod))
+                report("method-changed", true, pathOf(newMethod), "method signature changed from '" + methodSignature(oldMethod) + "' to '" + methodSignature(newMethod) + "'");
+        });
+        newService.getMethodsArray().forEach(function(newMethod) {
+            if (!oldService.methods[newMethod.name])
+                addedMethods.push(newMethod);
+        });
+        matchRenamed(removedMethods, addedMethods, methodSignature, "method");
+    }
+
+    compareNested(oldRoot.resolveAll(), newRoot.resolveAll());
+    return changes;
+}
+
@@ -0,0 +1,306 @@
+"use strict";
+/**
+ * Runtime message from/to plain object converters.
+ * @namespace
+ */
+var converter = exports;
+
+var Enum = require("./enum"),
+    util = require("./util");
+
+/**
+ * Conversion options as used by {@link Type#toObject} and {@link Message.toObject}.
+ * @typedef ConversionOptions
+ * @type {Object}
+ * @property {*} [longs] Long conversion type. Valid values are `String` and `Number` (the global types). Defaults to copy the present value, which is a Long if a long library is present.
+ * @property {*} [enums] Enum value conversion type. Only valid value is `String` (the global type). Defaults to copy the present value, which is the numeric id.
+ * @property {*} [bytes] Bytes value conversion type. Valid values are `Array` and `String` (the global types). Defaults to copy the present value, which usually is a Buffer under node and an Uint8Array in the browser.
+ * @property {boolean} [defaults=false] Also sets default values on the resulting object
+ * @property {boolean} [arrays=false] Sets empty arrays for missing repeated fields even if `defaults=false`
+ * @property {boolean} [objects=false] Sets empty objects for missing map fields even if `defaults=false`
+ * @property {boolean} [oneofs=false] Also sets the virtual oneof property to the present member's name
+ */
+
+function getOneof(mtype, field) {
+    var oneofs = mtype.getOneofsArray();
+    for (var i = 0; i < oneofs.length; ++i)
+        if (oneofs[i].oneof.indexOf(field.name) > -1)
+            return oneofs[i];
+    return null;
+}
+
+function isUnsigned(field) {
+    return field.type === "uint64" || field.type === "fixed64";
+}
+
+function genValuePartial_fromObject(gen, field, fieldIndex, lhs, rhs) {
+    /* eslint-disable no-unexpected-multiline */
+    if (field.resolvedType) {
+        if (field.resolvedType instanceof Enum) { gen
+            ("switch(%s){", rhs)
+                ("default:")
+                    ("if(util.isInteger(%s))", rhs)
+                        ("%s=%s", lhs, rhs)
+                    ("break");
+            var values = field.resolvedType.values,
+                keys   = Object.keys(values);
+            for (var i = 0; i < keys.length; ++i) gen
+                ("case %j:", keys[i])
+                ("case %d:", values[keys[i]])
+                    ("%s=%d", lhs, values[keys[i]])
+                    ("break");
+            gen
+            ("}");
+        } else {
+            if (field.resolvedType.getFullName() !== ".google.protobuf.Timestamp") gen
+            ("if(typeof %s!==\"object\")", rhs)
+                ("throw TypeError(%j)", field.getFullName() + ": object expected");
+            gen
+            ("%s=types[%d].fromObject(%s)", lhs, fieldIndex, rhs);
+        }
+    } else {
+        switch (field.type) {
+            case "double":
+            case "float": gen
+                ("%s=Number(%s)", lhs, rhs);
+                break;
+            case "uint32":
+            case "fixed32": gen
+                ("%s=%s>>>0", lhs, rhs);
+                break;
+            case "int32":
+            case "sint32":
+            case "sfixed32": gen
+                ("%s=%s|0", lhs, rhs);
+                break;
+            case "int64":
+            case "uint64":
+            case "sint64":
+            case "fixed64":
+            case "sfixed64": gen
+                ("if(util.Long)")
+                    ("%s=util.Long.fromValue(%s).%s()", lhs, rhs, isUnsigned(field) ? "toUnsigned" : "toSigned")
+                ("else if(typeof %s===\"string\")", rhs)
+                    ("%s=parseInt(%s,10)", lhs, rhs)
+                ("else if(typeof %s===\"number\")", rhs)
+                    ("%s=%s", lhs, rhs)
+                ("else if(typeof %s===\"object\")", rhs)
+                    ("%s=new util.LongBits(%s.low>>>0,%s.high>>>0).toNumber(%j)", lhs, rhs, rhs, isUnsigned(field));
+                break;
+            case "bool": gen
+                ("%s=Boolean(%s)", lhs, rhs);
+                break;
+            case "string": gen
+                ("%s=String(%s)", lhs, rhs);
+                break;
+            case "bytes": gen
+                ("if(typeof %s===\"string\")", rhs)
+                    ("util.base64.decode(%s,%s=util.newBuffer(util.base64.length(%s)),0)", rhs, lhs, rhs)
+                ("else if(%s&&%s.length)", rhs, rhs)
+                    ("%s=%s", lhs, rhs);
+                break;
+        }
+    }
+    return gen;
+    /* eslint-enable no-unexpected-multiline */
+}
+
+/**
+ * Generates a plain object to runtime message converter specific to the specified message type.
+ * @param {Type} mtype Message type
+ * @returns {Codegen} Codegen instance
+ */
+converter.fromObject = function fromObject(mtype) {
+    /* eslint-disable no-unexpected-multiline */
+    var fields = mtype.getFieldsArray();
+    var gen = util.codegen("d")
+    ("var C=(this.getCtor())")
+    ("if(d instanceof C)")
+        ("return d");
+
+    // Timestamps can also be specified as a Date or as an RFC 3339 date string
+    if (mtype.getFullName() === ".google.protobuf.Timestamp") gen
+    ("if(d instanceof Date||typeof d===\"string\"){")
+        ("var t=typeof d===\"string\"?util.parseTimestamp(d):{seconds:Math.floor(d.getTime()/1000)}")
+        ("if(!t||isNaN(t.seconds))")
+            ("throw TypeError(%j)", mtype.getFullName() + ": invalid date")
+        ("if(d instanceof Date)")
+            ("t.nanos=(d.getTime()-t.seconds*1000)*1000000")
+        ("d={%j:t.seconds,%j:t.nanos}", mtype.getFieldsById()[1].name, mtype.getFieldsById()[2].name)
+    ("}");
+
+    gen
+    ("var m=new C");
+    for (var i = 0; i < fields.length; ++i) {
+        var field = fields[i].resolve(),
+            prop  = util.safeProp(field.name);
+
+        // map fields
+        if (field.map) { gen
+    ("if(d%s){", prop)
+        ("if(typeof d%s!==\"object\")", prop)
+            ("throw TypeError(%j)", field.getFullName() + ": object expected")
+        ("m%s={}", prop)
+        ("for(var k=Object.keys(d%s),i=0;i<k.length;++i){", prop);
+            genValuePartial_fromObject(gen, field, i, "m" + prop + "[k[i]]", "d" + prop + "[k[i]]")
+        ("}")
+    ("}");
+
+        // repeated fields
+        } else if (field.repeated) { gen
+    ("if(d%s){", prop)
+        ("if(!Array.isArray(d%s))", prop)
+            ("throw TypeError(%j)", field.getFullName() + ": array expected")
+        ("m%s=[]", prop)
+        ("for(var i=0;i<d%s.length;++i){", prop);
+            genValuePartial_fromObject(gen, field, i, "m" + prop + "[i]", "d" + prop + "[i]")
+        ("}")
+    ("}");
+
+        // non-repeated fields
+        } else { gen
+    ("if(d%s!==undefined&&d%s!==null){", prop, prop);
+            genValuePartial_fromObject(gen, field, i, "m" + prop, "d" + prop)
+    ("}");
+        }
+    }
+    return gen
+    ("return m");
+    /* eslint-enable no-unexpected-multiline */
+};
+
+function genValuePartial_toObject(gen, field, fieldIndex, lhs, rhs) {
+    /* eslint-disable no-unexpected-multiline */
+    if (field.resolvedType) {
+        if (field.resolvedType instanceof Enum) gen
+            ("%s=o.enums===String&&%j[%s]||%s", lhs, field.resolvedType.getValuesById(), rhs, rhs);
+        else gen
+            ("%s=types[%d].toObject(%s,o)", lhs, fieldIndex, rhs);
+    } else {
+        switch (field.type) {
+            case "int64":
+            case "uint64":
+            case "sint64":
+            case "fixed64":
+            case "sfixed64": gen
+                ("if(typeof %s===\"number\")", rhs)
+                    ("%s=o.longs===String?String(%s):%s", lhs, rhs, rhs)
+                ("else if(typeof %s===\"string\")", rhs)
+                    ("%s=o.longs===Number?Number(%s):%s", lhs, rhs, rhs)
+                ("else")
+                    ("%s=o.longs===String?util.LongBits.from(%s).toLong(%j).toString():o.longs===Number?util.LongBits.from(%s).toNumber(%j):%s", lhs, rhs, isUnsigned(field), rhs, isUnsigned(field), rhs);
+                break;
+            case "bytes": gen
+                ("%s=o.bytes===String?util.base64.encode(%s,0,%s.length):o.bytes===Array?Array.prototype.slice.call(%s):%s", lhs, rhs, rhs, rhs, rhs);
+                break;
+            default: gen
+                ("%s=%s", lhs, rhs);
+                break;
+        }
+    }
+    return gen;
+    /* eslint-enable no-unexpected-multiline */
+}
+
+function genDefault_toObject(gen, field, prop) {
+    /* eslint-disable no-unexpected-multiline */
+    var value = field.defaultValue;
+    if (field.resolvedType) {
+        if (field.resolvedType instanceof Enum) {
+            if (util.isString(value))
+                value = field.resolvedType.values[value];
+            gen
+        ("d%s=o.enums===String?%j:%j", prop, field.resolvedType.getValuesById()[value], value);
+        } else gen
+        ("d%s=null", prop);
+    } else if (field.long) {
+        var bits = util.LongBits.from(value); gen
+        ("if(util.Long){")
+            ("var n=new util.Long(%d,%d,%j)", bits.lo | 0, bits.hi | 0, isUnsigned(field))
+            ("d%s=o.longs===String?n.toString():o.longs===Number?n.toNumber():n", prop)
+        ("}else")
+            ("d%s=o.longs===String?%j:%d", prop, String(bits.toNumber(isUnsigned(field))), bits.toNumber(isUnsigned(field)));
+    } else if (field.bytes) gen
+        ("d%s=o.bytes===String?\"\":o.bytes===Array?[]:util.newBuffer(0)", prop);
+    else gen
+        ("d%s=%j", prop, value);
+    return gen;
+    /* eslint-enable no-unexpected-multiline */
+}
+
+/**
+ * Generates a runtime message to plain object converter specific to the specified message type.
+ * @param {Type} mtype Message type
+ * @returns {Codegen} Codegen instance
+ */
+converter.toObject = function toObject(mtype) {
+    /* eslint-disable no-unexpected-multiline */
+    var fields = mtype.getFieldsArray().map(function(field) { return field.resolve(); });
+    var gen = util.codegen("m", "o")
+    ("if(!o)")
+        ("o={}")
+    ("var d={}");
+
+    var repeatedFields = fields.filter(function(field) { return field.repeated && !field.map; }),
+        mapFields      = fields.filter(function(field) { return field.map; }),
+        normalFields   = fields.filter(function(field) { return !field.repeated && !field.map && !getOneof(mtype, field); });
+    if (repeatedFields.length) { gen
+    ("if(o.arrays||o.defaults){");
+        repeatedFields.forEach(function(field) { gen
+        ("d%s=[]", util.safeProp(field.name));
+        }); gen
+    ("}");
+    }
+    if (mapFields.length) { gen
+    ("if(o.objects||o.defaults){");
+        mapFields.forEach(function(field) { gen
+        ("d%s={}", util.safeProp(field.name));
+        }); gen
+    ("}");
+    }
+    if (normalFields.length) { gen
+    ("if(o.defaults){");
+        normalFields.forEach(function(field) {
+            genDefault_toObject(gen, field, util.safeProp(field.name));
+        }); gen
+    ("}");
+    }
+
+    for (var i = 0; i < fields.length; ++i) {
+        var field = fields[i],
+            prop  = util.safeProp(field.name);
+
+        // map fields
+        if (field.map) { gen
+    ("if(m%s&&Object.keys(m%s).length){", prop, prop)
+        ("d%s={}", prop)
+        ("for(var k=Object.keys(m%s),j=0;j<k.length;++j){", prop);
+            genValuePartial_toObject(gen, field, i, "d" + prop + "[k[j]]", "m" + prop + "[k[j]]")
+        ("}")
+    ("}");
+
+        // repeated fields
+        } else if (field.repeated) { gen
+    ("if(m%s&&m%s.length){", prop, prop)
+        ("d%s=[]", prop)
+        ("for(var j=0;j<m%s.length;++j){", prop);
+            genValuePartial_toObject(gen, field, i, "d" + prop + "[j]", "m" + prop + "[j]")
+        ("}")
+    ("}");
+
+        // non-repeated fields
+        } else {
+            var oneof = getOneof(mtype, field); gen
+    ("if(m%s!==undefined&&m%s!==null&&m.hasOwnProperty(%j)){", prop, prop, field.name);
+            genValuePartial_toObject(gen, field, i, "d" + prop, "m" + prop);
+            if (oneof) gen
+        ("if(o.oneofs)")
+            ("d%s=%j", util.safeProp(oneof.name), field.name);
+            gen
+    ("}");
+        }
+    }
+    return gen
+    ("return d");
+    /* eslint-enable no-unexpected-multiline */
+};
@@ -8,17 +8,22 @@ var Enum    = require("./enum"),
 /**
  * Generates a decoder specific to the specified message type.
  * @param {Type} mtype Message type
+ * @param {boolean} [lazy=false] Whether to decode lazily, see {@link lazy}, if the reader's {@link Reader#lazy|lazy} flag is set
  * @returns {Codegen} Codegen instance
  */
-function decoder(mtype) {
+function decoder(mtype, lazy) {
     /* eslint-disable no-unexpected-multiline */
     var fields = mtype.getFieldsArray();    
     var gen = util.codegen("r", "l")
 
-    ("r instanceof Reader||(r=Reader.create(r))")
+    ("r instanceof Reader||(r=Reader.create(r))");
+    if (lazy) gen
+    ("if(r.lazy)")
+        ("return this._decodeLazy(r,l)");
+    gen
     ("var c=l===undefined?r.len:r.pos+l,m=new(this.getCtor())")
     ("while(r.pos<c){")
-        ("var t=r.uint32()");
+        ("var p=r.pos,t=r.uint32()");
     if (mtype.group) gen
         ("if((t&7)===4)")
             ("break");
@@ -82,6 +87,8 @@ function decoder(mtype) {
     } return gen
             ("default:")
                 ("r.skipType(t&7)")
+                ("if(!r.discardUnknown)")
+                    ("util.addUnknown(m,r._slice.call(r.buf,p,r.pos))")
                 ("break")
         ("}")
     ("}")
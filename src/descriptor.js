@@ -0,0 +1,527 @@
+"use strict";
+
+/**
+ * Conversion between reflection and `google/protobuf/descriptor.proto` descriptors.
+ * @namespace
+ */
+var descriptor = exports;
+
+var Root      = require("./root"),
+    Namespace = require("./namespace"),
+    Type      = require("./type"),
+    Field     = require("./field"),
+    MapField  = require("./mapfield"),
+    OneOf     = require("./oneof"),
+    Enum      = require("./enum"),
+    Service   = require("./service"),
+    Method    = require("./method"),
+    Reader    = require("./reader"),
+    Writer    = require("./writer"),
+    types     = require("./types"),
+    common    = require("./common"),
+    util      = require("./util");
+
+// Scalar type names by FieldDescriptorProto.Type id
+var typeNames = [
+    undefined, "double", "float", "int64", "uint64", "int32", "fixed64", "fixed32", "bool", "string",
+    undefined /* group */, undefined /* message */, "bytes", "uint32", undefined /* enum */, "sfixed32", "sfixed64", "sint32", "sint64"
+];
+
+var TYPE_GROUP   = 10,
+    TYPE_MESSAGE = 11,
+    TYPE_ENUM    = 14;
+
+var LABEL_OPTIONAL = 1,
+    LABEL_REQUIRED = 2,
+    LABEL_REPEATED = 3;
+
+// Field options mapped to descriptor fields instead of FieldOptions
+var fieldProperties = [ "default", "json_name", "packed" ];
+
+var descriptorRoot = null;
+
+/**
+ * Gets the reflected type of the specified descriptor message.
+ * @param {string} name Message name within `google.protobuf`, i.e. `"FileDescriptorSet"`
+ * @returns {Type} Reflected type
+ */
+descriptor.lookup = function lookup(name) {
+    if (!descriptorRoot)
+        descriptorRoot = Root.fromJSON(common["google/protobuf/descriptor.proto"]);
+    return descriptorRoot.lookup("google.protobuf." + name);
+};
+
+function has(object, name) {
+    return Object.prototype.hasOwnProperty.call(object, name);
+}
+
+// Writes a single value of a descriptor field
+function writeValue(writer, field, value) {
+    if (field.resolvedType instanceof Type)
+        encodeMessage(field.resolvedType, value, writer.uint32(field.id << 3 | 2).fork()).ldelim();
+    else {
+        var type = field.resolvedType instanceof Enum ? "uint32" : field.type;
+        writer.uint32(field.id << 3 | types.basic[type])[type](value);
+    }
+}
+
+// Encodes a descriptor message. Unlike the generated encoder, this writes every field set on the message, even to its
+// default value, as descriptor.proto is proto2 where i.e. an oneof_index of 0 or packed=false must be written.
+function encodeMessage(type, message, writer) {
+    var fields = type.getFieldsArray();
+    for (var i = 0; i < fields.length; ++i) {
+        var field = fields[i].resolve(),
+            value = message[field.name];
+        if (value === undefined || value === null || !has(message, field.name))
+            continue;
+        if (!field.repeated)
+            writeValue(writer, field, value);
+        else if (field.packed && types.packed[field.type] !== undefined) {
+            if (value.length) {
+                writer.uint32(field.id << 3 | 2).fork();
+                for (var j = 0; j < value.length; ++j)
+                    writer[field.type](value[j]);
+                writer.ldelim();
+            }
+        } else
+            for (var k = 0; k < value.length; ++k)
+                writeValue(writer, field, value[k]);
+    }
+    if (message.$unknown)
+        for (var l = 0; l < message.$unknown.length; ++l)
+            writer.raw(message.$unknown[l]);
+    return writer;
+}
+
+/**
+ * Encodes a file descriptor set. Other than {@link Type#encode}, this writes every field set on its messages, even if
+ * set to its default value, as required by descriptor.proto's proto2 semantics.
+ * @param {FileDescriptorSet|Object} set File descriptor set
+ * @param {Writer} [writer] Writer to use
+ * @returns {Writer} Writer
+ */
+descriptor.encode = function encode(set, writer) {
+    return encodeMessage(descriptor.lookup("FileDescriptorSet"), set, writer || Writer.create());
+};
+
+// Converts a decoded options message to reflection options
+function fromOptions(options, typeName) {
+    if (!options)
+        return undefined;
+    var fields = descriptor.lookup(typeName).getFieldsArray(),
+        result;
+    for (var i = 0; i < fields.length; ++i) {
+        var field = fields[i].resolve(),
+            value = options[field.name];
+        if (!has(options, field.name) || field.repeated || field.resolvedType instanceof Type)
+            continue;
+        if (field.resolvedType instanceof Enum)
+            value = field.resolvedType.getValuesById()[value];
+        (result || (result = {}))[field.name] = value;
+    }
+    return result;
+}
+
+// Converts reflection options to an options message, ignoring unknown and custom options
+function toOptions(options, typeName, exclude) {
+    if (!options)
+        return undefined;
+    var fields = descriptor.lookup(typeName).getFieldsArray(),
+        result;
+    for (var i = 0; i < fields.length; ++i) {
+        var field = fields[i].resolve(),
+            value = options[field.name];
+        if (value === undefined || field.repeated || field.resolvedType instanceof Type || exclude && exclude.indexOf(field.name) > -1)
+            continue;
+        if (field.resolvedType instanceof Enum && typeof value === "string")
+            value = field.resolvedType.values[value];
+        (result || (result = {}))[field.name] = value;
+    }
+    return result;
+}
+
+function fromDefault(value, type) {
+    switch (type) {
+        case "bool":
+            return value === "true";
+        case "string":
+        case "bytes":
+            return value;
+    }
+    if (typeNames.indexOf(type) < 0) // enum value
+        return value;
+    switch (value) {
+        case "inf": return Infinity;
+        case "-inf": return -Infinity;
+        case "nan": return NaN;
+    }
+    return Number(value);
+}
+
+function toDefault(value) {
+    if (typeof value === "number" && !isFinite(value))
+        return isNaN(value) ? "nan" : value > 0 ? "inf" : "-inf";
+    return String(value);
+}
+
+function lastName(typeName) {
+    return typeName.substring(typeName.lastIndexOf(".") + 1);
+}
+
+function fromField(desc, syntax, mapEntries) {
+    var type = typeNames[desc.type] || desc.type_name,
+        rule = desc.label === LABEL_REQUIRED ? "required" : desc.label === LABEL_REPEATED ? "repeated" : undefined,
+        extend = desc.extendee || undefined,
+        entry = desc.type === TYPE_MESSAGE && mapEntries && mapEntries[lastName(desc.type_name)],
+        field;
+    if (entry && rule === "repeated") {
+        var keyType   = entry.field[0].number === 1 ? entry.field[0] : entry.field[1],
+            valueType = keyType === entry.field[0] ? entry.field[1] : entry.field[0];
+        field = new MapField(desc.name, desc.number, typeNames[keyType.type], typeNames[valueType.type] || valueType.type_name);
+    } else
+        field = new Field(desc.name, desc.number, type, rule, extend);
+    if (desc.options)
+        field.options = fromOptions(desc.options, "FieldOptions");
+    if (has(desc, "default_value"))
+        field.setOption("default", fromDefault(desc.default_value, type));
+    if (has(desc, "json_name") && desc.json_name !== util.camelCase(desc.name))
+        field.setOption("json_name", desc.json_name);
+    // Reflection assumes packed=true if not set, so it must be set explicitly when not packed
+    // in proto2, where applicable (see also the equivalent logic in parse).
+    if (field.repeated && types.packed[type] !== undefined && syntax !== "proto3")
+        field.setOption("packed", Boolean(desc.options && desc.options.packed), /* ifNotSet */ true);
+    return field;
+}
+
+function fromEnum(desc) {
+    var values = {};
+    desc.value.forEach(function(value) {
+        values[value.name] = value.number;
+    });
+    return new Enum(desc.name, values, fromOptions(desc.options, "EnumOptions"));
+}
+
+function fromRanges(ranges) {
+    return ranges.length
+        ? ranges.map(function(range) { return [ range.start, range.end - 1 ]; }) // end is exclusive in descriptors
+        : undefined;
+}
+
+function fromType(desc, syntax, filename) {
+    var type = new Type(desc.name, fromOptions(desc.options, "MessageOptions")),
+        mapEntries = {},
+        groups = [],
+        oneofs = [];
+    type.filename = filename;
+    desc.nested_type.forEach(function(nested) {
+        if (nested.options && nested.options.map_entry)
+            mapEntries[nested.name] = nested;
+        else
+            type.add(fromType(nested, syntax, filename));
+    });
+    desc.enum_type.forEach(function(nested) {
+        type.add(fromEnum(nested));
+    });
+    desc.field.forEach(function(fieldDesc) {
+        var field = fromField(fieldDesc, syntax, mapEntries);
+        if (fieldDesc.type === TYPE_GROUP)
+            groups.push(lastName(fieldDesc.type_name));
+        if (!has(fieldDesc, "oneof_index") || fieldDesc.proto3_optional) { // synthetic oneofs are dropped
+            type.add(field);
+            return;
+        }
+        var oneof = oneofs[fieldDesc.oneof_index];
+        if (!oneof) {
+            var oneofDesc = desc.oneof_decl[fieldDesc.oneof_index];
+            type.add(oneof = oneofs[fieldDesc.oneof_index] = new OneOf(oneofDesc.name, fromOptions(oneofDesc.options, "OneofOptions")));
+        }
+        oneof.add(field);
+    });
+    desc.extension.forEach(function(fieldDesc) {
+        type.add(fromField(fieldDesc, syntax));
+    });
+    groups.forEach(function(name) {
+        var group = type.get(name);
+        if (group instanceof Type)
+            group.group = true;
+    });
+    type.extensions = fromRanges(desc.extension_range);
+    type.reserved = fromRanges(desc.reserved_range);
+    if (desc.reserved_name.length)
+        type.reserved = (type.reserved || []).concat(desc.reserved_name);
+    return type;
+}
+
+function fromService(desc) {
+    var service = new Service(desc.name, fromOptions(desc.options, "ServiceOptions"));
+    desc.method.forEach(function(methodDesc) {
+        service.add(new Method(methodDesc.name, "rpc", methodDesc.input_type, methodDesc.output_type, methodDesc.client_streaming, methodDesc.server_streaming, fromOptions(methodDesc.options, "MethodOptions")));
+    });
+    return service;
+}
+
+/**
+ * Populates a root namespace from a file descriptor set.
+ * @param {FileDescriptorSet|Reader|Uint8Array|Object} set File descriptor set, either decoded, encoded or as a plain object
+ * @param {Root} [root] Root namespace to populate, defaults to create a new one if omitted
+ * @returns {Root} Root namespace
+ */
+descriptor.toRoot = function toRoot(set, root) {
+    var FileDescriptorSet = descriptor.lookup("FileDescriptorSet");
+    if (set instanceof Reader || set instanceof Uint8Array)
+        set = FileDescriptorSet.decode(set);
+    else if (!(set instanceof FileDescriptorSet.getCtor()))
+        set = FileDescriptorSet.fromObject(set);
+    if (!root)
+        root = new Root();
+    set.file.forEach(function(file) {
+        var ns = file["package"] ? root.define(file["package"]) : root, // eslint-disable-line dot-notation
+            syntax = file.syntax || "proto2";
+        if (root.files.indexOf(file.name) < 0)
+            root.files.push(file.name);
+        if (file.syntax)
+            root.fileSyntax[file.name] = file.syntax;
+        if (file.options)
+            ns.setOptions(fromOptions(file.options, "FileOptions"));
+        file.message_type.forEach(function(desc) {
+            ns.add(fromType(desc, syntax, file.name));
+        });
+        file.enum_type.forEach(function(desc) {
+            var enm = fromEnum(desc);
+            enm.filename = file.name;
+            ns.add(enm);
+        });
+        file.service.forEach(function(desc) {
+            var service = fromService(desc);
+            service.filename = file.name;
+            ns.add(service);
+        });
+        file.extension.forEach(function(desc) {
+            var field = fromField(desc, syntax);
+            field.filename = file.name;
+            ns.add(field);
+        });
+    });
+    return root;
+};
+
+// Gets the top level declaration containing the specified object
+function getDeclaration(object) {
+    while (object.parent instanceof Type)
+        object = object.parent;
+    return object;
+}
+
+// Gets the package of the specified top level declaration
+function getPackage(object) {
+    return object.parent.getFullName().substring(1);
+}
+
+// Gets the include-relative name of the file declaring the specified top level declaration
+function getFilename(root, object) {
+    if (object.filename)
+        return root.includeNames[object.filename] || object.filename;
+    return util.packageFilename(getPackage(object));
+}
+
+function toRanges(ranges) {
+    return ranges
+        ? ranges.filter(function(range) { return typeof range !== "string"; })
+                .map(function(range) { return { start: range[0], end: range[1] + 1 }; })
+        : [];
+}
+
+/**
+ * Converts the contents of a root namespace to a file descriptor set.
+ * Top level declarations are grouped into files by the file they have been loaded from, if known, otherwise by package.
+ * @param {Root} root Root namespace
+ * @param {string} [syntax="proto2"] Syntax of generated file descriptors if not known from loading the file, either `"proto2"` or `"proto3"`
+ * @returns {FileDescriptorSet} File descriptor set
+ * @throws {Error} If any type reference cannot be resolved
+ */
+descriptor.fromRoot = function fromRoot(root, syntax) {
+    var files = {},
+        set = { file: [] };
+
+    root.resolveAll();
+
+    function getFile(object) {
+        var name = getFilename(root, object),
+            file = files[name];
+        if (!file) {
+            file = files[name] = {
+                name         : name,
+                dependency   : [],
+                message_type : [],
+                enum_type    : [],
+                service      : [],
+                extension    : []
+            };
+            var pkg = getPackage(object);
+            if (pkg)
+                file["package"] = pkg; // eslint-disable-line dot-notation
+            var options = {}; // file level options may also be declared before the package statement
+            for (var ns = object.parent; ns; ns = ns.parent)
+                util.merge(options, ns.options, true);
+            options = toOptions(options, "FileOptions");
+            if (options)
+                file.options = options;
+            if ((root.fileSyntax[object.filename || name] || syntax) === "proto3")
+                file.syntax = "proto3";
+            set.file.push(file);
+        }
+        return file;
+    }
+
+    // Records the file declaring the specified referenced type as a dependency of file
+    function depend(file, type) {
+        var name = getFilename(root, getDeclaration(type));
+        if (name !== file.name && file.dependency.indexOf(name) < 0)
+            file.dependency.push(name);
+        return type.getFullName();
+    }
+
+    function toField(field, file, oneofs, mapEntries) {
+        field.resolve();
+        var isProto3 = file.syntax === "proto3",
+            desc = {
+                name   : field.originalName || field.name,
+                number : field.id,
+                label  : field.map || field.repeated ? LABEL_REPEATED : field.required ? LABEL_REQUIRED : LABEL_OPTIONAL
+            };
+        if (field.map) {
+            var entryName = util.ucFirst(util.camelCase(field.originalName || field.name)) + "Entry",
+                valueDesc = { name: "value", number: 2, label: LABEL_OPTIONAL };
+            if (field.resolvedType) {
+                valueDesc.type = field.resolvedType instanceof Enum ? TYPE_ENUM : TYPE_MESSAGE;
+                valueDesc.type_name = depend(file, field.resolvedType);
+            } else
+                valueDesc.type = typeNames.indexOf(field.type);
+            mapEntries.push({
+                name    : entryName,
+                field   : [ { name: "key", number: 1, label: LABEL_OPTIONAL, type: typeNames.indexOf(field.keyType) }, valueDesc ],
+                options : { map_entry: true }
+            });
+            desc.type = TYPE_MESSAGE;
+            desc.type_name = field.parent.getFullName() + "." + entryName;
+        } else if (field.resolvedType) {
+            desc.type = field.resolvedType instanceof Enum ? TYPE_ENUM : field.resolvedType.group ? TYPE_GROUP : TYPE_MESSAGE;
+            desc.type_name = depend(file, field.resolvedType);
+        } else
+            desc.type = typeNames.indexOf(field.type);
+        if (field.extend !== undefined) {
+            var extended = field.extensionField ? field.extensionField.parent : field.parent.lookup(field.extend, Type);
+            desc.extendee = extended ? depend(file, extended) : field.extend;
+        }
+        if (field.partOf)
+            desc.oneof_index = oneofs.indexOf(field.partOf);
+        var defaultValue = field.getOption("default");
+        if (defaultValue !== undefined)
+            desc.default_value = toDefault(defaultValue);
+        if (field.getOption("json_name") !== undefined)
+            desc.json_name = field.getOption("json_name");
+        var options = toOptions(field.options, "FieldOptions", fieldProperties);
+        if (field.repeated && !field.map && types.packed[field.type] !== undefined && field.packed !== isProto3) {
+            options = options || {};
+            options.packed = !isProto3;
+        }
+        if (options)
+            desc.options = options;
+        return desc;
+    }
+
+    function toEnum(enm) {
+        var desc = {
+            name  : enm.name,
+            value : Object.keys(enm.values).map(function(name) {
+                return { name: name, number: enm.values[name] };
+            })
+        };
+        var options = toOptions(enm.options, "EnumOptions");
+        if (options)
+            desc.options = options;
+        return desc;
+    }
+
+    function toType(type, file) {
+        var oneofs = type.getOneofsArray(),
+            desc = {
+                name            : type.name,
+                field           : [],
+                nested_type     : [],
+                enum_type       : [],
+                extension       : [],
+                extension_range : toRanges(type.extensions),
+                oneof_decl      : oneofs.map(function(oneof) {
+                    var oneofDesc = { name: oneof.name },
+                        options = toOptions(oneof.options, "OneofOptions");
+                    if (options)
+                        oneofDesc.options = options;
+                    return oneofDesc;
+                }),
+                reserved_range  : toRanges(type.reserved),
+                reserved_name   : type.reserved
+                    ? type.reserved.filter(function(name) { return typeof name === "string"; })
+                    : []
+            };
+        var options = toOptions(type.options, "MessageOptions");
+        if (options)
+            desc.options = options;
+        type.getNestedArray().forEach(function(nested) {
+            if (nested instanceof Type)
+                desc.nested_type.push(toType(nested, file));
+            else if (nested instanceof Enum)
+                desc.enum_type.push(toEnum(nested));
+            else if (nested instanceof Field)
+                desc.extension.push(toField(nested, file, oneofs));
+        });
+        type.getFieldsArray().forEach(function(field) {
+            if (!field.declaringField)
+                desc.field.push(toField(field, file, oneofs, desc.nested_type));
+        });
+        return desc;
+    }
+
+    function toService(service, file) {
+        var desc = {
+            name   : service.name,
+            method : service.getMethodsArray().map(function(method) {
+                method.resolve();
+                var methodDesc = {
+                    name        : method.name,
+                    input_type  : depend(file, method.resolvedRequestType),
+                    output_type : depend(file, method.resolvedResponseType)
+                };
+                if (method.requestStream)
+                    methodDesc.client_streaming = true;
+                if (method.responseStream)
+                    methodDesc.server_streaming = true;
+                var options = toOptions(method.options, "MethodOptions");
+                if (options)
+                    methodDesc.options = options;
+                return methodDesc;
+            })
+        };
+        var options = toOptions(service.options, "ServiceOptions");
+        if (options)
+            desc.options = options;
+        return desc;
+    }
+
+    (function walk(ns) {
+        ns.getNestedArray().forEach(function(nested) {
+            if (nested instanceof Type)
+                getFile(nested).message_type.push(toType(nested, getFile(nested)));
+            else if (nested instanceof Enum)
+                getFile(nested).enum_type.push(toEnum(nested));
+            else if (nested instanceof Service)
+                getFile(nested).service.push(toService(nested, getFile(nested)));
+            else if (nested instanceof Field)
+                getFile(nested).extension.push(toField(nested, getFile(nested), []));
+            else if (nested instanceof Namespace)
+                walk(nested);
+        });
+    }(root));
+
+    return descriptor.lookup("FileDescriptorSet").create(set);
+};
@@ -15,21 +15,14 @@ function genEncodeType(gen, field, fieldIndex, ref, alwaysRequired) {
       : gen("types[%d].encode(%s,w.fork()).len&&w.ldelim(%d)||w.reset()", fieldIndex, ref, field.id);
 }
 
-/**
- * Generates an encoder specific to the specified message type.
- * @param {Type} mtype Message type
- * @returns {Codegen} Codegen instance
- */
-function encoder(mtype) {
+// Generates the writes of the specified fields in order, sorting map entries always, never or if undefined per writer
+function genFields(gen, mtype, order, sortKeys) {
     /* eslint-disable no-unexpected-multiline, block-scoped-var, no-redeclare */
-    var fields = mtype.getFieldsArray();
-    var oneofs = mtype.getOneofsArray();
-    var gen = util.codegen("m", "w")
-    ("w||(w=Writer.create())");
-
-    var i;
-    for (var i = 0; i < fields.length; ++i) {
-        var field    = fields[i].resolve(),
+    var fields = mtype.getFieldsArray(),
+        oneofs = mtype.getOneofsArray();
+    for (var j = 0; j < order.length; ++j) {
+        var field    = order[j].resolve(),
+            i        = fields.indexOf(field),
             type     = field.resolvedType instanceof Enum ? "uint32" : field.type,
             wireType = types.basic[type],
             prop     = safeProp(field.name);
@@ -39,7 +32,14 @@ function encoder(mtype) {
             var keyType = field.resolvedKeyType /* only valid is enum */ ? "uint32" : field.keyType;
             gen
     ("if(m%s&&m%s!==util.emptyObject){", prop, prop)
-        ("for(var ks=Object.keys(m%s),i=0;i<ks.length;++i){", prop)
+        ("var ks=Object.keys(m%s)", prop);
+            if (sortKeys) gen
+        ("util.sortKeys(ks,%j)", keyType);
+            else if (sortKeys === undefined) gen
+        ("if(w.deterministic)")
+            ("util.sortKeys(ks,%j)", keyType);
+            gen
+        ("for(var i=0;i<ks.length;++i){")
             ("w.uint32(%d).fork().uint32(%d).%s(ks[i])", (field.id << 3 | 2) >>> 0, 8 | types.mapKey[keyType], keyType);
             if (wireType === undefined) gen
             ("types[%d].encode(m%s[ks[i]],w.uint32(18).fork()).ldelim()", i, prop); // can't be groups
@@ -75,8 +75,18 @@ function encoder(mtype) {
 
             }
 
+        // Members of oneofs
+        } else if (field.partOf) {
+            gen
+    ("if(o%d===%j)", oneofs.indexOf(field.partOf), field.name);
+
+            if (wireType === undefined)
+        genEncodeType(gen, field, i, "m" + prop);
+            else gen
+        ("w.uint32(%d).%s(m%s)", (field.id << 3 | wireType) >>> 0, type, prop);
+
         // Non-repeated
-        } else if (!field.partOf) {
+        } else {
             if (!field.required) {
 
                 if (field.long) {
@@ -94,33 +104,62 @@ function encoder(mtype) {
 
         }
     }
-    for (var i = 0; i < oneofs.length; ++i) {
-        var oneof = oneofs[i],
-            prop  = safeProp(oneof.name);
-        gen
-        ("switch(m%s){", prop);
-        var oneofFields = oneof.getFieldsArray();
-        for (var j = 0; j < oneofFields.length; ++j) {
-            var field    = oneofFields[j],
-                type     = field.resolvedType instanceof Enum ? "uint32" : field.type,
-                wireType = types.basic[type],
-                prop     = safeProp(field.name);
-            gen
-            ("case%j:", field.name);
+    /* eslint-enable no-unexpected-multiline, block-scoped-var, no-redeclare */
+}
 
-            if (wireType === undefined)
-                genEncodeType(gen, field, fields.indexOf(field), "m" + prop);
-            else gen
-                ("w.uint32(%d).%s(m%s)", (field.id << 3 | wireType) >>> 0, type, prop);
+function byId(a, b) {
+    return a.id - b.id;
+}
 
-            gen
-                ("break;");
+/**
+ * Generates an encoder specific to the specified message type.
+ *
+ * Fields are written in the order they are declared, with members of oneofs last, followed by retained unknown fields
+ * in the order they were read. If the writer's {@link Writer#deterministic|deterministic} flag is set or, regardless
+ * of the flag, if `deterministic` is `true`, fields are written in the order of their ids instead and the entries of
+ * map fields sorted by key.
+ * @param {Type} mtype Message type
+ * @param {boolean} [deterministic=false] Whether to always encode deterministically
+ * @returns {Codegen} Codegen instance
+ */
+function encoder(mtype, deterministic) {
+    /* eslint-disable no-unexpected-multiline */
+    var fields = mtype.getFieldsArray();
+    var oneofs = mtype.getOneofsArray();
+    var gen = util.codegen("m", "w")
+    ("w||(w=Writer.create())");
+
+    // Virtual oneof properties are evaluated once
+    for (var i = 0; i < oneofs.length; ++i) gen
+    ("var o%d=m%s", i, safeProp(oneofs[i].resolve().name));
 
-        } gen
-        ("}");        
+    var sorted   = fields.slice().sort(byId),
+        declared = fields.filter(function(field) { return !field.partOf; });
+    for (var k = 0; k < oneofs.length; ++k)
+        declared = declared.concat(oneofs[k].fieldsArray);
+
+    if (deterministic)
+        genFields(gen, mtype, sorted, true);
+    else if (declared.every(function(field, j) { return field === sorted[j]; }))
+        genFields(gen, mtype, sorted);
+    else {
+        gen
+    ("if(w.deterministic){");
+        genFields(gen, mtype, sorted, true);
+        gen
+    ("}else{");
+        genFields(gen, mtype, declared, false);
+        gen
+    ("}");
     }
 
+    // Unknown fields
+    gen
+    ("if(m.$unknown)")
+        ("for(var i=0;i<m.$unknown.length;++i)")
+            ("w.raw(m.$unknown[i])");
+
     return gen
     ("return w");
-    /* eslint-enable no-unexpected-multiline, block-scoped-var, no-redeclare */
-}
\ No newline at end of file
+    /* eslint-enable no-unexpected-multiline */
+}
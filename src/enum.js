@@ -29,6 +29,18 @@ function Enum(name, values, options) {
      */
     this.values = values || {}; // toJSON, marker
 
+    /**
+     * Value comment texts, by name, if any.
+     * @type {Object.<string,string>}
+     */
+    this.comments = {}; // toJSON
+
+    /**
+     * Value declaration locations, by name, if parsed from a .proto source.
+     * @type {Object.<string,SourceLocation>}
+     */
+    this.locations = {};
+
     /**
      * Cached values by id.
      * @type {?Object.<number,string>}
@@ -90,7 +102,11 @@ Enum.testJSON = function testJSON(json) {
  * @throws {TypeError} If arguments are invalid
  */
 Enum.fromJSON = function fromJSON(name, json) {
-    return new Enum(name, json.values, json.options);
+    var enm = new Enum(name, json.values, json.options);
+    enm.comment = json.comment || null;
+    if (json.comments)
+        enm.comments = json.comments;
+    return enm;
 };
 
 /**
@@ -98,8 +114,10 @@ Enum.fromJSON = function fromJSON(name, json) {
  */
 EnumPrototype.toJSON = function toJSON() {
     return {
-        options : this.options,
-        values  : this.values
+        options  : this.options,
+        values   : this.values,
+        comment  : this.comment || undefined,
+        comments : Object.keys(this.comments).length ? this.comments : undefined
     };
 };
 
@@ -107,11 +125,12 @@ EnumPrototype.toJSON = function toJSON() {
  * Adds a value to this enum.
  * @param {string} name Value name
  * @param {number} id Value id
+ * @param {?string} [comment] Comment text, if any
  * @returns {Enum} `this`
  * @throws {TypeError} If arguments are invalid
  * @throws {Error} If there is already a value with this name or id
  */
-EnumPrototype.add = function(name, id) {
+EnumPrototype.add = function(name, id, comment) {
 
     /* istanbul ignore next */
     if (!util.isString(name))
@@ -127,6 +146,8 @@ EnumPrototype.add = function(name, id) {
         throw Error("duplicate id " + id + " in " + this);
 
     this.values[name] = id;
+    if (comment)
+        this.comments[name] = comment;
     return clearCache(this);
 };
 
@@ -143,5 +164,6 @@ EnumPrototype.remove = function(name) {
     if (this.values[name] === undefined)
         throw Error("'" + name + "' is not a name of " + this);
     delete this.values[name];
+    delete this.comments[name];
     return clearCache(this);
 };
@@ -0,0 +1,303 @@
+"use strict";
+/**
+ * Runtime message equality and hash code generators, as used by {@link Type#equals} and {@link Type#hash}.
+ *
+ * Unset fields equal fields set to their default values, except for message fields and members of oneofs, which have
+ * explicit presence. Longs are compared by value, bytes byte-wise, floating point values as values (with NaN equal
+ * to NaN) and maps regardless of the order of their keys. Equal messages have equal hash codes.
+ * @namespace
+ */
+var equality = exports;
+
+var Enum = require("./enum"),
+    util = require("./util");
+
+function toBytes(value) {
+    if (!util.isString(value))
+        return value;
+    var buffer = util.newBuffer(util.base64.length(value));
+    util.base64.decode(value, buffer, 0);
+    return buffer;
+}
+
+/**
+ * Tests if two bytes values, buffers, arrays or base64 encoded strings, are not equal.
+ * @param {Uint8Array|number[]|string} a First value
+ * @param {Uint8Array|number[]|string} b Second value
+ * @returns {boolean} `true` if not equal
+ */
+equality.bytesNe = function bytesNe(a, b) {
+    if (util.isString(a) && util.isString(b))
+        return a !== b;
+    a = toBytes(a);
+    b = toBytes(b);
+    if (a.length !== b.length)
+        return true;
+    for (var i = 0; i < a.length; ++i)
+        if (a[i] !== b[i])
+            return true;
+    return false;
+};
+
+/**
+ * Computes the hash code of a string.
+ * @param {string} value String
+ * @returns {number} 32 bit hash code
+ */
+equality.hashString = function hashString(value) {
+    var h = 0;
+    for (var i = 0; i < value.length; ++i)
+        h = (h << 5) - h + value.charCodeAt(i) | 0;
+    return h;
+};
+
+/**
+ * Computes the hash code of a bytes value, being a buffer, an array or a base64 encoded string.
+ * @param {Uint8Array|number[]|string} value Bytes value
+ * @returns {number} 32 bit hash code
+ */
+equality.hashBytes = function hashBytes(value) {
+    value = toBytes(value);
+    var h = 0;
+    for (var i = 0; i < value.length; ++i)
+        h = (h << 5) - h + value[i] | 0;
+    return h;
+};
+
+/**
+ * Computes the hash code of a possibly long value.
+ * @param {number|string|Long} value Value
+ * @returns {number} 32 bit hash code
+ */
+equality.hashLong = function hashLong(value) {
+    var bits = util.LongBits.from(value);
+    return bits.lo ^ bits.hi;
+};
+
+/**
+ * Computes the hash code of a floating point value.
+ * @param {number} value Value
+ * @returns {number} 32 bit hash code
+ */
+equality.hashNumber = function hashNumber(value) {
+    return (value | 0) === value
+        ? value
+        : equality.hashString(String(value));
+};
+
+/**
+ * Tests if a field is present on a message, that is set to a value that would be written on the wire. Members of
+ * oneofs are present if selected by the oneof's virtual property or, if that is not set, if an own property.
+ * @param {Field} field Resolved field
+ * @param {Message|Object} message Message or plain object
+ * @returns {boolean} `true` if present
+ */
+equality.isPresent = function isPresent(field, message) {
+    var value = message[field.name];
+    if (value === undefined || value === null)
+        return false;
+    if (field.partOf) {
+        var oneof = message[field.partOf.name];
+        return oneof !== undefined
+            ? oneof === field.name
+            : Object.prototype.hasOwnProperty.call(message, field.name);
+    }
+    if (field.map)
+        return Object.keys(value).length > 0;
+    if (field.repeated)
+        return value.length > 0;
+    if (field.required || field.resolvedType && !(field.resolvedType instanceof Enum))
+        return true;
+    if (field.bytes)
+        return value.length > 0;
+    if (field.long)
+        return util.longNe(value, field.defaultValue.low, field.defaultValue.high);
+    return value !== field.defaultValue;
+};
+
+// Returns an expression testing if two values of the specified field are not equal
+function valueNe(field, fieldIndex, a, b) {
+    if (field.resolvedType instanceof Enum)
+        return a + "!==" + b;
+    if (field.resolvedType)
+        return "!types[" + fieldIndex + "].equals(" + a + "," + b + ")";
+    switch (field.type) {
+        case "int64":
+        case "uint64":
+        case "sint64":
+        case "fixed64":
+        case "sfixed64":
+            return "util.longNeq(" + a + "," + b + ")";
+        case "double":
+        case "float":
+            return a + "!==" + b + "&&(" + a + "===" + a + "||" + b + "===" + b + ")"; // NaN equals NaN
+        case "bytes":
+            return "equality.bytesNe(" + a + "," + b + ")";
+    }
+    return a + "!==" + b;
+}
+
+// Returns an expression computing the hash code of a value of the specified field
+function valueHash(field, fieldIndex, ref) {
+    if (field.resolvedType instanceof Enum)
+        return ref + "|0";
+    if (field.resolvedType)
+        return "types[" + fieldIndex + "].hash(" + ref + ")";
+    switch (field.type) {
+        case "int64":
+        case "uint64":
+        case "sint64":
+        case "fixed64":
+        case "sfixed64":
+            return "equality.hashLong(" + ref + ")";
+        case "double":
+        case "float":
+            return "equality.hashNumber(" + ref + ")";
+        case "bool":
+            return ref + "?1231:1237";
+        case "string":
+            return "equality.hashString(" + ref + ")";
+        case "bytes":
+            return "equality.hashBytes(" + ref + ")";
+    }
+    return ref + "|0";
+}
+
+/**
+ * Generates an equality tester specific to the specified message type.
+ * @param {Type} mtype Message type
+ * @returns {Codegen} Codegen instance
+ */
+equality.equals = function equals(mtype) {
+    /* eslint-disable no-unexpected-multiline */
+    var fields = mtype.getFieldsArray();
+    var gen = util.codegen("a", "b")
+    ("if(a===b)")
+        ("return true")
+    ("if(!a||!b)")
+        ("return false")
+    ("var x,y,i,k");
+
+    for (var i = 0; i < fields.length; ++i) {
+        var field = fields[i].resolve(),
+            prop  = util.safeProp(field.name);
+        gen
+    ("x=a%s,y=b%s", prop, prop);
+
+        // Map fields
+        if (field.map) { gen
+    ("if(x===undefined||x===null)")
+        ("x=util.emptyObject")
+    ("if(y===undefined||y===null)")
+        ("y=util.emptyObject")
+    ("k=Object.keys(x)")
+    ("if(k.length!==Object.keys(y).length)")
+        ("return false")
+    ("for(i=0;i<k.length;++i)")
+        ("if(y[k[i]]===undefined||%s)", valueNe(field, i, "x[k[i]]", "y[k[i]]"))
+            ("return false");
+
+        // Repeated fields
+        } else if (field.repeated) { gen
+    ("if(x===undefined||x===null)")
+        ("x=util.emptyArray")
+    ("if(y===undefined||y===null)")
+        ("y=util.emptyArray")
+    ("if(x.length!==y.length)")
+        ("return false")
+    ("for(i=0;i<x.length;++i)")
+        ("if(%s)", valueNe(field, i, "x[i]", "y[i]"))
+            ("return false");
+
+        // Fields with explicit presence
+        } else if (field.partOf || field.resolvedType && !(field.resolvedType instanceof Enum)) {
+            if (field.partOf) {
+                var oneofProp = util.safeProp(field.partOf.name);
+                gen
+    ("if(x===null||(a%s!==undefined?a%s!==%j:!Object.prototype.hasOwnProperty.call(a,%j)))", oneofProp, oneofProp, field.name, field.name)
+        ("x=undefined")
+    ("if(y===null||(b%s!==undefined?b%s!==%j:!Object.prototype.hasOwnProperty.call(b,%j)))", oneofProp, oneofProp, field.name, field.name)
+        ("y=undefined");
+            } else gen
+    ("if(x===null)")
+        ("x=undefined")
+    ("if(y===null)")
+        ("y=undefined");
+            gen
+    ("if(x===undefined?y!==undefined:y===undefined||%s)", valueNe(field, i, "x", "y"))
+        ("return false");
+
+        // Other fields, defaulting to their default values
+        } else { gen
+    ("if(x===undefined||x===null)")
+        ("x=%j", field.defaultValue)
+    ("if(y===undefined||y===null)")
+        ("y=%j", field.defaultValue)
+    ("if(%s)", valueNe(field, i, "x", "y"))
+        ("return false");
+        }
+    }
+    return gen
+    ("return true");
+    /* eslint-enable no-unexpected-multiline */
+};
+
+/**
+ * Generates a hash code function specific to the specified message type.
+ * @param {Type} mtype Message type
+ * @returns {Codegen} Codegen instance
+ */
+equality.hash = function hash(mtype) {
+    /* eslint-disable no-unexpected-multiline */
+    var fields = mtype.getFieldsArray();
+    var gen = util.codegen("m")
+    ("var h=0,x,i,k,s");
+
+    for (var i = 0; i < fields.length; ++i) {
+        var field = fields[i].resolve(),
+            prop  = util.safeProp(field.name);
+        gen
+    ("x=m%s", prop);
+
+        // Map fields, independent of the order of their keys
+        if (field.map) { gen
+    ("if(x&&(k=Object.keys(x)).length){")
+        ("for(s=0,i=0;i<k.length;++i)")
+            ("s=s+(equality.hashString(k[i])*31+(%s)|0)|0", valueHash(field, i, "x[k[i]]"))
+        ("h=(h*31+%d)*31+s|0", field.id)
+    ("}");
+
+        // Repeated fields
+        } else if (field.repeated) { gen
+    ("if(x&&x.length){")
+        ("h=h*31+%d|0", field.id)
+        ("for(i=0;i<x.length;++i)")
+            ("h=h*31+(%s)|0", valueHash(field, i, "x[i]"))
+    ("}");
+
+        // Fields with explicit presence
+        } else if (field.partOf) {
+            var oneofProp = util.safeProp(field.partOf.name);
+            gen
+    ("if(x!==undefined&&x!==null&&(m%s!==undefined?m%s===%j:Object.prototype.hasOwnProperty.call(m,%j)))", oneofProp, oneofProp, field.name, field.name)
+        ("h=(h*31+%d)*31+(%s)|0", field.id, valueHash(field, i, "x"));
+        } else if (field.resolvedType && !(field.resolvedType instanceof Enum)) gen
+    ("if(x!==undefined&&x!==null)")
+        ("h=(h*31+%d)*31+(%s)|0", field.id, valueHash(field, i, "x"));
+
+        // Other fields, unless set to their default values
+        else {
+            if (field.long) gen
+    ("if(x!==undefined&&x!==null&&util.longNe(x,%d,%d))", field.defaultValue.low, field.defaultValue.high);
+            else if (field.bytes) gen
+    ("if(x!==undefined&&x!==null&&!!x.length)");
+            else gen
+    ("if(x!==undefined&&x!==null&&x!==%j)", field.defaultValue);
+            gen
+        ("h=(h*31+%d)*31+(%s)|0", field.id, valueHash(field, i, "x"));
+        }
+    }
+    return gen
+    ("return h");
+    /* eslint-enable no-unexpected-multiline */
+};
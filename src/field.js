@@ -76,6 +76,12 @@ function Field(name, id, type, rule, extend, options) {
      */
     this.extend = extend || undefined; // toJSON
 
+    /**
+     * Name of this field as declared in the .proto source, if it has been converted to camel case when parsed.
+     * @type {?string}
+     */
+    this.originalName = null;
+
     /**
      * Whether this field is required.
      * @type {boolean}
@@ -212,7 +218,9 @@ Field.fromJSON = function fromJSON(name, json) {
             MapField = require("./mapfield");
         return MapField.fromJSON(name, json);
     }
-    return new Field(name, json.id, json.type, json.rule, json.extend, json.options);
+    var field = new Field(name, json.id, json.type, json.rule, json.extend, json.options);
+    field.comment = json.comment || null;
+    return field;
 };
 
 /**
@@ -224,7 +232,8 @@ FieldPrototype.toJSON = function toJSON() {
         type    : this.type,
         id      : this.id,
         extend  : this.extend,
-        options : this.options
+        options : this.options,
+        comment : this.comment || undefined
     };
 };
 
@@ -239,13 +248,14 @@ FieldPrototype.resolve = function resolve() {
 
     var typeDefault = types.defaults[this.type];
 
-    // if not a basic type, resolve it
+    // if not a basic type, resolve it (relative to the declaring field if an extension's sister field)
     if (typeDefault === undefined) {
         if (!Type)
             Type = require("./type");
-        if (this.resolvedType = this.parent.lookup(this.type, Type))
+        var scope = (this.declaringField || this).parent;
+        if (this.resolvedType = scope.lookup(this.type, Type))
             typeDefault = null;
-        else if (this.resolvedType = this.parent.lookup(this.type, Enum))
+        else if (this.resolvedType = scope.lookup(this.type, Enum))
             typeDefault = 0;
         /* istanbul ignore next */
         else
@@ -263,7 +273,7 @@ FieldPrototype.resolve = function resolve() {
     else
         this.defaultValue = typeDefault;
 
-    if (this.long)
+    if (this.long && !this.repeated && !this.map)
         this.defaultValue = util.Long.fromValue(this.defaultValue);
 
     return ReflectionObject.prototype.resolve.call(this);
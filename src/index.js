@@ -78,6 +78,7 @@ protobuf.roots = {};
 // Parser
 protobuf.tokenize         = require("./tokenize");
 protobuf.parse            = require("./parse");
+protobuf.ParseError       = require("./parseerror");
 
 // Serialization
 protobuf.Writer           = require("./writer");
@@ -85,8 +86,16 @@ protobuf.BufferWriter     = require("./writer_buffer");
 protobuf.Reader           = require("./reader");
 protobuf.BufferReader     = require("./reader_buffer");
 protobuf.encoder          = require("./encoder");
+protobuf.sizer            = require("./sizer");
 protobuf.decoder          = require("./decoder");
 protobuf.verifier         = require("./verifier");
+protobuf.converter        = require("./converter");
+protobuf.equality         = require("./equality");
+protobuf.json             = require("./json");
+protobuf.text             = require("./text");
+protobuf.merge            = require("./merge");
+protobuf.descriptor       = require("./descriptor");
+protobuf.compare          = require("./compare");
 
 // Reflection
 protobuf.ReflectionObject = require("./object");
@@ -107,7 +116,10 @@ protobuf.Message          = require("./message");
 // Utility
 protobuf.types            = require("./types");
 protobuf.common           = require("./common");
+protobuf.wrappers         = require("./wrappers");
 protobuf.rpc              = require("./rpc");
+protobuf.rpc.rest         = require("./rpc/rest"); // depends on reflection, hence not part of the runtime
+protobuf.stream           = require("./stream");
 protobuf.util             = require("./util");
 protobuf.configure        = configure;
 
@@ -0,0 +1,654 @@
+"use strict";
+
+/**
+ * Proto3 JSON mapping as specified by the official language guide.
+ * @namespace
+ */
+var json = exports;
+
+var Enum = require("./enum"),
+    util = require("./util");
+
+var Type; // cyclic
+
+/**
+ * Options for {@link json.encode}.
+ * @typedef JSONEncodeOptions
+ * @type {Object}
+ * @property {boolean} [defaults=false] Also emits fields that are set to their default values
+ * @property {*} [enums=String] Enum value conversion type, either `String` for names or `Number` for ids
+ * @property {boolean} [keepCase=false] Uses field names as declared instead of their lowerCamelCase JSON names
+ */
+
+/**
+ * Options for {@link json.decode}.
+ * @typedef JSONDecodeOptions
+ * @type {Object}
+ * @property {boolean} [ignoreUnknown=false] Ignores unknown JSON keys instead of throwing
+ */
+
+function invalid(subject, expected) {
+    return Error("invalid value for " + subject.getFullName() + " (" + expected + " expected)");
+}
+
+/**
+ * Converts a field name to its lowerCamelCase JSON name, respecting the `json_name` option.
+ * @param {Field} field Reflected field
+ * @returns {string} JSON name
+ */
+json.name = function name(field) {
+    if (field.declaringField)
+        return "[" + field.name.substring(1) + "]";
+    return field.getOption("json_name") || field.name.replace(/_([^_])/g, function($0, $1) {
+        return $1.toUpperCase();
+    });
+};
+
+function getField(type, id) {
+    return type.getFieldsById()[id].resolve();
+}
+
+function getOneof(type, field) {
+    var oneofs = type.getOneofsArray();
+    for (var i = 0; i < oneofs.length; ++i)
+        if (oneofs[i].oneof.indexOf(field.name) > -1)
+            return oneofs[i];
+    return null;
+}
+
+function whichOneof(message, oneof) {
+    var which = message[oneof.name];
+    if (which !== undefined)
+        return which;
+    for (var i = 0; i < oneof.oneof.length; ++i) {
+        var value = message[oneof.oneof[i]];
+        if (value !== undefined && value !== null && Object.prototype.hasOwnProperty.call(message, oneof.oneof[i]))
+            return oneof.oneof[i];
+    }
+    return undefined;
+}
+
+function isPresent(field, oneof, message, value) {
+    if (value === undefined || value === null)
+        return false;
+    if (oneof)
+        return whichOneof(message, oneof) === field.name;
+    if (field.map)
+        return Object.keys(value).length > 0;
+    if (field.repeated)
+        return value.length > 0;
+    if (field.required || field.resolvedType instanceof Type)
+        return true;
+    if (field.bytes)
+        return value.length > 0;
+    if (field.long)
+        return util.longNe(value, field.defaultValue.low, field.defaultValue.high);
+    return value !== field.defaultValue;
+}
+
+/* Encoding */
+
+function longToString(value, unsigned) {
+    if (typeof value === "number" || util.isString(value))
+        return String(value);
+    var bits = util.LongBits.from(value);
+    return util.Long
+        ? bits.toLong(unsigned).toString()
+        : String(bits.toNumber(unsigned));
+}
+
+function encodeNumber(value) {
+    if (isNaN(value))
+        return "NaN";
+    if (value === Infinity)
+        return "Infinity";
+    if (value === -Infinity)
+        return "-Infinity";
+    return value;
+}
+
+function encodeValue(field, value, options) {
+    var resolvedType = field.resolvedType;
+    if (resolvedType instanceof Enum) {
+        if (resolvedType.getFullName() === ".google.protobuf.NullValue")
+            return null;
+        if (options.enums === Number || util.isString(value))
+            return value;
+        var name = resolvedType.getValuesById()[value];
+        return name === undefined ? value : name;
+    }
+    if (resolvedType)
+        return json.encode(resolvedType, value, options);
+    switch (field.type) {
+        case "int64":
+        case "sint64":
+        case "sfixed64":
+            return longToString(value, false);
+        case "uint64":
+        case "fixed64":
+            return longToString(value, true);
+        case "double":
+        case "float":
+            return encodeNumber(value);
+        case "bytes":
+            return util.isString(value) ? value : util.base64.encode(value, 0, value.length);
+    }
+    return value;
+}
+
+function encodeMapKey(field, key) {
+    if (util.Long && /^(?:u?int|s?fixed|sint)64$/.test(field.keyType) && !/^-?\d+$/.test(key))
+        return util.longFromHash(key, field.keyType.charAt(0) === "u" || field.keyType === "fixed64").toString();
+    return key;
+}
+
+function encodeField(field, value, options) {
+    var i;
+    if (field.map) {
+        var object = {},
+            keys = Object.keys(value);
+        for (i = 0; i < keys.length; ++i)
+            object[encodeMapKey(field, keys[i])] = encodeValue(field, value[keys[i]], options);
+        return object;
+    }
+    if (field.repeated) {
+        var array = new Array(value.length);
+        for (i = 0; i < value.length; ++i)
+            array[i] = encodeValue(field, value[i], options);
+        return array;
+    }
+    return encodeValue(field, value, options);
+}
+
+function encodeMessage(type, message, options) {
+    var object = {},
+        fields = type.getFieldsArray();
+    for (var i = 0; i < fields.length; ++i) {
+        var field = fields[i].resolve(),
+            oneof = getOneof(type, field),
+            value = message[field.name];
+        if (!isPresent(field, oneof, message, value)) {
+            if (!options.defaults || oneof || field.resolvedType instanceof Type && !field.repeated && !field.map)
+                continue; // singular message fields have no default to emit
+            value = field.defaultValue;
+        }
+        object[options.keepCase && !field.declaringField ? field.name : json.name(field)] = encodeField(field, value, options);
+    }
+    return object;
+}
+
+/**
+ * Converts a message of the specified type to its canonical proto3 JSON representation.
+ * @param {Type} type Message type
+ * @param {Message|Object} message Message instance or plain object
+ * @param {JSONEncodeOptions} [options] Conversion options
+ * @returns {*} JSON value, usually an object
+ * @throws {Error} If a value cannot be represented in JSON
+ */
+json.encode = function encode(type, message, options) {
+    if (!Type)
+        Type = require("./type");
+    if (!options)
+        options = {};
+    var wellKnownType = json.wellKnownTypes[type.getFullName()];
+    if (wellKnownType)
+        return wellKnownType.encode(type, message, options);
+    return encodeMessage(type, message, options);
+};
+
+/* Decoding */
+
+function longFromValue(value, unsigned) {
+    if (!util.Long)
+        return typeof value === "number" ? value : parseInt(value, 10);
+    return typeof value === "number"
+        ? util.Long.fromNumber(value, unsigned)
+        : util.Long.fromString(value, unsigned);
+}
+
+var longRe = /^-?(?:0|[1-9]\d*)$/;
+
+function decodeLong(field, value, unsigned) {
+    if (typeof value === "number" ? !util.isInteger(value) : !(util.isString(value) && longRe.test(value)) || unsigned && value.charAt(0) === "-")
+        throw invalid(field, unsigned ? "unsigned integer|string" : "integer|string");
+    var long = longFromValue(value, unsigned);
+    if (util.Long && util.isString(value) && long.toString() !== value)
+        throw invalid(field, "64 bit integer in range");
+    return long;
+}
+
+function decodeInteger(field, value, unsigned) {
+    if (util.isString(value) && longRe.test(value))
+        value = parseInt(value, 10);
+    if (!util.isInteger(value) || (unsigned ? value < 0 || value > 4294967295 : value < -2147483648 || value > 2147483647))
+        throw invalid(field, unsigned ? "32 bit unsigned integer" : "32 bit integer");
+    return value;
+}
+
+function decodeNumber(field, value, isFloat) {
+    if (util.isString(value)) {
+        switch (value) {
+            case "NaN": return NaN;
+            case "Infinity": return Infinity;
+            case "-Infinity": return -Infinity;
+        }
+        value = /^\s*$/.test(value) ? NaN : Number(value);
+    }
+    if (typeof value !== "number" || isNaN(value) || isFloat && Math.abs(value) > 3.4028234663852886e+38)
+        throw invalid(field, "number");
+    return value;
+}
+
+function decodeBytes(field, value) {
+    if (!util.isString(value))
+        throw invalid(field, "base64 string");
+    value = value.replace(/-/g, "+").replace(/_/g, "/");
+    while (value.length % 4)
+        value += "=";
+    var buffer = util.newBuffer(util.base64.length(value));
+    try {
+        util.base64.decode(value, buffer, 0);
+    } catch (e) {
+        throw invalid(field, "base64 string");
+    }
+    return buffer;
+}
+
+function decodeValue(field, value, options) {
+    var resolvedType = field.resolvedType;
+    if (resolvedType instanceof Enum) {
+        if (resolvedType.getFullName() === ".google.protobuf.NullValue" && value === null)
+            return 0;
+        if (util.isString(value) && resolvedType.values[value] !== undefined)
+            return resolvedType.values[value];
+        if (util.isInteger(value))
+            return value;
+        throw invalid(field, "enum name|id");
+    }
+    if (resolvedType)
+        return json.decode(resolvedType, value, options);
+    switch (field.type) {
+        case "double":
+            return decodeNumber(field, value, false);
+        case "float":
+            return decodeNumber(field, value, true);
+        case "int32":
+        case "sint32":
+        case "sfixed32":
+            return decodeInteger(field, value, false);
+        case "uint32":
+        case "fixed32":
+            return decodeInteger(field, value, true);
+        case "int64":
+        case "sint64":
+        case "sfixed64":
+            return decodeLong(field, value, false);
+        case "uint64":
+        case "fixed64":
+            return decodeLong(field, value, true);
+        case "bool":
+            if (typeof value !== "boolean")
+                throw invalid(field, "boolean");
+            return value;
+        case "string":
+            if (!util.isString(value))
+                throw invalid(field, "string");
+            return value;
+        case "bytes":
+            return decodeBytes(field, value);
+    }
+    /* istanbul ignore next */
+    return value;
+}
+
+function decodeMapKey(field, key) {
+    switch (field.keyType) {
+        case "string":
+            return key;
+        case "bool":
+            if (key !== "true" && key !== "false")
+                throw invalid(field, "boolean key");
+            return key;
+    }
+    if (!longRe.test(key) || /^(?:uint|fixed)/.test(field.keyType) && key.charAt(0) === "-")
+        throw invalid(field, "integer key");
+    return key;
+}
+
+function decodeField(field, value, options) {
+    var i;
+    if (field.map) {
+        if (!util.isObject(value) || Array.isArray(value))
+            throw invalid(field, "object");
+        var object = {},
+            keys = Object.keys(value);
+        for (i = 0; i < keys.length; ++i)
+            object[decodeMapKey(field, keys[i])] = decodeValue(field, value[keys[i]], options);
+        return object;
+    }
+    if (field.repeated) {
+        if (!Array.isArray(value))
+            throw invalid(field, "array");
+        var array = new Array(value.length);
+        for (i = 0; i < value.length; ++i)
+            array[i] = decodeValue(field, value[i], options);
+        return array;
+    }
+    return decodeValue(field, value, options);
+}
+
+function decodeMessage(type, object, options) {
+    if (!util.isObject(object) || Array.isArray(object))
+        throw invalid(type, "object");
+    var fields = type.getFieldsArray(),
+        byName = {},
+        field,
+        i;
+    for (i = 0; i < fields.length; ++i) {
+        field = fields[i].resolve();
+        byName[json.name(field)] = byName[field.name] = field;
+        if (!field.declaringField)
+            byName[util.underScore(field.name)] = field;
+    }
+    var message = type.create(),
+        oneofs  = {},
+        keys    = Object.keys(object);
+    for (i = 0; i < keys.length; ++i) {
+        var key = keys[i],
+            value = object[key];
+        field = byName[key];
+        if (!field) {
+            if (options.ignoreUnknown)
+                continue;
+            throw Error("unknown field '" + key + "' in " + type);
+        }
+        if (value === null && !(field.resolvedType && field.resolvedType.getFullName() === ".google.protobuf.Value"))
+            continue;
+        var oneof = getOneof(type, field);
+        if (oneof) {
+            if (oneofs[oneof.name])
+                throw Error("multiple values for oneof " + oneof.name + " in " + type);
+            oneofs[oneof.name] = true;
+        }
+        message[field.name] = decodeField(field, value, options);
+    }
+    return message;
+}
+
+/**
+ * Converts a canonical proto3 JSON value to a message of the specified type.
+ * @param {Type} type Message type
+ * @param {*} value JSON value, usually an object as returned by `JSON.parse`
+ * @param {JSONDecodeOptions} [options] Conversion options
+ * @returns {Message} Message instance
+ * @throws {Error} If the JSON value is malformed
+ */
+json.decode = function decode(type, value, options) {
+    if (!Type)
+        Type = require("./type");
+    if (!options)
+        options = {};
+    var wellKnownType = json.wellKnownTypes[type.getFullName()];
+    if (wellKnownType)
+        return wellKnownType.decode(type, value, options);
+    return decodeMessage(type, value, options);
+};
+
+/* Well-known types */
+
+function formatNanos(nanos) {
+    if (!nanos)
+        return "";
+    var str = String(1e9 + nanos).substring(1);
+    if (str.substring(3) === "000000")
+        return "." + str.substring(0, 3);
+    if (str.substring(6) === "000")
+        return "." + str.substring(0, 6);
+    return "." + str;
+}
+
+function parseNanos(str) {
+    return str ? parseInt((str + "00000000").substring(0, 9), 10) : 0;
+}
+
+function toNumber(value) {
+    return typeof value === "number" ? value : util.LongBits.from(value).toNumber();
+}
+
+var minSeconds = -62135596800, // 0001-01-01T00:00:00Z
+    maxSeconds = 253402300799; // 9999-12-31T23:59:59Z
+
+var durationRe = /^(-)?(\d+)(?:\.(\d{1,9}))?s$/;
+
+function createTime(type, seconds, nanos) {
+    var properties = {};
+    properties[getField(type, 1).name] = longFromValue(seconds, false);
+    properties[getField(type, 2).name] = nanos;
+    return type.create(properties);
+}
+
+/**
+ * A well-known type's special JSON conversion as used by {@link json.wellKnownTypes}.
+ * @typedef WellKnownJSON
+ * @type {Object}
+ * @property {function(Type, Message, JSONEncodeOptions):*} encode Converts a message to its special JSON form
+ * @property {function(Type, *, JSONDecodeOptions):Message} decode Converts the special JSON form back to a message
+ */
+
+/**
+ * Special JSON conversions of well-known types by fully qualified type name.
+ * Can be extended with your own types.
+ * @type {Object.<string,WellKnownJSON>}
+ */
+json.wellKnownTypes = {};
+
+json.wellKnownTypes[".google.protobuf.Timestamp"] = {
+    encode: function(type, message) {
+        var seconds = toNumber(message[getField(type, 1).name] || 0),
+            nanos   = message[getField(type, 2).name] || 0;
+        if (seconds < minSeconds || seconds > maxSeconds || nanos < 0 || nanos > 999999999)
+            throw invalid(type, "timestamp in range");
+        return new Date(seconds * 1000).toISOString().replace(/\.\d+Z$/, formatNanos(nanos) + "Z");
+    },
+    decode: function(type, value) {
+        var time = util.parseTimestamp(value);
+        if (!time)
+            throw invalid(type, "RFC 3339 string");
+        if (time.seconds < minSeconds || time.seconds > maxSeconds)
+            throw invalid(type, "timestamp in range");
+        return createTime(type, time.seconds, time.nanos);
+    }
+};
+
+json.wellKnownTypes[".google.protobuf.Duration"] = {
+    encode: function(type, message) {
+        var seconds = toNumber(message[getField(type, 1).name] || 0),
+            nanos   = message[getField(type, 2).name] || 0;
+        if (Math.abs(seconds) > 315576000000 || Math.abs(nanos) > 999999999 || seconds < 0 && nanos > 0 || seconds > 0 && nanos < 0)
+            throw invalid(type, "duration in range");
+        return (seconds < 0 || nanos < 0 ? "-" : "") + Math.abs(seconds) + formatNanos(Math.abs(nanos)) + "s";
+    },
+    decode: function(type, value) {
+        var match = util.isString(value) && durationRe.exec(value);
+        if (!match)
+            throw invalid(type, "duration string");
+        var sign    = match[1] ? -1 : 1,
+            seconds = parseInt(match[2], 10);
+        if (seconds > 315576000000)
+            throw invalid(type, "duration in range");
+        return createTime(type, sign * seconds, sign * parseNanos(match[3]) || 0);
+    }
+};
+
+function wrapper(type) {
+    json.wellKnownTypes[".google.protobuf." + type] = {
+        encode: function(type, message, options) {
+            var field = getField(type, 1);
+            return encodeValue(field, message[field.name] === undefined ? field.defaultValue : message[field.name], options);
+        },
+        decode: function(type, value, options) {
+            var field = getField(type, 1),
+                properties = {};
+            properties[field.name] = decodeValue(field, value, options);
+            return type.create(properties);
+        }
+    };
+}
+
+[ "DoubleValue", "FloatValue", "Int64Value", "UInt64Value", "Int32Value", "UInt32Value", "BoolValue", "StringValue", "BytesValue" ].forEach(wrapper);
+
+json.wellKnownTypes[".google.protobuf.Struct"] = {
+    encode: function(type, message, options) {
+        var field  = getField(type, 1),
+            fields = message[field.name] || {},
+            object = {},
+            keys   = Object.keys(fields);
+        for (var i = 0; i < keys.length; ++i)
+            object[keys[i]] = json.encode(field.resolvedType, fields[keys[i]], options);
+        return object;
+    },
+    decode: function(type, value, options) {
+        if (!util.isObject(value) || Array.isArray(value))
+            throw invalid(type, "object");
+        var field      = getField(type, 1),
+            fields     = {},
+            properties = {},
+            keys       = Object.keys(value);
+        for (var i = 0; i < keys.length; ++i)
+            fields[keys[i]] = json.decode(field.resolvedType, value[keys[i]], options);
+        properties[field.name] = fields;
+        return type.create(properties);
+    }
+};
+
+json.wellKnownTypes[".google.protobuf.Value"] = {
+    encode: function(type, message, options) {
+        var kind = whichOneof(message, type.getOneofsArray()[0]);
+        if (kind === undefined)
+            return null;
+        var field = type.getFieldsArray().filter(function(field) { return field.name === kind; })[0].resolve(),
+            value = message[kind];
+        switch (field.id) {
+            case 1:
+                return null;
+            case 2:
+                if (!isFinite(value))
+                    throw invalid(type, "finite number");
+                return value;
+            case 5:
+            case 6:
+                return json.encode(field.resolvedType, value, options);
+        }
+        return value;
+    },
+    decode: function(type, value, options) {
+        var properties = {},
+            field;
+        if (value === null)
+            field = getField(type, 1);
+        else switch (typeof value) {
+            case "number":
+                field = getField(type, 2);
+                break;
+            case "string":
+                field = getField(type, 3);
+                break;
+            case "boolean":
+                field = getField(type, 4);
+                break;
+            default:
+                field = getField(type, Array.isArray(value) ? 6 : 5);
+                value = json.decode(field.resolvedType, value, options);
+                break;
+        }
+        properties[field.name] = field.id === 1 ? 0 : value;
+        return type.create(properties);
+    }
+};
+
+json.wellKnownTypes[".google.protobuf.ListValue"] = {
+    encode: function(type, message, options) {
+        var field  = getField(type, 1),
+            values = message[field.name] || [],
+            array  = new Array(values.length);
+        for (var i = 0; i < values.length; ++i)
+            array[i] = json.encode(field.resolvedType, values[i], options);
+        return array;
+    },
+    decode: function(type, value, options) {
+        if (!Array.isArray(value))
+            throw invalid(type, "array");
+        var field      = getField(type, 1),
+            values     = new Array(value.length),
+            properties = {};
+        for (var i = 0; i < value.length; ++i)
+            values[i] = json.decode(field.resolvedType, value[i], options);
+        properties[field.name] = values;
+        return type.create(properties);
+    }
+};
+
+json.wellKnownTypes[".google.protobuf.FieldMask"] = {
+    encode: function(type, message) {
+        var paths = message[getField(type, 1).name] || [];
+        return paths.map(function(path) {
+            return path.replace(/_([a-z])/g, function($0, $1) { return $1.toUpperCase(); });
+        }).join(",");
+    },
+    decode: function(type, value) {
+        if (!util.isString(value))
+            throw invalid(type, "string");
+        var properties = {};
+        properties[getField(type, 1).name] = value.length ? value.split(",").map(function(path) {
+            return path.replace(/[A-Z]/g, function($0) { return "_" + $0.toLowerCase(); });
+        }) : [];
+        return type.create(properties);
+    }
+};
+
+function resolveAny(type, typeUrl) {
+    var found = type.getRoot().lookup("." + typeUrl.substring(typeUrl.lastIndexOf("/") + 1), Type);
+    if (!found)
+        throw Error("unresolvable type in " + type + ": " + typeUrl);
+    return found;
+}
+
+json.wellKnownTypes[".google.protobuf.Any"] = {
+    encode: function(type, message, options) {
+        var typeUrl = message[getField(type, 1).name];
+        if (!typeUrl)
+            return {};
+        var valueType = resolveAny(type, typeUrl),
+            value     = message[getField(type, 2).name] || [],
+            object    = json.encode(valueType, valueType.decode(util.isString(value) ? decodeBytes(type, value) : value), options);
+        if (json.wellKnownTypes[valueType.getFullName()])
+            return { "@type": typeUrl, "value": object };
+        var result = { "@type": typeUrl },
+            keys = Object.keys(object);
+        for (var i = 0; i < keys.length; ++i)
+            result[keys[i]] = object[keys[i]];
+        return result;
+    },
+    decode: function(type, value, options) {
+        if (util.isObject(value) && !Object.keys(value).length)
+            return type.create();
+        if (!util.isObject(value) || !util.isString(value["@type"]))
+            throw invalid(type, "object with @type");
+        var typeUrl   = value["@type"],
+            valueType = resolveAny(type, typeUrl),
+            object;
+        if (json.wellKnownTypes[valueType.getFullName()])
+            object = value.value;
+        else {
+            object = {};
+            var keys = Object.keys(value);
+            for (var i = 0; i < keys.length; ++i)
+                if (keys[i] !== "@type")
+                    object[keys[i]] = value[keys[i]];
+        }
+        var properties = {};
+        properties[getField(type, 1).name] = typeUrl;
+        properties[getField(type, 2).name] = valueType.encode(json.decode(valueType, object, options)).finish();
+        return type.create(properties);
+    }
+};
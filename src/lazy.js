@@ -0,0 +1,151 @@
+"use strict";
+module.exports = lazy;
+
+var Enum   = require("./enum"),
+    Reader = require("./reader"),
+    types  = require("./types"),
+    util   = require("./util");
+
+/**
+ * Generates a lazy decoder specific to the specified message type, as used by {@link Type#decode} if the reader's
+ * {@link Reader#lazy|lazy} flag is set.
+ *
+ * The returned decoder scans the message once, decoding non-repeated numeric and boolean fields right away while only
+ * recording the offsets of all other fields. These are exposed through getters that decode the respective strings,
+ * bytes, messages, repeated or map fields on first access, reusing the underlying buffer through `Reader#_slice`.
+ * Nested messages are decoded lazily as well. Assigning to a lazy field replaces it with the assigned value.
+ *
+ * Like the fields set by eager decoding, lazy fields present on the wire are own enumerable properties, holding getters
+ * that are replaced by the decoded values once accessed. Hence enumerating the properties of a lazily decoded message,
+ * i.e. by {@link Message#asJSON} or `JSON.stringify`, decodes all of its fields.
+ * @param {Type} mtype Message type
+ * @returns {function(Reader, number=):Message} Lazy decoder
+ */
+function lazy(mtype) {
+    var fields    = mtype.getFieldsById(),
+        accessors = {}; // by field id
+
+    Object.keys(fields).forEach(function(id) {
+        var field = fields[id].resolve(),
+            type  = field.resolvedType instanceof Enum ? "uint32" : field.type,
+            name  = field.name;
+        accessors[id] = {
+            field    : field,
+            type     : type,
+            deferred : field.repeated || field.map || types.basic[type] === undefined || type === "string" || type === "bytes",
+            descriptor: {
+                get: function getLazy() {
+                    var value = decodeField(this.$lazy, accessors[id]);
+                    Object.defineProperty(this, name, { value: value, writable: true, enumerable: true, configurable: true });
+                    return value;
+                },
+                set: function setLazy(value) {
+                    Object.defineProperty(this, name, { value: value, writable: true, enumerable: true, configurable: true });
+                },
+                enumerable: true,
+                configurable: true
+            }
+        };
+    });
+
+    return function decode_lazy(reader, length) {
+        var end     = length === undefined ? reader.len : reader.pos + length,
+            message = new (mtype.getCtor())(),
+            state   = {
+                buf    : reader.buf,
+                reader : null, // created on first access
+                lazy   : reader.lazy,
+                discardUnknown : reader.discardUnknown,
+                spans  : {} // wire type, start and end offsets of each occurrence by field id
+            };
+        Object.defineProperty(message, "$lazy", { value: state }); // non-enumerable
+        while (reader.pos < end) {
+            var pos      = reader.pos,
+                tag      = reader.uint32(),
+                wireType = tag & 7;
+            if (mtype.group && wireType === 4)
+                break;
+            var id       = tag >>> 3,
+                accessor = accessors[id];
+            if (!accessor) {
+                reader.skipType(wireType);
+                if (!reader.discardUnknown)
+                    util.addUnknown(message, reader._slice.call(reader.buf, pos, reader.pos));
+                continue;
+            }
+            if (!accessor.deferred) {
+                message[accessor.field.name] = reader[accessor.type]();
+                continue;
+            }
+            var start = reader.pos;
+            reader.skipType(wireType);
+            var spans = state.spans[id];
+            if (!spans) {
+                state.spans[id] = spans = [];
+                Object.defineProperty(message, accessor.field.name, accessor.descriptor);
+            } else if (!accessor.field.repeated && !accessor.field.map)
+                spans.length = 0; // last one wins
+            spans.push(wireType, start, reader.pos);
+        }
+        return message;
+    };
+}
+
+// Decodes the value of a deferred field from its recorded spans
+function decodeField(state, accessor) {
+    var reader = state.reader;
+    if (!reader) {
+        reader = state.reader = Reader.create(state.buf);
+        reader.lazy = state.lazy;
+        reader.discardUnknown = state.discardUnknown;
+    }
+    var field = accessor.field,
+        spans = state.spans[field.id],
+        value = field.map ? {} : field.repeated ? [] : null;
+    for (var i = 0; i < spans.length; i += 3) {
+        var wireType = spans[i];
+        reader.pos = spans[i + 1];
+        if (field.map)
+            decodeEntry(reader, field, accessor.type, value);
+        else if (field.repeated) {
+            if (wireType === 2 && types.packed[accessor.type] !== undefined)
+                for (var end = reader.uint32() + reader.pos; reader.pos < end;)
+                    value.push(reader[accessor.type]());
+            else
+                value.push(decodeValue(reader, field, accessor.type, wireType));
+        } else
+            value = decodeValue(reader, field, accessor.type, wireType);
+    }
+    return value;
+}
+
+// Decodes a single value of the specified type
+function decodeValue(reader, field, type, wireType) {
+    if (types.basic[type] !== undefined)
+        return reader[type]();
+    return wireType === 3
+        ? field.resolvedType.decode(reader)
+        : field.resolvedType.decode(reader, reader.uint32());
+}
+
+// Decodes a map entry into the specified map
+function decodeEntry(reader, field, type, map) {
+    var keyType = field.resolvedKeyType ? "uint32" : field.keyType,
+        key     = types.defaults[keyType],
+        value   = types.basic[type] === undefined ? field.resolvedType.create() : types.defaults[type];
+    for (var end = reader.uint32() + reader.pos; reader.pos < end;) {
+        var tag = reader.uint32();
+        switch (tag >>> 3) {
+            case 1:
+                key = reader[keyType]();
+                break;
+            case 2:
+                value = decodeValue(reader, field, type, tag & 7);
+                break;
+            default:
+                reader.skipType(tag & 7);
+                break;
+        }
+    }
+    map[typeof key === "object" ? util.longToHash(key) : key] = value;
+}
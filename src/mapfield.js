@@ -63,7 +63,9 @@ MapField.testJSON = function testJSON(json) {
  * @throws {TypeError} If arguments are invalid
  */
 MapField.fromJSON = function fromJSON(name, json) {
-    return new MapField(name, json.id, json.keyType, json.type, json.options);
+    var field = new MapField(name, json.id, json.keyType, json.type, json.options);
+    field.comment = json.comment || null;
+    return field;
 };
 
 /**
@@ -75,7 +77,8 @@ MapFieldPrototype.toJSON = function toJSON() {
         type    : this.type,
         id      : this.id,
         extend  : this.extend,
-        options : this.options
+        options : this.options,
+        comment : this.comment || undefined
     };
 };
 
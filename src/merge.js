@@ -0,0 +1,320 @@
+"use strict";
+
+/**
+ * Reflection-driven merging, masking and diffing of messages.
+ *
+ * Merging follows protobuf's merge semantics as specified for parsing concatenated messages: set singular fields of the
+ * source replace those of the target, singular message fields are merged recursively, repeated fields are concatenated,
+ * map entries are replaced by key and setting a member of a oneof clears its other members. Values are copied, so that the target does not share
+ * any messages, arrays, maps or buffers with the source.
+ *
+ * Paths are dot-separated field names as in a `google.protobuf.FieldMask`, i.e. `"user.display_name"`, where every
+ * component but the last must reference a singular message field. Field names may be specified as declared or in
+ * lowerCamelCase.
+ * @namespace
+ */
+var merge = exports;
+
+var Enum     = require("./enum"),
+    Message  = require("./message"),
+    equality = require("./equality"),
+    util     = require("./util");
+
+var Type; // cyclic
+
+/**
+ * Options for {@link merge.mergeWithMask}.
+ * @typedef MergeWithMaskOptions
+ * @type {Object}
+ * @property {boolean} [replaceMessageFields=false] Replaces message fields in the mask instead of merging them, clearing
+ * them if not set in the source
+ * @property {boolean} [replaceRepeatedFields=false] Replaces repeated and map fields in the mask instead of appending to
+ * them
+ */
+
+// Returns the value of a field if present, otherwise undefined
+function getPresent(field, message) {
+    return equality.isPresent(field, message) ? message[field.name] : undefined;
+}
+
+function isMessageField(field) {
+    return field.resolvedType instanceof Type && !field.repeated && !field.map;
+}
+
+// Creates an empty message of the specified type, being a plain object if the other message is one
+function createLike(type, other) {
+    return other instanceof Message ? type.create() : {};
+}
+
+function copyBytes(value) {
+    if (util.isString(value))
+        return value;
+    var copy = util.newBuffer(value.length);
+    for (var i = 0; i < value.length; ++i)
+        copy[i] = value[i];
+    return copy;
+}
+
+function copyValue(field, value, like) {
+    if (field.resolvedType instanceof Type)
+        return mergeMessages(field.resolvedType, createLike(field.resolvedType, like), value);
+    if (field.bytes)
+        return copyBytes(value);
+    return value;
+}
+
+function setField(message, field, value) {
+    message[field.name] = value;
+    if (field.partOf) {
+        var oneof = field.partOf;
+        for (var i = 0; i < oneof.oneof.length; ++i)
+            if (oneof.oneof[i] !== field.name)
+                delete message[oneof.oneof[i]];
+        message[oneof.name] = field.name; // also for plain objects to be encodable
+    }
+}
+
+function clearField(message, field) {
+    delete message[field.name];
+    if (field.partOf && message[field.partOf.name] === field.name)
+        delete message[field.partOf.name]; // plain objects only, messages compute it
+}
+
+function mergeField(target, field, value) {
+    var current = getPresent(field, target),
+        i;
+    if (field.map) {
+        var map  = util.merge({}, current),
+            keys = Object.keys(value);
+        for (i = 0; i < keys.length; ++i)
+            map[keys[i]] = copyValue(field, value[keys[i]], target);
+        setField(target, field, map);
+    } else if (field.repeated) {
+        var array = current ? current.slice() : [];
+        for (i = 0; i < value.length; ++i)
+            array.push(copyValue(field, value[i], target));
+        setField(target, field, array);
+    } else if (current && field.resolvedType instanceof Type)
+        mergeMessages(field.resolvedType, current, value);
+    else
+        setField(target, field, copyValue(field, value, target));
+}
+
+function mergeMessages(type, target, source) {
+    var fields = type.getFieldsArray(),
+        i;
+    for (i = 0; i < fields.length; ++i) {
+        var field = fields[i].resolve(),
+            value = getPresent(field, source);
+        if (value !== undefined)
+            mergeField(target, field, value);
+    }
+    if (source.$unknown)
+        for (i = 0; i < source.$unknown.length; ++i)
+            util.addUnknown(target, source.$unknown[i]);
+    return target;
+}
+
+/**
+ * Merges a message into another message of the specified type.
+ * @param {Type} type Message type
+ * @param {Message|Object} target Message or plain object to merge into, modified in place
+ * @param {Message|Object} source Message or plain object to merge
+ * @returns {Message|Object} Target
+ */
+merge.merge = function merge_(type, target, source) {
+    if (!Type)
+        Type = require("./type");
+    return mergeMessages(type, target, source);
+};
+
+// Resolves a field by its name as declared or in lowerCamelCase
+function lookupField(type, name) {
+    var field = type.fields[name] || type.fields[util.camelCase(name)];
+    return field ? field.resolve() : null;
+}
+
+function toPaths(paths) {
+    if (Array.isArray(paths))
+        return paths;
+    if (util.isString(paths))
+        return paths.length ? paths.split(",") : [];
+    return paths && paths.paths || []; // google.protobuf.FieldMask
+}
+
+// Builds a tree of the fields referenced by the specified paths, by field name. Leaves are `true`.
+function maskTree(type, paths) {
+    var tree = {};
+    paths = toPaths(paths);
+    for (var i = 0; i < paths.length; ++i) {
+        var names  = paths[i].split("."),
+            node   = tree,
+            parent = type;
+        for (var j = 0; j < names.length; ++j) {
+            if (!parent)
+                throw Error("invalid path '" + paths[i] + "': " + names[j - 1] + " is not a singular message field");
+            var field = lookupField(parent, names[j]);
+            if (!field)
+                throw Error("invalid path '" + paths[i] + "': no such field '" + names[j] + "' in " + parent.getFullName().substring(1));
+            if (node[field.name] === true) // already covered by a shorter path
+                break;
+            if (j === names.length - 1)
+                node[field.name] = true;
+            else
+                node = node[field.name] || (node[field.name] = {});
+            parent = isMessageField(field) ? field.resolvedType : null;
+        }
+    }
+    return tree;
+}
+
+function mergeMasked(type, tree, target, source, options) {
+    var names = Object.keys(tree);
+    for (var i = 0; i < names.length; ++i) {
+        var field   = type.fields[names[i]],
+            value   = getPresent(field, source),
+            current = getPresent(field, target);
+        if (tree[names[i]] !== true) {
+            if (value === undefined && current === undefined)
+                continue;
+            if (current === undefined)
+                setField(target, field, current = createLike(field.resolvedType, target));
+            mergeMasked(field.resolvedType, tree[names[i]], current, value || {}, options);
+        } else if (field.repeated || field.map || field.resolvedType instanceof Type) {
+            if (field.repeated || field.map ? options.replaceRepeatedFields : options.replaceMessageFields)
+                clearField(target, field);
+            if (value !== undefined)
+                mergeField(target, field, value);
+        } else if (value !== undefined)
+            setField(target, field, copyValue(field, value, target));
+        else
+            clearField(target, field);
+    }
+}
+
+/**
+ * Merges the fields referenced by the specified paths from a message into another message of the specified type.
+ *
+ * As specified for update operations using a `google.protobuf.FieldMask`, referenced singular fields not set in the
+ * source are cleared in the target, referenced message fields are merged and referenced repeated and map fields are
+ * appended to unless the respective option is set.
+ * @param {Type} type Message type
+ * @param {Message|Object} target Message or plain object to merge into, modified in place
+ * @param {Message|Object} source Message or plain object to merge
+ * @param {string[]|string|Message|Object} paths Field paths, comma-separated paths or a `google.protobuf.FieldMask`
+ * @param {MergeWithMaskOptions} [options] Merge options
+ * @returns {Message|Object} Target
+ * @throws {Error} If a path is invalid
+ */
+merge.mergeWithMask = function mergeWithMask(type, target, source, paths, options) {
+    if (!Type)
+        Type = require("./type");
+    mergeMasked(type, maskTree(type, paths), target, source, options || {});
+    return target;
+};
+
+function trim(type, tree, message) {
+    var fields = type.getFieldsArray();
+    for (var i = 0; i < fields.length; ++i) {
+        var field = fields[i].resolve(),
+            node  = tree[field.name];
+        if (node === true)
+            continue;
+        var value = getPresent(field, message);
+        if (value === undefined)
+            continue;
+        if (node)
+            trim(field.resolvedType, node, value);
+        else
+            clearField(message, field);
+    }
+}
+
+/**
+ * Clears all fields of a message of the specified type that are not referenced by the specified paths.
+ * @param {Type} type Message type
+ * @param {Message|Object} message Message or plain object to trim, modified in place
+ * @param {string[]|string|Message|Object} paths Field paths, comma-separated paths or a `google.protobuf.FieldMask`
+ * @returns {Message|Object} Message
+ * @throws {Error} If a path is invalid
+ */
+merge.applyMask = function applyMask(type, message, paths) {
+    if (!Type)
+        Type = require("./type");
+    trim(type, maskTree(type, paths), message);
+    return message;
+};
+
+function valueEquals(field, a, b) {
+    var resolvedType = field.resolvedType;
+    if (resolvedType instanceof Type)
+        return resolvedType.equals(a, b);
+    if (resolvedType instanceof Enum)
+        return (util.isString(a) ? resolvedType.values[a] : a) === (util.isString(b) ? resolvedType.values[b] : b);
+    if (field.long)
+        return !util.longNeq(a, b);
+    if (field.bytes)
+        return !equality.bytesNe(a, b);
+    return a === b || a !== a && b !== b; // eslint-disable-line no-self-compare
+}
+
+function fieldEquals(field, a, b) {
+    var i;
+    if (field.map) {
+        var keys = Object.keys(a);
+        if (keys.length !== Object.keys(b).length)
+            return false;
+        for (i = 0; i < keys.length; ++i)
+            if (b[keys[i]] === undefined || !valueEquals(field, a[keys[i]], b[keys[i]]))
+                return false;
+        return true;
+    }
+    if (field.repeated) {
+        if (a.length !== b.length)
+            return false;
+        for (i = 0; i < a.length; ++i)
+            if (!valueEquals(field, a[i], b[i]))
+                return false;
+        return true;
+    }
+    return valueEquals(field, a, b);
+}
+
+function diffMessages(type, a, b, prefix, paths) {
+    var fields = type.getFieldsArray();
+    for (var i = 0; i < fields.length; ++i) {
+        var field  = fields[i].resolve(),
+            valueA = getPresent(field, a),
+            valueB = getPresent(field, b);
+        if (valueA === undefined && valueB === undefined)
+            continue;
+        if (valueA !== undefined && valueB !== undefined) {
+            if (isMessageField(field)) {
+                diffMessages(field.resolvedType, valueA, valueB, prefix + (field.originalName || field.name) + ".", paths);
+                continue;
+            }
+            if (fieldEquals(field, valueA, valueB))
+                continue;
+        }
+        paths.push(prefix + (field.originalName || field.name));
+    }
+}
+
+/**
+ * Compares two messages of the specified type and returns the paths of the fields that differ. Nested messages set in
+ * both are compared field by field, while all other fields, including repeated and map fields, are compared as a whole.
+ *
+ * Merging the returned paths from `b` into `a` with `replaceMessageFields` and `replaceRepeatedFields` set, see
+ * {@link merge.mergeWithMask}, makes `a` equal to `b`.
+ * @param {Type} type Message type
+ * @param {Message|Object} a First message or plain object
+ * @param {Message|Object} b Second message or plain object
+ * @returns {string[]} Paths of changed fields, using field names as declared
+ */
+merge.diff = function diff(type, a, b) {
+    if (!Type)
+        Type = require("./type");
+    var paths = [];
+    diffMessages(type, a, b, "", paths);
+    return paths;
+};
@@ -63,6 +63,15 @@ MessagePrototype.asJSON = function asJSON(options) {
     return json;
 };
 
+/**
+ * Creates a plain object from this message. Also converts values to other types if specified.
+ * @param {ConversionOptions} [options] Conversion options
+ * @returns {Object.<string,*>} Plain object
+ */
+MessagePrototype.toObject = function toObject(options) {
+    return this.$type.toObject(this, options);
+};
+
 /**
  * Reference to the reflected type.
  * @name Message.$type
@@ -87,6 +96,17 @@ Message.encode = function encode(message, writer) {
     return this.$type.encode(message, writer);
 };
 
+/**
+ * Computes the byte length of a message of this type as written by {@link Message.encode}.
+ * @name Message.encodedSize
+ * @function
+ * @param {Message|Object} message Message or plain object
+ * @returns {number} Byte length
+ */
+Message.encodedSize = function encodedSize(message) {
+    return this.$type.encodedSize(message);
+};
+
 /**
  * Encodes a message of this type preceeded by its length as a varint.
  * @param {Message|Object} message Message to encode
@@ -129,3 +149,97 @@ Message.decodeDelimited = function decodeDelimited(readerOrBuffer) {
 Message.verify = function verify(message) {
     return this.$type.verify(message);
 };
+
+/**
+ * Creates a new message of this type from a plain object. Also converts values to their respective internal types.
+ * @name Message.fromObject
+ * @function
+ * @param {Object.<string,*>} object Plain object
+ * @returns {Message} Message instance
+ */
+Message.fromObject = function fromObject(object) {
+    return this.$type.fromObject(object);
+};
+
+/**
+ * Creates a plain object from a message of this type. Also converts values to other types if specified.
+ * @name Message.toObject
+ * @function
+ * @param {Message} message Message instance
+ * @param {ConversionOptions} [options] Conversion options
+ * @returns {Object.<string,*>} Plain object
+ */
+Message.toObject = function toObject(message, options) {
+    return this.$type.toObject(message, options);
+};
+
+/**
+ * Converts a message of this type to its canonical proto3 JSON representation.
+ * @name Message.encodeJSON
+ * @function
+ * @param {Message|Object} message Message or plain object to convert
+ * @param {JSONEncodeOptions} [options] Conversion options
+ * @returns {*} JSON value, usually an object
+ */
+Message.encodeJSON = function encodeJSON(message, options) {
+    return this.$type.encodeJSON(message, options);
+};
+
+/**
+ * Converts a canonical proto3 JSON value to a message of this type.
+ * @name Message.decodeJSON
+ * @function
+ * @param {*} value JSON value, usually an object as returned by `JSON.parse`
+ * @param {JSONDecodeOptions} [options] Conversion options
+ * @returns {Message} Message instance
+ */
+Message.decodeJSON = function decodeJSON(value, options) {
+    return this.$type.decodeJSON(value, options);
+};
+
+/**
+ * Converts a message of this type to text format.
+ * @name Message.toText
+ * @function
+ * @param {Message|Object} message Message or plain object to convert
+ * @param {TextEncodeOptions} [options] Conversion options
+ * @returns {string} Text format
+ */
+Message.toText = function toText(message, options) {
+    return this.$type.toText(message, options);
+};
+
+/**
+ * Converts text format to a message of this type.
+ * @name Message.fromText
+ * @function
+ * @param {string} source Text format
+ * @param {TextDecodeOptions} [options] Conversion options
+ * @returns {Message} Message instance
+ */
+Message.fromText = function fromText(source, options) {
+    return this.$type.fromText(source, options);
+};
+
+/**
+ * Tests if two messages of this type are equal.
+ * @name Message.equals
+ * @function
+ * @param {Message|Object} a First message or plain object
+ * @param {Message|Object} b Second message or plain object
+ * @returns {boolean} `true` if equal
+ */
+Message.equals = function equals(a, b) {
+    return this.$type.equals(a, b);
+};
+
+/**
+ * Computes a hash code of a message of this type.
+ * @name Message.hash
+ * @function
+ * @param {Message|Object} message Message or plain object
+ * @returns {number} 32 bit hash code
+ */
+Message.hash = function hash(message) {
+    return this.$type.hash(message);
+};
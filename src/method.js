@@ -106,7 +106,9 @@ Method.testJSON = function testJSON(json) {
  * @throws {TypeError} If arguments are invalid
  */
 Method.fromJSON = function fromJSON(name, json) {
-    return new Method(name, json.type, json.requestType, json.responseType, json.requestStream, json.responseStream, json.options);
+    var method = new Method(name, json.type, json.requestType, json.responseType, json.requestStream, json.responseStream, json.options);
+    method.comment = json.comment || null;
+    return method;
 };
 
 /**
@@ -119,7 +121,8 @@ MethodPrototype.toJSON = function toJSON() {
         requestStream  : this.requestStream || undefined,
         responseType   : this.responseType,
         responseStream : this.responseStream || undefined,
-        options        : this.options
+        options        : this.options,
+        comment        : this.comment || undefined
     };
 };
 
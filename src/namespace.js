@@ -112,7 +112,9 @@ Namespace.testJSON = function testJSON(json) {
  * @throws {TypeError} If arguments are invalid
  */
 Namespace.fromJSON = function fromJSON(name, json) {
-    return new Namespace(name, json.options).addJSON(json.nested);
+    var ns = new Namespace(name, json.options).addJSON(json.nested);
+    ns.comment = json.comment || null;
+    return ns;
 };
 
 /**
@@ -121,7 +123,8 @@ Namespace.fromJSON = function fromJSON(name, json) {
 NamespacePrototype.toJSON = function toJSON() {
     return {
         options : this.options,
-        nested  : arrayToJSON(this.getNestedArray())
+        nested  : arrayToJSON(this.getNestedArray()),
+        comment : this.comment || undefined
     };
 };
 
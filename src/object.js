@@ -6,7 +6,10 @@ var util = require("./util");
 ReflectionObject.className = "ReflectionObject";
 ReflectionObject.extend = util.extend;
 
-var Root; // cyclic
+var Root,  // cyclic
+    Type,
+    Enum,
+    Field;
 
 var TypeError = util._TypeError;
 
@@ -50,8 +53,37 @@ function ReflectionObject(name, options) {
      * @type {boolean}
      */
     this.resolved = false;
+
+    /**
+     * Comment text documenting this object, if any.
+     * @type {?string}
+     */
+    this.comment = null; // toJSON
+
+    /**
+     * Location of this object's declaration, if parsed from a .proto source.
+     * @type {?SourceLocation}
+     */
+    this.location = null;
+
+    /**
+     * Name of the file declaring this object, if known.
+     * @type {?string}
+     */
+    this.filename = null;
 }
 
+/**
+ * Location of a declaration within a .proto source.
+ * @typedef SourceLocation
+ * @type {Object}
+ * @property {?string} filename File name, if known
+ * @property {number} line Line of the first token, starting at 1
+ * @property {number} column Column of the first token, starting at 1
+ * @property {number} endLine Line of the last token
+ * @property {number} endColumn Column just past the last token
+ */
+
 /** @alias ReflectionObject.prototype */
 var ReflectionObjectPrototype = ReflectionObject.prototype;
 
@@ -148,7 +180,184 @@ ReflectionObjectPrototype.resolve = function resolve() {
 };
 
 /**
- * Gets an option value.
+ * Gets this object's options with custom options resolved against the extension fields declaring them, i.e. by an
+ * `extend google.protobuf.FieldOptions`. Resolved options are keyed by their fully qualified names and their values are
+ * checked and converted according to the extension field, with 64-bit integers as Longs if available. Other options
+ * are included as is. {@link ReflectionObject#options} are not modified.
+ * @returns {Object.<string,*>} Resolved options
+ * @throws {Error} If a custom option is not declared, extends the wrong options message or if its value is invalid
+ */
+ReflectionObjectPrototype.getResolvedOptions = function getResolvedOptions() {
+    return resolveOptions(this);
+};
+
+// Options messages extended by custom options, by class name of the reflection object
+var optionsTypes = {
+    Root      : "FileOptions",
+    Namespace : "FileOptions",
+    Type      : "MessageOptions",
+    Field     : "FieldOptions",
+    MapField  : "FieldOptions",
+    OneOf     : "OneofOptions",
+    Enum      : "EnumOptions",
+    Service   : "ServiceOptions",
+    Method    : "MethodOptions"
+};
+
+/**
+ * Resolves the custom options of a reflection object against the extension fields declaring them.
+ * @param {ReflectionObject} object Reflection object
+ * @returns {Object.<string,*>} Resolved options
+ * @throws {Error} If a custom option is not declared, extends the wrong options message or if its value is invalid
+ * @inner
+ * @ignore
+ */
+function resolveOptions(object) {
+    if (!Field) {
+        Type  = require("./type");
+        Enum  = require("./enum");
+        Field = require("./field");
+    }
+    var scope    = object.lookup ? object : object.parent,
+        options  = object.options || {},
+        resolved = {},
+        fields   = {},
+        values   = {};
+    Object.keys(options).forEach(function(name) {
+        var match = /^\((\.?[a-zA-Z_][\w.]*)\)$/.exec(name),
+            field = match && scope && scope.lookup(match[1], Field);
+        if (!match || !scope) {
+            resolved[name] = options[name];
+            return;
+        }
+        if (!field || field.extend === undefined)
+            throw Error("unknown option " + name + " of " + object);
+        var typeName = "google.protobuf." + optionsTypes[object.constructor.className],
+            extended = field.extensionField ? field.extensionField.parent.getFullName().substring(1) : field.extend.replace(/^\./, "");
+        if (extended !== typeName)
+            throw Error("option " + name + " of " + object + " does not extend " + typeName);
+        var fullName = "(" + field.getFullName().substring(1) + ")";
+        fields[fullName] = field;
+        values[fullName] = Object.prototype.hasOwnProperty.call(values, fullName)
+            ? mergeValues(values[fullName], options[name]) // i.e. both (name) and (package.name) used
+            : options[name];
+    });
+    Object.keys(values).forEach(function(name) {
+        try {
+            resolved[name] = convertOption(fields[name].resolve(), values[name]);
+        } catch (err) {
+            throw Error("invalid option " + name + " of " + object + ": " + err.message);
+        }
+    });
+    return resolved;
+}
+
+function isPlainObject(value) {
+    return util.isObject(value) && !Array.isArray(value);
+}
+
+// Merges two values as parsed like the parser does for the same option, without modifying either
+function mergeValues(a, b) {
+    if (!isPlainObject(a) || !isPlainObject(b))
+        return [].concat(a, b);
+    var merged = {};
+    Object.keys(a).forEach(function(name) {
+        merged[name] = a[name];
+    });
+    Object.keys(b).forEach(function(name) {
+        merged[name] = Object.prototype.hasOwnProperty.call(merged, name) ? mergeValues(merged[name], b[name]) : b[name];
+    });
+    return merged;
+}
+
+/**
+ * Checks and converts the value of a custom option or a field within it.
+ * @param {Field} field Resolved field
+ * @param {*} value Value as parsed
+ * @param {string} [path] Path of the field within the option
+ * @returns {*} Converted value
+ * @throws {Error} If the value is invalid
+ * @inner
+ * @ignore
+ */
+function convertOption(field, value, path) {
+    if (field.map) {
+        var map = {};
+        if (isPlainObject(value) && value.key === undefined) // already converted
+            Object.keys(value).forEach(function(key) {
+                map[key] = convertValue(field, value[key], (path ? path + "." : "") + key);
+            });
+        else
+            (Array.isArray(value) ? value : [ value ]).forEach(function(entry) { // map entries in text format
+                if (!isPlainObject(entry) || entry.key === undefined)
+                    throw Error((path || "value") + ": map entry expected");
+                map[entry.key] = convertValue(field, entry.value, (path ? path + "." : "") + entry.key);
+            });
+        return map;
+    }
+    if (field.repeated)
+        return (Array.isArray(value) ? value : [ value ]).map(function(element) {
+            return convertValue(field, element, path);
+        });
+    if (Array.isArray(value))
+        throw Error((path || "value") + ": not repeated");
+    return convertValue(field, value, path);
+}
+
+function convertValue(field, value, path) {
+    var type = field.resolvedType,
+        reason;
+    if (type instanceof Type) {
+        if (!isPlainObject(value))
+            reason = "object expected";
+        else {
+            var message = {};
+            Object.keys(value).forEach(function(name) {
+                var subField = type.fields[name];
+                if (!subField)
+                    throw Error((path ? path + "." : "") + name + ": no such field in " + type);
+                message[name] = convertOption(subField.resolve(), value[name], (path ? path + "." : "") + name);
+            });
+            return message;
+        }
+    } else if (type instanceof Enum) {
+        if (typeof value === "number" && type.getValuesById()[value] !== undefined)
+            return type.getValuesById()[value];
+        if (typeof value === "string" && type.values[value] !== undefined)
+            return value;
+        reason = "value of " + type + " expected";
+    } else
+        switch (field.type) {
+            case "string":
+            case "bytes":
+                if (!util.isString(value))
+                    reason = "string expected";
+                break;
+            case "bool":
+                if (typeof value !== "boolean")
+                    reason = "boolean expected";
+                break;
+            case "double":
+            case "float":
+                if (typeof value !== "number")
+                    reason = "number expected";
+                break;
+            default:
+                if (!util.isInteger(value) || value < 0 && field.type.charAt(0) === "u")
+                    reason = "integer expected";
+                else if (field.long)
+                    return util.Long.fromNumber(value, field.type.charAt(0) === "u" || field.type === "fixed64");
+                break;
+        }
+    if (reason)
+        throw Error((path || "value") + ": " + reason);
+    return value;
+}
+
+/**
+ * Gets an option value as declared, with custom options keyed by the name they are referenced by. Resolving custom
+ * options requires the extension fields declaring them to be loaded and fails on invalid values, which is why it is
+ * left to {@link ReflectionObject#getResolvedOptions}.
  * @param {string} name Option name
  * @returns {*} Option value or `undefined` if not set
  */
@@ -81,7 +81,9 @@ OneOf.testJSON = function testJSON(json) {
  * @throws {TypeError} If arguments are invalid
  */
 OneOf.fromJSON = function fromJSON(name, json) {
-    return new OneOf(name, json.oneof, json.options);
+    var oneof = new OneOf(name, json.oneof, json.options);
+    oneof.comment = json.comment || null;
+    return oneof;
 };
 
 /**
@@ -90,7 +92,8 @@ OneOf.fromJSON = function fromJSON(name, json) {
 OneOfPrototype.toJSON = function toJSON() {
     return {
         oneof   : this.oneof,
-        options : this.options
+        options : this.options,
+        comment : this.comment || undefined
     };
 };
 
@@ -1,17 +1,24 @@
 "use strict";
 module.exports = parse;
 
-var tokenize  = require("./tokenize"),
-    Root      = require("./root"),
-    Type      = require("./type"),
-    Field     = require("./field"),
-    MapField  = require("./mapfield"),
-    OneOf     = require("./oneof"),
-    Enum      = require("./enum"),
-    Service   = require("./service"),
-    Method    = require("./method"),
-    types     = require("./types"),
-    util      = require("./util");
+var tokenize   = require("./tokenize"),
+    ParseError = require("./parseerror"),
+    Root       = require("./root"),
+    Type       = require("./type"),
+    Field      = require("./field"),
+    MapField   = require("./mapfield"),
+    OneOf      = require("./oneof"),
+    Enum       = require("./enum"),
+    Service    = require("./service"),
+    Method     = require("./method"),
+    types      = require("./types"),
+    util       = require("./util");
+
+// Tokens expected at the start of declarations, for error reporting
+var declExpected  = [ "message", "enum", "service", "extend" ],
+    headExpected  = [ "package", "import", "syntax", "option" ].concat(declExpected),
+    typeExpected  = [ "option" ].concat(declExpected, [ "map", "required", "optional", "repeated", "oneof", "extensions", "reserved", "}" ]),
+    groupExpected = [ "option", "required", "optional", "repeated", "}" ];
 
 function isName(token) {
     return /^[a-zA-Z_][a-zA-Z_0-9]*$/.test(token);
@@ -38,6 +45,7 @@ function lower(token) {
  * @property {string[]|undefined} weakImports Weak imports, if any
  * @property {string|undefined} syntax Syntax, if specified (either `"proto2"` or `"proto3"`)
  * @property {Root} root Populated root instance
+ * @property {ParseError[]|undefined} errors Errors encountered, if parsed in recover mode
  */
 
 /**
@@ -45,6 +53,7 @@ function lower(token) {
  * @typedef ParseOptions
  * @type {Object}
  * @property {boolean} [keepCase=false] Keeps field casing instead of converting to camel case
+ * @property {boolean} [recover=false] Collects syntax errors instead of throwing on the first one, skipping each invalid statement and continuing with the next
  */
 
 /**
@@ -54,28 +63,35 @@ function lower(token) {
  * @param {Root} root Root to populate
  * @param {ParseOptions} [options] Parse options
  * @returns {ParserResult} Parser result
- * @property {string} filename=null Currently processing file name for error reporting, if known
+ * @throws {ParseError} If the source is not valid and not parsed in recover mode
+ * @property {string} filename=null Currently processing file name for error reporting and source locations, if known
  */
 function parse(source, root, options) {
     /* eslint-disable callback-return */
     if (!(root instanceof Root)) {
-        root = new Root();
         options = root || {};
+        root = new Root();
     } else if (!options)
         options = {};
 
-    var tn = tokenize(source),
+    var filename = parse.filename;
+    parse.filename = null;
+
+    var tn = tokenize(source, filename),
         next = tn.next,
         push = tn.push,
         peek = tn.peek,
-        skip = tn.skip;
+        skip = tn.skip,
+        cmnt = tn.comment;
 
     var head = true,
         pkg,
         imports,
         weakImports,
         syntax,
-        isProto3 = false;
+        isProto3 = false,
+        errors = options.recover ? [] : null,
+        nesting = 0;
 
     if (!root)
         root = new Root();
@@ -84,10 +100,85 @@ function parse(source, root, options) {
 
     var applyCase = options.keepCase ? function(name) { return name; } : util.camelCase;
 
-    function illegal(token, name) {
-        var filename = parse.filename;
-        parse.filename = null;
-        return Error("illegal " + (name || "token") + " '" + token + "' (" + (filename ? filename + ", " : "") + "line " + tn.line() + ")");
+    function illegal(token, name, expected) {
+        return new ParseError("illegal " + (name || "token") + " '" + token + "'", filename, tn.line(), tn.column(), token, expected || (name ? [ "<" + name + ">" ] : undefined));
+    }
+
+    function position() {
+        return { line: tn.line(), column: tn.column() };
+    }
+
+    function location(start) {
+        return {
+            filename  : filename || null,
+            line      : start.line,
+            column    : start.column,
+            endLine   : tn.line(),
+            endColumn : tn.endColumn()
+        };
+    }
+
+    function locate(object, start) {
+        object.filename = filename || null;
+        object.location = location(start);
+    }
+
+    // Signals that the end of the source has been reached while recovering
+    var end = {};
+
+    // Skips the remainder of a statement that failed to parse
+    function resync(err) {
+        var token = err.token,
+            depth = 0;
+        if (err.line === tn.line() && err.column === tn.column()) { // offending token has been consumed
+            if (token === ";" || token === "}" && !nesting)
+                return;
+            if (token === "}") {
+                push(token);
+                return;
+            }
+        }
+        while ((token = peek()) !== null) {
+            if (token === "}" && !depth && nesting)
+                return; // leave it to the enclosing block
+            next();
+            if (token === "{")
+                ++depth;
+            else if (token === "}") {
+                if (!depth || !--depth) {
+                    skip(";", true);
+                    return;
+                }
+            } else if (token === ";" && !depth)
+                return;
+        }
+        throw end;
+    }
+
+    function parseStatement(fn, token) {
+        if (token === null)
+            throw illegal(token, undefined, [ "}" ]);
+        if (!errors) {
+            fn(token);
+            return;
+        }
+        try {
+            fn(token);
+        } catch (err) {
+            if (!(err instanceof ParseError))
+                throw err;
+            errors.push(err);
+            resync(err);
+        }
+    }
+
+    function parseBlock(fn) {
+        var token;
+        ++nesting;
+        while ((token = next()) !== "}")
+            parseStatement(fn, token);
+        --nesting;
+        skip(";", true);
     }
 
     function readString() {
@@ -95,7 +186,7 @@ function parse(source, root, options) {
             token;
         do {
             if ((token = next()) !== "\"" && token !== "'")
-                throw illegal(token);
+                throw illegal(token, undefined, [ "\"", "'" ]);
             values.push(next());
             skip(token);
             token = peek();
@@ -124,13 +215,31 @@ function parse(source, root, options) {
         }
     }
 
-    function readRange() {
-        var start = parseId(next());
-        var end = start;
-        if (skip("to", true))
-            end = parseId(next());
+    function readRanges(target, acceptStrings) {
+        var token, start;
+        do {
+            if (acceptStrings && ((token = peek()) === "\"" || token === "'"))
+                target.push(readString()); // as declared
+            else
+                target.push([ start = parseId(next()), skip("to", true) ? parseId(next()) : start ]);
+        } while (skip(",", true));
         skip(";");
-        return [ start, end ];
+    }
+
+    // Tests the fields of a type against its reserved ids and names, which may be declared after the fields
+    function checkReserved(type) {
+        type.getFieldsArray().forEach(function(field) {
+            var reason = type.isReservedId(field.id) ? "id " + field.id + " is reserved"
+                       : type.isReservedName(field.originalName || field.name) ? "name '" + (field.originalName || field.name) + "' is reserved"
+                       : null;
+            if (!reason)
+                return;
+            var err = new ParseError(reason, filename, field.location.line, field.location.column, field.name);
+            if (!errors)
+                throw err;
+            errors.push(err);
+            (field.partOf || type).remove(field);
+        });
     }
 
     function parseNumber(token) {
@@ -221,11 +330,11 @@ function parse(source, root, options) {
                 return true;
 
             case "message":
-                parseType(parent, token);
+                parseType(parent);
                 return true;
 
             case "enum":
-                parseEnum(parent, token);
+                parseEnum(parent);
                 return true;
 
             case "service":
@@ -233,22 +342,24 @@ function parse(source, root, options) {
                 return true;
 
             case "extend":
-                parseExtension(parent, token);
+                parseExtension(parent);
                 return true;
         }
         return false;
     }
 
-    function parseType(parent, token) {
+    function parseType(parent) {
+        var start = position();
         var name = next();
         if (!isName(name))
             throw illegal(name, "type name");
-        var type = new Type(name);
-        if (skip("{", true)) {
-            while ((token = next()) !== "}") {
+        var type = new Type(name),
+            reserved = [];
+        if (skip("{", true))
+            parseBlock(function(token) {
                 var tokenLower = lower(token);
                 if (parseCommon(type, token))
-                    continue;
+                    return;
                 switch (tokenLower) {
 
                     case "map":
@@ -262,35 +373,41 @@ function parse(source, root, options) {
                         break;
 
                     case "oneof":
-                        parseOneOf(type, tokenLower);
+                        parseOneOf(type);
                         break;
 
                     case "extensions":
-                        (type.extensions || (type.extensions = [])).push(readRange(type, tokenLower));
+                        readRanges(type.extensions || (type.extensions = []));
                         break;
 
                     case "reserved":
-                        (type.reserved || (type.reserved = [])).push(readRange(type, tokenLower));
+                        readRanges(reserved, true);
                         break;
-                        
+
                     default:
                         if (!isProto3 || !isTypeRef(token))
-                            throw illegal(token);
+                            throw illegal(token, undefined, isProto3 ? typeExpected.concat("<type>") : typeExpected);
                         push(token);
                         parseField(type, "optional");
                         break;
                 }
-            }
-            skip(";", true);
-        } else
+            });
+        else
             skip(";");
+        if (reserved.length) {
+            type.reserved = reserved;
+            checkReserved(type);
+        }
+        locate(type, start);
+        type.comment = cmnt(start.line);
         parent.add(type);
     }
 
     function parseField(parent, rule, extend) {
+        var start = position();
         var type = next();
         if (lower(type) === "group") {
-            parseGroup(parent, rule);
+            parseGroup(parent, rule, start);
             return;
         }
         if (!isTypeRef(type))
@@ -298,18 +415,21 @@ function parse(source, root, options) {
         var name = next();
         if (!isName(name))
             throw illegal(name, "name");
-        name = applyCase(name);
         skip("=");
         var id = parseId(next());
-        var field = parseInlineOptions(new Field(name, id, type, rule, extend));
+        var field = parseInlineOptions(new Field(applyCase(name), id, type, rule, extend));
+        if (field.name !== name)
+            field.originalName = name;
         // JSON defaults to packed=true if not set so we have to set packed=false explicity when
         // parsing proto2 descriptors without the option, where applicable.
         if (field.repeated && types.packed[type] !== undefined && !isProto3)
             field.setOption("packed", false, /* ifNotSet */ true);
+        locate(field, start);
+        field.comment = cmnt(start.line, tn.line());
         parent.add(field);
     }
 
-    function parseGroup(parent, rule) {
+    function parseGroup(parent, rule, start) {
         var name = next();
         if (!isName(name))
             throw illegal(name, "name");
@@ -322,7 +442,7 @@ function parse(source, root, options) {
         type.group = true;
         var field = new Field(fieldName, id, name, rule);
         skip("{");
-        while ((token = next()) !== "}") {
+        parseBlock(function(token) {
             switch (token = lower(token)) {
                 case "option":
                     parseOption(type, token);
@@ -336,14 +456,17 @@ function parse(source, root, options) {
 
                 /* istanbul ignore next */
                 default:
-                    throw illegal(token); // there are no groups with proto3 semantics
+                    throw illegal(token, undefined, groupExpected); // there are no groups with proto3 semantics
             }
-        }
-        skip(";", true);
+        });
+        locate(type, start);
+        locate(field, start);
+        type.comment = field.comment = cmnt(start.line);
         parent.add(type).add(field);
     }
 
     function parseMapField(parent) {
+        var start = position();
         skip("<");
         var keyType = next();
 
@@ -361,14 +484,18 @@ function parse(source, root, options) {
         if (!isName(name))
             throw illegal(name, "name");
 
-        name = applyCase(name);
         skip("=");
         var id = parseId(next());
-        var field = parseInlineOptions(new MapField(name, id, keyType, valueType));
+        var field = parseInlineOptions(new MapField(applyCase(name), id, keyType, valueType));
+        if (field.name !== name)
+            field.originalName = name;
+        locate(field, start);
+        field.comment = cmnt(start.line, tn.line());
         parent.add(field);
     }
 
-    function parseOneOf(parent, token) {
+    function parseOneOf(parent) {
+        var start = position();
         var name = next();
 
         /* istanbul ignore next */
@@ -377,8 +504,8 @@ function parse(source, root, options) {
 
         name = applyCase(name);
         var oneof = new OneOf(name);
-        if (skip("{", true)) {
-            while ((token = next()) !== "}") {
+        if (skip("{", true))
+            parseBlock(function(token) {
                 if (token === "option") {
                     parseOption(oneof, token);
                     skip(";");
@@ -386,14 +513,16 @@ function parse(source, root, options) {
                     push(token);
                     parseField(oneof, "optional");
                 }
-            }
-            skip(";", true);
-        } else
+            });
+        else
             skip(";");
+        locate(oneof, start);
+        oneof.comment = cmnt(start.line);
         parent.add(oneof);
     }
 
-    function parseEnum(parent, token) {
+    function parseEnum(parent) {
+        var start = position();
         var name = next();
 
         /* istanbul ignore next */
@@ -402,17 +531,18 @@ function parse(source, root, options) {
 
         var values = {};
         var enm = new Enum(name, values);
-        if (skip("{", true)) {
-            while ((token = next()) !== "}") {
+        if (skip("{", true))
+            parseBlock(function(token) {
                 if (lower(token) === "option") {
                     parseOption(enm, token);
                     skip(";");
                 } else
                     parseEnumField(enm, token);
-            }
-            skip(";", true);
-        } else
+            });
+        else
             skip(";");
+        locate(enm, start);
+        enm.comment = cmnt(start.line);
         parent.add(enm);
     }
 
@@ -422,16 +552,22 @@ function parse(source, root, options) {
         if (!isName(token))
             throw illegal(token, "name");
 
-        var name = token;
+        var start = position(),
+            name  = token;
         skip("=");
         var value = parseId(next(), true);
         parent.values[name] = value;
         parseInlineOptions({}); // skips enum value options
+        parent.locations[name] = location(start);
+        var comment = cmnt(start.line, tn.line());
+        if (comment)
+            parent.comments[name] = comment;
     }
 
     function parseOption(parent, token) {
         var custom = skip("(", true);
-        var name = next();
+        var name = next(),
+            path = [];
 
         /* istanbul ignore next */
         if (!isTypeRef(name))
@@ -441,35 +577,74 @@ function parse(source, root, options) {
             skip(")");
             name = "(" + name + ")";
             token = peek();
-            if (!isFqTypeRef(token)) {
-                name += token;
+            if (isFqTypeRef(token)) { // sub-field of a custom option, i.e. (my.option).sub
+                path = token.substring(1).split(".").map(applyCase);
                 next();
             }
         }
         skip("=");
-        parseOptionValue(parent, name);
+        setOption(parent, name, path, skip("{", true) ? readAggregate() : readValue(true));
     }
 
-    function parseOptionValue(parent, name) {
-        if (skip("{", true)) {
-            while ((token = next()) !== "}") {
+    // Reads an aggregate value in text format, after the opening brace
+    function readAggregate() {
+        var object = {};
+        while ((token = next()) !== "}") {
 
-                /* istanbul ignore next */
-                if (!isName(token))
-                    throw illegal(token, "name");
-
-                name = name + "." + token;
-                if (skip(":", true))
-                    setOption(parent, name, readValue(true));
-                else
-                    parseOptionValue(parent, name);
+            /* istanbul ignore next */
+            if (!isName(token))
+                throw illegal(token, "name", [ "<name>", "}" ]);
+
+            var name = applyCase(token),
+                value;
+            if (skip(":", true))
+                value = skip("{", true)
+                    ? readAggregate()
+                    : skip("[", true)
+                    ? readList()
+                    : readValue(true);
+            else {
+                skip("{");
+                value = readAggregate();
             }
-        } else
-            setOption(parent, name, readValue(true));
-        // Does not enforce a delimiter to be universal
+            addValue(object, name, value);
+            if (!skip(",", true))
+                skip(";", true);
+        }
+        return object;
+    }
+
+    // Reads a list of values in text format, after the opening bracket
+    function readList() {
+        var values = [];
+        if (!skip("]", true)) {
+            do {
+                values.push(skip("{", true) ? readAggregate() : readValue(true));
+            } while (skip(",", true));
+            skip("]");
+        }
+        return values;
+    }
+
+    // Sets a value, turning repeated values into an array
+    function addValue(object, name, value) {
+        if (Object.prototype.hasOwnProperty.call(object, name))
+            object[name] = [].concat(object[name], value);
+        else
+            object[name] = value;
     }
 
-    function setOption(parent, name, value) {
+    function setOption(parent, name, path, value) {
+        var current = parent.getOption ? parent.getOption(name) : parent[name];
+        if (path.length) { // merge the sub-field into the option's value
+            var object = current !== null && typeof current === "object" ? current : {},
+                ptr = object;
+            for (var i = 0; i < path.length - 1; ++i)
+                ptr = ptr[path[i]] || (ptr[path[i]] = {});
+            addValue(ptr, path[path.length - 1], value);
+            value = object;
+        } else if (current !== undefined && name.charAt(0) === "(") // repeated custom option
+            value = [].concat(current, value);
         if (parent.setOption)
             parent.setOption(name, value);
         else
@@ -488,6 +663,7 @@ function parse(source, root, options) {
     }
 
     function parseService(parent, token) {
+        var start = position();
         token = next();
 
         /* istanbul ignore next */
@@ -496,8 +672,8 @@ function parse(source, root, options) {
 
         var name = token;
         var service = new Service(name);
-        if (skip("{", true)) {
-            while ((token = next()) !== "}") {
+        if (skip("{", true))
+            parseBlock(function(token) {
                 var tokenLower = lower(token);
                 switch (tokenLower) {
                     case "option":
@@ -510,16 +686,18 @@ function parse(source, root, options) {
 
                     /* istanbul ignore next */
                     default:
-                        throw illegal(token);
+                        throw illegal(token, undefined, [ "option", "rpc", "}" ]);
                 }
-            }
-            skip(";", true);
-        } else
+            });
+        else
             skip(";");
+        locate(service, start);
+        service.comment = cmnt(start.line);
         parent.add(service);
     }
 
     function parseMethod(parent, token) {
+        var start = position();
         var type = token;
         var name = next();
 
@@ -534,20 +712,20 @@ function parse(source, root, options) {
             requestStream = true;
         /* istanbul ignore next */
         if (!isTypeRef(token = next()))
-            throw illegal(token);
+            throw illegal(token, undefined, [ "<type>" ]);
         requestType = token;
         skip(")"); skip("returns"); skip("(");
         if (skip(st, true))
             responseStream = true;
         /* istanbul ignore next */
         if (!isTypeRef(token = next()))
-            throw illegal(token);
+            throw illegal(token, undefined, [ "<type>" ]);
 
         responseType = token;
         skip(")");
         var method = new Method(name, type, requestType, responseType, requestStream, responseStream);
-        if (skip("{", true)) {
-            while ((token = next()) !== "}") {
+        if (skip("{", true))
+            parseBlock(function(token) {
                 var tokenLower = lower(token);
                 switch (tokenLower) {
                     case "option":
@@ -557,24 +735,25 @@ function parse(source, root, options) {
 
                     /* istanbul ignore next */
                     default:
-                        throw illegal(token);
+                        throw illegal(token, undefined, [ "option", "}" ]);
                 }
-            }
-            skip(";", true);
-        } else
+            });
+        else
             skip(";");
+        locate(method, start);
+        method.comment = cmnt(start.line, tn.line());
         parent.add(method);
     }
 
-    function parseExtension(parent, token) {
+    function parseExtension(parent) {
         var reference = next();
 
         /* istanbul ignore next */
         if (!isTypeRef(reference))
             throw illegal(reference, "reference");
 
-        if (skip("{", true)) {
-            while ((token = next()) !== "}") {
+        if (skip("{", true))
+            parseBlock(function(token) {
                 var tokenLower = lower(token);
                 switch (tokenLower) {
                     case "required":
@@ -585,47 +764,44 @@ function parse(source, root, options) {
                     default:
                         /* istanbul ignore next */
                         if (!isProto3 || !isTypeRef(token))
-                            throw illegal(token);
+                            throw illegal(token, undefined, isProto3 ? [ "<type>", "}" ] : [ "required", "repeated", "optional", "}" ]);
                         push(token);
                         parseField(parent, "optional", reference);
                         break;
                 }
-            }
-            skip(";", true);
-        } else
+            });
+        else
             skip(";");
     }
 
-    var token;
-    while ((token = next()) !== null) {
-        var tokenLower = lower(token);
-        switch (tokenLower) {
+    function parseTopLevel(token) {
+        switch (lower(token)) {
 
             case "package":
                 /* istanbul ignore next */
                 if (!head)
-                    throw illegal(token);
+                    throw illegal(token, undefined, declExpected);
                 parsePackage();
                 break;
 
             case "import":
                 /* istanbul ignore next */
                 if (!head)
-                    throw illegal(token);
+                    throw illegal(token, undefined, declExpected);
                 parseImport();
                 break;
 
             case "syntax":
                 /* istanbul ignore next */
                 if (!head)
-                    throw illegal(token);
+                    throw illegal(token, undefined, declExpected);
                 parseSyntax();
                 break;
 
             case "option":
                 /* istanbul ignore next */
                 if (!head)
-                    throw illegal(token);
+                    throw illegal(token, undefined, declExpected);
                 parseOption(ptr, token);
                 skip(";");
                 break;
@@ -633,20 +809,32 @@ function parse(source, root, options) {
             default:
                 if (parseCommon(ptr, token)) {
                     head = false;
-                    continue;
+                    break;
                 }
                 /* istanbul ignore next */
-                throw illegal(token);
+                throw illegal(token, undefined, head ? headExpected : declExpected);
         }
     }
 
-    parse.filename = null;
+    var token;
+    try {
+        while ((token = next()) !== null)
+            parseStatement(parseTopLevel, token);
+    } catch (err) {
+        if (err !== end)
+            throw err;
+    }
+
+    if (syntax)
+        root.fileSyntax[filename || util.packageFilename(pkg || "")] = syntax;
+
     return {
         "package"     : pkg,
         "imports"     : imports,
          weakImports  : weakImports,
          syntax       : syntax,
-         root         : root
+         root         : root,
+         errors       : errors || undefined
     };
 }
 
@@ -657,5 +845,6 @@ function parse(source, root, options) {
  * @param {string} source Source contents
  * @param {ParseOptions} [options] Parse options
  * @returns {ParserResult} Parser result
+ * @throws {ParseError} If the source is not valid
  * @variation 2
  */
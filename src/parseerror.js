@@ -0,0 +1,73 @@
+"use strict";
+module.exports = ParseError;
+
+/**
+ * Constructs a new parse error.
+ * @classdesc Error thrown when parsing a .proto source fails, describing where and why.
+ * @extends Error
+ * @constructor
+ * @param {string} reason Reason, i.e. `"illegal token 'x'"`
+ * @param {?string} filename File name, if known
+ * @param {number} line Line number, starting at 1
+ * @param {number} column Column number, starting at 1
+ * @param {?string} [token] Offending token, if any
+ * @param {string[]} [expected] Tokens expected instead, if known
+ */
+function ParseError(reason, filename, line, column, token, expected) {
+
+    /**
+     * Error name.
+     * @type {string}
+     */
+    this.name = "ParseError";
+
+    /**
+     * Error message, including the file name, if known, and the line number.
+     * @type {string}
+     */
+    this.message = reason + " (" + (filename ? filename + ", " : "") + "line " + line + ")";
+
+    /**
+     * Reason without location information.
+     * @type {string}
+     */
+    this.reason = reason;
+
+    /**
+     * File name, if known.
+     * @type {?string}
+     */
+    this.filename = filename || null;
+
+    /**
+     * Line number, starting at 1.
+     * @type {number}
+     */
+    this.line = line;
+
+    /**
+     * Column number, starting at 1.
+     * @type {number}
+     */
+    this.column = column;
+
+    /**
+     * Offending token, if any. `null` at the end of the source.
+     * @type {?string}
+     */
+    this.token = token === undefined ? null : token;
+
+    /**
+     * Tokens expected instead, if known. May contain placeholders like `<name>` for classes of tokens.
+     * @type {string[]}
+     */
+    this.expected = expected || [];
+
+    if (Error.captureStackTrace)
+        Error.captureStackTrace(this, ParseError);
+    else
+        this.stack = Error(this.message).stack;
+}
+
+ParseError.prototype = Object.create(Error.prototype);
+ParseError.prototype.constructor = ParseError;
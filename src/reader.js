@@ -65,6 +65,20 @@ var ReaderPrototype = Reader.prototype;
 
 ReaderPrototype._slice = ArrayImpl.prototype.subarray || ArrayImpl.prototype.slice;
 
+/**
+ * Whether unknown fields are skipped when decoding instead of being retained on the decoded message's `$unknown` property.
+ * Set this on the prototype to change the default for all readers.
+ * @type {boolean}
+ */
+ReaderPrototype.discardUnknown = false;
+
+/**
+ * Whether messages are decoded lazily by {@link Type#decode}, returning views that only decode strings, bytes, messages,
+ * repeated and map fields when accessed. Set this on the prototype to change the default for all readers.
+ * @type {boolean}
+ */
+ReaderPrototype.lazy = false;
+
 /**
  * Reads a varint as an unsigned 32 bit value.
  * @function
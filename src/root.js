@@ -11,7 +11,9 @@ var Field  = require("./field"),
     util   = require("./util"),
     common = require("./common");
 
-var parse; // cyclic
+var parse,      // cyclic
+    descriptor, // cyclic
+    wrappers;   // cyclic
 
 /**
  * Constructs a new root namespace instance.
@@ -34,6 +36,26 @@ function Root(options) {
      * @type {string[]}
      */
     this.files = [];
+
+    /**
+     * Declared syntax of loaded or parsed files by resolved file name, if any. Sources parsed without a file name are
+     * recorded by the name assumed for their package, see {@link util.packageFilename}.
+     * @type {Object.<string,string>}
+     */
+    this.fileSyntax = {};
+
+    /**
+     * Include-relative names of loaded files by resolved file name, that is relative to the directory of the file
+     * originally loaded, as used by file descriptors.
+     * @type {Object.<string,string>}
+     */
+    this.includeNames = {};
+
+    /**
+     * Syntax errors collected from loaded files when parsing in recover mode.
+     * @type {ParseError[]}
+     */
+    this.errors = [];
 }
 
 /**
@@ -48,6 +70,30 @@ Root.fromJSON = function fromJSON(json, root) {
     return root.setOptions(json.options).addJSON(json.nested);
 };
 
+/**
+ * Loads a file descriptor set, as emitted by `protoc --descriptor_set_out`, into a root namespace.
+ * @param {FileDescriptorSet|Reader|Uint8Array|Object} set File descriptor set, either decoded, encoded or as a plain object
+ * @param {Root} [root] Root namespace, defaults to create a new one if omitted
+ * @returns {Root} Root namespace
+ */
+Root.fromDescriptor = function fromDescriptor(set, root) {
+    if (!descriptor)
+        descriptor = require("./descriptor");
+    return descriptor.toRoot(set, root);
+};
+
+/**
+ * Encodes the contents of this root namespace as a binary file descriptor set.
+ * @param {string} [syntax="proto2"] Syntax of generated file descriptors if not known from loading the file, either `"proto2"` or `"proto3"`
+ * @returns {Uint8Array} Encoded file descriptor set
+ * @throws {Error} If any type reference cannot be resolved
+ */
+RootPrototype.toDescriptor = function toDescriptor(syntax) {
+    if (!descriptor)
+        descriptor = require("./descriptor");
+    return descriptor.encode(descriptor.fromRoot(this, syntax)).finish();
+};
+
 /**
  * Resolves the path of an imported file, relative to the importing origin.
  * This method exists so you can override it with your own logic in case your imports are scattered over multiple directories.
@@ -58,6 +104,20 @@ Root.fromJSON = function fromJSON(json, root) {
  */
 RootPrototype.resolvePath = util.path.resolve;
 
+// Sets the file name of the top level declarations of a JSON definition that do not have one yet
+function setFilename(ns, nested, filename) {
+    Object.keys(nested).forEach(function(name) {
+        var object = ns.get(name);
+        if (!object)
+            return;
+        if (object.constructor === Namespace) {
+            if (nested[name].nested)
+                setFilename(object, nested[name].nested, filename);
+        } else if (!object.filename)
+            object.filename = filename;
+    });
+}
+
 // A symbol-like function to safely signal synchronous loading
 /* istanbul ignore next */
 function SYNC() {} // eslint-disable-line no-empty-function
@@ -92,22 +152,32 @@ RootPrototype.load = function load(filename, options, callback) {
     var sync = callback === SYNC; // undocumented
 
     // Processes a single file
-    function process(filename, source) {
+    function process(filename, source, base) {
         try {
             if (util.isString(source) && source.charAt(0) === "{")
                 source = JSON.parse(source);
-            if (!util.isString(source))
+            if (!util.isString(source)) {
                 self.setOptions(source.options).addJSON(source.nested);
-            else {
+                if (source.nested)
+                    setFilename(self, source.nested, filename);
+                if (source.syntax)
+                    self.fileSyntax[filename] = source.syntax;
+                if (source.imports) // i.e. bundled definitions depending on others
+                    source.imports.forEach(function(name) {
+                        fetch(self.resolvePath(filename, name), false, base);
+                    });
+            } else {
                 parse.filename = filename;
                 var parsed = parse(source, self, options);
+                if (parsed.errors)
+                    Array.prototype.push.apply(self.errors, parsed.errors);
                 if (parsed.imports)
                     parsed.imports.forEach(function(name) {
-                        fetch(self.resolvePath(filename, name));
+                        fetch(self.resolvePath(filename, name), false, base);
                     });
                 if (parsed.weakImports)
                     parsed.weakImports.forEach(function(name) {
-                        fetch(self.resolvePath(filename, name), true);
+                        fetch(self.resolvePath(filename, name), true, base);
                     });
             }
         } catch (err) {
@@ -118,8 +188,8 @@ RootPrototype.load = function load(filename, options, callback) {
             finish(null, self);
     }
 
-    // Fetches a single file
-    function fetch(filename, weak) {
+    // Fetches a single file, named relative to the directory of the file originally loaded (base)
+    function fetch(filename, weak, base) {
 
         // Strip path if this file references a bundled definition
         var idx = filename.lastIndexOf("google/protobuf/");
@@ -133,16 +203,19 @@ RootPrototype.load = function load(filename, options, callback) {
         if (self.files.indexOf(filename) > -1)
             return;
         self.files.push(filename);
+        self.includeNames[filename] = filename in common || filename.substring(0, base.length) !== base
+            ? filename
+            : filename.substring(base.length);
 
         // Shortcut bundled definitions
         if (filename in common) {
             if (sync)
-                process(filename, common[filename]);
+                process(filename, common[filename], base);
             else {
                 ++queued;
                 setTimeout(function() {
                     --queued;
-                    process(filename, common[filename]);
+                    process(filename, common[filename], base);
                 });
             }
             return;
@@ -158,7 +231,7 @@ RootPrototype.load = function load(filename, options, callback) {
                     finish(err);
                 return;
             }
-            process(filename, source);
+            process(filename, source, base);
         } else {
             ++queued;
             util.fetch(filename, function(err, source) {
@@ -170,7 +243,7 @@ RootPrototype.load = function load(filename, options, callback) {
                         finish(err);
                     return;
                 }
-                process(filename, source);
+                process(filename, source, base);
             });
         }
     }
@@ -181,7 +254,8 @@ RootPrototype.load = function load(filename, options, callback) {
     if (util.isString(filename))
         filename = [ filename ];
     filename.forEach(function(filename) {
-        fetch(self.resolvePath("", filename));
+        filename = self.resolvePath("", filename);
+        fetch(filename, false, filename.substring(0, filename.lastIndexOf("/") + 1));
     });
 
     if (sync)
@@ -217,7 +291,7 @@ RootPrototype.load = function load(filename, options, callback) {
  * @param {string|string[]} filename Names of one or multiple files to load
  * @param {ParseOptions} [options] Parse options
  * @returns {Root} Root namespace
- * @throws {Error} If synchronous fetching is not supported (i.e. in browsers) or if a file's syntax is invalid
+ * @throws {Error} If synchronous fetching is not supported (i.e. in browsers) or if a file's syntax is invalid and not parsed in recover mode
  */
 RootPrototype.loadSync = function loadSync(filename, options) {
     return this.load(filename, options, SYNC);
@@ -263,6 +337,9 @@ RootPrototype._handleAdd = function handleAdd(object) {
     if (object instanceof Field && object.extend !== undefined && !object.extensionField && !handleExtension(object) && this.deferred.indexOf(object) < 0)
         this.deferred.push(object);
     else if (object instanceof Namespace) {
+        if (!wrappers)
+            wrappers = require("./wrappers");
+        wrappers._install(object); // if a well-known type
         var nested = object.getNestedArray();
         for (i = 0; i < nested.length; ++i) // recurse into the namespace
             this._handleAdd(nested[i]);
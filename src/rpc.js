@@ -7,3 +7,5 @@
 var rpc = exports;
 
 rpc.Service = require("./rpc/service");
+rpc.Stream  = require("./rpc/stream");
+rpc.grpcWeb = require("./rpc/grpcweb");
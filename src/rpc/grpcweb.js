@@ -0,0 +1,422 @@
+"use strict";
+module.exports = grpcWeb;
+
+var util = require("../util/runtime");
+
+/**
+ * gRPC status codes.
+ * @memberof rpc.grpcWeb
+ * @type {Object.<string,number>}
+ * @const
+ * @property {number} OK=0 Not an error
+ * @property {number} CANCELLED=1 Cancelled by the caller
+ * @property {number} UNKNOWN=2 Unknown error
+ * @property {number} INVALID_ARGUMENT=3 Invalid argument
+ * @property {number} DEADLINE_EXCEEDED=4 Deadline expired
+ * @property {number} NOT_FOUND=5 Not found
+ * @property {number} ALREADY_EXISTS=6 Already exists
+ * @property {number} PERMISSION_DENIED=7 Permission denied
+ * @property {number} RESOURCE_EXHAUSTED=8 Resource exhausted
+ * @property {number} FAILED_PRECONDITION=9 Failed precondition
+ * @property {number} ABORTED=10 Aborted
+ * @property {number} OUT_OF_RANGE=11 Out of range
+ * @property {number} UNIMPLEMENTED=12 Not implemented
+ * @property {number} INTERNAL=13 Internal error
+ * @property {number} UNAVAILABLE=14 Unavailable
+ * @property {number} DATA_LOSS=15 Data loss
+ * @property {number} UNAUTHENTICATED=16 Unauthenticated
+ */
+var Status = grpcWeb.Status = {
+    OK                  : 0,
+    CANCELLED           : 1,
+    UNKNOWN             : 2,
+    INVALID_ARGUMENT    : 3,
+    DEADLINE_EXCEEDED   : 4,
+    NOT_FOUND           : 5,
+    ALREADY_EXISTS      : 6,
+    PERMISSION_DENIED   : 7,
+    RESOURCE_EXHAUSTED  : 8,
+    FAILED_PRECONDITION : 9,
+    ABORTED             : 10,
+    OUT_OF_RANGE        : 11,
+    UNIMPLEMENTED       : 12,
+    INTERNAL            : 13,
+    UNAVAILABLE         : 14,
+    DATA_LOSS           : 15,
+    UNAUTHENTICATED     : 16
+};
+
+// Status names by code, used as the error message if the server didn't provide one
+var statusNames = [];
+Object.keys(Status).forEach(function(name) {
+    statusNames[Status[name]] = name;
+});
+
+// HTTP to gRPC status mapping for responses without a grpc-status
+var httpStatus = {
+    400: Status.INTERNAL,
+    401: Status.UNAUTHENTICATED,
+    403: Status.PERMISSION_DENIED,
+    404: Status.UNIMPLEMENTED,
+    429: Status.UNAVAILABLE,
+    502: Status.UNAVAILABLE,
+    503: Status.UNAVAILABLE,
+    504: Status.UNAVAILABLE
+};
+
+/**
+ * Options for {@link rpc.grpcWeb}.
+ * @typedef GRPCWebOptions
+ * @type {Object}
+ * @property {string} [format="binary"] Wire format, either `"binary"` (application/grpc-web+proto) or `"text"` (application/grpc-web-text, base64 encoded)
+ * @property {string} [service] Fully qualified service name, required when used with static code
+ * @property {Object.<string,string>} [headers] Additional request headers
+ * @property {function(string, Object):Promise} [fetch] Fetch implementation to use instead of the global `fetch`
+ * @property {function} [XMLHttpRequest] XMLHttpRequest constructor to use instead of fetch
+ */
+
+/**
+ * Creates an {@link RPCImpl} speaking the gRPC-web protocol.
+ *
+ * Requests are sent as HTTP POST requests to `<url>/<package.Service>/<Method>` using the binary or the text (base64) wire format, over `fetch` if available or `XMLHttpRequest` otherwise.
+ * Responses with a non-zero `grpc-status`, as well as failed requests, result in errors exposing the gRPC status `code` and the received trailers as `metadata`.
+ * Methods with streamed responses are supported. Methods with streamed requests are not, as gRPC-web does not support them.
+ * @memberof rpc
+ * @param {string} url Base URL of the gRPC-web server or proxy
+ * @param {GRPCWebOptions} [options] Options
+ * @returns {RPCImpl} RPC implementation
+ * @throws {Error} If neither a fetch nor an XMLHttpRequest implementation is available
+ */
+function grpcWeb(url, options) {
+    if (!options)
+        options = {};
+    url = url.replace(/\/$/, "");
+    var text    = options.format === "text",
+        type    = text ? "application/grpc-web-text" : "application/grpc-web+proto",
+        fetch   = options.fetch || !options.XMLHttpRequest && util.global.fetch,
+        request = fetch
+            ? fetchRequest(fetch)
+            : xhrRequest(options.XMLHttpRequest || util.global.XMLHttpRequest, text),
+        active  = []; // abort functions of pending requests
+
+    if (!fetch && !(options.XMLHttpRequest || util.global.XMLHttpRequest))
+        throw Error("fetch or XMLHttpRequest required");
+
+    return function rpcImpl(method, requestData, callback) {
+        if (!method) { // service ended
+            var aborts = active;
+            active = [];
+            for (var i = 0; i < aborts.length; ++i)
+                aborts[i]();
+            return;
+        }
+        if (method.requestStream) {
+            callback(statusError(Status.UNIMPLEMENTED, "gRPC-web does not support streamed requests"));
+            return;
+        }
+
+        var serviceName = method.parent ? method.parent.fullName.substring(1) : options.service;
+        if (!serviceName) {
+            callback(Error("service name required"));
+            return;
+        }
+
+        var body = frame(0, requestData),
+            headers = {
+                "content-type": type,
+                "accept": type,
+                "x-grpc-web": "1"
+            };
+        if (options.headers)
+            Object.keys(options.headers).forEach(function(name) {
+                headers[name] = options.headers[name];
+            });
+
+        var parser   = frameParser(text),
+            finished = false,
+            response = null,
+            trailers = null,
+            httpCode = 0,
+            getHeader;
+
+        function finish(err, responseData) {
+            if (finished)
+                return undefined;
+            finished = true;
+            var index = active.indexOf(abort);
+            if (index > -1)
+                active.splice(index, 1);
+            return callback(err, responseData);
+        }
+
+        function deliver(responseData) {
+            return finished ? undefined : callback(null, responseData);
+        }
+
+        function onHeaders(status, get) {
+            httpCode  = status;
+            getHeader = get;
+        }
+
+        function onData(chunk) {
+            if (finished)
+                return;
+            var frames;
+            try {
+                frames = parser(chunk);
+            } catch (err) {
+                finish(statusError(Status.INTERNAL, err.message));
+                cancel();
+                return;
+            }
+            for (var i = 0; i < frames.length; ++i) {
+                var f = frames[i];
+                if (f.flags & 0x80)
+                    trailers = parseTrailers(f.data);
+                else if (f.flags & 0x01) {
+                    finish(statusError(Status.UNIMPLEMENTED, "compressed frames are not supported"));
+                    cancel();
+                    return;
+                } else if (method.responseStream)
+                    deliver(f.data);
+                else
+                    response = f.data;
+            }
+        }
+
+        function onEnd(err) {
+            if (err) {
+                finish(statusError(Status.UNAVAILABLE, err.message));
+                return;
+            }
+            var metadata = trailers || {},
+                code     = metadata["grpc-status"],
+                message  = metadata["grpc-message"];
+            if (code === undefined && getHeader) { // trailers-only response
+                code    = getHeader("grpc-status");
+                message = getHeader("grpc-message");
+                if (code !== null && code !== undefined) {
+                    metadata["grpc-status"] = code;
+                    if (message)
+                        metadata["grpc-message"] = message;
+                }
+            }
+            if (code === null || code === undefined) {
+                if (httpCode === 200)
+                    finish(statusError(Status.UNKNOWN, "missing grpc-status", metadata));
+                else
+                    finish(statusError(httpStatus[httpCode] || Status.UNKNOWN, "HTTP status " + httpCode, metadata));
+            } else if ((code = Number(code)) !== Status.OK)
+                finish(statusError(code, message && decodeMessage(message), metadata));
+            else if (method.responseStream)
+                finish(null, null);
+            else if (response)
+                finish(null, response);
+            else
+                finish(statusError(Status.INTERNAL, "missing response", metadata));
+        }
+
+        var cancel = request(url + "/" + serviceName + "/" + (method.parent ? method.name : ucFirst(method.name)), headers, text ? util.base64.encode(body, 0, body.length) : body, onHeaders, onData, onEnd);
+
+        function abort() {
+            finished = true;
+            cancel();
+        }
+        active.push(abort);
+    };
+}
+
+function ucFirst(str) {
+    return str.charAt(0).toUpperCase() + str.substring(1);
+}
+
+function statusError(code, message, metadata) {
+    var err = Error(message || statusNames[code] || "grpc-status " + code);
+    err.code = code;
+    err.metadata = metadata || {};
+    return err;
+}
+
+function decodeMessage(message) {
+    try {
+        return decodeURIComponent(message);
+    } catch (e) {
+        return message;
+    }
+}
+
+function subarray(buffer, start, end) {
+    return buffer.subarray ? buffer.subarray(start, end) : buffer.slice(start, end);
+}
+
+// Wraps data into a 5-byte header frame: flags, big-endian uint32 length
+function frame(flags, data) {
+    var len = data.length,
+        buf = util.newBuffer(5 + len);
+    buf[0] = flags;
+    buf[1] = len >>> 24;
+    buf[2] = len >>> 16 & 255;
+    buf[3] = len >>> 8 & 255;
+    buf[4] = len & 255;
+    for (var i = 0; i < len; ++i)
+        buf[5 + i] = data[i];
+    return buf;
+}
+
+// Parses the HTTP/1 style headers block of a trailers frame
+function parseTrailers(data) {
+    var lines = util.utf8.read(data, 0, data.length).split(/\r?\n/),
+        trailers = {};
+    for (var i = 0; i < lines.length; ++i) {
+        var index = lines[i].indexOf(":");
+        if (index > 0)
+            trailers[lines[i].substring(0, index).trim().toLowerCase()] = lines[i].substring(index + 1).trim();
+    }
+    return trailers;
+}
+
+// Creates a parser consuming chunks of the response body and returning the complete frames
+function frameParser(text) {
+    var buffer = null,
+        pendingText = "";
+
+    function decodeText(chunk) {
+        if (typeof chunk === "string")
+            pendingText += chunk;
+        else // ASCII bytes, in slices to stay within argument limits
+            for (var i = 0; i < chunk.length; i += 8192)
+                pendingText += String.fromCharCode.apply(String, Array.prototype.slice.call(chunk, i, i + 8192));
+        var end = pendingText.length - pendingText.length % 4,
+            // the server may have encoded each frame on its own, so padding can occur mid-stream
+            segments = pendingText.substring(0, end).match(/[^=]+=*/g) || [],
+            parts = [],
+            size = 0;
+        pendingText = pendingText.substring(end);
+        for (var j = 0; j < segments.length; ++j) {
+            var part = util.newBuffer(util.base64.length(segments[j]));
+            util.base64.decode(segments[j], part, 0);
+            parts.push(part);
+            size += part.length;
+        }
+        return concat(parts, size);
+    }
+
+    return function parse(chunk) {
+        if (text)
+            chunk = decodeText(chunk);
+        else if (util.Buffer && !util.Buffer.isBuffer(chunk)) // readers expect buffers under node
+            chunk = util.Buffer.from ? util.Buffer.from(chunk.buffer, chunk.byteOffset, chunk.length) : new util.Buffer(chunk);
+        buffer = buffer && buffer.length ? concat([ buffer, chunk ], buffer.length + chunk.length) : chunk;
+        var frames = [];
+        while (buffer.length >= 5) {
+            var len = (buffer[1] << 24 | buffer[2] << 16 | buffer[3] << 8 | buffer[4]) >>> 0;
+            if (buffer.length < 5 + len)
+                break;
+            frames.push({ flags: buffer[0], data: subarray(buffer, 5, 5 + len) });
+            buffer = subarray(buffer, 5 + len, buffer.length);
+        }
+        return frames;
+    };
+}
+
+function concat(parts, size) {
+    if (parts.length === 1)
+        return parts[0];
+    var buf = util.newBuffer(size);
+    for (var i = 0, offset = 0; i < parts.length; ++i)
+        for (var j = 0; j < parts[i].length; ++j)
+            buf[offset++] = parts[i][j];
+    return buf;
+}
+
+// Performs requests using a fetch implementation, reading the body incrementally where supported
+function fetchRequest(fetch) {
+    return function request(url, headers, body, onHeaders, onData, onEnd) {
+        var AbortController = util.global.AbortController,
+            controller = AbortController ? new AbortController() : null,
+            aborted = false;
+        fetch(url, {
+            method: "POST",
+            headers: headers,
+            body: body,
+            signal: controller ? controller.signal : undefined
+        }).then(function(response) {
+            if (aborted)
+                return undefined;
+            onHeaders(response.status, function getHeader(name) {
+                return response.headers.get(name);
+            });
+            if (!response.body || !response.body.getReader)
+                return response.arrayBuffer().then(function(buffer) {
+                    if (!aborted) {
+                        onData(new Uint8Array(buffer));
+                        onEnd(null);
+                    }
+                });
+            var reader = response.body.getReader();
+            function read() {
+                return reader.read().then(function(step) {
+                    if (aborted)
+                        return undefined;
+                    if (step.done)
+                        return onEnd(null);
+                    onData(step.value);
+                    return read();
+                });
+            }
+            return read();
+        }).then(null, function(err) {
+            if (!aborted)
+                onEnd(err);
+        });
+        return function abort() {
+            aborted = true;
+            if (controller)
+                controller.abort();
+        };
+    };
+}
+
+// Performs requests using XMLHttpRequest, reading text responses incrementally
+function xhrRequest(XMLHttpRequest, text) {
+    return function request(url, headers, body, onHeaders, onData, onEnd) {
+        var xhr = new XMLHttpRequest(),
+            headersSeen = false,
+            seen = 0;
+        xhr.open("POST", url);
+        if (!text)
+            xhr.responseType = "arraybuffer";
+        Object.keys(headers).forEach(function(name) {
+            xhr.setRequestHeader(name, headers[name]);
+        });
+        xhr.onreadystatechange /* works everywhere */ = function onReadyStateChange() {
+            if (xhr.readyState < 2)
+                return;
+            if (!headersSeen) {
+                headersSeen = true;
+                onHeaders(xhr.status, function getHeader(name) {
+                    return xhr.getResponseHeader(name);
+                });
+            }
+            if (text && xhr.readyState > 2 && xhr.responseText.length > seen) {
+                var chunk = xhr.responseText.substring(seen);
+                seen += chunk.length;
+                onData(chunk);
+            }
+            if (xhr.readyState === 4) {
+                if (!xhr.status)
+                    onEnd(Error("network error"));
+                else {
+                    if (!text && xhr.response)
+                        onData(new Uint8Array(xhr.response));
+                    onEnd(null);
+                }
+            }
+        };
+        xhr.send(body);
+        return function abort() {
+            xhr.onreadystatechange = null;
+            xhr.abort();
+        };
+    };
+}
@@ -0,0 +1,440 @@
+"use strict";
+module.exports = rest;
+
+var json   = require("../json"),
+    util   = require("../util"),
+    Status = require("./grpcweb").Status;
+
+var httpVerbs = [ "get", "put", "post", "delete", "patch" ];
+
+// HTTP to gRPC status mapping as used by Google APIs, for errors without a status in their body
+var httpStatus = {
+    400: Status.INVALID_ARGUMENT,
+    401: Status.UNAUTHENTICATED,
+    403: Status.PERMISSION_DENIED,
+    404: Status.NOT_FOUND,
+    409: Status.ABORTED,
+    412: Status.FAILED_PRECONDITION,
+    429: Status.RESOURCE_EXHAUSTED,
+    499: Status.CANCELLED,
+    500: Status.INTERNAL,
+    501: Status.UNIMPLEMENTED,
+    503: Status.UNAVAILABLE,
+    504: Status.DEADLINE_EXCEEDED
+};
+
+/**
+ * A `google.api.http` rule of a method.
+ * @typedef HttpRule
+ * @type {Object}
+ * @property {string} method HTTP method, i.e. `"GET"`
+ * @property {string} path Path template, i.e. `"/v1/{name=shelves/*}"`
+ * @property {string} body Request field sent as the body, `"*"` for all fields not bound by the path or an empty string for none
+ * @property {string} responseBody Response field received as the body or an empty string for the whole response
+ */
+
+/**
+ * Options for {@link rpc.rest}.
+ * @typedef RESTOptions
+ * @type {Object}
+ * @property {Root} [root] Root to look up the methods of static code in, together with `service`
+ * @property {string} [service] Fully qualified service name, required when used with static code
+ * @property {Object.<string,string>} [headers] Additional request headers
+ * @property {boolean} [ignoreUnknown=false] Ignores unknown fields of JSON responses instead of failing
+ * @property {function(string, Object):Promise} [fetch] Fetch implementation to use instead of the global `fetch`
+ * @property {function} [XMLHttpRequest] XMLHttpRequest constructor to use instead of fetch
+ */
+
+/**
+ * Gets the HTTP rules of a method as specified by its `google.api.http` option, including additional bindings.
+ * @param {Method} method Reflected method
+ * @returns {HttpRule[]} Rules, empty if the method is not annotated
+ * @throws {Error} If a rule is invalid
+ */
+rest.rules = function rules(method) {
+    var options = method.options || {},
+        option  = options["(google.api.http)"],
+        result  = [];
+    if (option === undefined) // also accept a differently qualified name
+        Object.keys(options).forEach(function(name) {
+            if (/^\(\.?google\.api\.http\)$/.test(name))
+                option = options[name];
+        });
+    if (option === undefined)
+        return result;
+    (Array.isArray(option) ? option : [ option ]).forEach(function(value) {
+        result.push(parseRule(method, value, true));
+        var bindings = value.additional_bindings || value.additionalBindings || [];
+        (Array.isArray(bindings) ? bindings : [ bindings ]).forEach(function(binding) {
+            result.push(parseRule(method, binding, false));
+        });
+    });
+    return result;
+};
+
+function parseRule(method, value, isTopLevel) {
+    if (!util.isObject(value))
+        throw Error("invalid http rule of " + method);
+    var rule = null;
+    httpVerbs.forEach(function(verb) {
+        if (value[verb] !== undefined)
+            rule = setRule(method, rule, verb.toUpperCase(), value[verb]);
+    });
+    if (value.custom !== undefined)
+        rule = setRule(method, rule, value.custom && value.custom.kind, value.custom && value.custom.path);
+    if (!rule)
+        throw Error("http rule of " + method + " specifies no pattern");
+    if (!isTopLevel && (value.additional_bindings || value.additionalBindings))
+        throw Error("nested additional bindings of " + method);
+    rule.body         = value.body || "";
+    rule.responseBody = value.response_body || value.responseBody || "";
+    parseTemplate(rule.path); // validates
+    return rule;
+}
+
+function setRule(method, rule, verb, path) {
+    if (rule)
+        throw Error("http rule of " + method + " specifies multiple patterns");
+    if (!util.isString(verb) || !verb.length || !util.isString(path) || path.charAt(0) !== "/")
+        throw Error("invalid http pattern of " + method);
+    return { method: verb, path: path };
+}
+
+/**
+ * Parses a path template into literal and variable parts.
+ * @param {string} template Path template
+ * @returns {Array.<string|Object>} Parts, either literal strings or variables with `path` (field path) and `pattern` (regular expression)
+ * @throws {Error} If the template is invalid
+ * @ignore
+ */
+function parseTemplate(template) {
+    var parts = [],
+        re    = /\{([^}=]+)(?:=([^}]*))?\}|[^{}]+|[{}]/g,
+        match;
+    while ((match = re.exec(template)) !== null) {
+        if (match[1] !== undefined) {
+            if (!/^[a-zA-Z_]\w*(?:\.[a-zA-Z_]\w*)*$/.test(match[1]))
+                throw Error("invalid variable '" + match[0] + "' in path template " + template);
+            parts.push({
+                path    : match[1].split("."),
+                pattern : segmentsPattern(match[2] === undefined ? "*" : match[2], template),
+                multi   : /\/|\*\*/.test(match[2] || "") // keeps slashes unescaped
+            });
+        } else if (match[0] === "{" || match[0] === "}")
+            throw Error("unbalanced braces in path template " + template);
+        else
+            parts.push(match[0]);
+    }
+    return parts;
+}
+
+// Converts the segments of a variable to a regular expression matching its values
+function segmentsPattern(segments, template) {
+    return new RegExp("^" + segments.split("/").map(function(segment) {
+        if (segment === "*")
+            return "[^/]+";
+        if (segment === "**")
+            return ".+";
+        if (!segment.length || /[*{}]/.test(segment))
+            throw Error("invalid segment '" + segment + "' in path template " + template);
+        return segment.replace(/[.+?^$()[\]\\|]/g, "\\$&");
+    }).join("/") + "$");
+}
+
+// Resolves a field path of proto field names to the fields along it
+function resolvePath(rootType, path) {
+    var fields = [],
+        type   = rootType;
+    for (var i = 0; i < path.length; ++i) {
+        var field = type && (type.fields[path[i]] || type.fields[util.camelCase(path[i])]);
+        if (!field)
+            throw Error("no such field '" + path.join(".") + "' in " + rootType);
+        fields.push(field.resolve());
+        type = field.resolvedType && field.resolvedType.fields ? field.resolvedType : null;
+    }
+    return fields;
+}
+
+// Removes the value at a path of fields from a JSON object and returns it
+function takeValue(object, fields) {
+    for (var i = 0; i < fields.length - 1; ++i) {
+        object = object[json.name(fields[i])];
+        if (!util.isObject(object))
+            return undefined;
+    }
+    var name  = json.name(fields[fields.length - 1]),
+        value = object[name];
+    delete object[name];
+    return value;
+}
+
+// Percent-encodes a path value, keeping the slashes of multi segment variables
+function encodePathValue(value, multi) {
+    var encoded = encodeURIComponent(value);
+    return multi ? encoded.replace(/%2F/g, "/") : encoded;
+}
+
+// Flattens a JSON object to query parameters with dotted names
+function appendQuery(query, prefix, value) {
+    if (Array.isArray(value))
+        value.forEach(function(element) {
+            appendQuery(query, prefix, element);
+        });
+    else if (util.isObject(value))
+        Object.keys(value).forEach(function(key) {
+            appendQuery(query, prefix ? prefix + "." + key : key, value[key]);
+        });
+    else
+        query.push(encodeURIComponent(prefix) + "=" + encodeURIComponent(value));
+}
+
+/**
+ * Transcodes a request to an HTTP request according to a rule.
+ * Fields bound by the path template are substituted into the path, the body field (or all remaining fields if `*`)
+ * is sent as the JSON body and all remaining fields are sent as query parameters.
+ * @param {Method} method Reflected method
+ * @param {HttpRule} rule HTTP rule
+ * @param {Message|Object} message Request message
+ * @returns {{method: string, path: string, body: ?string}} HTTP method, path including the query string and body, if any
+ * @throws {Error} If the request cannot be transcoded
+ */
+rest.transcode = function transcode(method, rule, message) {
+    var requestType = method.resolve().resolvedRequestType,
+        object      = json.encode(requestType, message),
+        path        = "",
+        body        = null,
+        query       = [];
+
+    parseTemplate(rule.path).forEach(function(part) {
+        if (util.isString(part)) {
+            path += part;
+            return;
+        }
+        var value = takeValue(object, resolvePath(requestType, part.path));
+        if (value === undefined || value === null || value === "")
+            throw Error("missing value of path variable '" + part.path.join(".") + "'");
+        if (util.isObject(value))
+            throw Error("path variable '" + part.path.join(".") + "' must be a scalar");
+        value = encodePathValue(String(value), part.multi);
+        if (!part.pattern.test(value))
+            throw Error("value of path variable '" + part.path.join(".") + "' does not match " + rule.path);
+        path += value;
+    });
+
+    if (rule.body === "*") {
+        body = JSON.stringify(object);
+        object = {};
+    } else if (rule.body) {
+        var value = takeValue(object, resolvePath(requestType, rule.body.split(".")));
+        body = JSON.stringify(value === undefined ? {} : value);
+    }
+    appendQuery(query, "", object);
+    return {
+        method : rule.method,
+        path   : query.length ? path + "?" + query.join("&") : path,
+        body   : body
+    };
+};
+
+/**
+ * Creates an {@link RPCImpl} calling a REST gateway according to the `google.api.http` annotations of the methods.
+ *
+ * Requests are transcoded using the proto3 JSON mapping: fields bound by the path template are substituted into the path, the body
+ * field is sent as a JSON body and all remaining fields are sent as query parameters. Methods without an annotation are called as
+ * `POST <url>/<package.Service>/<Method>` with the whole request as the body.
+ * Failed requests result in errors exposing the gRPC status `code`, the HTTP `status` and the parsed error body as `details`.
+ * Streamed requests and responses are not supported.
+ * @memberof rpc
+ * @param {string} url Base URL of the REST gateway
+ * @param {RESTOptions} [options] Options
+ * @returns {RPCImpl} RPC implementation
+ * @throws {Error} If neither a fetch nor an XMLHttpRequest implementation is available
+ */
+function rest(url, options) {
+    if (!options)
+        options = {};
+    url = url.replace(/\/$/, "");
+    var fetch   = options.fetch || !options.XMLHttpRequest && util.global.fetch,
+        request = fetch
+            ? fetchRequest(fetch)
+            : xhrRequest(options.XMLHttpRequest || util.global.XMLHttpRequest),
+        active  = []; // abort functions of pending requests
+
+    if (!fetch && !(options.XMLHttpRequest || util.global.XMLHttpRequest))
+        throw Error("fetch or XMLHttpRequest required");
+
+    return function rpcImpl(method, requestData, callback) {
+        if (!method) { // service ended
+            var aborts = active;
+            active = [];
+            for (var i = 0; i < aborts.length; ++i)
+                aborts[i]();
+            return;
+        }
+
+        var rule, http, responseType;
+        try {
+            method = reflect(method, options);
+            if (method.requestStream || method.responseStream) {
+                callback(statusError(Status.UNIMPLEMENTED, "streamed requests and responses are not supported over REST"));
+                return;
+            }
+            rule = rest.rules(method)[0] || {
+                method       : "POST",
+                path         : "/" + method.parent.fullName.substring(1) + "/" + method.name,
+                body         : "*",
+                responseBody : ""
+            };
+            http = rest.transcode(method, rule, method.resolvedRequestType.decode(requestData));
+            responseType = method.resolvedResponseType;
+        } catch (err) {
+            callback(statusError(Status.INVALID_ARGUMENT, err.message));
+            return;
+        }
+
+        var headers = { "accept": "application/json" };
+        if (http.body !== null)
+            headers["content-type"] = "application/json";
+        if (options.headers)
+            Object.keys(options.headers).forEach(function(name) {
+                headers[name] = options.headers[name];
+            });
+
+        var finished = false;
+
+        function finish(err, responseData) {
+            if (finished)
+                return undefined;
+            finished = true;
+            var index = active.indexOf(abort);
+            if (index > -1)
+                active.splice(index, 1);
+            return callback(err, responseData);
+        }
+
+        var cancel = request(http.method, url + http.path, headers, http.body, function onEnd(err, status, text) {
+            if (err) {
+                finish(statusError(Status.UNAVAILABLE, err.message));
+                return;
+            }
+            var value;
+            try {
+                value = text.length ? JSON.parse(text) : {};
+            } catch (err2) {
+                value = text;
+            }
+            if (status < 200 || status > 299) {
+                finish(responseError(status, value));
+                return;
+            }
+            var responseData;
+            try {
+                if (rule.responseBody) {
+                    var wrapped = {};
+                    wrapped[json.name(resolvePath(responseType, [ rule.responseBody ])[0])] = value;
+                    value = wrapped;
+                }
+                responseData = responseType.encode(json.decode(responseType, value, { ignoreUnknown: options.ignoreUnknown })).finish();
+            } catch (err3) {
+                finish(statusError(Status.INTERNAL, err3.message));
+                return;
+            }
+            finish(null, responseData);
+        });
+
+        function abort() {
+            finished = true;
+            cancel();
+        }
+        active.push(abort);
+    };
+}
+
+// Gets the reflected method of a static method through the root and service options
+function reflect(method, options) {
+    if (method.parent)
+        return method.resolve();
+    if (!options.root || !options.service)
+        throw Error("root and service required for static code");
+    var service = options.root.lookupService(options.service),
+        name    = util.ucFirst(method.name);
+    if (!service.methods[name])
+        throw Error("no such method '" + name + "' in " + service);
+    return service.methods[name].resolve();
+}
+
+function statusError(code, message, status, details) {
+    var err = Error(message || "status " + code);
+    err.code = code;
+    err.status = status || 0;
+    err.details = details === undefined ? null : details;
+    return err;
+}
+
+// Creates an error from a failed response, either of the google.rpc.Status or the Google APIs error format
+function responseError(status, body) {
+    var error   = util.isObject(body) && util.isObject(body.error) ? body.error : body,
+        code    = httpStatus[status] === undefined ? Status.UNKNOWN : httpStatus[status],
+        message = "HTTP status " + status;
+    if (util.isObject(error)) {
+        if (util.isString(error.status) && Status[error.status] !== undefined)
+            code = Status[error.status];
+        else if (error === body && util.isInteger(error.code))
+            code = error.code;
+        if (util.isString(error.message) && error.message.length)
+            message = error.message;
+    }
+    return statusError(code, message, status, body);
+}
+
+// Performs requests using a fetch implementation
+function fetchRequest(fetch) {
+    return function request(method, url, headers, body, onEnd) {
+        var AbortController = util.global.AbortController,
+            controller = AbortController ? new AbortController() : null,
+            aborted = false;
+        fetch(url, {
+            method: method,
+            headers: headers,
+            body: body === null ? undefined : body,
+            signal: controller ? controller.signal : undefined
+        }).then(function(response) {
+            return response.text().then(function(text) {
+                if (!aborted)
+                    onEnd(null, response.status, text);
+            });
+        }).then(null, function(err) {
+            if (!aborted)
+                onEnd(err);
+        });
+        return function abort() {
+            aborted = true;
+            if (controller)
+                controller.abort();
+        };
+    };
+}
+
+// Performs requests using XMLHttpRequest
+function xhrRequest(XMLHttpRequest) {
+    return function request(method, url, headers, body, onEnd) {
+        var xhr = new XMLHttpRequest();
+        xhr.open(method, url);
+        Object.keys(headers).forEach(function(name) {
+            xhr.setRequestHeader(name, headers[name]);
+        });
+        xhr.onreadystatechange /* works everywhere */ = function onReadyStateChange() {
+            if (xhr.readyState !== 4)
+                return;
+            if (!xhr.status)
+                onEnd(Error("network error"));
+            else
+                onEnd(null, xhr.status, xhr.responseText);
+        };
+        xhr.send(body);
+        return function abort() {
+            xhr.onreadystatechange = null;
+            xhr.abort();
+        };
+    };
+}
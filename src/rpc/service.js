@@ -1,18 +1,21 @@
 "use strict";
 module.exports = Service;
 
-var util         = require("../util");
+var util         = require("../util/runtime"),
+    Stream       = require("./stream");
 var EventEmitter = util.EventEmitter;
 
 /**
  * Constructs a new RPC service instance.
- * @classdesc An RPC service as returned by {@link Service#create}.
+ * @classdesc An RPC service as returned by {@link Service#create}. Also the base class of statically generated services.
  * @memberof rpc
  * @extends util.EventEmitter
  * @constructor
  * @param {RPCImpl} rpcImpl RPC implementation
+ * @param {boolean} [requestDelimited=false] Whether requests are length-delimited
+ * @param {boolean} [responseDelimited=false] Whether responses are length-delimited
  */
-function Service(rpcImpl) {
+function Service(rpcImpl, requestDelimited, responseDelimited) {
     EventEmitter.call(this);
 
     /**
@@ -20,12 +23,138 @@ function Service(rpcImpl) {
      * @type {?RPCImpl}
      */
     this.$rpc = rpcImpl;
+
+    /**
+     * Whether requests are length-delimited.
+     * @type {boolean}
+     */
+    this.requestDelimited = Boolean(requestDelimited);
+
+    /**
+     * Whether responses are length-delimited.
+     * @type {boolean}
+     */
+    this.responseDelimited = Boolean(responseDelimited);
 }
 
 /** @alias rpc.Service.prototype */
 var ServicePrototype = Service.prototype = Object.create(EventEmitter.prototype);
 ServicePrototype.constructor = Service;
 
+var nextTick = typeof setImmediate === "function" ? setImmediate : setTimeout;
+
+/**
+ * Calls a service method through the RPC implementation.
+ *
+ * If the method's request is streamed and `request` is an array, an iterable or an async iterable, the RPC implementation is called once per request message, always with the same callback identifying the call, and finally with `null` request data to signal the end of the request stream.
+ * If the method's response is streamed and no callback is specified, responses are returned as an {@link rpc.Stream} that ends when the RPC implementation calls back with `null` response data.
+ * Otherwise, if no callback is specified, a promise for the (first) response is returned. Errors are also emitted as `error` events, so callers relying on these do not have to handle the promise's rejection.
+ * Unlike before promises were returned, calls made after the service has been ended fail with a `service ended` error instead of being ignored.
+ * @param {Method|function} method Reflected method or, in static code, the service method being called, exposing `requestStream` and `responseStream` where applicable
+ * @param {Type|function} requestType Request type or static message class
+ * @param {Type|function} responseType Response type or static message class
+ * @param {Message|Object|Array|Iterable|AsyncIterable} request Request message or plain object, or an iterable of these if the request is streamed
+ * @param {function(?Error, Message=)} [callback] Node-style callback called with the error, if any, and the response
+ * @returns {Promise<Message>|rpc.Stream|undefined} A promise or stream if `callback` has been omitted, otherwise `undefined`
+ */
+ServicePrototype.rpcCall = function rpcCall(method, requestType, responseType, request, callback) {
+    var self = this;
+    if (!callback && !method.responseStream) {
+        var promise = util.asPromise(rpcCall, self, method, requestType, responseType, request);
+        // Callers listening for error events only must not raise unhandled rejections
+        promise.then(undefined, function() {}); // eslint-disable-line no-empty-function
+        return promise;
+    }
+
+    var requests = method.requestStream && Stream.iterator(request) || null,
+        ended    = false,
+        stream   = callback ? null : new Stream(function onReturn() {
+            ended = true;
+            if (requests && typeof requests["return"] === "function") // eslint-disable-line dot-notation
+                requests["return"](); // eslint-disable-line dot-notation
+        });
+
+    function fail(err) {
+        if (ended)
+            return undefined;
+        ended = true;
+        if (!stream)
+            return callback(err);
+        stream.end(err);
+        return undefined;
+    }
+
+    function onResponse(err, responseData) {
+        if (ended)
+            return undefined;
+        if (err) {
+            self.emit("error", err, method);
+            fail(err);
+            return undefined;
+        }
+        if (responseData === null) {
+            if (stream || requests) {
+                ended = true;
+                if (stream)
+                    stream.end();
+            } else
+                self.end(/* endedByRPC */ true);
+            return undefined;
+        }
+        var response;
+        try {
+            response = self.responseDelimited ? responseType.decodeDelimited(responseData) : responseType.decode(responseData);
+        } catch (err2) {
+            self.emit("error", err2, method);
+            fail(err2);
+            return undefined;
+        }
+        self.emit("data", response, method);
+        if (!stream) {
+            if (requests)
+                ended = true;
+            return callback(null, response);
+        }
+        stream.push(response);
+        return undefined;
+    }
+
+    function send(message) {
+        if (ended || !self.$rpc)
+            return false;
+        var requestData;
+        try {
+            requestData = (self.requestDelimited ? requestType.encodeDelimited(message) : requestType.encode(message)).finish();
+        } catch (err) {
+            nextTick(function() { fail(err); });
+            return false;
+        }
+        // Calls the custom RPC implementation with the reflected method and binary request data
+        // and expects the rpc implementation to call its callback with the binary response data.
+        self.$rpc(method, requestData, onResponse);
+        return true;
+    }
+
+    // Sends the request of an iterator result or ends the request stream, returning whether to continue
+    function sendStep(step) {
+        if (step.done) {
+            if (!ended && self.$rpc)
+                self.$rpc(method, null, onResponse);
+            return false;
+        }
+        return send(step.value);
+    }
+
+    if (!self.$rpc) // already ended?
+        nextTick(function() { fail(Error("service ended")); });
+    else if (!requests)
+        send(request);
+    else
+        Stream.pump(requests, sendStep, fail);
+
+    return stream || undefined;
+};
+
 /**
  * Ends this service and emits the `end` event.
  * @param {boolean} [endedByRPC=false] Whether the service has been ended by the RPC implementation.
@@ -0,0 +1,170 @@
+"use strict";
+module.exports = Stream;
+
+var util = require("../util/runtime");
+
+var Symbol_ = util.global.Symbol;
+
+/**
+ * Constructs a new stream instance.
+ * @classdesc An asynchronously iterable stream of messages as returned by methods with streamed responses.
+ * Can be consumed with `for await (const message of stream)` where supported, or by calling {@link rpc.Stream#next|next} directly.
+ * @memberof rpc
+ * @constructor
+ * @param {function()} [onReturn] Called when the consumer stops iterating before the stream has ended
+ */
+function Stream(onReturn) {
+
+    /**
+     * Whether this stream has ended, either regularly or with an error.
+     * @type {boolean}
+     */
+    this.ended = false;
+
+    this._values  = [];
+    this._pending = []; // node-style callbacks of pending next() calls
+    this._error   = null;
+    this._onReturn = onReturn || null;
+}
+
+/** @alias rpc.Stream.prototype */
+var StreamPrototype = Stream.prototype;
+
+/**
+ * Pushes a value to this stream.
+ * @param {*} value Value to push
+ * @returns {rpc.Stream} `this`
+ */
+StreamPrototype.push = function push(value) {
+    if (!this.ended) {
+        if (this._pending.length)
+            this._pending.shift()(null, { value: value, done: false });
+        else
+            this._values.push(value);
+    }
+    return this;
+};
+
+/**
+ * Ends this stream. Values pushed before are still delivered.
+ * @param {Error} [err] Error to end the stream with, if any
+ * @returns {rpc.Stream} `this`
+ */
+StreamPrototype.end = function end(err) {
+    if (!this.ended) {
+        this.ended = true;
+        this._error = err || null;
+        var pending = this._pending;
+        this._pending = [];
+        for (var i = 0; i < pending.length; ++i)
+            if (this._error) {
+                pending[i](this._error);
+                this._error = null;
+            } else
+                pending[i](null, { value: undefined, done: true });
+    }
+    return this;
+};
+
+/**
+ * Gets the next value of this stream.
+ * @returns {Promise<{value: *, done: boolean}>} Iterator result
+ */
+StreamPrototype.next = function next() {
+    return util.asPromise(nextValue, this);
+};
+
+// Calls back with the next value of a stream as soon as available
+function nextValue(callback) {
+    /* eslint-disable no-invalid-this */
+    if (this._values.length)
+        return callback(null, { value: this._values.shift(), done: false });
+    if (this.ended) {
+        var err = this._error;
+        this._error = null;
+        return err
+            ? callback(err)
+            : callback(null, { value: undefined, done: true });
+    }
+    this._pending.push(callback);
+    return undefined;
+    /* eslint-enable no-invalid-this */
+}
+
+// Calls back with the final iterator result
+function endValue(callback) {
+    callback(null, { value: undefined, done: true });
+}
+
+/**
+ * Stops consuming this stream and discards any buffered values.
+ * @returns {Promise<{value: undefined, done: boolean}>} Final iterator result
+ */
+StreamPrototype["return"] = function return_() { // eslint-disable-line dot-notation
+    var wasEnded = this.ended;
+    this._values = [];
+    this.end();
+    if (!wasEnded && this._onReturn)
+        this._onReturn();
+    return util.asPromise(endValue);
+};
+
+if (Symbol_ && Symbol_.asyncIterator)
+    StreamPrototype[Symbol_.asyncIterator] = function asyncIterator() {
+        return this;
+    };
+
+/**
+ * Gets an iterator for the specified array, iterable or async iterable.
+ * @param {*} iterable Array, iterable or async iterable
+ * @returns {?{next: function():*}} Iterator or `null` if not iterable
+ */
+Stream.iterator = function iterator(iterable) {
+    if (Array.isArray(iterable)) {
+        var i = 0;
+        return {
+            next: function next() {
+                return i < iterable.length
+                    ? { value: iterable[i++], done: false }
+                    : { value: undefined, done: true };
+            }
+        };
+    }
+    if (iterable && Symbol_) {
+        if (Symbol_.asyncIterator && typeof iterable[Symbol_.asyncIterator] === "function")
+            return iterable[Symbol_.asyncIterator]();
+        if (typeof iterable[Symbol_.iterator] === "function" && typeof iterable !== "string")
+            return iterable[Symbol_.iterator]();
+    }
+    return null;
+};
+
+/**
+ * Consumes an iterator as returned by {@link rpc.Stream.iterator}, calling `onStep` with each iterator result until it
+ * returns `false`. Synchronous iterators are drained in a loop, only async steps continue from a callback.
+ * @param {{next: function():*}} iterator Iterator
+ * @param {function({value: *, done: boolean}):boolean} onStep Called with each iterator result, returning whether to continue
+ * @param {function(Error)} onError Called with the error if advancing the iterator or `onStep` fails
+ * @returns {undefined}
+ */
+Stream.pump = function pump(iterator, onStep, onError) {
+    var step;
+    try {
+        while (!((step = iterator.next()) && typeof step.then === "function"))
+            if (!onStep(step))
+                return;
+    } catch (err) {
+        onError(err);
+        return;
+    }
+    step.then(function(result) {
+        try {
+            if (!onStep(result))
+                return;
+        } catch (err) {
+            onError(err);
+            return;
+        }
+        pump(iterator, onStep, onError);
+    }, onError);
+};
@@ -78,6 +78,7 @@ Service.testJSON = function testJSON(json) {
  */
 Service.fromJSON = function fromJSON(name, json) {
     var service = new Service(name, json.options);
+    service.comment = json.comment || null;
     if (json.methods)
         Object.keys(json.methods).forEach(function(methodName) {
             service.add(Method.fromJSON(methodName, json.methods[methodName]));
@@ -93,7 +94,8 @@ ServicePrototype.toJSON = function toJSON() {
     return {
         options : inherited && inherited.options || undefined,
         methods : Namespace.arrayToJSON(this.getMethodsArray()) || {},
-        nested  : inherited && inherited.nested || undefined
+        nested  : inherited && inherited.nested || undefined,
+        comment : this.comment || undefined
     };
 };
 
@@ -147,10 +149,11 @@ ServicePrototype.remove = function remove(object) {
 
 /**
  * RPC implementation passed to {@link Service#create} performing a service request on network level, i.e. by utilizing http requests or websockets.
+ * When a method's requests are streamed, the implementation is called once per request message with the same callback, which identifies the call, and finally with `null` request data to signal the end of the request stream.
  * @typedef RPCImpl
  * @type {function}
  * @param {Method} method Reflected method being called
- * @param {Uint8Array} requestData Request data
+ * @param {?Uint8Array} requestData Request data or `null` to signal the end of a streamed request
  * @param {RPCCallback} callback Callback function
  * @returns {undefined}
  */
@@ -160,7 +163,7 @@ ServicePrototype.remove = function remove(object) {
  * @typedef RPCCallback
  * @type {function}
  * @param {?Error} error Error, if any, otherwise `null`
- * @param {Uint8Array} [responseData] Response data or `null` to signal end of stream, if there hasn't been an error
+ * @param {Uint8Array} [responseData] Response data or `null` to signal the end of a streamed response, if there hasn't been an error
  * @returns {undefined}
  */
 
@@ -169,49 +172,196 @@ ServicePrototype.remove = function remove(object) {
  * @param {function(Method, Uint8Array, function)} rpcImpl {@link RPCImpl|RPC implementation}
  * @param {boolean} [requestDelimited=false] Whether requests are length-delimited
  * @param {boolean} [responseDelimited=false] Whether responses are length-delimited
- * @returns {rpc.Service} Runtime RPC service. Useful where requests and/or responses are streamed.
+ * @returns {rpc.Service} Runtime RPC service. Its methods return a promise if called without a callback, or an {@link rpc.Stream} if the response is streamed.
+ * @see {@link rpc.Service#rpcCall}
  */
 ServicePrototype.create = function create(rpcImpl, requestDelimited, responseDelimited) {
-    var rpcService = new rpc.Service(rpcImpl);
+    var rpcService = new rpc.Service(rpcImpl, requestDelimited, responseDelimited);
     this.getMethodsArray().forEach(function(method) {
         rpcService[util.lcFirst(method.name)] = function callVirtual(request, /* optional */ callback) {
-            if (!rpcService.$rpc) // already ended?
-                return;
-
             /* istanbul ignore next */
             if (!request)
                 throw util._TypeError("request", "not null");
 
             method.resolve();
-            var requestData;
+            return rpcService.rpcCall(method, method.resolvedRequestType, method.resolvedResponseType, request, callback);
+        };
+    });
+    return rpcService;
+};
+
+/**
+ * Creates a server-side handler using the specified method implementations.
+ *
+ * Implementations are looked up by lower camel case or original method name and are called with the decoded request and a node-style callback.
+ * An implementation either returns the response, a promise for the response or, if the response is streamed, an array, iterable or async iterable of responses, or calls the callback instead.
+ * Streamed responses specified through the callback are ended by calling it with a `null` response, while a `null` response of a method with an unary response is sent as an empty message.
+ * If the request is streamed, the implementation is called once per call with an {@link rpc.Stream} of requests.
+ *
+ * The handler itself is an {@link RPCImpl} expecting binary request data and calling back with binary response data, which makes it usable with any transport as well as, in-process, with {@link Service#create}.
+ * @param {Object.<string,function(*, function(?Error, *=)):*>} impl Method implementations
+ * @param {boolean} [requestDelimited=false] Whether requests are length-delimited
+ * @param {boolean} [responseDelimited=false] Whether responses are length-delimited
+ * @returns {RPCImpl} Handler
+ */
+ServicePrototype.createHandler = function createHandler(impl, requestDelimited, responseDelimited) {
+    var service = this,
+        calls   = []; // calls with streamed requests, identified by their callbacks
+
+    function findMethod(method) {
+        var name = util.isString(method) ? method : method.name,
+            methods = service.getMethodsArray();
+        for (var i = 0; i < methods.length; ++i)
+            if (methods[i] === method || methods[i].name === name || util.lcFirst(methods[i].name) === name)
+                return methods[i].resolve();
+        return null;
+    }
+
+    function decode(method, requestData) {
+        return requestDelimited
+            ? method.resolvedRequestType.decodeDelimited(requestData)
+            : method.resolvedRequestType.decode(requestData);
+    }
+
+    return function handler(method, requestData, callback) {
+        var i;
+        if (!method) { // service ended client-side
+            var ended = calls;
+            calls = [];
+            for (i = 0; i < ended.length; ++i)
+                ended[i].requests.end();
+            return;
+        }
+
+        // continue an ongoing call with streamed requests
+        for (i = 0; i < calls.length; ++i)
+            if (calls[i].callback === callback) {
+                var call = calls[i];
+                if (requestData === null) {
+                    calls.splice(i, 1);
+                    call.requests.end();
+                } else {
+                    try {
+                        call.requests.push(decode(call.method, requestData));
+                    } catch (err) {
+                        calls.splice(i, 1);
+                        call.requests.end(err);
+                    }
+                }
+                return;
+            }
+
+        var reflected = findMethod(method);
+        if (!reflected) {
+            callback(Error("unknown method: " + (util.isString(method) ? method : method.name)));
+            return;
+        }
+        var fn = impl[util.lcFirst(reflected.name)] || impl[reflected.name];
+        if (typeof fn !== "function") {
+            callback(Error("unimplemented method: " + reflected.name));
+            return;
+        }
+
+        var finished = false;
+
+        // Finishes the call, forgetting it if its requests are streamed
+        function finish() {
+            finished = true;
+            for (var j = 0; j < calls.length; ++j)
+                if (calls[j].callback === callback) {
+                    calls.splice(j, 1);
+                    break;
+                }
+        }
+
+        function fail(err) {
+            if (finished)
+                return undefined;
+            finish();
+            return callback(err);
+        }
+
+        function send(response) {
+            if (finished)
+                return false;
+            if (response === null && reflected.responseStream) {
+                finish();
+                callback(null, null);
+                return false;
+            }
+            var responseData;
             try {
-                requestData = (requestDelimited ? method.resolvedRequestType.encodeDelimited(request) : method.resolvedRequestType.encode(request)).finish();
+                if (response === null || response === undefined)
+                    response = {}; // an empty response, as null response data would end the service client-side
+                responseData = (responseDelimited
+                    ? reflected.resolvedResponseType.encodeDelimited(response)
+                    : reflected.resolvedResponseType.encode(response)
+                ).finish();
             } catch (err) {
-                (typeof setImmediate === "function" ? setImmediate : setTimeout)(function() { callback(err); });
+                fail(err);
+                return false;
+            }
+            if (!reflected.responseStream)
+                finish();
+            callback(null, responseData);
+            return true;
+        }
+
+        function respond(err, response) {
+            if (err)
+                fail(err);
+            else
+                send(response);
+        }
+
+        function sendAll(responses) {
+            var iterator = rpc.Stream.iterator(responses);
+            if (!iterator) {
+                fail(TypeError("iterable expected as the response of " + reflected.name));
                 return;
             }
-            // Calls the custom RPC implementation with the reflected method and binary request data
-            // and expects the rpc implementation to call its callback with the binary response data.
-            rpcImpl(method, requestData, function(err, responseData) {
-                if (err) {
-                    rpcService.emit("error", err, method);
-                    return callback ? callback(err) : undefined;
-                }
-                if (responseData === null) {
-                    rpcService.end(/* endedByRPC */ true);
-                    return undefined;
-                }
-                var response;
-                try {
-                    response = responseDelimited ? method.resolvedResponseType.decodeDelimited(responseData) : method.resolvedResponseType.decode(responseData);
-                } catch (err2) {
-                    rpcService.emit("error", err2, method);
-                    return callback ? callback("error", err2) : undefined;
-                }
-                rpcService.emit("data", response, method);
-                return callback ? callback(null, response) : undefined;
-            });
-        };
-    });
-    return rpcService;
+            rpc.Stream.pump(iterator, function(step) {
+                if (!step.done)
+                    return send(step.value);
+                send(null);
+                return false;
+            }, fail);
+        }
+
+        var request;
+        if (reflected.requestStream) {
+            request = new rpc.Stream();
+            calls.push({ callback: callback, method: reflected, requests: request });
+            if (requestData !== null)
+                handler(method, requestData, callback);
+        } else {
+            try {
+                request = decode(reflected, requestData);
+            } catch (err) {
+                callback(err);
+                return;
+            }
+        }
+
+        var result;
+        try {
+            result = fn.call(impl, request, respond);
+        } catch (err) {
+            fail(err);
+            return;
+        }
+        if (result === undefined)
+            return; // responds through the callback
+        if (result && typeof result.then === "function")
+            result.then(function(result) {
+                if (reflected.responseStream)
+                    sendAll(result);
+                else
+                    send(result);
+            }, fail);
+        else if (reflected.responseStream)
+            sendAll(result);
+        else
+            send(result);
+    };
 };
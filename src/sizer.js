@@ -0,0 +1,148 @@
+"use strict";
+module.exports = sizer;
+
+var Enum     = require("./enum"),
+    Writer   = require("./writer"),
+    types    = require("./types"),
+    util     = require("./util");
+
+var safeProp = util.safeProp;
+
+// Byte lengths of basic types written with a fixed length
+var fixedLengths = {
+    bool     : 1,
+    fixed32  : 4,
+    sfixed32 : 4,
+    float    : 4,
+    fixed64  : 8,
+    sfixed64 : 8,
+    double   : 8
+};
+
+// Returns an expression computing the byte length of a value of the specified basic type plus an optional offset
+function lengthOf(type, ref, offset) {
+    if (fixedLengths[type] !== undefined)
+        return String((offset || 0) + fixedLengths[type]);
+    return (offset ? offset + "+" : "") + "Writer." + type + "Length(" + ref + ")";
+}
+
+// Returns the byte length of a tag
+function tagLength(id, wireType) {
+    return Writer.uint32Length(id << 3 | wireType);
+}
+
+function genSizeType(gen, field, fieldIndex, ref, alwaysRequired) {
+    if (field.resolvedType.group)
+        return gen("s+=%d+types[%d].encodedSize(%s)", tagLength(field.id, 3) + tagLength(field.id, 4), fieldIndex, ref);
+    return alwaysRequired || field.required
+      ? gen("s+=%d+Writer.uint32Length(l=types[%d].encodedSize(%s))+l", tagLength(field.id, 2), fieldIndex, ref)
+      : gen("(l=types[%d].encodedSize(%s))&&(s+=%d+Writer.uint32Length(l)+l)", fieldIndex, ref, tagLength(field.id, 2));
+}
+
+/**
+ * Generates a function computing the byte length of messages of the specified type as written by {@link Type#encode},
+ * without actually encoding them.
+ * @param {Type} mtype Message type
+ * @returns {Codegen} Codegen instance
+ */
+function sizer(mtype) {
+    /* eslint-disable no-unexpected-multiline, block-scoped-var, no-redeclare */
+    var fields = mtype.getFieldsArray();
+    var oneofs = mtype.getOneofsArray();
+    var gen = util.codegen("m")
+    ("var s=0,l,n");
+
+    // Virtual oneof properties are evaluated once, as by the encoder
+    for (var i = 0; i < oneofs.length; ++i) gen
+    ("var o%d=m%s", i, safeProp(oneofs[i].resolve().name));
+
+    for (var i = 0; i < fields.length; ++i) {
+        var field    = fields[i].resolve(),
+            type     = field.resolvedType instanceof Enum ? "uint32" : field.type,
+            wireType = types.basic[type],
+            prop     = safeProp(field.name);
+
+        // Map fields
+        if (field.map) {
+            var keyType = field.resolvedKeyType /* only valid is enum */ ? "uint32" : field.keyType;
+            gen
+    ("if(m%s&&m%s!==util.emptyObject){", prop, prop)
+        ("for(var ks=Object.keys(m%s),i=0;i<ks.length;++i){", prop)
+            ("l=%s", lengthOf(keyType, "ks[i]", 1));
+            if (wireType === undefined) gen
+            ("l+=1+Writer.uint32Length(n=types[%d].encodedSize(m%s[ks[i]]))+n", i, prop); // can't be groups
+            else gen
+            ("l+=%s", lengthOf(type, "m" + prop + "[ks[i]]", 1));
+            gen
+            ("s+=%d+Writer.uint32Length(l)+l", tagLength(field.id, 2))
+        ("}")
+    ("}");
+
+        // Repeated fields
+        } else if (field.repeated) {
+
+            // Packed repeated
+            if (field.packed && types.packed[type] !== undefined) {
+                gen
+    ("if(m%s&&m%s.length){", prop, prop);
+                if (fixedLengths[type] !== undefined) gen
+        ("l=m%s.length*%d", prop, fixedLengths[type]);
+                else gen
+        ("for(var i=0,l=0;i<m%s.length;++i)", prop)
+            ("l+=%s", lengthOf(type, "m" + prop + "[i]"));
+                gen
+        ("s+=%d+Writer.uint32Length(l)+l", tagLength(field.id, 2))
+    ("}");
+
+            // Non-packed
+            } else { gen
+
+    ("if(m%s)", prop)
+        ("for(var i=0;i<m%s.length;++i)", prop);
+                if (wireType === undefined)
+            genSizeType(gen, field, i, "m" + prop + "[i]", true);
+                else gen
+            ("s+=%s", lengthOf(type, "m" + prop + "[i]", tagLength(field.id, wireType)));
+
+            }
+
+        // Members of oneofs
+        } else if (field.partOf) {
+            gen
+    ("if(o%d===%j)", oneofs.indexOf(field.partOf), field.name);
+
+            if (wireType === undefined)
+        genSizeType(gen, field, i, "m" + prop);
+            else gen
+        ("s+=%s", lengthOf(type, "m" + prop, tagLength(field.id, wireType)));
+
+        // Non-repeated
+        } else {
+            if (!field.required) {
+
+                if (field.long) {
+                    gen
+    ("if(m%s!==undefined&&util.longNe(m%s,%d,%d))", prop, prop, field.defaultValue.low, field.defaultValue.high);
+                } else gen
+    ("if(m%s!==undefined&&m%s!==%j)", prop, prop, field.defaultValue);
+
+            }
+
+            if (wireType === undefined)
+        genSizeType(gen, field, i, "m" + prop);
+            else gen
+        ("s+=%s", lengthOf(type, "m" + prop, tagLength(field.id, wireType)));
+
+        }
+    }
+
+    // Unknown fields
+    gen
+    ("if(m.$unknown)")
+        ("for(var i=0;i<m.$unknown.length;++i)")
+            ("s+=m.$unknown[i].length");
+
+    return gen
+    ("return s");
+    /* eslint-enable no-unexpected-multiline, block-scoped-var, no-redeclare */
+}
@@ -0,0 +1,142 @@
+"use strict";
+
+/**
+ * Streaming helpers for length-delimited messages.
+ * @namespace
+ */
+var stream = exports;
+
+var util = require("./util/runtime");
+
+stream.Decoder = require("./stream/decoder");
+stream.Encoder = require("./stream/encoder");
+
+/**
+ * Creates a node Transform stream decoding length-delimited messages of the specified type from arbitrarily chunked
+ * binary input, emitting the decoded messages in object mode (node only).
+ * @param {Type|Class} type Message type or class to decode
+ * @param {DecoderOptions} [options] Decoder options
+ * @returns {stream.Transform} Transform stream
+ * @throws {Error} If node streams are not supported
+ */
+stream.createDecodeStream = function createDecodeStream(type, options) {
+    var Transform = nodeStreams().Transform,
+        decoder   = new stream.Decoder(type, options);
+    return new Transform({
+        readableObjectMode: true,
+        transform: function(chunk, encoding, callback) {
+            var messages;
+            try {
+                messages = decoder.push(chunk);
+            } catch (err) {
+                return callback(err);
+            }
+            for (var i = 0; i < messages.length; ++i)
+                this.push(messages[i]);
+            return callback();
+        },
+        flush: function(callback) {
+            try {
+                decoder.end();
+            } catch (err) {
+                return callback(err);
+            }
+            return callback();
+        }
+    });
+};
+
+/**
+ * Creates a WHATWG TransformStream decoding length-delimited messages of the specified type from arbitrarily chunked
+ * binary input, enqueuing the decoded messages.
+ * @param {Type|Class} type Message type or class to decode
+ * @param {DecoderOptions} [options] Decoder options
+ * @returns {TransformStream} Transform stream
+ * @throws {Error} If TransformStream is not supported
+ */
+stream.createDecodeTransformStream = function createDecodeTransformStream(type, options) {
+    var TransformStream = util.global.TransformStream;
+    if (!TransformStream)
+        throw Error("TransformStream not supported");
+    var decoder = new stream.Decoder(type, options);
+    return new TransformStream({
+        transform: function(chunk, controller) {
+            var messages = decoder.push(chunk);
+            for (var i = 0; i < messages.length; ++i)
+                controller.enqueue(messages[i]);
+        },
+        flush: function() {
+            decoder.end();
+        }
+    });
+};
+
+/**
+ * Creates a node Transform stream encoding the messages written to it in object mode as length-delimited messages of the
+ * specified type, emitting the binary output in chunks of a bounded size. Pipe it to a Writable to respect its
+ * backpressure (node only).
+ * @param {Type|Class} type Message type or class to encode
+ * @param {EncoderOptions} [options] Encoder options
+ * @returns {stream.Transform} Transform stream
+ * @throws {Error} If node streams are not supported
+ */
+stream.createEncodeStream = function createEncodeStream(type, options) {
+    var Transform = nodeStreams().Transform,
+        encoder   = new stream.Encoder(type, options);
+    function pushAll(readable, chunks) {
+        for (var i = 0; i < chunks.length; ++i)
+            readable.push(chunks[i]);
+    }
+    return new Transform({
+        writableObjectMode: true,
+        transform: function(message, encoding, callback) {
+            var chunks;
+            try {
+                chunks = encoder.push(message);
+            } catch (err) {
+                return callback(err);
+            }
+            pushAll(this, chunks);
+            return callback();
+        },
+        flush: function(callback) {
+            pushAll(this, encoder.end());
+            callback();
+        }
+    });
+};
+
+/**
+ * Creates a WHATWG TransformStream encoding the messages written to it as length-delimited messages of the specified
+ * type, enqueuing the binary output in chunks of a bounded size. Pipe it to a WritableStream to respect its backpressure.
+ * @param {Type|Class} type Message type or class to encode
+ * @param {EncoderOptions} [options] Encoder options
+ * @returns {TransformStream} Transform stream
+ * @throws {Error} If TransformStream is not supported
+ */
+stream.createEncodeTransformStream = function createEncodeTransformStream(type, options) {
+    var TransformStream = util.global.TransformStream;
+    if (!TransformStream)
+        throw Error("TransformStream not supported");
+    var encoder = new stream.Encoder(type, options);
+    function enqueueAll(controller, chunks) {
+        for (var i = 0; i < chunks.length; ++i)
+            controller.enqueue(chunks[i]);
+    }
+    return new TransformStream({
+        transform: function(message, controller) {
+            enqueueAll(controller, encoder.push(message));
+        },
+        flush: function(controller) {
+            enqueueAll(controller, encoder.end());
+        }
+    });
+};
+
+// Obtains node's stream module
+function nodeStreams() {
+    var streams = util.inquire("stream");
+    if (!streams)
+        throw Error("node streams not supported");
+    return streams;
+}
@@ -0,0 +1,144 @@
+"use strict";
+module.exports = Decoder;
+
+var util = require("../util/runtime");
+
+/**
+ * Decoder options.
+ * @typedef DecoderOptions
+ * @type {Object}
+ * @property {number} [maxSize=67108864] Maximum size of a single message in bytes, excluding its length prefix
+ */
+
+/**
+ * Constructs a new delimited decoder.
+ * @classdesc Push-based decoder of length-delimited messages as written by {@link Type#encodeDelimited}.
+ * Accepts arbitrarily sized chunks of input and returns the messages completed by each.
+ * @memberof stream
+ * @constructor
+ * @param {Type|Class} type Message type or class to decode
+ * @param {DecoderOptions} [options] Decoder options
+ */
+function Decoder(type, options) {
+
+    /**
+     * Message type or class to decode.
+     * @type {Type|Class}
+     */
+    this.type = type;
+
+    /**
+     * Maximum size of a single message in bytes, excluding its length prefix.
+     * @type {number}
+     */
+    this.maxSize = options && options.maxSize !== undefined ? options.maxSize : Decoder.maxSize;
+
+    this._parts  = []; // pending chunks
+    this._size   = 0;  // total length of pending chunks
+    this._length = -1; // length of the current message, if its prefix has been read
+}
+
+/**
+ * Default maximum size of a single message in bytes.
+ * @type {number}
+ */
+Decoder.maxSize = 64 * 1024 * 1024;
+
+/** @alias stream.Decoder.prototype */
+var DecoderPrototype = Decoder.prototype;
+
+/**
+ * Pushes the next chunk of input.
+ * @param {Uint8Array} chunk Chunk of input
+ * @returns {Message[]} Messages completed by this chunk, if any
+ * @throws {RangeError} If a message exceeds the maximum size or its length prefix is invalid
+ * @throws {Error} If a message cannot be decoded
+ */
+DecoderPrototype.push = function push(chunk) {
+    var messages = [];
+    if (chunk.length) {
+        this._parts.push(chunk);
+        this._size += chunk.length;
+    }
+    for (;;) {
+        if (this._length < 0) {
+            var prefix = readLength(this._parts);
+            if (!prefix)
+                break;
+            if (prefix.length > this.maxSize)
+                throw RangeError("message of " + prefix.length + " bytes exceeds the maximum of " + this.maxSize + " bytes");
+            this._take(prefix.bytes);
+            this._length = prefix.length;
+        }
+        if (this._size < this._length)
+            break;
+        var data = this._take(this._length);
+        this._length = -1;
+        messages.push(this.type.decode(data));
+    }
+    return messages;
+};
+
+/**
+ * Signals the end of input.
+ * @returns {undefined}
+ * @throws {Error} If the input ended within a message
+ */
+DecoderPrototype.end = function end() {
+    if (this._size || this._length > -1)
+        throw Error("unexpected end of input within a message");
+};
+
+// Takes the specified number of bytes from the pending chunks
+DecoderPrototype._take = function take(length) {
+    var parts = this._parts,
+        first = parts[0],
+        data;
+    this._size -= length;
+    if (!length)
+        return util.newBuffer(0);
+    if (first.length >= length) {
+        data = subarray(first, 0, length);
+        if (first.length === length)
+            parts.shift();
+        else
+            parts[0] = subarray(first, length, first.length);
+        return data;
+    }
+    data = util.newBuffer(length);
+    for (var offset = 0; offset < length;) {
+        var part = parts[0],
+            count = Math.min(part.length, length - offset);
+        if (data.set)
+            data.set(subarray(part, 0, count), offset);
+        else
+            for (var i = 0; i < count; ++i)
+                data[offset + i] = part[i];
+        offset += count;
+        if (count === part.length)
+            parts.shift();
+        else
+            parts[0] = subarray(part, count, part.length);
+    }
+    return data;
+};
+
+// Reads a varint length prefix spanning any number of chunks without consuming it
+function readLength(parts) {
+    var length = 0,
+        bytes  = 0;
+    for (var i = 0; i < parts.length; ++i)
+        for (var j = 0; j < parts[i].length; ++j) {
+            var b = parts[i][j];
+            length = (length | (b & 127) << bytes * 7) >>> 0;
+            if (++bytes === 5 && b > 15)
+                throw RangeError("invalid length prefix");
+            if (b < 128)
+                return { length: length, bytes: bytes };
+        }
+    return null;
+}
+
+function subarray(buffer, start, end) {
+    return buffer.subarray ? buffer.subarray(start, end) : buffer.slice(start, end);
+}
@@ -0,0 +1,104 @@
+"use strict";
+module.exports = Encoder;
+
+var Writer = require("../writer"),
+    util   = require("../util/runtime");
+
+var Uint8Array_subarray = typeof Uint8Array !== "undefined" && Uint8Array.prototype.subarray; // also slices buffers
+
+/**
+ * Encoder options.
+ * @typedef EncoderOptions
+ * @type {Object}
+ * @property {number} [chunkSize=65536] Size of the chunks of output in bytes
+ * @property {boolean} [deterministic=false] Whether to encode deterministically, see {@link Writer#deterministic}
+ */
+
+/**
+ * Constructs a new delimited encoder.
+ * @classdesc Push-based encoder of length-delimited messages as written by {@link Type#encodeDelimited}.
+ * Accepts messages and returns the encoded output in chunks of a bounded size once enough output has accumulated.
+ * Chunks are allocated from a buffer pool, see {@link util.pool}.
+ * @memberof stream
+ * @constructor
+ * @param {Type|Class} type Message type or class to encode
+ * @param {EncoderOptions} [options] Encoder options
+ */
+function Encoder(type, options) {
+
+    /**
+     * Message type or class to encode.
+     * @type {Type|Class}
+     */
+    this.type = type;
+
+    /**
+     * Size of the chunks of output in bytes. The last chunk of each flush may be shorter.
+     * @type {number}
+     */
+    this.chunkSize = options && options.chunkSize || Encoder.chunkSize;
+
+    this._writer = Writer.create();
+    if (options && options.deterministic)
+        this._writer.deterministic = true;
+
+    var ctor = this._writer.constructor;
+    function alloc(size) {
+        return ctor.alloc(size);
+    }
+    // output usually exceeds the chunk size by a single message when flushed, hence the larger slabs
+    this._alloc = Uint8Array_subarray
+        ? util.pool(alloc, Uint8Array_subarray, this.chunkSize * 4)
+        : alloc;
+}
+
+/**
+ * Default size of the chunks of output in bytes.
+ * @type {number}
+ */
+Encoder.chunkSize = 65536;
+
+/** @alias stream.Encoder.prototype */
+var EncoderPrototype = Encoder.prototype;
+
+/**
+ * Pushes the next message.
+ * @param {Message|Object.<string,*>} message Message or plain object to encode
+ * @returns {Uint8Array[]} Chunks of output completed by this message, if any
+ */
+EncoderPrototype.push = function push(message) {
+    this.type.encodeDelimited(message, this._writer);
+    return this._writer.len >= this.chunkSize
+        ? this._flush()
+        : [];
+};
+
+/**
+ * Signals the end of input.
+ * @returns {Uint8Array[]} Remaining chunks of output, if any
+ */
+EncoderPrototype.end = function end() {
+    return this._writer.len
+        ? this._flush()
+        : [];
+};
+
+// Writes all pending output to a pooled buffer and splits it into chunks
+EncoderPrototype._flush = function flush() {
+    var writer = this._writer,
+        buf    = this._alloc(writer.len),
+        pos    = 0;
+    for (var op = writer.head.next; op; op = op.next) { // like Writer#finish, but using the pool
+        op.fn(op.val, buf, pos);
+        pos += op.len;
+    }
+    writer.reset();
+    var chunks = [];
+    for (var start = 0; start < buf.length; start += this.chunkSize)
+        chunks.push(subarray(buf, start, Math.min(start + this.chunkSize, buf.length)));
+    return chunks;
+};
+
+function subarray(buffer, start, end) {
+    return buffer.subarray ? buffer.subarray(start, end) : buffer.slice(start, end);
+}
@@ -0,0 +1,626 @@
+"use strict";
+
+/**
+ * Protobuf text format as used by the reference implementations, i.e. in `.textproto` files.
+ * @namespace
+ */
+var text = exports;
+
+var tokenize   = require("./tokenize"),
+    ParseError = require("./parseerror"),
+    Enum       = require("./enum"),
+    equality   = require("./equality"),
+    types      = require("./types"),
+    util       = require("./util");
+
+var Type; // cyclic
+
+/**
+ * Options for {@link text.encode}.
+ * @typedef TextEncodeOptions
+ * @type {Object}
+ * @property {boolean} [singleLine=false] Prints the message on a single line instead of one field per line
+ * @property {string} [indent="  "] Indentation of nested messages when printing multiple lines
+ */
+
+/**
+ * Options for {@link text.decode}.
+ * @typedef TextDecodeOptions
+ * @type {Object}
+ * @property {string} [filename] File name for error reporting, if known
+ * @property {boolean} [ignoreUnknown=false] Skips unknown fields instead of throwing
+ */
+
+var anyTypeName = ".google.protobuf.Any";
+
+function getField(type, id) {
+    return type.getFieldsById()[id].resolve();
+}
+
+// Gets the name of a field as used in text format, which is the name declared in the .proto source
+function textName(field) {
+    if (field.declaringField)
+        return "[" + field.name.substring(1) + "]";
+    if (field.resolvedType instanceof Type && field.resolvedType.group)
+        return field.resolvedType.name;
+    return field.originalName || field.name;
+}
+
+function resolveAny(type, typeUrl) {
+    return type.getRoot().lookup("." + typeUrl.substring(typeUrl.lastIndexOf("/") + 1), Type);
+}
+
+/* Encoding */
+
+function longToString(value, unsigned) {
+    if (typeof value === "number" || util.isString(value))
+        return String(value);
+    var bits = util.LongBits.from(value);
+    return util.Long
+        ? bits.toLong(unsigned).toString()
+        : String(bits.toNumber(unsigned));
+}
+
+function numberToString(value, isFloat) {
+    if (isNaN(value))
+        return "nan";
+    if (value === Infinity)
+        return "inf";
+    if (value === -Infinity)
+        return "-inf";
+    if (isFloat && Math.fround) // shortest representation that round trips as a float
+        for (var precision = 1; precision < 9; ++precision) {
+            var str = String(Number(value.toPrecision(precision)));
+            if (Math.fround(Number(str)) === value)
+                return str;
+        }
+    return String(value);
+}
+
+function escape(c) {
+    switch (c) {
+        case 10: return "\\n";
+        case 13: return "\\r";
+        case 9: return "\\t";
+        case 34: return "\\\"";
+        case 39: return "\\'";
+        case 92: return "\\\\";
+    }
+    return "\\" + (c >> 6) + (c >> 3 & 7) + (c & 7);
+}
+
+// Escapes a string to the contents of a double quoted string, keeping printable non-ASCII characters
+function escapeString(str) {
+    return str.replace(/[\u0000-\u001f"'\\\u007f]/g, function(c) {
+        return escape(c.charCodeAt(0));
+    });
+}
+
+// Escapes binary data to the contents of a double quoted string, using octal escapes for non-printable bytes
+function escapeBytes(bytes) {
+    var sb = [];
+    for (var i = 0; i < bytes.length; ++i) {
+        var c = bytes[i];
+        sb.push(c < 32 || c > 126 || c === 34 || c === 39 || c === 92 ? escape(c) : String.fromCharCode(c));
+    }
+    return sb.join("");
+}
+
+function encodeScalar(field, value) {
+    var resolvedType = field.resolvedType;
+    if (resolvedType instanceof Enum) {
+        if (util.isString(value))
+            return value;
+        var name = resolvedType.getValuesById()[value];
+        return name === undefined ? String(value) : name;
+    }
+    switch (field.type) {
+        case "int64":
+        case "sint64":
+        case "sfixed64":
+            return longToString(value, false);
+        case "uint64":
+        case "fixed64":
+            return longToString(value, true);
+        case "double":
+            return numberToString(value, false);
+        case "float":
+            return numberToString(value, true);
+        case "string":
+            return "\"" + escapeString(value) + "\"";
+        case "bytes":
+            if (util.isString(value)) { // base64 encoded
+                var buffer = util.newBuffer(util.base64.length(value));
+                util.base64.decode(value, buffer, 0);
+                value = buffer;
+            }
+            return "\"" + escapeBytes(value) + "\"";
+    }
+    return String(value);
+}
+
+function encodeMapKey(field, key) {
+    if (field.keyType === "string")
+        return "\"" + escapeString(key) + "\"";
+    if (util.Long && /^(?:u?int|s?fixed|sint)64$/.test(field.keyType) && !/^-?\d+$/.test(key))
+        return util.longFromHash(key, field.keyType.charAt(0) === "u" || field.keyType === "fixed64").toString();
+    return key;
+}
+
+// Appends the lines of a message's fields to an array, each as an [indentation level, line] tuple
+function encodeMessage(type, message, level, out) {
+    var fields = type.getFieldsById(),
+        ids    = Object.keys(fields).sort(function(a, b) { return a - b; });
+    if (type.getFullName() === anyTypeName && encodeAny(type, message, level, out))
+        return;
+    for (var i = 0; i < ids.length; ++i) {
+        var field = fields[ids[i]].resolve(),
+            value = message[field.name];
+        if (!equality.isPresent(field, message))
+            continue;
+        var name = textName(field),
+            j;
+        if (field.map) {
+            var keys = Object.keys(value);
+            for (j = 0; j < keys.length; ++j) {
+                out.push([ level, name + " {" ]);
+                out.push([ level + 1, "key: " + encodeMapKey(field, keys[j]) ]);
+                encodeValue(field, "value", value[keys[j]], level + 1, out);
+                out.push([ level, "}" ]);
+            }
+        } else if (field.repeated)
+            for (j = 0; j < value.length; ++j)
+                encodeValue(field, name, value[j], level, out);
+        else
+            encodeValue(field, name, value, level, out);
+    }
+}
+
+function encodeValue(field, name, value, level, out) {
+    if (field.resolvedType instanceof Type) {
+        out.push([ level, name + " {" ]);
+        encodeMessage(field.resolvedType, value, level + 1, out);
+        out.push([ level, "}" ]);
+    } else
+        out.push([ level, name + ": " + encodeScalar(field, value) ]);
+}
+
+// Expands an Any whose type is known, returning `false` if it cannot be expanded
+function encodeAny(type, message, level, out) {
+    var typeUrl = message[getField(type, 1).name],
+        value   = message[getField(type, 2).name] || [],
+        valueType;
+    if (!typeUrl || !(valueType = resolveAny(type, typeUrl)))
+        return false;
+    if (util.isString(value)) {
+        var buffer = util.newBuffer(util.base64.length(value));
+        util.base64.decode(value, buffer, 0);
+        value = buffer;
+    }
+    out.push([ level, "[" + typeUrl + "] {" ]);
+    encodeMessage(valueType, valueType.decode(value), level + 1, out);
+    out.push([ level, "}" ]);
+    return true;
+}
+
+/**
+ * Converts a message of the specified type to text format.
+ * @param {Type} type Message type
+ * @param {Message|Object} message Message instance or plain object
+ * @param {TextEncodeOptions} [options] Conversion options
+ * @returns {string} Text format
+ */
+text.encode = function encode(type, message, options) {
+    if (!Type)
+        Type = require("./type");
+    if (!options)
+        options = {};
+    var lines = [];
+    encodeMessage(type, message, 0, lines);
+    if (options.singleLine)
+        return lines.map(function(line) {
+            return line[1];
+        }).join(" ");
+    var indent = options.indent === undefined ? "  " : options.indent;
+    return lines.map(function(line) {
+        var prefix = "";
+        for (var i = 0; i < line[0]; ++i)
+            prefix += indent;
+        return prefix + line[1] + "\n";
+    }).join("");
+};
+
+/* Decoding */
+
+var escapes = {
+    a: 7,
+    b: 8,
+    f: 12,
+    n: 10,
+    r: 13,
+    t: 9,
+    v: 11
+};
+
+// Unescapes the contents of a string to bytes, with characters outside of escape sequences encoded as UTF8
+function unescapeBytes(str, illegal) {
+    var bytes = [],
+        re    = /\\(?:([0-7]{1,3})|x([0-9a-fA-F]{1,2})|u([0-9a-fA-F]{4})|U([0-9a-fA-F]{8})|([abfnrtv\\'"?]))|([^\\]+)|\\/g,
+        match;
+    function pushUtf8(str) {
+        var buffer = util.newBuffer(util.utf8.length(str));
+        util.utf8.write(str, buffer, 0);
+        for (var i = 0; i < buffer.length; ++i)
+            bytes.push(buffer[i]);
+    }
+    while ((match = re.exec(str)) !== null) {
+        if (match[1] !== undefined) {
+            var code = parseInt(match[1], 8);
+            if (code > 255)
+                throw illegal("escape '\\" + match[1] + "'");
+            bytes.push(code);
+        } else if (match[2] !== undefined)
+            bytes.push(parseInt(match[2], 16));
+        else if (match[3] !== undefined || match[4] !== undefined) {
+            var point = parseInt(match[3] || match[4], 16);
+            if (point > 0x10FFFF || point >= 0xD800 && point <= 0xDFFF)
+                throw illegal("escape '" + match[0] + "'");
+            pushUtf8(String.fromCodePoint ? String.fromCodePoint(point) : String.fromCharCode(point));
+        } else if (match[5] !== undefined)
+            bytes.push(escapes[match[5]] || match[5].charCodeAt(0));
+        else if (match[6] !== undefined)
+            pushUtf8(match[6]);
+        else
+            throw illegal("escape '" + str.substr(match.index, 2) + "'");
+    }
+    return bytes;
+}
+
+var intRe   = /^(-?)(?:0[xX]([0-9a-fA-F]+)|0([0-7]*)|([1-9]\d*))$/,
+    floatRe = /^-?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?[fF]?$/;
+
+/**
+ * Decodes text format to a message of the specified type.
+ * @param {Type} type Message type
+ * @param {string} source Text format
+ * @param {TextDecodeOptions} [options] Conversion options
+ * @returns {Message} Message instance
+ * @throws {ParseError} If the text is malformed
+ */
+text.decode = function decode(type, source, options) {
+    /* eslint-disable callback-return */
+    if (!Type)
+        Type = require("./type");
+    if (!options)
+        options = {};
+    // strip # comments, which the tokenizer does not know about
+    source = String(source).replace(/("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')|#[^\n]*/g, function($0, $1) {
+        return $1 === undefined ? "" : $1;
+    });
+    var tn = tokenize(source, options.filename, true);
+
+    function illegal(subject, token, expected) {
+        return new ParseError(token === undefined ? subject : "illegal " + subject + " '" + token + "'", options.filename, tn.line(), tn.column(), token, expected);
+    }
+
+    function next() {
+        var token = tn.next();
+        if (token === null)
+            throw illegal("unexpected end of input");
+        return token;
+    }
+
+    // Skips an opening brace and returns the matching closing brace
+    function readOpen() {
+        if (tn.skip("<", true))
+            return ">";
+        tn.skip("{");
+        return "}";
+    }
+
+    function skipSeparator() {
+        if (!tn.skip(";", true))
+            tn.skip(",", true);
+    }
+
+    function readString() {
+        var bytes = [],
+            delim;
+        while ((delim = tn.peek()) === "\"" || delim === "'") {
+            tn.next();
+            Array.prototype.push.apply(bytes, unescapeBytes(next(), illegal));
+            tn.skip(delim);
+        }
+        return bytes;
+    }
+
+    function readInteger(field, unsigned, isLong) {
+        var token = next();
+        if (token === "-") // separated by whitespace
+            token += next();
+        var match = intRe.exec(token);
+        if (!match || unsigned && match[1])
+            throw illegal(field.type + " value", token);
+        var radix = match[2] !== undefined ? 16 : match[3] ? 8 : 10,
+            digits = match[2] || match[3] || match[4] || "0";
+        if (isLong && util.Long) {
+            var long = util.Long.fromString(match[1] + digits, unsigned, radix);
+            if (long.toString(radix) !== (match[1] + digits.replace(/^0+(?=.)/, "")).toLowerCase())
+                throw illegal(field.type + " value", token);
+            return long;
+        }
+        var value = parseInt(match[1] + digits, radix);
+        if (!isLong && (unsigned ? value > 4294967295 : value < -2147483648 || value > 2147483647))
+            throw illegal(field.type + " value", token);
+        return value;
+    }
+
+    function readNumber(field) {
+        var token = next();
+        if (token === "-")
+            token += next();
+        var sign = token.charAt(0) === "-" ? -1 : 1;
+        switch (token.replace(/^-/, "").toLowerCase()) {
+            case "inf":
+            case "inff":
+            case "infinity":
+            case "infinityf":
+                return sign * Infinity;
+            case "nan":
+            case "nanf":
+                return NaN;
+        }
+        var match = intRe.exec(token);
+        if (match)
+            return parseInt(match[1] + (match[2] || match[3] || match[4] || "0"), match[2] !== undefined ? 16 : match[3] ? 8 : 10);
+        if (!floatRe.test(token))
+            throw illegal(field.type + " value", token);
+        return Number(token.replace(/[fF]$/, ""));
+    }
+
+    function readScalar(field) {
+        var resolvedType = field.resolvedType,
+            token;
+        if (resolvedType instanceof Enum) {
+            token = tn.peek();
+            if (token !== null && /^[a-zA-Z_]/.test(token)) {
+                tn.next();
+                if (resolvedType.values[token] === undefined)
+                    throw illegal("enum value", token);
+                return resolvedType.values[token];
+            }
+            return readInteger(field, false, false);
+        }
+        switch (field.type) {
+            case "double":
+            case "float":
+                return readNumber(field);
+            case "int32":
+            case "sint32":
+            case "sfixed32":
+                return readInteger(field, false, false);
+            case "uint32":
+            case "fixed32":
+                return readInteger(field, true, false);
+            case "int64":
+            case "sint64":
+            case "sfixed64":
+                return readInteger(field, false, true);
+            case "uint64":
+            case "fixed64":
+                return readInteger(field, true, true);
+            case "bool":
+                switch (token = next()) {
+                    case "true": case "True": case "t": case "1":
+                        return true;
+                    case "false": case "False": case "f": case "0":
+                        return false;
+                }
+                throw illegal("bool value", token);
+            case "string":
+            case "bytes":
+                token = tn.peek();
+                if (token !== "\"" && token !== "'")
+                    throw illegal(field.type + " value", token, [ "<string>" ]);
+                var bytes = readString();
+                if (field.type === "string")
+                    return util.utf8.read(bytes, 0, bytes.length);
+                var buffer = util.newBuffer(bytes.length);
+                for (var i = 0; i < bytes.length; ++i)
+                    buffer[i] = bytes[i];
+                return buffer;
+        }
+        /* istanbul ignore next */
+        throw illegal("type", field.type);
+    }
+
+    // Reads a message value, including its braces
+    function readMessage(type) {
+        var close   = readOpen(),
+            message = readFields(type, close);
+        tn.skip(close);
+        return message;
+    }
+
+    // Reads a value or, if repeated, a value or a list of values
+    function readValues(field, read) {
+        if (!field.repeated || !tn.skip("[", true))
+            return [ read() ];
+        var values = [];
+        if (!tn.skip("]", true))
+            do {
+                values.push(read());
+            } while (tn.skip(",", true));
+        tn.skip("]");
+        return values;
+    }
+
+    function readFields(type, close) {
+        var fields  = type.getFieldsArray(),
+            byName  = {},
+            message = type.create(),
+            seen    = {},
+            field,
+            i;
+        for (i = 0; i < fields.length; ++i) {
+            field = fields[i].resolve();
+            byName[textName(field)] = byName[field.name] = field;
+            if (!field.declaringField)
+                byName[util.underScore(field.name)] = field;
+        }
+        for (;;) {
+            var token = tn.peek();
+            if (token === close || token === null && close === null)
+                return message;
+            token = next();
+            var name = token;
+            if (token === "[") { // extension or Any
+                name = "";
+                while ((token = next()) !== "]")
+                    name += token;
+                if (name.indexOf("/") > -1) {
+                    if (type.getFullName() !== anyTypeName)
+                        throw illegal("expanded Any in " + type.getFullName().substring(1), name);
+                    if (Object.keys(seen).length)
+                        throw illegal("multiple values for Any", name);
+                    var valueType = resolveAny(type, name);
+                    if (!valueType)
+                        throw illegal("type", name);
+                    tn.skip(":", true);
+                    message[getField(type, 1).name] = name;
+                    message[getField(type, 2).name] = valueType.encode(readMessage(valueType)).finish();
+                    seen.any = true;
+                    skipSeparator();
+                    continue;
+                }
+                field = type.fields["." + name.replace(/^\./, "")];
+                name = "[" + name + "]";
+            } else {
+                if (!/^[a-zA-Z_]\w*$/.test(token))
+                    throw illegal("token", token);
+                field = byName[token];
+            }
+            if (!field) {
+                if (!options.ignoreUnknown)
+                    throw illegal("unknown field '" + name + "' in " + type.getFullName().substring(1), undefined);
+                skipValue();
+                continue;
+            }
+            if (seen[field.name] && !field.repeated && !field.map)
+                throw illegal("field '" + name + "' specified multiple times", undefined);
+            if (field.partOf && seen[field.partOf.name])
+                throw illegal("multiple values for oneof " + field.partOf.name, undefined);
+            seen[field.name] = true;
+            if (field.partOf)
+                seen[field.partOf.name] = true;
+            readField(message, field);
+            skipSeparator();
+        }
+    }
+
+    function readField(message, field) {
+        var resolvedType = field.resolvedType,
+            values;
+        if (field.map) {
+            tn.skip(":", true);
+            var map = message[field.name] && Object.keys(message[field.name]).length ? message[field.name] : message[field.name] = {};
+            readValues(field, function() {
+                return readEntry(field);
+            }).forEach(function(entry) {
+                map[entry[0]] = entry[1];
+            });
+            return;
+        }
+        if (resolvedType instanceof Type) {
+            tn.skip(":", true);
+            values = readValues(field, function() {
+                return readMessage(resolvedType);
+            });
+        } else {
+            tn.skip(":");
+            values = readValues(field, function() {
+                return readScalar(field);
+            });
+        }
+        if (field.repeated)
+            message[field.name] = (message[field.name] && message[field.name].length ? message[field.name] : []).concat(values);
+        else
+            message[field.name] = values[0];
+    }
+
+    // Reads a map entry as a key, value tuple
+    function readEntry(field) {
+        var close = readOpen(),
+            keyField = { type: field.keyType, resolvedType: null },
+            key,
+            value;
+        while (!tn.skip(close, true)) {
+            var name = next();
+            if (name === "key") {
+                tn.skip(":");
+                key = readScalar(keyField);
+            } else if (name === "value") {
+                if (field.resolvedType instanceof Type) {
+                    tn.skip(":", true);
+                    value = readMessage(field.resolvedType);
+                } else {
+                    tn.skip(":");
+                    value = readScalar(field);
+                }
+            } else
+                throw illegal("map entry field", name);
+            skipSeparator();
+        }
+        if (key === undefined)
+            key = field.keyType === "string" ? "" : field.keyType === "bool" ? false : 0;
+        if (value === undefined)
+            value = field.resolvedType instanceof Type
+                ? field.resolvedType.create()
+                : field.resolvedType ? 0 : types.defaults[field.type];
+        return [ util.isObject(key) ? key.toString() : String(key), value ];
+    }
+
+    // Skips the value of an unknown field
+    function skipValue() {
+        if (tn.skip(":", true)) {
+            var token = tn.peek();
+            if (token !== "{" && token !== "<") {
+                if (tn.skip("[", true)) {
+                    if (!tn.skip("]", true))
+                        do {
+                            skipScalarOrMessage();
+                        } while (tn.skip(",", true));
+                    tn.skip("]");
+                } else
+                    skipScalarOrMessage();
+                skipSeparator();
+                return;
+            }
+        }
+        skipScalarOrMessage();
+        skipSeparator();
+    }
+
+    function skipScalarOrMessage() {
+        var depth = 0,
+            token;
+        do {
+            token = next();
+            if (token === "\"" || token === "'") {
+                tn.push(token);
+                readString();
+            } else if (token === "{" || token === "<")
+                ++depth;
+            else if (token === "}" || token === ">")
+                --depth;
+            else if (token === "-")
+                next();
+        } while (depth);
+    }
+
+    var message = readFields(type, null);
+    if (tn.peek() !== null)
+        throw illegal("token", tn.peek());
+    return message;
+    /* eslint-enable callback-return */
+};
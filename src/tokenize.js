@@ -1,6 +1,8 @@
 "use strict";
 module.exports = tokenize;
 
+var ParseError = require("./parseerror");
+
 var delimRe        = /[\s{}=;:[\],'"()<>]/g,
     stringDoubleRe = /(?:"([^"\\]*(?:\\.[^"\\]*)*)")/g,
     stringSingleRe = /(?:'([^'\\]*(?:\\.[^'\\]*)*)')/g;
@@ -22,7 +24,10 @@ function unescape(str) {
 /**
  * Handle object returned from {@link tokenize}.
  * @typedef {Object} TokenizerHandle
- * @property {function():number} line Gets the current line number
+ * @property {function():number} line Gets the line number of the last token read
+ * @property {function():number} column Gets the column number of the last token read
+ * @property {function():number} endColumn Gets the column number just past the last token read
+ * @property {function(number, number=):?string} comment Gets the comment documenting a declaration starting at the specified line, that is the comment directly preceding it or, if there is none, the comment trailing it on the specified trailing line
  * @property {function():?string} next Gets the next token and advances (`null` on eof)
  * @property {function():?string} peek Peeks for the next token (`null` on eof)
  * @property {function(string)} push Pushes a token back to the stack
@@ -33,29 +38,45 @@ function unescape(str) {
 /**
  * Tokenizes the given .proto source and returns an object with useful utility functions.
  * @param {string} source Source contents
+ * @param {string} [filename] File name for error reporting, if known
+ * @param {boolean} [rawStrings=false] Whether to return the contents of strings with their escape sequences intact
  * @returns {TokenizerHandle} Tokenizer handle
  */
-function tokenize(source) {
+function tokenize(source, filename, rawStrings) {
     /* eslint-disable callback-return */
     source = source.toString();
-    
+
     var offset = 0,
         length = source.length,
-        line = 1;
-    
-    var stack = [];
+        line = 1,
+        lineStart = 0; // offset of the current line
+
+    var tokenLine = 0, // position of the last token read
+        tokenColumn = 0,
+        tokenEnd = 0;
+
+    var stack = [],
+        stackPositions = [];
 
     var stringDelim = null;
 
+    var leading  = {}, // leading comments by line of the following token
+        trailing = {}, // trailing comments by line
+        pending  = null; // last comment not yet attached to a token
+
     /* istanbul ignore next */
     /**
      * Creates an error for illegal syntax.
      * @param {string} subject Subject
-     * @returns {Error} Error created
+     * @param {number} atLine Line number
+     * @param {number} atColumn Column number
+     * @param {?string} [token] Offending token
+     * @param {string[]} [expected] Expected tokens
+     * @returns {ParseError} Error created
      * @inner
      */
-    function illegal(subject) {
-        return Error("illegal " + subject + " (line " + line + ")");
+    function illegal(subject, atLine, atColumn, token, expected) {
+        return new ParseError("illegal " + subject, filename, atLine, atColumn, token, expected);
     }
 
     /**
@@ -68,11 +89,37 @@ function tokenize(source) {
         re.lastIndex = offset - 1;
         var match = re.exec(source);
         if (!match)
-            throw illegal("string");
+            throw illegal("string", tokenLine, tokenColumn, stringDelim);
         offset = re.lastIndex;
         push(stringDelim);
         stringDelim = null;
-        return unescape(match[1]);
+        return rawStrings ? match[1] : unescape(match[1]);
+    }
+
+    /**
+     * Records a comment, stripping comment markers and decorating asterisks.
+     * @param {number} start Start offset, after the opening marker
+     * @param {number} end End offset, before the closing marker, if any
+     * @param {number} startLine Line the comment starts on
+     * @param {boolean} isBlock Whether this is a block comment
+     * @returns {undefined}
+     * @inner
+     */
+    function setComment(start, end, startLine, isBlock) {
+        var lines = source.substring(start, Math.max(start, end)).split(/\r?\n/);
+        for (var i = 0; i < lines.length; ++i)
+            lines[i] = isBlock
+                ? lines[i].replace(/^\s*\*?\s?/, "").replace(/\s+$/, "")
+                : lines[i].replace(/^\/?\s?/, "").replace(/\s+$/, "");
+        var text = lines.join("\n").replace(/^\n+|\n+$/g, "");
+        if (startLine === tokenLine && tokenLine) { // trailing a token on the same line
+            if (trailing[startLine] === undefined)
+                trailing[startLine] = text;
+            pending = null;
+        } else if (pending && !isBlock && !pending.isBlock && pending.line === startLine - 1) // continued line comment
+            pending = { text: pending.text + "\n" + text, line: startLine, isBlock: false };
+        else
+            pending = { text: text, line: line, isBlock: isBlock };
     }
 
     /**
@@ -91,42 +138,59 @@ function tokenize(source) {
      * @inner
      */
     function next() {
-        if (stack.length > 0)
+        if (stack.length > 0) {
+            var position = stackPositions.shift();
+            tokenLine   = position[0];
+            tokenColumn = position[1];
+            tokenEnd    = position[2];
             return stack.shift();
+        }
         if (stringDelim)
             return readString();
         var repeat,
             prev,
-            curr;
+            curr,
+            start,
+            startLine;
         do {
             if (offset === length)
                 return null;
             repeat = false;
             while (/\s/.test(curr = charAt(offset))) {
-                if (curr === "\n")
+                if (curr === "\n") {
                     ++line;
+                    lineStart = offset + 1;
+                }
                 if (++offset === length)
                     return null;
             }
             if (charAt(offset) === "/") {
                 if (++offset === length)
-                    throw illegal("comment");
+                    throw illegal("comment", line, offset - lineStart, "/");
                 if (charAt(offset) === "/") { // Line
+                    start = offset + 1;
                     while (charAt(++offset) !== "\n")
                         if (offset === length)
                             return null;
+                    setComment(start, offset, line, false);
                     ++offset;
                     ++line;
+                    lineStart = offset;
                     repeat = true;
                 } else if ((curr = charAt(offset)) === "*") { /* Block */
+                    start = offset + 1;
+                    startLine = line;
                     do {
-                        if (curr === "\n")
+                        if (curr === "\n") {
                             ++line;
+                            lineStart = offset + 1;
+                        }
                         if (++offset === length)
                             return null;
                         prev = curr;
                         curr = charAt(offset);
                     } while (prev !== "*" || curr !== "/");
+                    setComment(charAt(start) === "*" ? start + 1 : start, offset - 1, startLine, true);
                     ++offset;
                     repeat = true;
                 } else
@@ -136,12 +200,18 @@ function tokenize(source) {
 
         if (offset === length)
             return null;
+        if (pending && pending.line >= line - 1 && leading[line] === undefined)
+            leading[line] = pending.text;
+        pending = null;
         var end = offset;
         delimRe.lastIndex = 0;
         var delim = delimRe.test(charAt(end++));
         if (!delim)
             while (end < length && !delimRe.test(charAt(end)))
                 ++end;
+        tokenLine   = line;
+        tokenColumn = offset - lineStart + 1;
+        tokenEnd    = end - lineStart + 1;
         var token = source.substring(offset, offset = end);
         if (token === "\"" || token === "'")
             stringDelim = token;
@@ -156,19 +226,25 @@ function tokenize(source) {
      */
     function push(token) {
         stack.push(token);
+        stackPositions.push([ tokenLine, tokenColumn, tokenEnd ]);
     }
 
     /**
-     * Peeks for the next token.
+     * Peeks for the next token. Does not change the position of the last token read.
      * @returns {?string} Token or `null` on eof
      * @inner
      */
     function peek() {
         if (!stack.length) {
-            var token = next();
+            var position = [ tokenLine, tokenColumn, tokenEnd ],
+                token = next();
+            if (token !== null)
+                push(token);
+            tokenLine   = position[0];
+            tokenColumn = position[1];
+            tokenEnd    = position[2];
             if (token === null)
                 return null;
-            push(token);
         }
         return stack[0];
     }
@@ -188,13 +264,33 @@ function tokenize(source) {
             next();
             return true;
         }
-        if (!optional)
-            throw illegal("token '" + actual + "', '" + expected + "' expected");
+        if (!optional) {
+            var position = stackPositions.length ? stackPositions[0] : [ line, offset - lineStart + 1 ];
+            throw illegal("token '" + actual + "', '" + expected + "' expected", position[0], position[1], actual, [ expected ]);
+        }
         return false;
     }
 
+    /**
+     * Gets the comment documenting a declaration.
+     * @param {number} startLine Line the declaration starts on
+     * @param {number} [trailingLine] Line the declaration ends on, defaults to `startLine`
+     * @returns {?string} Comment or `null` if there is none
+     * @inner
+     */
+    function comment(startLine, trailingLine) {
+        if (leading[startLine] !== undefined)
+            return leading[startLine];
+        peek(); // reads past trailing comments
+        var text = trailing[trailingLine === undefined ? startLine : trailingLine];
+        return text === undefined ? null : text;
+    }
+
     return {
-        line: function() { return line; },
+        line: function() { return tokenLine; },
+        column: function() { return tokenColumn; },
+        endColumn: function() { return tokenEnd; },
+        comment: comment,
         next: next,
         peek: peek,
         push: push,
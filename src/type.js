@@ -19,9 +19,17 @@ var Enum      = require("./enum"),
     Writer    = require("./writer"),
     util      = require("./util");
 
-var encoder,  // might become cyclic
-    decoder,  // might become cyclic
-    verifier; // cyclic
+var encoder,   // might become cyclic
+    sizer,     // might become cyclic
+    decoder,   // might become cyclic
+    verifier,  // cyclic
+    converter, // cyclic
+    equality,  // cyclic
+    lazy,      // cyclic
+    wrappers,  // cyclic
+    json,      // cyclic
+    text,      // cyclic
+    merge;     // cyclic
 
 /**
  * Constructs a new reflected message type instance.
@@ -53,8 +61,8 @@ function Type(name, options) {
     this.extensions = undefined; // toJSON
 
     /**
-     * Reserved ranges, if any.
-     * @type {number[][]}
+     * Reserved ranges and names, if any.
+     * @type {Array.<number[]|string>}
      */
     this.reserved = undefined; // toJSON
 
@@ -98,6 +106,14 @@ function Type(name, options) {
      * @private
      */
     this._ctor = null;
+
+    /**
+     * Cached wrappers of well-known types by field name, or `null` if a field is not of such a type.
+     * `false` if no field can be of such a type.
+     * @type {?Object.<string,?Wrapper>|boolean}
+     * @private
+     */
+    this._wrappers = null;
 }
 
 util.props(TypePrototype, {
@@ -182,10 +198,16 @@ util.props(TypePrototype, {
 });
 
 function clearCache(type) {
-    type._fieldsById = type._fieldsArray = type._oneofsArray = type._ctor = null;
+    type._fieldsById = type._fieldsArray = type._oneofsArray = type._ctor = type._wrappers = null;
     delete type.encode;
+    delete type.encodedSize;
     delete type.decode;
+    delete type._decodeLazy;
     delete type.verify;
+    delete type.fromObject;
+    delete type.toObject;
+    delete type.equals;
+    delete type.hash;
     return type;
 }
 
@@ -208,6 +230,7 @@ var nestedTypes = [ Enum, Type, Field, Service ];
  */
 Type.fromJSON = function fromJSON(name, json) {
     var type = new Type(name, json.options);
+    type.comment = json.comment || null;
     type.extensions = json.extensions;
     type.reserved = json.reserved;
     if (json.fields)
@@ -250,7 +273,8 @@ TypePrototype.toJSON = function toJSON() {
         extensions : this.extensions && this.extensions.length ? this.extensions : undefined,
         reserved   : this.reserved && this.reserved.length ? this.reserved : undefined,
         group      : this.group || undefined,
-        nested     : inherited && inherited.nested || undefined
+        nested     : inherited && inherited.nested || undefined,
+        comment    : this.comment || undefined
     };
 };
 
@@ -264,7 +288,7 @@ TypePrototype.resolveAll = function resolveAll() {
     var oneofs = this.getOneofsArray(); i = 0;
     while (i < oneofs.length)
         oneofs[i++].resolve();
-    return NamespacePrototype.resolve.call(this);
+    return NamespacePrototype.resolveAll.call(this);
 };
 
 /**
@@ -290,6 +314,12 @@ TypePrototype.add = function add(object) {
         // type instead.
         if (this.getFieldsById()[object.id])
             throw Error("duplicate id " + object.id + " in " + this);
+        if (this.isReservedId(object.id))
+            throw Error("id " + object.id + " is reserved in " + this);
+        if (this.isReservedName(object.originalName || object.name))
+            throw Error("name '" + (object.originalName || object.name) + "' is reserved in " + this);
+        if (object.declaringField && !inRanges(this.extensions, object.id))
+            throw Error("extension id " + object.id + " of " + object.declaringField + " is not within the extension ranges of " + this);
         if (object.parent)
             object.parent.remove(object);
         this.fields[object.name] = object;
@@ -307,6 +337,40 @@ TypePrototype.add = function add(object) {
     return NamespacePrototype.add.call(this, object);
 };
 
+/**
+ * Tests if the specified id is within any of the specified ranges.
+ * @param {Array.<number[]|string>|undefined} ranges Ranges
+ * @param {number} id Id to test
+ * @returns {boolean} `true` if within any range
+ * @inner
+ * @ignore
+ */
+function inRanges(ranges, id) {
+    if (ranges)
+        for (var i = 0; i < ranges.length; ++i)
+            if (typeof ranges[i] !== "string" && ranges[i][0] <= id && ranges[i][1] >= id)
+                return true;
+    return false;
+}
+
+/**
+ * Tests if the specified id is reserved.
+ * @param {number} id Id to test
+ * @returns {boolean} `true` if reserved, otherwise `false`
+ */
+TypePrototype.isReservedId = function isReservedId(id) {
+    return inRanges(this.reserved, id);
+};
+
+/**
+ * Tests if the specified field name is reserved. Reserved names are as declared in the .proto source, see {@link Field#originalName}.
+ * @param {string} name Name to test
+ * @returns {boolean} `true` if reserved, otherwise `false`
+ */
+TypePrototype.isReservedName = function isReservedName(name) {
+    return Boolean(this.reserved) && this.reserved.indexOf(name) > -1;
+};
+
 /**
  * Removes a nested object from this type.
  * @param {ReflectionObject} object Nested object to remove
@@ -328,15 +392,76 @@ TypePrototype.remove = function remove(object) {
 
 /**
  * Creates a new message of this type using the specified properties.
+ *
+ * Native values of well-known types are converted to messages, both if this is a well-known type and for the values
+ * of fields of such types, i.e. dates for timestamps, numbers of milliseconds for durations or plain JSON for structs.
+ * See {@link wrappers}.
  * @param {Object|*} [properties] Properties to set
  * @returns {Message} Runtime message
  */
 TypePrototype.create = function create(properties) {
+    if (!wrappers)
+        wrappers = require("./wrappers");
+    if (!util.isObject(properties) || Array.isArray(properties) || properties instanceof Date || properties instanceof Message && properties.$type !== this) {
+        var wrapped = wrappers._wrap(this, properties);
+        if (wrapped !== properties)
+            return wrapped;
+    } else
+        properties = wrapFields(this, properties);
     return new (this.getCtor())(properties);
 };
 
+// Tests if any field might be of a well-known type, judging by the simple names of their types
+function mayWrap(type) {
+    var names = Object.keys(wrappers).map(function(key) { return key.substring(key.lastIndexOf(".") + 1); });
+    return type.getFieldsArray().some(function(field) {
+        return names.indexOf(field.type.substring(field.type.lastIndexOf(".") + 1)) > -1;
+    });
+}
+
+// Converts the native values of fields of well-known types, copying the properties if necessary
+function wrapFields(type, properties) {
+    if (type._wrappers === null)
+        type._wrappers = mayWrap(type) ? {} : false;
+    var cache = type._wrappers,
+        copy  = null;
+    if (!cache)
+        return properties;
+    for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i) {
+        var name  = keys[i],
+            value = properties[name];
+        if (value === undefined || value === null)
+            continue;
+        var wrapper = cache[name];
+        if (wrapper === undefined) {
+            var field = type.fields[name];
+            wrapper = cache[name] = field && field.resolve().resolvedType && wrappers[field.resolvedType.getFullName()] || null;
+        }
+        if (!wrapper)
+            continue;
+        var wrapped = wrapValues(type.fields[name], value);
+        if (wrapped !== value)
+            (copy || (copy = util.merge({}, properties)))[name] = wrapped;
+    }
+    return copy || properties;
+}
+
+// Converts the native value(s) of a field of a well-known type, returning the value as is if there is nothing to convert
+function wrapValues(field, value) {
+    if (!field.repeated && !field.map)
+        return wrappers._wrap(field.resolvedType, value);
+    var keys    = Object.keys(value),
+        wrapped = field.map ? {} : new Array(keys.length),
+        changed = false;
+    for (var i = 0; i < keys.length; ++i)
+        if ((wrapped[keys[i]] = wrappers._wrap(field.resolvedType, value[keys[i]])) !== value[keys[i]])
+            changed = true;
+    return changed ? wrapped : value;
+}
+
 /**
- * Sets up {@link Type#encode|encode}, {@link Type#decode|decode} and {@link Type#verify|verify}.
+ * Sets up {@link Type#encode|encode}, {@link Type#decode|decode} and {@link Type#verify|verify}. Other generated
+ * functions are set up on first use.
  * @returns {Type} `this`
  */
 TypePrototype.setup = function setup() {
@@ -352,7 +477,7 @@ TypePrototype.setup = function setup() {
         types  : this.getFieldsArray().map(function(fld) { return fld.resolvedType; }),
         util   : util
     });
-    this.decode = decoder(this).eof(this.getFullName() + "$decode", {
+    this.decode = decoder(this, true).eof(this.getFullName() + "$decode", {
         Reader : Reader,
         types  : this.getFieldsArray().map(function(fld) { return fld.resolvedType; }),
         util   : util
@@ -374,6 +499,22 @@ TypePrototype.encode = function encode_setup(message, writer) {
     return this.setup().encode(message, writer); // overrides this method
 };
 
+/**
+ * Computes the byte length of a message of this type as written by {@link Type#encode}, without encoding it.
+ * @param {Message|Object} message Message instance or plain object
+ * @returns {number} Byte length
+ */
+TypePrototype.encodedSize = function encodedSize_setup(message) {
+    if (!sizer)
+        sizer = require("./sizer");
+    this.encodedSize = sizer(this).eof(this.getFullName() + "$encodedSize", {
+        Writer : Writer,
+        types  : this.getFieldsArray().map(function(fld) { return fld.resolvedType; }),
+        util   : util
+    });
+    return this.encodedSize(message); // overrides this method
+};
+
 /**
  * Encodes a message of this type preceeded by its byte length as a varint.
  * @param {Message|Object} message Message instance or plain object
@@ -385,7 +526,7 @@ TypePrototype.encodeDelimited = function encodeDelimited(message, writer) {
 };
 
 /**
- * Decodes a message of this type.
+ * Decodes a message of this type. Decodes lazily if the reader's {@link Reader#lazy|lazy} flag is set.
  * @param {Reader|Uint8Array} readerOrBuffer Reader or buffer to decode from
  * @param {number} [length] Length of the message, if known beforehand
  * @returns {Message} Decoded message
@@ -394,6 +535,21 @@ TypePrototype.decode = function decode_setup(readerOrBuffer, length) {
     return this.setup().decode(readerOrBuffer, length); // overrides this method
 };
 
+/**
+ * Decodes a message of this type lazily, as called by {@link Type#decode} if the reader's {@link Reader#lazy|lazy} flag
+ * is set.
+ * @param {Reader} reader Reader to decode from
+ * @param {number} [length] Length of the message, if known beforehand
+ * @returns {Message} Decoded message
+ * @private
+ */
+TypePrototype._decodeLazy = function decodeLazy_setup(reader, length) {
+    if (!lazy)
+        lazy = require("./lazy");
+    this._decodeLazy = lazy(this);
+    return this._decodeLazy(reader, length); // overrides this method
+};
+
 /**
  * Decodes a message of this type preceeded by its byte length as a varint.
  * @param {Reader|Uint8Array} readerOrBuffer Reader or buffer to decode from
@@ -404,6 +560,175 @@ TypePrototype.decodeDelimited = function decodeDelimited(readerOrBuffer) {
     return this.decode(readerOrBuffer, readerOrBuffer.uint32());
 };
 
+/**
+ * Creates a new message of this type from a plain object. Also converts values to their respective internal types.
+ * @param {Object.<string,*>} object Plain object
+ * @returns {Message} Message instance
+ * @throws {TypeError} If a nested message or a repeated or map field is specified by a value of the wrong type
+ */
+TypePrototype.fromObject = function fromObject_setup(object) {
+    if (!converter)
+        converter = require("./converter");
+    this.fromObject = converter.fromObject(this).eof(this.getFullName() + "$fromObject", {
+        types : this.getFieldsArray().map(function(fld) { return fld.resolvedType; }),
+        util  : util
+    });
+    return this.fromObject(object); // overrides this method
+};
+
+/**
+ * Creates a plain object from a message of this type. Also converts values to other types if specified.
+ * @param {Message|Object} message Message instance
+ * @param {ConversionOptions} [options] Conversion options
+ * @returns {Object.<string,*>} Plain object
+ */
+TypePrototype.toObject = function toObject_setup(message, options) {
+    if (!converter)
+        converter = require("./converter");
+    this.toObject = converter.toObject(this).eof(this.getFullName() + "$toObject", {
+        types : this.getFieldsArray().map(function(fld) { return fld.resolvedType; }),
+        util  : util
+    });
+    return this.toObject(message, options); // overrides this method
+};
+
+/**
+ * Converts a message of this type to its canonical proto3 JSON representation.
+ * @param {Message|Object} message Message instance or plain object
+ * @param {JSONEncodeOptions} [options] Conversion options
+ * @returns {*} JSON value, usually an object
+ */
+TypePrototype.encodeJSON = function encodeJSON(message, options) {
+    if (!json)
+        json = require("./json");
+    return json.encode(this, message, options);
+};
+
+/**
+ * Converts a canonical proto3 JSON value to a message of this type.
+ * @param {*} value JSON value, usually an object as returned by `JSON.parse`
+ * @param {JSONDecodeOptions} [options] Conversion options
+ * @returns {Message} Message instance
+ * @throws {Error} If the JSON value is malformed
+ */
+TypePrototype.decodeJSON = function decodeJSON(value, options) {
+    if (!json)
+        json = require("./json");
+    return json.decode(this, value, options);
+};
+
+/**
+ * Converts a message of this type to text format.
+ * @param {Message|Object} message Message instance or plain object
+ * @param {TextEncodeOptions} [options] Conversion options
+ * @returns {string} Text format
+ */
+TypePrototype.toText = function toText(message, options) {
+    if (!text)
+        text = require("./text");
+    return text.encode(this, message, options);
+};
+
+/**
+ * Converts text format to a message of this type.
+ * @param {string} source Text format
+ * @param {TextDecodeOptions} [options] Conversion options
+ * @returns {Message} Message instance
+ * @throws {ParseError} If the text is malformed
+ */
+TypePrototype.fromText = function fromText(source, options) {
+    if (!text)
+        text = require("./text");
+    return text.decode(this, source, options);
+};
+
+/**
+ * Merges a message into another message of this type, following protobuf's merge semantics. See {@link merge}.
+ * @param {Message|Object} target Message or plain object to merge into, modified in place
+ * @param {Message|Object} source Message or plain object to merge
+ * @returns {Message|Object} Target
+ */
+TypePrototype.merge = function merge_(target, source) {
+    if (!merge)
+        merge = require("./merge");
+    return merge.merge(this, target, source);
+};
+
+/**
+ * Merges the fields referenced by the specified paths from a message into another message of this type.
+ * @param {Message|Object} target Message or plain object to merge into, modified in place
+ * @param {Message|Object} source Message or plain object to merge
+ * @param {string[]|string|Message|Object} paths Field paths, comma-separated paths or a `google.protobuf.FieldMask`
+ * @param {MergeWithMaskOptions} [options] Merge options
+ * @returns {Message|Object} Target
+ * @throws {Error} If a path is invalid
+ */
+TypePrototype.mergeWithMask = function mergeWithMask(target, source, paths, options) {
+    if (!merge)
+        merge = require("./merge");
+    return merge.mergeWithMask(this, target, source, paths, options);
+};
+
+/**
+ * Clears all fields of a message of this type that are not referenced by the specified paths.
+ * @param {Message|Object} message Message or plain object to trim, modified in place
+ * @param {string[]|string|Message|Object} paths Field paths, comma-separated paths or a `google.protobuf.FieldMask`
+ * @returns {Message|Object} Message
+ * @throws {Error} If a path is invalid
+ */
+TypePrototype.applyMask = function applyMask(message, paths) {
+    if (!merge)
+        merge = require("./merge");
+    return merge.applyMask(this, message, paths);
+};
+
+/**
+ * Compares two messages of this type and returns the paths of the fields that differ.
+ * @param {Message|Object} a First message or plain object
+ * @param {Message|Object} b Second message or plain object
+ * @returns {string[]} Paths of changed fields
+ */
+TypePrototype.diff = function diff(a, b) {
+    if (!merge)
+        merge = require("./merge");
+    return merge.diff(this, a, b);
+};
+
+/**
+ * Tests if two messages of this type are equal, comparing longs by value, bytes byte-wise and maps regardless of the
+ * order of their keys. Unset fields equal fields set to their default values, except for message fields and members of
+ * oneofs.
+ * @param {Message|Object} a First message or plain object
+ * @param {Message|Object} b Second message or plain object
+ * @returns {boolean} `true` if equal
+ */
+TypePrototype.equals = function equals_setup(a, b) {
+    if (!equality)
+        equality = require("./equality");
+    this.equals = equality.equals(this).eof(this.getFullName() + "$equals", {
+        types    : this.getFieldsArray().map(function(fld) { return fld.resolvedType; }),
+        util     : util,
+        equality : equality
+    });
+    return this.equals(a, b); // overrides this method
+};
+
+/**
+ * Computes a hash code of a message of this type. Equal messages, see {@link Type#equals}, have equal hash codes.
+ * @param {Message|Object} message Message or plain object
+ * @returns {number} 32 bit hash code
+ */
+TypePrototype.hash = function hash_setup(message) {
+    if (!equality)
+        equality = require("./equality");
+    this.hash = equality.hash(this).eof(this.getFullName() + "$hash", {
+        types    : this.getFieldsArray().map(function(fld) { return fld.resolvedType; }),
+        util     : util,
+        equality : equality
+    });
+    return this.hash(message); // overrides this method
+};
+
 /**
  * Verifies that field values are valid and that required fields are present.
  * @param {Message|Object} message Message to verify
@@ -6,12 +6,10 @@
  */
 var util = module.exports = require("./util/runtime");
 
-util.asPromise    = require("@protobufjs/aspromise");
-util.codegen      = require("@protobufjs/codegen");
-util.EventEmitter = require("@protobufjs/eventemitter");
-util.extend       = require("@protobufjs/extend");
-util.fetch        = require("@protobufjs/fetch");
-util.path         = require("@protobufjs/path");
+util.codegen  = require("@protobufjs/codegen");
+util.extend   = require("@protobufjs/extend");
+util.fetch    = require("@protobufjs/fetch");
+util.path     = require("@protobufjs/path");
 
 /**
  * Node's fs module if available.
@@ -103,6 +101,15 @@ util.ucFirst = function ucFirst(str) {
     return str.charAt(0).toUpperCase() + str.substring(1);
 };
 
+/**
+ * Gets the file name assumed for declarations of the specified package that have not been loaded from a file.
+ * @param {string} pkg Package name, i.e. `"my.package"`, or an empty string
+ * @returns {string} File name, i.e. `"my/package.proto"`, or `"root.proto"` without a package
+ */
+util.packageFilename = function packageFilename(pkg) {
+    return pkg ? pkg.replace(/\./g, "/") + ".proto" : "root.proto";
+};
+
 /**
  * Converts the second character of a string to lower case.
  * @param {string} str String to convert
@@ -111,15 +118,3 @@ util.ucFirst = function ucFirst(str) {
 util.lcFirst = function lcFirst(str) {
     return str.charAt(0).toLowerCase() + str.substring(1);
 };
-
-/**
- * Creates a new buffer of whatever type supported by the environment.
- * @param {number} [size=0] Buffer size
- * @returns {Uint8Array} Buffer
- */
-util.newBuffer = function newBuffer(size) {
-    size = size || 0;
-    return util.Buffer
-        ? util.Buffer.allocUnsafe ? util.Buffer.allocUnsafe(size) : new util.Buffer(size)
-        : new (typeof Uint8Array !== "undefined" ? Uint8Array : Array)(size);
-};
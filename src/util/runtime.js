@@ -2,11 +2,23 @@
 
 var util = exports;
 
-util.LongBits = require("./longbits");
-util.base64   = require("@protobufjs/base64");
-util.inquire  = require("@protobufjs/inquire");
-util.utf8     = require("@protobufjs/utf8");
-util.pool     = require("@protobufjs/pool");
+util.LongBits     = require("./longbits");
+util.asPromise    = require("@protobufjs/aspromise");
+util.base64       = require("@protobufjs/base64");
+util.EventEmitter = require("@protobufjs/eventemitter");
+util.inquire      = require("@protobufjs/inquire");
+util.utf8         = require("@protobufjs/utf8");
+util.pool         = require("@protobufjs/pool");
+
+/**
+ * Global object reference.
+ * @memberof util
+ * @type {Object}
+ */
+util.global = typeof window !== "undefined" && window
+           || typeof global !== "undefined" && global
+           || typeof self   !== "undefined" && self
+           || this; // eslint-disable-line no-invalid-this
 
 /**
  * Whether running within node or not.
@@ -85,19 +97,17 @@ util.longFromHash = function longFromHash(hash, unsigned) {
 
 /**
  * Tests if two possibly long values are not equal.
- * @param {number|Long} a First value
- * @param {number|Long} b Second value
+ * To test against constant low and high bits, {@link util.longNe|longNe} is faster.
+ * @param {number|string|Long} a First value
+ * @param {number|string|Long} b Second value
  * @returns {boolean} `true` if not equal
- * @deprecated Use {@link util.longNe|longNe} instead
  */
 util.longNeq = function longNeq(a, b) {
-    return typeof a === "number"
-         ? typeof b === "number"
-            ? a !== b
-            : (a = util.LongBits.fromNumber(a)).lo !== b.low || a.hi !== b.high
-         : typeof b === "number"
-            ? (b = util.LongBits.fromNumber(b)).lo !== a.low || b.hi !== a.high
-            : a.low !== b.low || a.high !== b.high;
+    if (typeof a === "number" && typeof b === "number")
+        return a !== b;
+    a = util.LongBits.from(a);
+    b = util.LongBits.from(b);
+    return a.lo !== b.lo || a.hi !== b.hi;
 };
 
 /**
@@ -114,6 +124,109 @@ util.longNe = function longNe(val, lo, hi) {
     return bits.lo !== lo || bits.hi !== hi;
 };
 
+// Compares strings by code point, which is the order of their UTF-8 encodings
+function compareStrings(a, b) {
+    for (var i = 0, n = Math.min(a.length, b.length); i < n; ++i) {
+        var ca = a.charCodeAt(i),
+            cb = b.charCodeAt(i);
+        if (ca !== cb) {
+            if (ca >= 0xD800 && cb >= 0xD800) { // surrogates sort after U+E000 to U+FFFF
+                ca += ca < 0xE000 ? 0x2000 : -0x800;
+                cb += cb < 0xE000 ? 0x2000 : -0x800;
+            }
+            return ca - cb;
+        }
+    }
+    return a.length - b.length;
+}
+
+function compareNumbers(a, b) {
+    return a - b;
+}
+
+// Converts a 64 bit map key, either a hash or a decimal string, to comparable bits
+function keyBits(key, unsigned) {
+    var bits = /^-?\d+$/.test(key) ? util.LongBits.from(key) : util.LongBits.fromHash(key);
+    return [ unsigned ? bits.hi >>> 0 : bits.hi | 0, bits.lo >>> 0 ];
+}
+
+function compareLongs(unsigned) {
+    return function(a, b) {
+        a = keyBits(a, unsigned);
+        b = keyBits(b, unsigned);
+        return a[0] - b[0] || a[1] - b[1];
+    };
+}
+
+var keyComparators = {
+    int32    : compareNumbers,
+    uint32   : compareNumbers,
+    sint32   : compareNumbers,
+    fixed32  : compareNumbers,
+    sfixed32 : compareNumbers,
+    int64    : compareLongs(false),
+    sint64   : compareLongs(false),
+    sfixed64 : compareLongs(false),
+    uint64   : compareLongs(true),
+    fixed64  : compareLongs(true)
+};
+
+/**
+ * Sorts the keys of a map field by their values, as used by deterministic encoding. Numeric keys are sorted numerically,
+ * respecting signedness, and all other keys, including strings and booleans, by code point.
+ * @param {string[]} keys Keys as returned by `Object.keys`, sorted in place
+ * @param {string} keyType Key type
+ * @returns {string[]} `keys`
+ */
+util.sortKeys = function sortKeys(keys, keyType) {
+    return keys.sort(keyComparators[keyType] || compareStrings);
+};
+
+var timestampRe = /^(\d{4})-(\d{2})-(\d{2})[Tt](\d{2}):(\d{2}):(\d{2})(?:\.(\d{1,9}))?(?:[Zz]|([+-])(\d{2}):(\d{2}))$/;
+
+/**
+ * Parses an RFC 3339 date string, i.e. `"2017-01-15T01:30:15.01Z"`, as used for `google.protobuf.Timestamp` values.
+ * Unlike `Date.parse`, only accepts RFC 3339 and keeps up to nanosecond precision.
+ * @param {string} value Date string
+ * @returns {?{seconds: number, nanos: number}} Seconds and nanos since the epoch or `null` if not a valid RFC 3339 string
+ */
+util.parseTimestamp = function parseTimestamp(value) {
+    var match = util.isString(value) && timestampRe.exec(value);
+    if (!match)
+        return null;
+    var parts = match.slice(1, 7).map(Number),
+        date  = new Date(0);
+    date.setUTCFullYear(parts[0], parts[1] - 1, parts[2]);
+    date.setUTCHours(parts[3], parts[4], parts[5]);
+    if (date.getUTCMonth() !== parts[1] - 1 || date.getUTCDate() !== parts[2] || date.getUTCHours() !== parts[3] || date.getUTCMinutes() !== parts[4])
+        return null;
+    var seconds = Math.floor(date.getTime() / 1000);
+    if (match[8])
+        seconds -= (match[8] === "-" ? -1 : 1) * (match[9] * 3600 + match[10] * 60);
+    return {
+        seconds: seconds,
+        nanos: match[7] ? parseInt((match[7] + "00000000").substring(0, 9), 10) : 0
+    };
+};
+
+/**
+ * Retains the raw bytes of an unknown field on the specified message.
+ * The bytes are appended to the message's non-enumerable `$unknown` array, which is created if not yet present.
+ * @param {Object} message Message being decoded
+ * @param {Uint8Array} data Raw field bytes including the tag
+ * @returns {undefined}
+ */
+util.addUnknown = function addUnknown(message, data) {
+    if (message.$unknown)
+        message.$unknown.push(data);
+    else
+        util.prop(message, "$unknown", {
+            value: [ data ],
+            writable: true,
+            configurable: true
+        });
+};
+
 /**
  * Defines the specified properties on the specified target. Also adds getters and setters for non-ES5 environments.
  * @param {Object} target Target object
@@ -152,6 +265,19 @@ util.prop = function prop(target, key, descriptor) {
         Object.defineProperty(target, key, descriptor);
 };
 
+/**
+ * Creates a new buffer of whatever type supported by the environment.
+ * @memberof util
+ * @param {number} [size=0] Buffer size
+ * @returns {Uint8Array} Buffer
+ */
+util.newBuffer = function newBuffer(size) {
+    size = size || 0;
+    return util.Buffer
+        ? util.Buffer.allocUnsafe ? util.Buffer.allocUnsafe(size) : new util.Buffer(size)
+        : new (typeof Uint8Array !== "undefined" ? Uint8Array : Array)(size);
+};
+
 /**
  * An immuable empty array.
  * @memberof util
@@ -0,0 +1,319 @@
+"use strict";
+
+/**
+ * Runtime helpers of well-known types by fully qualified type name. Can be extended with your own types.
+ *
+ * The methods of each are installed on the respective reflected type once it has been added to a {@link Root}, i.e.
+ * `root.lookupType("google.protobuf.Timestamp").fromDate(date)`:
+ *
+ * - **Timestamp**: `fromDate(date)`, `toDate(message)`, `now()`, `parse(rfc3339)` and `format(message)`
+ * - **Duration**: `fromMillis(millis)`, `toMillis(message)`, `parse(string)` and `format(message)`
+ * - **Any**: `pack(message, [typeUrlPrefix])` and `unpack(message, [root])`
+ * - **Struct**, **Value** and **ListValue**: `wrap(json)` and `unwrap(message)`
+ * - **FieldMask**: `fromPaths(paths)`, `parse(string)`, `format(message)` and `validate(message, type)`
+ * - **DoubleValue**, **StringValue** etc.: `wrap(value)` and `unwrap(message)`
+ *
+ * {@link Type#create} also uses them to convert native values, like dates, numbers of milliseconds, messages to pack,
+ * JSON scalars or arrays, that are assigned to fields of these types. Plain objects are never converted because they
+ * cannot be told apart from the properties of a message, i.e. as returned by {@link Type#toObject}. Use `wrap` instead.
+ * @namespace
+ */
+var wrappers = exports;
+
+var Message = require("./message"),
+    util    = require("./util");
+
+var json; // cyclic
+
+/**
+ * A well-known type's runtime helpers as used by {@link wrappers}.
+ * @typedef Wrapper
+ * @type {Object}
+ * @property {function(*):boolean} accepts Tests if a value is of a native type converted by {@link Type#create}
+ * @property {function(Type, *):Message} wrap Converts a native value to a message of the specified type
+ * @property {Object.<string,function>} methods Methods to install on the reflected type, called with the type as `this`
+ */
+
+function getField(type, id) {
+    return type.getFieldsById()[id].resolve();
+}
+
+function getJSON() {
+    return json || (json = require("./json"));
+}
+
+function toNumber(value) {
+    return typeof value === "number" ? value : util.LongBits.from(value).toNumber();
+}
+
+function createTime(type, seconds, nanos) {
+    var properties = {};
+    properties[getField(type, 1).name] = util.Long ? util.Long.fromNumber(seconds) : seconds;
+    properties[getField(type, 2).name] = nanos;
+    return type.create(properties);
+}
+
+// Methods converting between messages and their canonical JSON form
+var jsonMethods = {
+    parse: function parse(value) {
+        return getJSON().decode(this, value);
+    },
+    format: function format(message) {
+        return getJSON().encode(this, message);
+    }
+};
+
+function fromDate(type, date) {
+    var millis  = date.getTime(),
+        seconds = Math.floor(millis / 1000);
+    return createTime(type, seconds, (millis - seconds * 1000) * 1000000);
+}
+
+wrappers[".google.protobuf.Timestamp"] = {
+    accepts: function(value) {
+        return value instanceof Date || util.isString(value);
+    },
+    wrap: function(type, value) {
+        return value instanceof Date
+            ? fromDate(type, value)
+            : getJSON().decode(type, value);
+    },
+    methods: {
+
+        // Creates a timestamp from a date.
+        fromDate: function(date) {
+            return fromDate(this, date);
+        },
+
+        // Converts a timestamp to a date. Sub-millisecond precision is lost.
+        toDate: function(message) {
+            return new Date(toNumber(message[getField(this, 1).name] || 0) * 1000 + Math.floor((message[getField(this, 2).name] || 0) / 1000000));
+        },
+
+        // Creates a timestamp of the current time.
+        now: function() {
+            return fromDate(this, new Date());
+        },
+
+        // Parses a timestamp from an RFC 3339 string, i.e. `"2017-01-15T01:30:15.01Z"`.
+        parse: jsonMethods.parse,
+
+        // Formats a timestamp as an RFC 3339 string in UTC.
+        format: jsonMethods.format
+    }
+};
+
+function fromMillis(type, millis) {
+    var seconds = millis < 0 ? Math.ceil(millis / 1000) : Math.floor(millis / 1000);
+    return createTime(type, seconds, Math.round((millis - seconds * 1000) * 1000000));
+}
+
+wrappers[".google.protobuf.Duration"] = {
+    accepts: function(value) {
+        return typeof value === "number" || util.isString(value);
+    },
+    wrap: function(type, value) {
+        return typeof value === "number"
+            ? fromMillis(type, value)
+            : getJSON().decode(type, value);
+    },
+    methods: {
+
+        // Creates a duration from a number of milliseconds.
+        fromMillis: function(millis) {
+            return fromMillis(this, millis);
+        },
+
+        // Converts a duration to a number of milliseconds.
+        toMillis: function(message) {
+            return toNumber(message[getField(this, 1).name] || 0) * 1000 + (message[getField(this, 2).name] || 0) / 1000000;
+        },
+
+        // Parses a duration from its string form, i.e. `"1.5s"`.
+        parse: jsonMethods.parse,
+
+        // Formats a duration as a string, i.e. `"1.5s"`.
+        format: jsonMethods.format
+    }
+};
+
+function pack(type, message, typeUrlPrefix) {
+    var valueType = message.$type;
+    if (!valueType)
+        throw TypeError("message must be a runtime message with a $type");
+    var properties = {};
+    properties[getField(type, 1).name] = (typeUrlPrefix === undefined ? "type.googleapis.com" : typeUrlPrefix) + "/" + valueType.getFullName().substring(1);
+    properties[getField(type, 2).name] = valueType.encode(message).finish();
+    return type.create(properties);
+}
+
+wrappers[".google.protobuf.Any"] = {
+    accepts: function(value) {
+        return value instanceof Message && Boolean(value.$type) && value.$type.getFullName() !== ".google.protobuf.Any";
+    },
+    wrap: function(type, value) {
+        return pack(type, value);
+    },
+    methods: {
+
+        // Packs a message into an Any.
+        pack: function(message, typeUrlPrefix) {
+            return pack(this, message, typeUrlPrefix);
+        },
+
+        // Unpacks the message contained in an Any, resolving its type URL through the specified root.
+        unpack: function(message, root) {
+            var typeUrl   = message[getField(this, 1).name] || "",
+                valueType = (root || this.getRoot()).lookupType(typeUrl.substring(typeUrl.lastIndexOf("/") + 1)),
+                value     = message[getField(this, 2).name] || [];
+            if (util.isString(value)) {
+                var buffer = util.newBuffer(util.base64.length(value));
+                util.base64.decode(value, buffer, 0);
+                value = buffer;
+            }
+            return valueType.decode(value);
+        }
+    }
+};
+
+function wrapJSON(accepts) {
+    return {
+        accepts: accepts,
+        wrap: function(type, value) {
+            return getJSON().decode(type, value);
+        },
+        methods: {
+
+            // Converts a plain JSON value to a message of this type.
+            wrap: jsonMethods.parse,
+
+            // Converts a message of this type to a plain JSON value.
+            unwrap: jsonMethods.format
+        }
+    };
+}
+
+// Plain objects could as well be the properties of a message and are only converted by an explicit wrap
+wrappers[".google.protobuf.Struct"] = wrapJSON(function() {
+    return false;
+});
+
+wrappers[".google.protobuf.Value"] = wrapJSON(function(value) {
+    return typeof value === "number" || typeof value === "boolean" || util.isString(value) || Array.isArray(value);
+});
+
+wrappers[".google.protobuf.ListValue"] = wrapJSON(Array.isArray);
+
+function fieldMask(type, paths) {
+    var properties = {};
+    properties[getField(type, 1).name] = paths;
+    return type.create(properties);
+}
+
+wrappers[".google.protobuf.FieldMask"] = {
+    accepts: function(value) {
+        return Array.isArray(value) || util.isString(value);
+    },
+    wrap: function(type, value) {
+        return Array.isArray(value)
+            ? fieldMask(type, value)
+            : getJSON().decode(type, value);
+    },
+    methods: {
+
+        // Creates a field mask from the specified paths.
+        fromPaths: function(paths) {
+            return fieldMask(this, paths);
+        },
+
+        // Parses a field mask from its JSON form, i.e. `"user.displayName,photo"`.
+        parse: jsonMethods.parse,
+
+        // Formats a field mask in its JSON form.
+        format: jsonMethods.format,
+
+        // Validates the paths of a field mask against a message type, returning null if valid, otherwise the reason.
+        // Every component of a path must reference a field and only the last may reference a repeated or map field.
+        validate: function(message, type) {
+            var paths = Array.isArray(message) ? message : message[getField(this, 1).name] || [];
+            for (var i = 0; i < paths.length; ++i) {
+                var names  = paths[i].split("."),
+                    parent = type;
+                for (var j = 0; j < names.length; ++j) {
+                    if (!parent)
+                        return "invalid path '" + paths[i] + "': " + names[j - 1] + " is not a singular message field";
+                    var field = parent.fields[names[j]] || parent.fields[util.camelCase(names[j])];
+                    if (!field)
+                        return "invalid path '" + paths[i] + "': no such field '" + names[j] + "' in " + parent.getFullName().substring(1);
+                    field.resolve();
+                    parent = field.repeated || field.map || !field.resolvedType || !field.resolvedType.fields ? null : field.resolvedType;
+                }
+            }
+            return null;
+        }
+    }
+};
+
+function wrapValue(type, value) {
+    var properties = {};
+    properties[getField(type, 1).name] = value;
+    return type.create(properties);
+}
+
+function valueWrapper(accepts) {
+    return {
+        accepts: accepts,
+        wrap: wrapValue,
+        methods: {
+
+            // Wraps a value into a message of this wrapper type.
+            wrap: function(value) {
+                return wrapValue(this, value);
+            },
+
+            // Unwraps the value of a message of this wrapper type.
+            unwrap: function(message) {
+                var field = getField(this, 1);
+                return message[field.name] === undefined ? field.defaultValue : message[field.name];
+            }
+        }
+    };
+}
+
+function isScalar(value) {
+    return typeof value === "number" || typeof value === "boolean" || util.isString(value) || Boolean(util.Long && util.Long.isLong(value));
+}
+
+[ "DoubleValue", "FloatValue", "Int64Value", "UInt64Value", "Int32Value", "UInt32Value", "BoolValue", "StringValue" ].forEach(function(name) {
+    wrappers[".google.protobuf." + name] = valueWrapper(isScalar);
+});
+
+wrappers[".google.protobuf.BytesValue"] = valueWrapper(function(value) {
+    return util.isString(value) || Array.isArray(value) || typeof Uint8Array !== "undefined" && value instanceof Uint8Array;
+});
+
+/**
+ * Installs the methods of the respective wrapper, if any, on the specified type.
+ * @param {Type} type Reflected type
+ * @returns {undefined}
+ * @private
+ */
+wrappers._install = function install(type) {
+    var wrapper = wrappers[type.getFullName()];
+    if (wrapper)
+        util.merge(type, wrapper.methods, true);
+};
+
+/**
+ * Converts a native value to a message of the specified type if the type is a well-known type accepting the value.
+ * @param {Type} type Reflected type
+ * @param {*} value Value to convert
+ * @returns {*} Converted message or the value as is
+ * @private
+ */
+wrappers._wrap = function wrap(type, value) {
+    var wrapper = wrappers[type.getFullName()];
+    return wrapper && wrapper.accepts(value)
+        ? wrapper.wrap(type, value)
+        : value;
+};
@@ -156,9 +156,110 @@ Writer.alloc = function alloc(size) {
 if (ArrayImpl !== Array)
     Writer.alloc = util.pool(Writer.alloc, ArrayImpl.prototype.subarray);
 
+// Calculates the length of an unsigned 32 bit value when encoded as a varint
+function varint32Length(value) {
+    return value < 128       ? 1
+         : value < 16384     ? 2
+         : value < 2097152   ? 3
+         : value < 268435456 ? 4
+         :                     5;
+}
+
+/**
+ * Calculates the byte length of an unsigned 32 bit value as written by {@link Writer#uint32}.
+ * @param {number} value Value
+ * @returns {number} Byte length
+ */
+Writer.uint32Length = function uint32Length(value) {
+    return varint32Length(value >>> 0);
+};
+
+/**
+ * Calculates the byte length of a signed 32 bit value as written by {@link Writer#int32}.
+ * @param {number} value Value
+ * @returns {number} Byte length
+ */
+Writer.int32Length = function int32Length(value) {
+    return value < 0
+        ? 10 // 10 bytes per spec
+        : varint32Length(value >>> 0);
+};
+
+/**
+ * Calculates the byte length of a signed 32 bit value as written by {@link Writer#sint32}.
+ * @param {number} value Value
+ * @returns {number} Byte length
+ */
+Writer.sint32Length = function sint32Length(value) {
+    return varint32Length((value << 1 ^ value >> 31) >>> 0);
+};
+
+/**
+ * Calculates the byte length of an unsigned 64 bit value as written by {@link Writer#uint64}.
+ * @param {Long|number|string} value Value
+ * @returns {number} Byte length
+ * @throws {TypeError} If `value` is a string and no long library is present.
+ */
+Writer.uint64Length = function uint64Length(value) {
+    return LongBits.from(value).length();
+};
+
+/**
+ * Calculates the byte length of a signed 64 bit value as written by {@link Writer#int64}.
+ * @function
+ * @param {Long|number|string} value Value
+ * @returns {number} Byte length
+ * @throws {TypeError} If `value` is a string and no long library is present.
+ */
+Writer.int64Length = Writer.uint64Length;
+
+/**
+ * Calculates the byte length of a signed 64 bit value as written by {@link Writer#sint64}.
+ * @param {Long|number|string} value Value
+ * @returns {number} Byte length
+ * @throws {TypeError} If `value` is a string and no long library is present.
+ */
+Writer.sint64Length = function sint64Length(value) {
+    return LongBits.from(value).zzEncode().length();
+};
+
+/**
+ * Calculates the byte length of a sequence of bytes as written by {@link Writer#bytes}, including its length.
+ * @param {Uint8Array|string} value Buffer or base64 encoded string
+ * @returns {number} Byte length
+ */
+Writer.bytesLength = function bytesLength(value) {
+    var len = typeof value === "string" && value.length
+        ? base64.length(value)
+        : value.length >>> 0;
+    return len
+        ? varint32Length(len) + len
+        : 1;
+};
+
+/**
+ * Calculates the byte length of a string as written by {@link Writer#string}, including its length.
+ * @param {string} value Value
+ * @returns {number} Byte length
+ */
+Writer.stringLength = function stringLength(value) {
+    var len = utf8.length(value);
+    return len
+        ? varint32Length(len) + len
+        : 1;
+};
+
 /** @alias Writer.prototype */
 var WriterPrototype = Writer.prototype;
 
+/**
+ * Whether messages are encoded deterministically by {@link Type#encode}, writing fields in the order of their ids and the
+ * entries of map fields sorted by key so that equal messages always result in the same bytes. Set this on the prototype
+ * to change the default for all writers.
+ * @type {boolean}
+ */
+WriterPrototype.deterministic = false;
+
 /**
  * Pushes a new operation to the queue.
  * @param {function(Uint8Array, number, *)} fn Function to call
@@ -191,13 +292,7 @@ function writeVarint32(val, buf, pos) {
  */
 WriterPrototype.uint32 = function write_uint32(value) {
     value = value >>> 0;
-    return this.push(writeVarint32,
-          value < 128       ? 1
-        : value < 16384     ? 2
-        : value < 2097152   ? 3
-        : value < 268435456 ? 4
-        :                     5
-    , value);
+    return this.push(writeVarint32, varint32Length(value), value);
 };
 
 /**
@@ -467,6 +562,18 @@ WriterPrototype.bytes = function write_bytes(value) {
         : this.push(writeByte, 1, 0);
 };
 
+/**
+ * Writes a sequence of bytes as is, that is without preceeding its length as a varint.
+ * @param {Uint8Array} value Raw bytes to write
+ * @returns {Writer} `this`
+ */
+WriterPrototype.raw = function write_raw(value) {
+    var len = value.length >>> 0;
+    return len
+        ? this.push(writeBytes, len, value)
+        : this;
+};
+
 /**
  * Writes a string.
  * @param {string} value Value to write
@@ -521,9 +628,11 @@ WriterPrototype.ldelim = function ldelim(id) {
     if (typeof id === "number")
         this.uint32((id << 3 | 2) >>> 0);
     this.uint32(len);
-    this.tail.next = head.next; // skip noop
-    this.tail = tail;
-    this.len += len;
+    if (len) {
+        this.tail.next = head.next; // skip noop
+        this.tail = tail;
+        this.len += len;
+    }
     return this;
 };
 
@@ -57,6 +57,16 @@ BufferWriterPrototype.bytes = function write_bytes_buffer(value) {
     return this;
 };
 
+/**
+ * @override
+ */
+BufferWriterPrototype.raw = function write_raw_buffer(value) {
+    var len = value.length >>> 0;
+    if (len)
+        this.push(writeBytesBuffer, len, value);
+    return this;
+};
+
 function writeStringBuffer(val, buf, pos) {
     if (val.length < 40) // plain js is faster for short strings (probably due to redundant assertions)
         utf8.write(val, buf, pos);
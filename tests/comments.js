@@ -0,0 +1,49 @@
+var tape = require("tape");
+
+var protobuf = require("..");
+
+tape.test("comments", function(test) {
+    protobuf.load("tests/data/comments.proto", function(err, root) {
+        if (err)
+            return test.fail(err.message);
+
+        var Test1 = root.lookup("Test1"),
+            Test2 = root.lookup("Test2"),
+            Test3 = root.lookup("Test3");
+
+        test.equal(Test1.comment, "Message with comments.\nSecond line.", "should parse block comments");
+        test.equal(Test1.fields.field1.comment, "Field with a leading comment.\nContinued.", "should join consecutive line comments and prefer leading comments");
+        test.equal(Test1.fields.field2.comment, "Field with a trailing comment.", "should parse trailing comments");
+        test.equal(Test1.fields.field3.comment, null, "should not attach comments followed by a blank line");
+        test.equal(Test1.fields.field4.comment, "Map field.", "should parse comments on map fields");
+        test.equal(Test1.oneofs.kind.comment, "Oneof with a trailing comment.", "should parse comments on oneofs");
+        test.equal(Test1.fields.field5.comment, "Oneof member.", "should parse comments on oneof members");
+
+        test.equal(Test2.comment, "Enum with comments.", "should parse comments on enums");
+        test.deepEqual(Test2.comments, { ONE: "First value.", TWO: "Second value." }, "should parse comments on enum values");
+
+        test.equal(Test3.comment, "Service with comments.", "should parse comments on services");
+        test.equal(Test3.methods.Method1.comment, "Method with a trailing comment.", "should parse trailing comments on methods");
+        test.equal(Test3.methods.Method2.comment, "Method with a leading comment.", "should parse leading comments on methods");
+
+        var json = root.toJSON();
+        test.equal(json.nested.Test1.fields.field2.comment, "Field with a trailing comment.", "should export comments to JSON");
+        test.notOk("comment" in JSON.parse(JSON.stringify(json.nested.Test1.fields.field3)), "should not export missing comments");
+
+        var copy = protobuf.Root.fromJSON(json);
+        test.equal(copy.lookup("Test1").comment, Test1.comment, "should import type comments from JSON");
+        test.equal(copy.lookup("Test1").fields.field4.comment, "Map field.", "should import field comments from JSON");
+        test.equal(copy.lookup("Test1").oneofs.kind.comment, "Oneof with a trailing comment.", "should import oneof comments from JSON");
+        test.deepEqual(copy.lookup("Test2").comments, Test2.comments, "should import enum value comments from JSON");
+        test.equal(copy.lookup("Test3").methods.Method2.comment, "Method with a leading comment.", "should import method comments from JSON");
+
+        require("../cli/targets/static")(root, {}, function(err, output) {
+            test.error(err, "should generate static code");
+            test.ok(/\* Message with comments\.\n\s+\* Second line\.\n\s+\* @exports Test1/.test(output), "should use type comments in static code");
+            test.ok(/\* Field with a trailing comment\.\n\s+\* @name Test1#field2/.test(output), "should use field comments in static code");
+            test.ok(/\* @property \{number\} ONE=1 First value\./.test(output), "should use enum value comments in static code");
+            test.ok(/\* Method with a leading comment\.\n\s+\* @param/.test(output), "should use method comments in static code");
+            test.end();
+        });
+    });
+});
@@ -0,0 +1,91 @@
+var tape = require("tape");
+
+var protobuf = require("..");
+
+var oldProto = [
+    "package test;",
+    "message Message {",
+    "    optional int32 a = 1;",
+    "    optional string b = 2;",
+    "    optional sint32 c = 3;",
+    "    repeated int32 d = 4 [packed=true];",
+    "    optional int32 e = 5;",
+    "    optional int32 f = 6;",
+    "    optional fixed32 g = 7;",
+    "    required int32 h = 8;",
+    "    optional int32 i = 9;",
+    "    map<string, Inner> m = 10;",
+    "    message Inner {}",
+    "}",
+    "message Removed {}",
+    "enum Kind { NONE = 0; SOME = 1; MORE = 2; }",
+    "service Greeter {",
+    "    rpc Hello (Message) returns (Message);",
+    "    rpc Stream (Message) returns (stream Message);",
+    "    rpc Old (Message) returns (Message.Inner);",
+    "}",
+    "service Legacy {",
+    "    rpc Call (Message) returns (Message);",
+    "}"
+].join("\n");
+
+var newProto = [
+    "package test;",
+    "message Message {",
+    "    optional uint64 a = 1;",
+    "    optional bytes b = 2;",
+    "    optional int32 c = 3;",
+    "    repeated int32 d = 4 [packed=false];",
+    "    reserved 5;",
+    "    optional int32 renamed = 7;",
+    "    optional int32 h = 8;",
+    "    optional int32 i = 9;",
+    "    required int32 j = 11;",
+    "    map<string, Inner> m = 10;",
+    "    message Inner {}",
+    "}",
+    "message Added {}",
+    "enum Kind { NONE = 0; MORE = 3; EVEN_MORE = 4; }",
+    "service Greeter {",
+    "    rpc Hello (Message) returns (Message);",
+    "    rpc Stream (Message) returns (Message);",
+    "    rpc New (Message) returns (Message.Inner);",
+    "}",
+    "service Renamed {",
+    "    rpc Call (Message) returns (Message);",
+    "}"
+].join("\n");
+
+tape.test("comparing schemas", function(test) {
+    var changes = protobuf.compare(protobuf.parse(oldProto).root, protobuf.parse(newProto).root),
+        byPath = {};
+    changes.forEach(function(change) {
+        (byPath[change.path] || (byPath[change.path] = [])).push(change.kind + (change.breaking ? "!" : ""));
+    });
+
+    test.same(byPath["test.Message.a"], [ "field-type-changed" ], "should accept wire compatible type changes");
+    test.same(byPath["test.Message.b"], [ "field-type-changed" ], "should accept changes between string and bytes");
+    test.same(byPath["test.Message.c"], [ "field-type-changed!" ], "should reject changes between zig-zag and plain varints");
+    test.same(byPath["test.Message.d"], [ "field-packed-changed!" ], "should reject packed mismatches");
+    test.same(byPath["test.Message.e"], [ "field-removed" ], "should accept removed fields with reserved ids");
+    test.same(byPath["test.Message.f"], [ "field-removed!" ], "should reject removed fields without reserved ids");
+    test.same(byPath["test.Message.renamed"], [ "field-id-reused!" ], "should reject reused ids of incompatible type");
+    test.same(byPath["test.Message.h"], [ "field-required-changed!" ], "should reject required-ness changes");
+    test.notOk(byPath["test.Message.i"] || byPath["test.Message.m"] || byPath["test.Message.Inner"], "should not report unchanged declarations");
+    test.same(byPath["test.Message.j"], [ "field-added!" ], "should reject added required fields");
+    test.same(byPath["test.Removed"], [ "type-removed!" ], "should reject removed types");
+    test.same(byPath["test.Added"], [ "type-added" ], "should accept added types");
+    test.same(byPath["test.Kind.SOME"], [ "enum-value-removed!" ], "should reject removed enum values");
+    test.same(byPath["test.Kind.MORE"], [ "enum-value-changed!" ], "should reject changed enum values");
+    test.same(byPath["test.Kind.EVEN_MORE"], [ "enum-value-added" ], "should accept added enum values");
+    test.same(byPath["test.Greeter.Stream"], [ "method-changed!" ], "should reject changed method signatures");
+    test.same(byPath["test.Greeter.Old"], [ "method-renamed!" ], "should detect renamed methods");
+    test.same(byPath["test.Legacy"], [ "service-renamed!" ], "should detect renamed services");
+    test.notOk(byPath["test.Greeter.New"] || byPath["test.Renamed"], "should not report renamed declarations as added");
+
+    var message = changes.filter(function(change) { return change.kind === "field-id-reused"; })[0].message;
+    test.equal(message, "id 7 of field 'g' reused by 'renamed' of incompatible type int32", "should describe changes");
+
+    test.same(protobuf.compare(protobuf.parse(oldProto).root, protobuf.parse(oldProto).root), [], "should report no changes between equal schemas");
+    test.end();
+});
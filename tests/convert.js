@@ -0,0 +1,132 @@
+var tape = require("tape");
+
+var protobuf = require("..");
+
+tape.test("converters", function(test) {
+
+    protobuf.load("tests/data/json.proto", function(err, root) {
+        if (err)
+            return test.fail(err.message);
+
+        var Scalars   = root.lookup("jsontest.Scalars"),
+            Inner     = root.lookup("jsontest.Inner"),
+            WellKnown = root.lookup("jsontest.WellKnown");
+
+        test.test("fromObject", function(test) {
+            var msg = Scalars.fromObject({
+                int32Value: "-5",
+                uint32Value: -1,
+                int64Value: "-9007199254740993",
+                uint64Value: "18446744073709551615",
+                doubleValue: "1.5",
+                boolValue: 1,
+                stringValue: 42,
+                bytesValue: "+/8=",
+                kind: "BAR",
+                repeatedInt64: [ "1", 2 ],
+                innerMap: { a: { value: "b" } },
+                intMap: { 1: "one" },
+                inner: { value: "c" },
+                choiceInt: "3"
+            });
+            test.ok(msg instanceof protobuf.Message, "should return a message instance");
+            test.equal(msg.int32Value, -5, "should convert int32 strings");
+            test.equal(msg.uint32Value, 4294967295, "should convert uint32 values");
+            test.equal(msg.int64Value.toString(), "-9007199254740993", "should convert int64 strings to longs");
+            test.ok(msg.uint64Value.unsigned, "should convert uint64 strings to unsigned longs");
+            test.equal(msg.uint64Value.toString(), "18446744073709551615", "should preserve all uint64 bits");
+            test.equal(msg.doubleValue, 1.5, "should convert numeric strings to doubles");
+            test.equal(msg.boolValue, true, "should convert booleans");
+            test.equal(msg.stringValue, "42", "should convert strings");
+            test.deepEqual(Array.prototype.slice.call(msg.bytesValue), [ 0xfb, 0xff ], "should convert base64 strings to buffers");
+            test.equal(msg.kind, 2, "should convert enum names to ids");
+            test.ok(msg.repeatedInt64[0] instanceof protobuf.util.Long, "should convert repeated values");
+            test.ok(msg.innerMap.a instanceof Inner.getCtor(), "should convert map values to messages");
+            test.ok(msg.inner instanceof Inner.getCtor(), "should convert nested messages");
+            test.equal(msg.choice, "choiceInt", "should set oneof members");
+            test.equal(Scalars.fromObject(msg), msg, "should return message instances as is");
+            test.equal(Scalars.fromObject({ kind: 7 }).kind, 7, "should keep unknown enum ids");
+            test.equal(Scalars.fromObject({ kind: "NOPE" }).hasOwnProperty("kind"), false, "should ignore unknown enum names");
+
+            test.throws(function() {
+                Scalars.fromObject({ inner: "x" });
+            }, /\.jsontest\.Scalars\.inner: object expected/, "should throw for invalid nested messages");
+            test.throws(function() {
+                Scalars.fromObject({ repeatedInt64: 1 });
+            }, /\.jsontest\.Scalars\.repeatedInt64: array expected/, "should throw for invalid repeated fields");
+
+            var timestamp = WellKnown.fromObject({ timestamp: new Date(-1500) }).timestamp;
+            test.equal(timestamp.seconds.toNumber(), -2, "should convert dates to timestamp seconds");
+            test.equal(timestamp.nanos, 500000000, "should convert dates to timestamp nanos");
+            test.equal(WellKnown.fromObject({ timestamp: "1970-01-01T00:00:01.25Z" }).timestamp.nanos, 250000000, "should convert date strings to timestamps");
+            test.throws(function() {
+                WellKnown.fromObject({ timestamp: "yesterday" });
+            }, /invalid date/, "should throw for invalid date strings");
+            test.equal(WellKnown.fromObject({ timestamp: "1970-01-01T01:00:01.123456789+01:00" }).timestamp.nanos, 123456789, "should keep nanos of date strings");
+            test.equal(WellKnown.fromObject({ timestamp: "1970-01-01T01:00:01.123456789+01:00" }).timestamp.seconds.toNumber(), 1, "should respect offsets of date strings");
+            test.throws(function() {
+                WellKnown.fromObject({ timestamp: "Thu, 01 Jan 1970 00:00:00 GMT" });
+            }, /invalid date/, "should throw for date strings other than RFC 3339");
+            test.end();
+        });
+
+        test.test("toObject", function(test) {
+            var msg = Scalars.fromObject({
+                int64Value: "-9007199254740993",
+                bytesValue: "+/8=",
+                kind: 1,
+                repeatedInt64: [ 1 ],
+                inner: { value: "c" },
+                choiceString: "s"
+            });
+            test.deepEqual(msg.toObject({ longs: String, enums: String, bytes: String, oneofs: true }), {
+                int64Value: "-9007199254740993",
+                bytesValue: "+/8=",
+                kind: "FOO",
+                repeatedInt64: [ "1" ],
+                inner: { value: "c" },
+                choiceString: "s",
+                choice: "choiceString"
+            }, "should convert values as specified");
+
+            var obj = Scalars.toObject(msg, { longs: Number, bytes: Array });
+            test.equal(obj.int64Value, -9007199254740992, "should convert longs to numbers");
+            test.deepEqual(obj.bytesValue, [ 0xfb, 0xff ], "should convert bytes to arrays");
+            test.equal(obj.kind, 1, "should keep enum ids by default");
+            test.notOk(obj.inner instanceof protobuf.Message, "should convert nested messages to plain objects");
+
+            var defaults = Scalars.toObject(Scalars.create(), { defaults: true, longs: String, enums: String });
+            test.equal(defaults.int64Value, "0", "should set long defaults");
+            test.equal(defaults.kind, "UNKNOWN", "should set enum defaults");
+            test.equal(defaults.inner, null, "should set message defaults to null");
+            test.deepEqual(defaults.repeatedInt64, [], "should set empty arrays");
+            test.deepEqual(defaults.innerMap, {}, "should set empty objects");
+            test.notOk("choiceString" in defaults, "should not set defaults for oneof members");
+
+            test.deepEqual(Scalars.toObject(Scalars.create(), { arrays: true, objects: true }), { repeatedInt64: [], innerMap: {}, intMap: {} }, "should set just empty arrays and objects if requested");
+            test.deepEqual(Scalars.toObject(Scalars.decode(Scalars.encode(msg).finish()), { longs: String, bytes: String }), msg.toObject({ longs: String, bytes: String }), "should round-trip through the wire format");
+            test.end();
+        });
+
+        test.end();
+    });
+
+});
+
+tape.test("converters (static)", function(test) {
+    var root = require("./data/package.js");
+
+    var pkg = root.Package.fromObject({
+        name: "protobufjs",
+        repository: { type: "git", url: "https://github.com/dcodeIO/protobuf.js.git" },
+        keywords: [ "protobuf" ]
+    });
+    test.ok(pkg instanceof root.Package, "should return a message instance");
+    test.ok(pkg.repository instanceof root.Package.Repository, "should convert nested messages");
+    test.deepEqual(pkg.toObject(), {
+        name: "protobufjs",
+        repository: { type: "git", url: "https://github.com/dcodeIO/protobuf.js.git" },
+        keywords: [ "protobuf" ]
+    }, "should convert back to a plain object");
+    test.end();
+});
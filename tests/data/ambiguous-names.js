@@ -59,11 +59,37 @@ $root.A = (function() {
             w||(w=Writer.create())
             if(m["whatever"]!==undefined&&m["whatever"]!=="")
                 w.uint32(10).string(m["whatever"])
+            if(m.$unknown)
+                for(var i=0;i<m.$unknown.length;++i)
+                w.raw(m.$unknown[i])
             return w
         }
         /* eslint-enable */
     })();
 
+    /**
+     * Computes the byte length of the specified A as written by {@link A.encode}.
+     * @function
+     * @param {A|Object} message A or plain object
+     * @returns {number} Byte length
+     */
+    A.encodedSize = (function() {
+        /* eslint-disable */
+        var Writer = $protobuf.Writer;
+        var util = $protobuf.util;
+        var types; $lazyTypes.push(types = [null]);
+        return function encodedSize(m) {
+            var s=0,l,n
+            if(m["whatever"]!==undefined&&m["whatever"]!=="")
+                s+=1+Writer.stringLength(m["whatever"])
+            if(m.$unknown)
+                for(var i=0;i<m.$unknown.length;++i)
+                s+=m.$unknown[i].length
+            return s
+        }
+        /* eslint-enable */
+    })();
+
     /**
      * Encodes the specified A, length delimited.
      * @param {A|Object} message A or plain object to encode
@@ -90,13 +116,15 @@ $root.A = (function() {
             r instanceof Reader||(r=Reader.create(r))
             var c=l===undefined?r.len:r.pos+l,m=new $root.A
             while(r.pos<c){
-                var t=r.uint32()
+                var p=r.pos,t=r.uint32()
                 switch(t>>>3){
                     case 1:
                         m["whatever"]=r.string()
                         break
                     default:
                         r.skipType(t&7)
+                        if(!r.discardUnknown)
+                            util.addUnknown(m,r._slice.call(r.buf,p,r.pos))
                         break
                 }
             }
@@ -135,6 +163,64 @@ $root.A = (function() {
         /* eslint-enable */
     })();
 
+    /**
+     * Creates a A message from a plain object. Also converts values to their respective internal types.
+     * @function
+     * @param {Object.<string,*>} object Plain object
+     * @returns {A} A
+     */
+    A.fromObject = (function() {
+        /* eslint-disable */
+        var util = $protobuf.util;
+        var types; $lazyTypes.push(types = [null]);
+        return function fromObject(d) {
+            var C= $root.A
+            if(d instanceof C)
+                return d
+            var m=new C
+            if(d["whatever"]!==undefined&&d["whatever"]!==null){
+                m["whatever"]=String(d["whatever"])
+            }
+            return m
+        }
+        /* eslint-enable */
+    })();
+
+    /**
+     * Creates a plain object from a A message. Also converts values to other types if specified.
+     * @function
+     * @param {A} message A
+     * @param {Object.<string,*>} [options] Conversion options
+     * @returns {Object.<string,*>} Plain object
+     */
+    A.toObject = (function() {
+        /* eslint-disable */
+        var util = $protobuf.util;
+        var types; $lazyTypes.push(types = [null]);
+        return function toObject(m, o) {
+            if(!o)
+                o={}
+            var d={}
+            if(o.defaults){
+                d["whatever"]=""
+            }
+            if(m["whatever"]!==undefined&&m["whatever"]!==null&&m.hasOwnProperty("whatever")){
+                d["whatever"]=m["whatever"]
+            }
+            return d
+        }
+        /* eslint-enable */
+    })();
+
+    /**
+     * Creates a plain object from this A message. Also converts values to other types if specified.
+     * @param {Object.<string,*>} [options] Conversion options
+     * @returns {Object.<string,*>} Plain object
+     */
+    A.prototype.toObject = function toObject(options) {
+        return this.constructor.toObject(this, options);
+    };
+
     return A;
 })();
 
@@ -189,11 +275,37 @@ $root.B = (function() {
             w||(w=Writer.create())
             if(m["A"]!==undefined&&m["A"]!==null)
                 types[0].encode(m["A"],w.fork()).len&&w.ldelim(1)||w.reset()
+            if(m.$unknown)
+                for(var i=0;i<m.$unknown.length;++i)
+                w.raw(m.$unknown[i])
             return w
         }
         /* eslint-enable */
     })();
 
+    /**
+     * Computes the byte length of the specified B as written by {@link B.encode}.
+     * @function
+     * @param {B|Object} message B or plain object
+     * @returns {number} Byte length
+     */
+    B.encodedSize = (function() {
+        /* eslint-disable */
+        var Writer = $protobuf.Writer;
+        var util = $protobuf.util;
+        var types; $lazyTypes.push(types = ["A"]);
+        return function encodedSize(m) {
+            var s=0,l,n
+            if(m["A"]!==undefined&&m["A"]!==null)
+                (l=types[0].encodedSize(m["A"]))&&(s+=1+Writer.uint32Length(l)+l)
+            if(m.$unknown)
+                for(var i=0;i<m.$unknown.length;++i)
+                s+=m.$unknown[i].length
+            return s
+        }
+        /* eslint-enable */
+    })();
+
     /**
      * Encodes the specified B, length delimited.
      * @param {B|Object} message B or plain object to encode
@@ -220,13 +332,15 @@ $root.B = (function() {
             r instanceof Reader||(r=Reader.create(r))
             var c=l===undefined?r.len:r.pos+l,m=new $root.B
             while(r.pos<c){
-                var t=r.uint32()
+                var p=r.pos,t=r.uint32()
                 switch(t>>>3){
                     case 1:
                         m["A"]=types[0].decode(r,r.uint32())
                         break
                     default:
                         r.skipType(t&7)
+                        if(!r.discardUnknown)
+                            util.addUnknown(m,r._slice.call(r.buf,p,r.pos))
                         break
                 }
             }
@@ -266,6 +380,66 @@ $root.B = (function() {
         /* eslint-enable */
     })();
 
+    /**
+     * Creates a B message from a plain object. Also converts values to their respective internal types.
+     * @function
+     * @param {Object.<string,*>} object Plain object
+     * @returns {B} B
+     */
+    B.fromObject = (function() {
+        /* eslint-disable */
+        var util = $protobuf.util;
+        var types; $lazyTypes.push(types = ["A"]);
+        return function fromObject(d) {
+            var C= $root.B
+            if(d instanceof C)
+                return d
+            var m=new C
+            if(d["A"]!==undefined&&d["A"]!==null){
+                if(typeof d["A"]!=="object")
+                    throw TypeError(".B.A: object expected")
+                m["A"]=types[0].fromObject(d["A"])
+            }
+            return m
+        }
+        /* eslint-enable */
+    })();
+
+    /**
+     * Creates a plain object from a B message. Also converts values to other types if specified.
+     * @function
+     * @param {B} message B
+     * @param {Object.<string,*>} [options] Conversion options
+     * @returns {Object.<string,*>} Plain object
+     */
+    B.toObject = (function() {
+        /* eslint-disable */
+        var util = $protobuf.util;
+        var types; $lazyTypes.push(types = ["A"]);
+        return function toObject(m, o) {
+            if(!o)
+                o={}
+            var d={}
+            if(o.defaults){
+                d["A"]=null
+            }
+            if(m["A"]!==undefined&&m["A"]!==null&&m.hasOwnProperty("A")){
+                d["A"]=types[0].toObject(m["A"],o)
+            }
+            return d
+        }
+        /* eslint-enable */
+    })();
+
+    /**
+     * Creates a plain object from this B message. Also converts values to other types if specified.
+     * @param {Object.<string,*>} [options] Conversion options
+     * @returns {Object.<string,*>} Plain object
+     */
+    B.prototype.toObject = function toObject(options) {
+        return this.constructor.toObject(this, options);
+    };
+
     return B;
 })();
 
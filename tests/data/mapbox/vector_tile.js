@@ -69,11 +69,38 @@ $root.vector_tile = (function() {
                 if(m["layers"])
                     for(var i=0;i<m["layers"].length;++i)
                     types[0].encode(m["layers"][i],w.uint32(26).fork()).ldelim()
+                if(m.$unknown)
+                    for(var i=0;i<m.$unknown.length;++i)
+                    w.raw(m.$unknown[i])
                 return w
             }
             /* eslint-enable */
         })();
 
+        /**
+         * Computes the byte length of the specified Tile as written by {@link vector_tile.Tile.encode}.
+         * @function
+         * @param {vector_tile.Tile|Object} message Tile or plain object
+         * @returns {number} Byte length
+         */
+        Tile.encodedSize = (function() {
+            /* eslint-disable */
+            var Writer = $protobuf.Writer;
+            var util = $protobuf.util;
+            var types; $lazyTypes.push(types = ["vector_tile.Tile.Layer"]);
+            return function encodedSize(m) {
+                var s=0,l,n
+                if(m["layers"])
+                    for(var i=0;i<m["layers"].length;++i)
+                    s+=1+Writer.uint32Length(l=types[0].encodedSize(m["layers"][i]))+l
+                if(m.$unknown)
+                    for(var i=0;i<m.$unknown.length;++i)
+                    s+=m.$unknown[i].length
+                return s
+            }
+            /* eslint-enable */
+        })();
+
         /**
          * Encodes the specified Tile, length delimited.
          * @param {vector_tile.Tile|Object} message Tile or plain object to encode
@@ -100,7 +127,7 @@ $root.vector_tile = (function() {
                 r instanceof Reader||(r=Reader.create(r))
                 var c=l===undefined?r.len:r.pos+l,m=new $root.vector_tile.Tile
                 while(r.pos<c){
-                    var t=r.uint32()
+                    var p=r.pos,t=r.uint32()
                     switch(t>>>3){
                         case 3:
                             m["layers"]&&m["layers"].length?m["layers"]:m["layers"]=[]
@@ -108,6 +135,8 @@ $root.vector_tile = (function() {
                             break
                         default:
                             r.skipType(t&7)
+                            if(!r.discardUnknown)
+                                util.addUnknown(m,r._slice.call(r.buf,p,r.pos))
                             break
                     }
                 }
@@ -151,10 +180,82 @@ $root.vector_tile = (function() {
             /* eslint-enable */
         })();
 
+        /**
+         * Creates a Tile message from a plain object. Also converts values to their respective internal types.
+         * @function
+         * @param {Object.<string,*>} object Plain object
+         * @returns {vector_tile.Tile} Tile
+         */
+        Tile.fromObject = (function() {
+            /* eslint-disable */
+            var util = $protobuf.util;
+            var types; $lazyTypes.push(types = ["vector_tile.Tile.Layer"]);
+            return function fromObject(d) {
+                var C= $root.vector_tile.Tile
+                if(d instanceof C)
+                    return d
+                var m=new C
+                if(d["layers"]){
+                    if(!Array.isArray(d["layers"]))
+                        throw TypeError(".vector_tile.Tile.layers: array expected")
+                    m["layers"]=[]
+                    for(var i=0;i<d["layers"].length;++i){
+                        if(typeof d["layers"][i]!=="object")
+                            throw TypeError(".vector_tile.Tile.layers: object expected")
+                        m["layers"][i]=types[0].fromObject(d["layers"][i])
+                    }
+                }
+                return m
+            }
+            /* eslint-enable */
+        })();
+
+        /**
+         * Creates a plain object from a Tile message. Also converts values to other types if specified.
+         * @function
+         * @param {vector_tile.Tile} message Tile
+         * @param {Object.<string,*>} [options] Conversion options
+         * @returns {Object.<string,*>} Plain object
+         */
+        Tile.toObject = (function() {
+            /* eslint-disable */
+            var util = $protobuf.util;
+            var types; $lazyTypes.push(types = ["vector_tile.Tile.Layer"]);
+            return function toObject(m, o) {
+                if(!o)
+                    o={}
+                var d={}
+                if(o.arrays||o.defaults){
+                    d["layers"]=[]
+                }
+                if(m["layers"]&&m["layers"].length){
+                    d["layers"]=[]
+                    for(var j=0;j<m["layers"].length;++j){
+                        d["layers"][j]=types[0].toObject(m["layers"][j],o)
+                    }
+                }
+                return d
+            }
+            /* eslint-enable */
+        })();
+
+        /**
+         * Creates a plain object from this Tile message. Also converts values to other types if specified.
+         * @param {Object.<string,*>} [options] Conversion options
+         * @returns {Object.<string,*>} Plain object
+         */
+        Tile.prototype.toObject = function toObject(options) {
+            return this.constructor.toObject(this, options);
+        };
+
         /**
          * GeomType values.
          * @exports vector_tile.Tile.GeomType
          * @type {Object.<string,number>}
+         * @property {number} UNKNOWN=0
+         * @property {number} POINT=1
+         * @property {number} LINESTRING=2
+         * @property {number} POLYGON=3
          */
         Tile.GeomType = {
 
@@ -269,11 +370,49 @@ $root.vector_tile = (function() {
                         w.uint32(48).sint64(m["sintValue"])
                     if(m["boolValue"]!==undefined&&m["boolValue"]!==false)
                         w.uint32(56).bool(m["boolValue"])
+                    if(m.$unknown)
+                        for(var i=0;i<m.$unknown.length;++i)
+                        w.raw(m.$unknown[i])
                     return w
                 }
                 /* eslint-enable */
             })();
 
+            /**
+             * Computes the byte length of the specified Value as written by {@link vector_tile.Tile.Value.encode}.
+             * @function
+             * @param {vector_tile.Tile.Value|Object} message Value or plain object
+             * @returns {number} Byte length
+             */
+            Value.encodedSize = (function() {
+                /* eslint-disable */
+                var Writer = $protobuf.Writer;
+                var util = $protobuf.util;
+                var types; $lazyTypes.push(types = [null,null,null,null,null,null,null]);
+                return function encodedSize(m) {
+                    var s=0,l,n
+                    if(m["stringValue"]!==undefined&&m["stringValue"]!=="")
+                        s+=1+Writer.stringLength(m["stringValue"])
+                    if(m["floatValue"]!==undefined&&m["floatValue"]!==0)
+                        s+=5
+                    if(m["doubleValue"]!==undefined&&m["doubleValue"]!==0)
+                        s+=9
+                    if(m["intValue"]!==undefined&&util.longNe(m["intValue"],0,0))
+                        s+=1+Writer.int64Length(m["intValue"])
+                    if(m["uintValue"]!==undefined&&util.longNe(m["uintValue"],0,0))
+                        s+=1+Writer.uint64Length(m["uintValue"])
+                    if(m["sintValue"]!==undefined&&util.longNe(m["sintValue"],0,0))
+                        s+=1+Writer.sint64Length(m["sintValue"])
+                    if(m["boolValue"]!==undefined&&m["boolValue"]!==false)
+                        s+=2
+                    if(m.$unknown)
+                        for(var i=0;i<m.$unknown.length;++i)
+                        s+=m.$unknown[i].length
+                    return s
+                }
+                /* eslint-enable */
+            })();
+
             /**
              * Encodes the specified Value, length delimited.
              * @param {vector_tile.Tile.Value|Object} message Value or plain object to encode
@@ -300,7 +439,7 @@ $root.vector_tile = (function() {
                     r instanceof Reader||(r=Reader.create(r))
                     var c=l===undefined?r.len:r.pos+l,m=new $root.vector_tile.Tile.Value
                     while(r.pos<c){
-                        var t=r.uint32()
+                        var p=r.pos,t=r.uint32()
                         switch(t>>>3){
                             case 1:
                                 m["stringValue"]=r.string()
@@ -325,6 +464,8 @@ $root.vector_tile = (function() {
                                 break
                             default:
                                 r.skipType(t&7)
+                                if(!r.discardUnknown)
+                                    util.addUnknown(m,r._slice.call(r.buf,p,r.pos))
                                 break
                         }
                     }
@@ -387,6 +528,154 @@ $root.vector_tile = (function() {
                 /* eslint-enable */
             })();
 
+            /**
+             * Creates a Value message from a plain object. Also converts values to their respective internal types.
+             * @function
+             * @param {Object.<string,*>} object Plain object
+             * @returns {vector_tile.Tile.Value} Value
+             */
+            Value.fromObject = (function() {
+                /* eslint-disable */
+                var util = $protobuf.util;
+                var types; $lazyTypes.push(types = [null,null,null,null,null,null,null]);
+                return function fromObject(d) {
+                    var C= $root.vector_tile.Tile.Value
+                    if(d instanceof C)
+                        return d
+                    var m=new C
+                    if(d["stringValue"]!==undefined&&d["stringValue"]!==null){
+                        m["stringValue"]=String(d["stringValue"])
+                    }
+                    if(d["floatValue"]!==undefined&&d["floatValue"]!==null){
+                        m["floatValue"]=Number(d["floatValue"])
+                    }
+                    if(d["doubleValue"]!==undefined&&d["doubleValue"]!==null){
+                        m["doubleValue"]=Number(d["doubleValue"])
+                    }
+                    if(d["intValue"]!==undefined&&d["intValue"]!==null){
+                        if(util.Long)
+                            m["intValue"]=util.Long.fromValue(d["intValue"]).toSigned()
+                        else if(typeof d["intValue"]==="string")
+                            m["intValue"]=parseInt(d["intValue"],10)
+                        else if(typeof d["intValue"]==="number")
+                            m["intValue"]=d["intValue"]
+                        else if(typeof d["intValue"]==="object")
+                            m["intValue"]=new util.LongBits(d["intValue"].low>>>0,d["intValue"].high>>>0).toNumber(false)
+                    }
+                    if(d["uintValue"]!==undefined&&d["uintValue"]!==null){
+                        if(util.Long)
+                            m["uintValue"]=util.Long.fromValue(d["uintValue"]).toUnsigned()
+                        else if(typeof d["uintValue"]==="string")
+                            m["uintValue"]=parseInt(d["uintValue"],10)
+                        else if(typeof d["uintValue"]==="number")
+                            m["uintValue"]=d["uintValue"]
+                        else if(typeof d["uintValue"]==="object")
+                            m["uintValue"]=new util.LongBits(d["uintValue"].low>>>0,d["uintValue"].high>>>0).toNumber(true)
+                    }
+                    if(d["sintValue"]!==undefined&&d["sintValue"]!==null){
+                        if(util.Long)
+                            m["sintValue"]=util.Long.fromValue(d["sintValue"]).toSigned()
+                        else if(typeof d["sintValue"]==="string")
+                            m["sintValue"]=parseInt(d["sintValue"],10)
+                        else if(typeof d["sintValue"]==="number")
+                            m["sintValue"]=d["sintValue"]
+                        else if(typeof d["sintValue"]==="object")
+                            m["sintValue"]=new util.LongBits(d["sintValue"].low>>>0,d["sintValue"].high>>>0).toNumber(false)
+                    }
+                    if(d["boolValue"]!==undefined&&d["boolValue"]!==null){
+                        m["boolValue"]=Boolean(d["boolValue"])
+                    }
+                    return m
+                }
+                /* eslint-enable */
+            })();
+
+            /**
+             * Creates a plain object from a Value message. Also converts values to other types if specified.
+             * @function
+             * @param {vector_tile.Tile.Value} message Value
+             * @param {Object.<string,*>} [options] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            Value.toObject = (function() {
+                /* eslint-disable */
+                var util = $protobuf.util;
+                var types; $lazyTypes.push(types = [null,null,null,null,null,null,null]);
+                return function toObject(m, o) {
+                    if(!o)
+                        o={}
+                    var d={}
+                    if(o.defaults){
+                        d["stringValue"]=""
+                        d["floatValue"]=0
+                        d["doubleValue"]=0
+                        if(util.Long){
+                            var n=new util.Long(0,0,false)
+                            d["intValue"]=o.longs===String?n.toString():o.longs===Number?n.toNumber():n
+                        }else
+                            d["intValue"]=o.longs===String?"0":0
+                        if(util.Long){
+                            var n=new util.Long(0,0,true)
+                            d["uintValue"]=o.longs===String?n.toString():o.longs===Number?n.toNumber():n
+                        }else
+                            d["uintValue"]=o.longs===String?"0":0
+                        if(util.Long){
+                            var n=new util.Long(0,0,false)
+                            d["sintValue"]=o.longs===String?n.toString():o.longs===Number?n.toNumber():n
+                        }else
+                            d["sintValue"]=o.longs===String?"0":0
+                        d["boolValue"]=false
+                    }
+                    if(m["stringValue"]!==undefined&&m["stringValue"]!==null&&m.hasOwnProperty("stringValue")){
+                        d["stringValue"]=m["stringValue"]
+                    }
+                    if(m["floatValue"]!==undefined&&m["floatValue"]!==null&&m.hasOwnProperty("floatValue")){
+                        d["floatValue"]=m["floatValue"]
+                    }
+                    if(m["doubleValue"]!==undefined&&m["doubleValue"]!==null&&m.hasOwnProperty("doubleValue")){
+                        d["doubleValue"]=m["doubleValue"]
+                    }
+                    if(m["intValue"]!==undefined&&m["intValue"]!==null&&m.hasOwnProperty("intValue")){
+                        if(typeof m["intValue"]==="number")
+                            d["intValue"]=o.longs===String?String(m["intValue"]):m["intValue"]
+                        else if(typeof m["intValue"]==="string")
+                            d["intValue"]=o.longs===Number?Number(m["intValue"]):m["intValue"]
+                        else
+                            d["intValue"]=o.longs===String?util.LongBits.from(m["intValue"]).toLong(false).toString():o.longs===Number?util.LongBits.from(m["intValue"]).toNumber(false):m["intValue"]
+                    }
+                    if(m["uintValue"]!==undefined&&m["uintValue"]!==null&&m.hasOwnProperty("uintValue")){
+                        if(typeof m["uintValue"]==="number")
+                            d["uintValue"]=o.longs===String?String(m["uintValue"]):m["uintValue"]
+                        else if(typeof m["uintValue"]==="string")
+                            d["uintValue"]=o.longs===Number?Number(m["uintValue"]):m["uintValue"]
+                        else
+                            d["uintValue"]=o.longs===String?util.LongBits.from(m["uintValue"]).toLong(true).toString():o.longs===Number?util.LongBits.from(m["uintValue"]).toNumber(true):m["uintValue"]
+                    }
+                    if(m["sintValue"]!==undefined&&m["sintValue"]!==null&&m.hasOwnProperty("sintValue")){
+                        if(typeof m["sintValue"]==="number")
+                            d["sintValue"]=o.longs===String?String(m["sintValue"]):m["sintValue"]
+                        else if(typeof m["sintValue"]==="string")
+                            d["sintValue"]=o.longs===Number?Number(m["sintValue"]):m["sintValue"]
+                        else
+                            d["sintValue"]=o.longs===String?util.LongBits.from(m["sintValue"]).toLong(false).toString():o.longs===Number?util.LongBits.from(m["sintValue"]).toNumber(false):m["sintValue"]
+                    }
+                    if(m["boolValue"]!==undefined&&m["boolValue"]!==null&&m.hasOwnProperty("boolValue")){
+                        d["boolValue"]=m["boolValue"]
+                    }
+                    return d
+                }
+                /* eslint-enable */
+            })();
+
+            /**
+             * Creates a plain object from this Value message. Also converts values to other types if specified.
+             * @param {Object.<string,*>} [options] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            Value.prototype.toObject = function toObject(options) {
+                return this.constructor.toObject(this, options);
+            };
+
             return Value;
         })();
 
@@ -476,11 +765,49 @@ $root.vector_tile = (function() {
                             w.uint32(m["geometry"][i])
                         w.ldelim()
                     }
+                    if(m.$unknown)
+                        for(var i=0;i<m.$unknown.length;++i)
+                        w.raw(m.$unknown[i])
                     return w
                 }
                 /* eslint-enable */
             })();
 
+            /**
+             * Computes the byte length of the specified Feature as written by {@link vector_tile.Tile.Feature.encode}.
+             * @function
+             * @param {vector_tile.Tile.Feature|Object} message Feature or plain object
+             * @returns {number} Byte length
+             */
+            Feature.encodedSize = (function() {
+                /* eslint-disable */
+                var Writer = $protobuf.Writer;
+                var util = $protobuf.util;
+                var types; $lazyTypes.push(types = [null,null,"vector_tile.Tile.GeomType",null]);
+                return function encodedSize(m) {
+                    var s=0,l,n
+                    if(m["id"]!==undefined&&util.longNe(m["id"],0,0))
+                        s+=1+Writer.uint64Length(m["id"])
+                    if(m["tags"]&&m["tags"].length){
+                        for(var i=0,l=0;i<m["tags"].length;++i)
+                            l+=Writer.uint32Length(m["tags"][i])
+                        s+=1+Writer.uint32Length(l)+l
+                    }
+                    if(m["type"]!==undefined&&m["type"]!=="UNKNOWN")
+                        s+=1+Writer.uint32Length(m["type"])
+                    if(m["geometry"]&&m["geometry"].length){
+                        for(var i=0,l=0;i<m["geometry"].length;++i)
+                            l+=Writer.uint32Length(m["geometry"][i])
+                        s+=1+Writer.uint32Length(l)+l
+                    }
+                    if(m.$unknown)
+                        for(var i=0;i<m.$unknown.length;++i)
+                        s+=m.$unknown[i].length
+                    return s
+                }
+                /* eslint-enable */
+            })();
+
             /**
              * Encodes the specified Feature, length delimited.
              * @param {vector_tile.Tile.Feature|Object} message Feature or plain object to encode
@@ -507,7 +834,7 @@ $root.vector_tile = (function() {
                     r instanceof Reader||(r=Reader.create(r))
                     var c=l===undefined?r.len:r.pos+l,m=new $root.vector_tile.Tile.Feature
                     while(r.pos<c){
-                        var t=r.uint32()
+                        var p=r.pos,t=r.uint32()
                         switch(t>>>3){
                             case 1:
                                 m["id"]=r.uint64()
@@ -535,6 +862,8 @@ $root.vector_tile = (function() {
                                 break
                             default:
                                 r.skipType(t&7)
+                                if(!r.discardUnknown)
+                                    util.addUnknown(m,r._slice.call(r.buf,p,r.pos))
                                 break
                         }
                     }
@@ -600,6 +929,140 @@ $root.vector_tile = (function() {
                 /* eslint-enable */
             })();
 
+            /**
+             * Creates a Feature message from a plain object. Also converts values to their respective internal types.
+             * @function
+             * @param {Object.<string,*>} object Plain object
+             * @returns {vector_tile.Tile.Feature} Feature
+             */
+            Feature.fromObject = (function() {
+                /* eslint-disable */
+                var util = $protobuf.util;
+                var types; $lazyTypes.push(types = [null,null,"vector_tile.Tile.GeomType",null]);
+                return function fromObject(d) {
+                    var C= $root.vector_tile.Tile.Feature
+                    if(d instanceof C)
+                        return d
+                    var m=new C
+                    if(d["id"]!==undefined&&d["id"]!==null){
+                        if(util.Long)
+                            m["id"]=util.Long.fromValue(d["id"]).toUnsigned()
+                        else if(typeof d["id"]==="string")
+                            m["id"]=parseInt(d["id"],10)
+                        else if(typeof d["id"]==="number")
+                            m["id"]=d["id"]
+                        else if(typeof d["id"]==="object")
+                            m["id"]=new util.LongBits(d["id"].low>>>0,d["id"].high>>>0).toNumber(true)
+                    }
+                    if(d["tags"]){
+                        if(!Array.isArray(d["tags"]))
+                            throw TypeError(".vector_tile.Tile.Feature.tags: array expected")
+                        m["tags"]=[]
+                        for(var i=0;i<d["tags"].length;++i){
+                            m["tags"][i]=d["tags"][i]>>>0
+                        }
+                    }
+                    if(d["type"]!==undefined&&d["type"]!==null){
+                        switch(d["type"]){
+                            default:
+                                if(util.isInteger(d["type"]))
+                                    m["type"]=d["type"]
+                                break
+                            case "UNKNOWN":
+                            case 0:
+                                m["type"]=0
+                                break
+                            case "POINT":
+                            case 1:
+                                m["type"]=1
+                                break
+                            case "LINESTRING":
+                            case 2:
+                                m["type"]=2
+                                break
+                            case "POLYGON":
+                            case 3:
+                                m["type"]=3
+                                break
+                        }
+                    }
+                    if(d["geometry"]){
+                        if(!Array.isArray(d["geometry"]))
+                            throw TypeError(".vector_tile.Tile.Feature.geometry: array expected")
+                        m["geometry"]=[]
+                        for(var i=0;i<d["geometry"].length;++i){
+                            m["geometry"][i]=d["geometry"][i]>>>0
+                        }
+                    }
+                    return m
+                }
+                /* eslint-enable */
+            })();
+
+            /**
+             * Creates a plain object from a Feature message. Also converts values to other types if specified.
+             * @function
+             * @param {vector_tile.Tile.Feature} message Feature
+             * @param {Object.<string,*>} [options] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            Feature.toObject = (function() {
+                /* eslint-disable */
+                var util = $protobuf.util;
+                var types; $lazyTypes.push(types = [null,null,"vector_tile.Tile.GeomType",null]);
+                return function toObject(m, o) {
+                    if(!o)
+                        o={}
+                    var d={}
+                    if(o.arrays||o.defaults){
+                        d["tags"]=[]
+                        d["geometry"]=[]
+                    }
+                    if(o.defaults){
+                        if(util.Long){
+                            var n=new util.Long(0,0,true)
+                            d["id"]=o.longs===String?n.toString():o.longs===Number?n.toNumber():n
+                        }else
+                            d["id"]=o.longs===String?"0":0
+                        d["type"]=o.enums===String?"UNKNOWN":0
+                    }
+                    if(m["id"]!==undefined&&m["id"]!==null&&m.hasOwnProperty("id")){
+                        if(typeof m["id"]==="number")
+                            d["id"]=o.longs===String?String(m["id"]):m["id"]
+                        else if(typeof m["id"]==="string")
+                            d["id"]=o.longs===Number?Number(m["id"]):m["id"]
+                        else
+                            d["id"]=o.longs===String?util.LongBits.from(m["id"]).toLong(true).toString():o.longs===Number?util.LongBits.from(m["id"]).toNumber(true):m["id"]
+                    }
+                    if(m["tags"]&&m["tags"].length){
+                        d["tags"]=[]
+                        for(var j=0;j<m["tags"].length;++j){
+                            d["tags"][j]=m["tags"][j]
+                        }
+                    }
+                    if(m["type"]!==undefined&&m["type"]!==null&&m.hasOwnProperty("type")){
+                        d["type"]=o.enums===String&&{"0":"UNKNOWN","1":"POINT","2":"LINESTRING","3":"POLYGON"}[m["type"]]||m["type"]
+                    }
+                    if(m["geometry"]&&m["geometry"].length){
+                        d["geometry"]=[]
+                        for(var j=0;j<m["geometry"].length;++j){
+                            d["geometry"][j]=m["geometry"][j]
+                        }
+                    }
+                    return d
+                }
+                /* eslint-enable */
+            })();
+
+            /**
+             * Creates a plain object from this Feature message. Also converts values to other types if specified.
+             * @param {Object.<string,*>} [options] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            Feature.prototype.toObject = function toObject(options) {
+                return this.constructor.toObject(this, options);
+            };
+
             return Feature;
         })();
 
@@ -687,20 +1150,73 @@ $root.vector_tile = (function() {
                 var types; $lazyTypes.push(types = [null,null,"vector_tile.Tile.Feature",null,"vector_tile.Tile.Value",null]);
                 return function encode(m, w) {
                     w||(w=Writer.create())
-                    w.uint32(120).uint32(m["version"])
-                    w.uint32(10).string(m["name"])
+                    if(w.deterministic){
+                        w.uint32(10).string(m["name"])
+                        if(m["features"])
+                            for(var i=0;i<m["features"].length;++i)
+                            types[2].encode(m["features"][i],w.uint32(18).fork()).ldelim()
+                        if(m["keys"])
+                            for(var i=0;i<m["keys"].length;++i)
+                            w.uint32(26).string(m["keys"][i])
+                        if(m["values"])
+                            for(var i=0;i<m["values"].length;++i)
+                            types[4].encode(m["values"][i],w.uint32(34).fork()).ldelim()
+                        if(m["extent"]!==undefined&&m["extent"]!==4096)
+                            w.uint32(40).uint32(m["extent"])
+                        w.uint32(120).uint32(m["version"])
+                    }else{
+                        w.uint32(120).uint32(m["version"])
+                        w.uint32(10).string(m["name"])
+                        if(m["features"])
+                            for(var i=0;i<m["features"].length;++i)
+                            types[2].encode(m["features"][i],w.uint32(18).fork()).ldelim()
+                        if(m["keys"])
+                            for(var i=0;i<m["keys"].length;++i)
+                            w.uint32(26).string(m["keys"][i])
+                        if(m["values"])
+                            for(var i=0;i<m["values"].length;++i)
+                            types[4].encode(m["values"][i],w.uint32(34).fork()).ldelim()
+                        if(m["extent"]!==undefined&&m["extent"]!==4096)
+                            w.uint32(40).uint32(m["extent"])
+                    }
+                    if(m.$unknown)
+                        for(var i=0;i<m.$unknown.length;++i)
+                        w.raw(m.$unknown[i])
+                    return w
+                }
+                /* eslint-enable */
+            })();
+
+            /**
+             * Computes the byte length of the specified Layer as written by {@link vector_tile.Tile.Layer.encode}.
+             * @function
+             * @param {vector_tile.Tile.Layer|Object} message Layer or plain object
+             * @returns {number} Byte length
+             */
+            Layer.encodedSize = (function() {
+                /* eslint-disable */
+                var Writer = $protobuf.Writer;
+                var util = $protobuf.util;
+                var types; $lazyTypes.push(types = [null,null,"vector_tile.Tile.Feature",null,"vector_tile.Tile.Value",null]);
+                return function encodedSize(m) {
+                    var s=0,l,n
+                    s+=1+Writer.uint32Length(m["version"])
+                    s+=1+Writer.stringLength(m["name"])
                     if(m["features"])
                         for(var i=0;i<m["features"].length;++i)
-                        types[2].encode(m["features"][i],w.uint32(18).fork()).ldelim()
+                        s+=1+Writer.uint32Length(l=types[2].encodedSize(m["features"][i]))+l
                     if(m["keys"])
                         for(var i=0;i<m["keys"].length;++i)
-                        w.uint32(26).string(m["keys"][i])
+                        s+=1+Writer.stringLength(m["keys"][i])
                     if(m["values"])
                         for(var i=0;i<m["values"].length;++i)
-                        types[4].encode(m["values"][i],w.uint32(34).fork()).ldelim()
+                        s+=1+Writer.uint32Length(l=types[4].encodedSize(m["values"][i]))+l
                     if(m["extent"]!==undefined&&m["extent"]!==4096)
-                        w.uint32(40).uint32(m["extent"])
-                    return w
+                        s+=1+Writer.uint32Length(m["extent"])
+                    if(m.$unknown)
+                        for(var i=0;i<m.$unknown.length;++i)
+                        s+=m.$unknown[i].length
+                    return s
                 }
                 /* eslint-enable */
             })();
@@ -731,7 +1247,7 @@ $root.vector_tile = (function() {
                     r instanceof Reader||(r=Reader.create(r))
                     var c=l===undefined?r.len:r.pos+l,m=new $root.vector_tile.Tile.Layer
                     while(r.pos<c){
-                        var t=r.uint32()
+                        var p=r.pos,t=r.uint32()
                         switch(t>>>3){
                             case 15:
                                 m["version"]=r.uint32()
@@ -756,6 +1272,8 @@ $root.vector_tile = (function() {
                                 break
                             default:
                                 r.skipType(t&7)
+                                if(!r.discardUnknown)
+                                    util.addUnknown(m,r._slice.call(r.buf,p,r.pos))
                                 break
                         }
                     }
@@ -824,6 +1342,129 @@ $root.vector_tile = (function() {
                 /* eslint-enable */
             })();
 
+            /**
+             * Creates a Layer message from a plain object. Also converts values to their respective internal types.
+             * @function
+             * @param {Object.<string,*>} object Plain object
+             * @returns {vector_tile.Tile.Layer} Layer
+             */
+            Layer.fromObject = (function() {
+                /* eslint-disable */
+                var util = $protobuf.util;
+                var types; $lazyTypes.push(types = [null,null,"vector_tile.Tile.Feature",null,"vector_tile.Tile.Value",null]);
+                return function fromObject(d) {
+                    var C= $root.vector_tile.Tile.Layer
+                    if(d instanceof C)
+                        return d
+                    var m=new C
+                    if(d["version"]!==undefined&&d["version"]!==null){
+                        m["version"]=d["version"]>>>0
+                    }
+                    if(d["name"]!==undefined&&d["name"]!==null){
+                        m["name"]=String(d["name"])
+                    }
+                    if(d["features"]){
+                        if(!Array.isArray(d["features"]))
+                            throw TypeError(".vector_tile.Tile.Layer.features: array expected")
+                        m["features"]=[]
+                        for(var i=0;i<d["features"].length;++i){
+                            if(typeof d["features"][i]!=="object")
+                                throw TypeError(".vector_tile.Tile.Layer.features: object expected")
+                            m["features"][i]=types[2].fromObject(d["features"][i])
+                        }
+                    }
+                    if(d["keys"]){
+                        if(!Array.isArray(d["keys"]))
+                            throw TypeError(".vector_tile.Tile.Layer.keys: array expected")
+                        m["keys"]=[]
+                        for(var i=0;i<d["keys"].length;++i){
+                            m["keys"][i]=String(d["keys"][i])
+                        }
+                    }
+                    if(d["values"]){
+                        if(!Array.isArray(d["values"]))
+                            throw TypeError(".vector_tile.Tile.Layer.values: array expected")
+                        m["values"]=[]
+                        for(var i=0;i<d["values"].length;++i){
+                            if(typeof d["values"][i]!=="object")
+                                throw TypeError(".vector_tile.Tile.Layer.values: object expected")
+                            m["values"][i]=types[4].fromObject(d["values"][i])
+                        }
+                    }
+                    if(d["extent"]!==undefined&&d["extent"]!==null){
+                        m["extent"]=d["extent"]>>>0
+                    }
+                    return m
+                }
+                /* eslint-enable */
+            })();
+
+            /**
+             * Creates a plain object from a Layer message. Also converts values to other types if specified.
+             * @function
+             * @param {vector_tile.Tile.Layer} message Layer
+             * @param {Object.<string,*>} [options] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            Layer.toObject = (function() {
+                /* eslint-disable */
+                var util = $protobuf.util;
+                var types; $lazyTypes.push(types = [null,null,"vector_tile.Tile.Feature",null,"vector_tile.Tile.Value",null]);
+                return function toObject(m, o) {
+                    if(!o)
+                        o={}
+                    var d={}
+                    if(o.arrays||o.defaults){
+                        d["features"]=[]
+                        d["keys"]=[]
+                        d["values"]=[]
+                    }
+                    if(o.defaults){
+                        d["version"]=1
+                        d["name"]=""
+                        d["extent"]=4096
+                    }
+                    if(m["version"]!==undefined&&m["version"]!==null&&m.hasOwnProperty("version")){
+                        d["version"]=m["version"]
+                    }
+                    if(m["name"]!==undefined&&m["name"]!==null&&m.hasOwnProperty("name")){
+                        d["name"]=m["name"]
+                    }
+                    if(m["features"]&&m["features"].length){
+                        d["features"]=[]
+                        for(var j=0;j<m["features"].length;++j){
+                            d["features"][j]=types[2].toObject(m["features"][j],o)
+                        }
+                    }
+                    if(m["keys"]&&m["keys"].length){
+                        d["keys"]=[]
+                        for(var j=0;j<m["keys"].length;++j){
+                            d["keys"][j]=m["keys"][j]
+                        }
+                    }
+                    if(m["values"]&&m["values"].length){
+                        d["values"]=[]
+                        for(var j=0;j<m["values"].length;++j){
+                            d["values"][j]=types[4].toObject(m["values"][j],o)
+                        }
+                    }
+                    if(m["extent"]!==undefined&&m["extent"]!==null&&m.hasOwnProperty("extent")){
+                        d["extent"]=m["extent"]
+                    }
+                    return d
+                }
+                /* eslint-enable */
+            })();
+
+            /**
+             * Creates a plain object from this Layer message. Also converts values to other types if specified.
+             * @param {Object.<string,*>} [options] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            Layer.prototype.toObject = function toObject(options) {
+                return this.constructor.toObject(this, options);
+            };
+
             return Layer;
         })();
 
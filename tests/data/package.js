@@ -133,7 +133,7 @@ $root.Package = (function() {
     $prototype["devDependencies"] = $protobuf.util.emptyObject;
 
     /**
-     * Package types.
+     * map<string, bool>   browser = 16;
      * @name Package#types
      * @type {string}
      */
@@ -184,35 +184,50 @@ $root.Package = (function() {
             if(m["main"]!==undefined&&m["main"]!=="")
                 w.uint32(82).string(m["main"])
             if(m["bin"]&&m["bin"]!==util.emptyObject){
-                for(var ks=Object.keys(m["bin"]),i=0;i<ks.length;++i){
+                var ks=Object.keys(m["bin"])
+                if(w.deterministic)
+                    util.sortKeys(ks,"string")
+                for(var i=0;i<ks.length;++i){
                     w.uint32(90).fork().uint32(10).string(ks[i])
                     w.uint32(18).string(m["bin"][ks[i]])
                     w.ldelim()
                 }
             }
             if(m["scripts"]&&m["scripts"]!==util.emptyObject){
-                for(var ks=Object.keys(m["scripts"]),i=0;i<ks.length;++i){
+                var ks=Object.keys(m["scripts"])
+                if(w.deterministic)
+                    util.sortKeys(ks,"string")
+                for(var i=0;i<ks.length;++i){
                     w.uint32(98).fork().uint32(10).string(ks[i])
                     w.uint32(18).string(m["scripts"][ks[i]])
                     w.ldelim()
                 }
             }
             if(m["dependencies"]&&m["dependencies"]!==util.emptyObject){
-                for(var ks=Object.keys(m["dependencies"]),i=0;i<ks.length;++i){
+                var ks=Object.keys(m["dependencies"])
+                if(w.deterministic)
+                    util.sortKeys(ks,"string")
+                for(var i=0;i<ks.length;++i){
                     w.uint32(106).fork().uint32(10).string(ks[i])
                     w.uint32(18).string(m["dependencies"][ks[i]])
                     w.ldelim()
                 }
             }
             if(m["optionalDependencies"]&&m["optionalDependencies"]!==util.emptyObject){
-                for(var ks=Object.keys(m["optionalDependencies"]),i=0;i<ks.length;++i){
+                var ks=Object.keys(m["optionalDependencies"])
+                if(w.deterministic)
+                    util.sortKeys(ks,"string")
+                for(var i=0;i<ks.length;++i){
                     w.uint32(114).fork().uint32(10).string(ks[i])
                     w.uint32(18).string(m["optionalDependencies"][ks[i]])
                     w.ldelim()
                 }
             }
             if(m["devDependencies"]&&m["devDependencies"]!==util.emptyObject){
-                for(var ks=Object.keys(m["devDependencies"]),i=0;i<ks.length;++i){
+                var ks=Object.keys(m["devDependencies"])
+                if(w.deterministic)
+                    util.sortKeys(ks,"string")
+                for(var i=0;i<ks.length;++i){
                     w.uint32(122).fork().uint32(10).string(ks[i])
                     w.uint32(18).string(m["devDependencies"][ks[i]])
                     w.ldelim()
@@ -220,11 +235,93 @@ $root.Package = (function() {
             }
             if(m["types"]!==undefined&&m["types"]!=="")
                 w.uint32(138).string(m["types"])
+            if(m.$unknown)
+                for(var i=0;i<m.$unknown.length;++i)
+                w.raw(m.$unknown[i])
             return w
         }
         /* eslint-enable */
     })();
 
+    /**
+     * Computes the byte length of the specified Package as written by {@link Package.encode}.
+     * @function
+     * @param {Package|Object} message Package or plain object
+     * @returns {number} Byte length
+     */
+    Package.encodedSize = (function() {
+        /* eslint-disable */
+        var Writer = $protobuf.Writer;
+        var util = $protobuf.util;
+        var types; $lazyTypes.push(types = [null,null,null,null,null,"Package.Repository",null,null,null,null,null,null,null,null,null,null]);
+        return function encodedSize(m) {
+            var s=0,l,n
+            if(m["name"]!==undefined&&m["name"]!=="")
+                s+=1+Writer.stringLength(m["name"])
+            if(m["version"]!==undefined&&m["version"]!=="")
+                s+=1+Writer.stringLength(m["version"])
+            if(m["description"]!==undefined&&m["description"]!=="")
+                s+=1+Writer.stringLength(m["description"])
+            if(m["author"]!==undefined&&m["author"]!=="")
+                s+=1+Writer.stringLength(m["author"])
+            if(m["license"]!==undefined&&m["license"]!=="")
+                s+=1+Writer.stringLength(m["license"])
+            if(m["repository"]!==undefined&&m["repository"]!==null)
+                (l=types[5].encodedSize(m["repository"]))&&(s+=1+Writer.uint32Length(l)+l)
+            if(m["bugs"]!==undefined&&m["bugs"]!=="")
+                s+=1+Writer.stringLength(m["bugs"])
+            if(m["homepage"]!==undefined&&m["homepage"]!=="")
+                s+=1+Writer.stringLength(m["homepage"])
+            if(m["keywords"])
+                for(var i=0;i<m["keywords"].length;++i)
+                s+=1+Writer.stringLength(m["keywords"][i])
+            if(m["main"]!==undefined&&m["main"]!=="")
+                s+=1+Writer.stringLength(m["main"])
+            if(m["bin"]&&m["bin"]!==util.emptyObject){
+                for(var ks=Object.keys(m["bin"]),i=0;i<ks.length;++i){
+                    l=1+Writer.stringLength(ks[i])
+                    l+=1+Writer.stringLength(m["bin"][ks[i]])
+                    s+=1+Writer.uint32Length(l)+l
+                }
+            }
+            if(m["scripts"]&&m["scripts"]!==util.emptyObject){
+                for(var ks=Object.keys(m["scripts"]),i=0;i<ks.length;++i){
+                    l=1+Writer.stringLength(ks[i])
+                    l+=1+Writer.stringLength(m["scripts"][ks[i]])
+                    s+=1+Writer.uint32Length(l)+l
+                }
+            }
+            if(m["dependencies"]&&m["dependencies"]!==util.emptyObject){
+                for(var ks=Object.keys(m["dependencies"]),i=0;i<ks.length;++i){
+                    l=1+Writer.stringLength(ks[i])
+                    l+=1+Writer.stringLength(m["dependencies"][ks[i]])
+                    s+=1+Writer.uint32Length(l)+l
+                }
+            }
+            if(m["optionalDependencies"]&&m["optionalDependencies"]!==util.emptyObject){
+                for(var ks=Object.keys(m["optionalDependencies"]),i=0;i<ks.length;++i){
+                    l=1+Writer.stringLength(ks[i])
+                    l+=1+Writer.stringLength(m["optionalDependencies"][ks[i]])
+                    s+=1+Writer.uint32Length(l)+l
+                }
+            }
+            if(m["devDependencies"]&&m["devDependencies"]!==util.emptyObject){
+                for(var ks=Object.keys(m["devDependencies"]),i=0;i<ks.length;++i){
+                    l=1+Writer.stringLength(ks[i])
+                    l+=1+Writer.stringLength(m["devDependencies"][ks[i]])
+                    s+=1+Writer.uint32Length(l)+l
+                }
+            }
+            if(m["types"]!==undefined&&m["types"]!=="")
+                s+=2+Writer.stringLength(m["types"])
+            if(m.$unknown)
+                for(var i=0;i<m.$unknown.length;++i)
+                s+=m.$unknown[i].length
+            return s
+        }
+        /* eslint-enable */
+    })();
+
     /**
      * Encodes the specified Package, length delimited.
      * @param {Package|Object} message Package or plain object to encode
@@ -251,7 +348,7 @@ $root.Package = (function() {
             r instanceof Reader||(r=Reader.create(r))
             var c=l===undefined?r.len:r.pos+l,m=new $root.Package
             while(r.pos<c){
-                var t=r.uint32()
+                var p=r.pos,t=r.uint32()
                 switch(t>>>3){
                     case 1:
                         m["name"]=r.string()
@@ -339,6 +436,8 @@ $root.Package = (function() {
                         break
                     default:
                         r.skipType(t&7)
+                        if(!r.discardUnknown)
+                            util.addUnknown(m,r._slice.call(r.buf,p,r.pos))
                         break
                 }
             }
@@ -467,6 +566,223 @@ $root.Package = (function() {
         /* eslint-enable */
     })();
 
+    /**
+     * Creates a Package message from a plain object. Also converts values to their respective internal types.
+     * @function
+     * @param {Object.<string,*>} object Plain object
+     * @returns {Package} Package
+     */
+    Package.fromObject = (function() {
+        /* eslint-disable */
+        var util = $protobuf.util;
+        var types; $lazyTypes.push(types = [null,null,null,null,null,"Package.Repository",null,null,null,null,null,null,null,null,null,null]);
+        return function fromObject(d) {
+            var C= $root.Package
+            if(d instanceof C)
+                return d
+            var m=new C
+            if(d["name"]!==undefined&&d["name"]!==null){
+                m["name"]=String(d["name"])
+            }
+            if(d["version"]!==undefined&&d["version"]!==null){
+                m["version"]=String(d["version"])
+            }
+            if(d["description"]!==undefined&&d["description"]!==null){
+                m["description"]=String(d["description"])
+            }
+            if(d["author"]!==undefined&&d["author"]!==null){
+                m["author"]=String(d["author"])
+            }
+            if(d["license"]!==undefined&&d["license"]!==null){
+                m["license"]=String(d["license"])
+            }
+            if(d["repository"]!==undefined&&d["repository"]!==null){
+                if(typeof d["repository"]!=="object")
+                    throw TypeError(".Package.repository: object expected")
+                m["repository"]=types[5].fromObject(d["repository"])
+            }
+            if(d["bugs"]!==undefined&&d["bugs"]!==null){
+                m["bugs"]=String(d["bugs"])
+            }
+            if(d["homepage"]!==undefined&&d["homepage"]!==null){
+                m["homepage"]=String(d["homepage"])
+            }
+            if(d["keywords"]){
+                if(!Array.isArray(d["keywords"]))
+                    throw TypeError(".Package.keywords: array expected")
+                m["keywords"]=[]
+                for(var i=0;i<d["keywords"].length;++i){
+                    m["keywords"][i]=String(d["keywords"][i])
+                }
+            }
+            if(d["main"]!==undefined&&d["main"]!==null){
+                m["main"]=String(d["main"])
+            }
+            if(d["bin"]){
+                if(typeof d["bin"]!=="object")
+                    throw TypeError(".Package.bin: object expected")
+                m["bin"]={}
+                for(var k=Object.keys(d["bin"]),i=0;i<k.length;++i){
+                    m["bin"][k[i]]=String(d["bin"][k[i]])
+                }
+            }
+            if(d["scripts"]){
+                if(typeof d["scripts"]!=="object")
+                    throw TypeError(".Package.scripts: object expected")
+                m["scripts"]={}
+                for(var k=Object.keys(d["scripts"]),i=0;i<k.length;++i){
+                    m["scripts"][k[i]]=String(d["scripts"][k[i]])
+                }
+            }
+            if(d["dependencies"]){
+                if(typeof d["dependencies"]!=="object")
+                    throw TypeError(".Package.dependencies: object expected")
+                m["dependencies"]={}
+                for(var k=Object.keys(d["dependencies"]),i=0;i<k.length;++i){
+                    m["dependencies"][k[i]]=String(d["dependencies"][k[i]])
+                }
+            }
+            if(d["optionalDependencies"]){
+                if(typeof d["optionalDependencies"]!=="object")
+                    throw TypeError(".Package.optionalDependencies: object expected")
+                m["optionalDependencies"]={}
+                for(var k=Object.keys(d["optionalDependencies"]),i=0;i<k.length;++i){
+                    m["optionalDependencies"][k[i]]=String(d["optionalDependencies"][k[i]])
+                }
+            }
+            if(d["devDependencies"]){
+                if(typeof d["devDependencies"]!=="object")
+                    throw TypeError(".Package.devDependencies: object expected")
+                m["devDependencies"]={}
+                for(var k=Object.keys(d["devDependencies"]),i=0;i<k.length;++i){
+                    m["devDependencies"][k[i]]=String(d["devDependencies"][k[i]])
+                }
+            }
+            if(d["types"]!==undefined&&d["types"]!==null){
+                m["types"]=String(d["types"])
+            }
+            return m
+        }
+        /* eslint-enable */
+    })();
+
+    /**
+     * Creates a plain object from a Package message. Also converts values to other types if specified.
+     * @function
+     * @param {Package} message Package
+     * @param {Object.<string,*>} [options] Conversion options
+     * @returns {Object.<string,*>} Plain object
+     */
+    Package.toObject = (function() {
+        /* eslint-disable */
+        var util = $protobuf.util;
+        var types; $lazyTypes.push(types = [null,null,null,null,null,"Package.Repository",null,null,null,null,null,null,null,null,null,null]);
+        return function toObject(m, o) {
+            if(!o)
+                o={}
+            var d={}
+            if(o.arrays||o.defaults){
+                d["keywords"]=[]
+            }
+            if(o.objects||o.defaults){
+                d["bin"]={}
+                d["scripts"]={}
+                d["dependencies"]={}
+                d["optionalDependencies"]={}
+                d["devDependencies"]={}
+            }
+            if(o.defaults){
+                d["name"]=""
+                d["version"]=""
+                d["description"]=""
+                d["author"]=""
+                d["license"]=""
+                d["repository"]=null
+                d["bugs"]=""
+                d["homepage"]=""
+                d["main"]=""
+                d["types"]=""
+            }
+            if(m["name"]!==undefined&&m["name"]!==null&&m.hasOwnProperty("name")){
+                d["name"]=m["name"]
+            }
+            if(m["version"]!==undefined&&m["version"]!==null&&m.hasOwnProperty("version")){
+                d["version"]=m["version"]
+            }
+            if(m["description"]!==undefined&&m["description"]!==null&&m.hasOwnProperty("description")){
+                d["description"]=m["description"]
+            }
+            if(m["author"]!==undefined&&m["author"]!==null&&m.hasOwnProperty("author")){
+                d["author"]=m["author"]
+            }
+            if(m["license"]!==undefined&&m["license"]!==null&&m.hasOwnProperty("license")){
+                d["license"]=m["license"]
+            }
+            if(m["repository"]!==undefined&&m["repository"]!==null&&m.hasOwnProperty("repository")){
+                d["repository"]=types[5].toObject(m["repository"],o)
+            }
+            if(m["bugs"]!==undefined&&m["bugs"]!==null&&m.hasOwnProperty("bugs")){
+                d["bugs"]=m["bugs"]
+            }
+            if(m["homepage"]!==undefined&&m["homepage"]!==null&&m.hasOwnProperty("homepage")){
+                d["homepage"]=m["homepage"]
+            }
+            if(m["keywords"]&&m["keywords"].length){
+                d["keywords"]=[]
+                for(var j=0;j<m["keywords"].length;++j){
+                    d["keywords"][j]=m["keywords"][j]
+                }
+            }
+            if(m["main"]!==undefined&&m["main"]!==null&&m.hasOwnProperty("main")){
+                d["main"]=m["main"]
+            }
+            if(m["bin"]&&Object.keys(m["bin"]).length){
+                d["bin"]={}
+                for(var k=Object.keys(m["bin"]),j=0;j<k.length;++j){
+                    d["bin"][k[j]]=m["bin"][k[j]]
+                }
+            }
+            if(m["scripts"]&&Object.keys(m["scripts"]).length){
+                d["scripts"]={}
+                for(var k=Object.keys(m["scripts"]),j=0;j<k.length;++j){
+                    d["scripts"][k[j]]=m["scripts"][k[j]]
+                }
+            }
+            if(m["dependencies"]&&Object.keys(m["dependencies"]).length){
+                d["dependencies"]={}
+                for(var k=Object.keys(m["dependencies"]),j=0;j<k.length;++j){
+                    d["dependencies"][k[j]]=m["dependencies"][k[j]]
+                }
+            }
+            if(m["optionalDependencies"]&&Object.keys(m["optionalDependencies"]).length){
+                d["optionalDependencies"]={}
+                for(var k=Object.keys(m["optionalDependencies"]),j=0;j<k.length;++j){
+                    d["optionalDependencies"][k[j]]=m["optionalDependencies"][k[j]]
+                }
+            }
+            if(m["devDependencies"]&&Object.keys(m["devDependencies"]).length){
+                d["devDependencies"]={}
+                for(var k=Object.keys(m["devDependencies"]),j=0;j<k.length;++j){
+                    d["devDependencies"][k[j]]=m["devDependencies"][k[j]]
+                }
+            }
+            if(m["types"]!==undefined&&m["types"]!==null&&m.hasOwnProperty("types")){
+                d["types"]=m["types"]
+            }
+            return d
+        }
+        /* eslint-enable */
+    })();
+
+    /**
+     * Creates a plain object from this Package message. Also converts values to other types if specified.
+     * @param {Object.<string,*>} [options] Conversion options
+     * @returns {Object.<string,*>} Plain object
+     */
+    Package.prototype.toObject = function toObject(options) {
+        return this.constructor.toObject(this, options);
+    };
+
     Package.Repository = (function() {
 
         /**
@@ -527,11 +843,39 @@ $root.Package = (function() {
                     w.uint32(10).string(m["type"])
                 if(m["url"]!==undefined&&m["url"]!=="")
                     w.uint32(18).string(m["url"])
+                if(m.$unknown)
+                    for(var i=0;i<m.$unknown.length;++i)
+                    w.raw(m.$unknown[i])
                 return w
             }
             /* eslint-enable */
         })();
 
+        /**
+         * Computes the byte length of the specified Repository as written by {@link Package.Repository.encode}.
+         * @function
+         * @param {Package.Repository|Object} message Repository or plain object
+         * @returns {number} Byte length
+         */
+        Repository.encodedSize = (function() {
+            /* eslint-disable */
+            var Writer = $protobuf.Writer;
+            var util = $protobuf.util;
+            var types; $lazyTypes.push(types = [null,null]);
+            return function encodedSize(m) {
+                var s=0,l,n
+                if(m["type"]!==undefined&&m["type"]!=="")
+                    s+=1+Writer.stringLength(m["type"])
+                if(m["url"]!==undefined&&m["url"]!=="")
+                    s+=1+Writer.stringLength(m["url"])
+                if(m.$unknown)
+                    for(var i=0;i<m.$unknown.length;++i)
+                    s+=m.$unknown[i].length
+                return s
+            }
+            /* eslint-enable */
+        })();
+
         /**
          * Encodes the specified Repository, length delimited.
          * @param {Package.Repository|Object} message Repository or plain object to encode
@@ -558,7 +902,7 @@ $root.Package = (function() {
                 r instanceof Reader||(r=Reader.create(r))
                 var c=l===undefined?r.len:r.pos+l,m=new $root.Package.Repository
                 while(r.pos<c){
-                    var t=r.uint32()
+                    var p=r.pos,t=r.uint32()
                     switch(t>>>3){
                         case 1:
                             m["type"]=r.string()
@@ -568,6 +912,8 @@ $root.Package = (function() {
                             break
                         default:
                             r.skipType(t&7)
+                            if(!r.discardUnknown)
+                                util.addUnknown(m,r._slice.call(r.buf,p,r.pos))
                             break
                     }
                 }
@@ -610,6 +956,71 @@ $root.Package = (function() {
             /* eslint-enable */
         })();
 
+        /**
+         * Creates a Repository message from a plain object. Also converts values to their respective internal types.
+         * @function
+         * @param {Object.<string,*>} object Plain object
+         * @returns {Package.Repository} Repository
+         */
+        Repository.fromObject = (function() {
+            /* eslint-disable */
+            var util = $protobuf.util;
+            var types; $lazyTypes.push(types = [null,null]);
+            return function fromObject(d) {
+                var C= $root.Package.Repository
+                if(d instanceof C)
+                    return d
+                var m=new C
+                if(d["type"]!==undefined&&d["type"]!==null){
+                    m["type"]=String(d["type"])
+                }
+                if(d["url"]!==undefined&&d["url"]!==null){
+                    m["url"]=String(d["url"])
+                }
+                return m
+            }
+            /* eslint-enable */
+        })();
+
+        /**
+         * Creates a plain object from a Repository message. Also converts values to other types if specified.
+         * @function
+         * @param {Package.Repository} message Repository
+         * @param {Object.<string,*>} [options] Conversion options
+         * @returns {Object.<string,*>} Plain object
+         */
+        Repository.toObject = (function() {
+            /* eslint-disable */
+            var util = $protobuf.util;
+            var types; $lazyTypes.push(types = [null,null]);
+            return function toObject(m, o) {
+                if(!o)
+                    o={}
+                var d={}
+                if(o.defaults){
+                    d["type"]=""
+                    d["url"]=""
+                }
+                if(m["type"]!==undefined&&m["type"]!==null&&m.hasOwnProperty("type")){
+                    d["type"]=m["type"]
+                }
+                if(m["url"]!==undefined&&m["url"]!==null&&m.hasOwnProperty("url")){
+                    d["url"]=m["url"]
+                }
+                return d
+            }
+            /* eslint-enable */
+        })();
+
+        /**
+         * Creates a plain object from this Repository message. Also converts values to other types if specified.
+         * @param {Object.<string,*>} [options] Conversion options
+         * @returns {Object.<string,*>} Plain object
+         */
+        Repository.prototype.toObject = function toObject(options) {
+            return this.constructor.toObject(this, options);
+        };
+
         return Repository;
     })();
 
@@ -13,61 +13,26 @@ $root.MyService = (function() {
     /**
      * Constructs a new MyService.
      * @exports MyService
+     * @extends rpc.Service
      * @constructor
      * @param {function(function, Uint8Array, function)} rpc RPC implementation
      * @param {boolean} [requestDelimited=false] Whether requests are length-delimited
      * @param {boolean} [responseDelimited=false] Whether responses are length-delimited
      */
     function MyService(rpc, requestDelimited, responseDelimited) {
+        $protobuf.rpc.Service.call(this, rpc, requestDelimited, responseDelimited);
+    }
 
-        /**
-         * RPC implementation.
-         * @type {function(function, Uint8Array, function)}
-         */
-        this.rpc = rpc;
-
-        /**
-         * Whether requests are length-delimited.
-         * @type {boolean}
-         */
-        this.requestDelimited = Boolean(requestDelimited);
-
-        /**
-         * Whether responses are length-delimited.
-         * @type {boolean}
-         */
-        this.responseDelimited = Boolean(responseDelimited);
-    };
+    (MyService.prototype = Object.create($protobuf.rpc.Service.prototype)).constructor = MyService;
 
     /**
      * Calls MyMethod.
      * @param {MyRequest|Object} request MyRequest or plain object
-     * @param {function(?Error, MyResponse=)} callback Node-style callback called with the error, if any, and MyResponse
-     * @returns {undefined}
+     * @param {function(?Error, MyResponse=)} [callback] Node-style callback called with the error, if any, and MyResponse
+     * @returns {Promise<MyResponse>|undefined} Promise of MyResponse if `callback` has been omitted
      */
     MyService.prototype["myMethod"] = function myMethod(request, callback) {
-        var requestData;
-        try {
-            requestData = (this.requestDelimited ? $root.MyRequest.encodeDelimited(request) : $root.MyRequest.encode(request)).finish();
-        } catch (err) {
-            (typeof setImmediate === 'function' ? setImmediate : setTimeout)(function() { callback(err); });
-            return;
-        }
-        var self = this;
-        this.rpc(myMethod, requestData, function(err, responseData) {
-            if (err) {
-                callback(err);
-                return;
-            }
-            var response;
-            try {
-                response = self.responseDelimited ? $root.MyResponse.decodeDelimited(responseData) : $root.MyResponse.decode(responseData);
-            } catch (err2) {
-                callback(err2);
-                return;
-            }
-            callback(null, response);
-        });
+        return this.rpcCall(myMethod, $root.MyRequest, $root.MyResponse, request, callback);
     };
 
     return MyService;
@@ -124,11 +89,37 @@ $root.MyRequest = (function() {
             w||(w=Writer.create())
             if(m["path"]!==undefined&&m["path"]!=="")
                 w.uint32(10).string(m["path"])
+            if(m.$unknown)
+                for(var i=0;i<m.$unknown.length;++i)
+                w.raw(m.$unknown[i])
             return w
         }
         /* eslint-enable */
     })();
 
+    /**
+     * Computes the byte length of the specified MyRequest as written by {@link MyRequest.encode}.
+     * @function
+     * @param {MyRequest|Object} message MyRequest or plain object
+     * @returns {number} Byte length
+     */
+    MyRequest.encodedSize = (function() {
+        /* eslint-disable */
+        var Writer = $protobuf.Writer;
+        var util = $protobuf.util;
+        var types; $lazyTypes.push(types = [null]);
+        return function encodedSize(m) {
+            var s=0,l,n
+            if(m["path"]!==undefined&&m["path"]!=="")
+                s+=1+Writer.stringLength(m["path"])
+            if(m.$unknown)
+                for(var i=0;i<m.$unknown.length;++i)
+                s+=m.$unknown[i].length
+            return s
+        }
+        /* eslint-enable */
+    })();
+
     /**
      * Encodes the specified MyRequest, length delimited.
      * @param {MyRequest|Object} message MyRequest or plain object to encode
@@ -155,13 +146,15 @@ $root.MyRequest = (function() {
             r instanceof Reader||(r=Reader.create(r))
             var c=l===undefined?r.len:r.pos+l,m=new $root.MyRequest
             while(r.pos<c){
-                var t=r.uint32()
+                var p=r.pos,t=r.uint32()
                 switch(t>>>3){
                     case 1:
                         m["path"]=r.string()
                         break
                     default:
                         r.skipType(t&7)
+                        if(!r.discardUnknown)
+                            util.addUnknown(m,r._slice.call(r.buf,p,r.pos))
                         break
                 }
             }
@@ -200,6 +193,64 @@ $root.MyRequest = (function() {
         /* eslint-enable */
     })();
 
+    /**
+     * Creates a MyRequest message from a plain object. Also converts values to their respective internal types.
+     * @function
+     * @param {Object.<string,*>} object Plain object
+     * @returns {MyRequest} MyRequest
+     */
+    MyRequest.fromObject = (function() {
+        /* eslint-disable */
+        var util = $protobuf.util;
+        var types; $lazyTypes.push(types = [null]);
+        return function fromObject(d) {
+            var C= $root.MyRequest
+            if(d instanceof C)
+                return d
+            var m=new C
+            if(d["path"]!==undefined&&d["path"]!==null){
+                m["path"]=String(d["path"])
+            }
+            return m
+        }
+        /* eslint-enable */
+    })();
+
+    /**
+     * Creates a plain object from a MyRequest message. Also converts values to other types if specified.
+     * @function
+     * @param {MyRequest} message MyRequest
+     * @param {Object.<string,*>} [options] Conversion options
+     * @returns {Object.<string,*>} Plain object
+     */
+    MyRequest.toObject = (function() {
+        /* eslint-disable */
+        var util = $protobuf.util;
+        var types; $lazyTypes.push(types = [null]);
+        return function toObject(m, o) {
+            if(!o)
+                o={}
+            var d={}
+            if(o.defaults){
+                d["path"]=""
+            }
+            if(m["path"]!==undefined&&m["path"]!==null&&m.hasOwnProperty("path")){
+                d["path"]=m["path"]
+            }
+            return d
+        }
+        /* eslint-enable */
+    })();
+
+    /**
+     * Creates a plain object from this MyRequest message. Also converts values to other types if specified.
+     * @param {Object.<string,*>} [options] Conversion options
+     * @returns {Object.<string,*>} Plain object
+     */
+    MyRequest.prototype.toObject = function toObject(options) {
+        return this.constructor.toObject(this, options);
+    };
+
     return MyRequest;
 })();
 
@@ -254,11 +305,37 @@ $root.MyResponse = (function() {
             w||(w=Writer.create())
             if(m["status"]!==undefined&&m["status"]!==0)
                 w.uint32(16).int32(m["status"])
+            if(m.$unknown)
+                for(var i=0;i<m.$unknown.length;++i)
+                w.raw(m.$unknown[i])
             return w
         }
         /* eslint-enable */
     })();
 
+    /**
+     * Computes the byte length of the specified MyResponse as written by {@link MyResponse.encode}.
+     * @function
+     * @param {MyResponse|Object} message MyResponse or plain object
+     * @returns {number} Byte length
+     */
+    MyResponse.encodedSize = (function() {
+        /* eslint-disable */
+        var Writer = $protobuf.Writer;
+        var util = $protobuf.util;
+        var types; $lazyTypes.push(types = [null]);
+        return function encodedSize(m) {
+            var s=0,l,n
+            if(m["status"]!==undefined&&m["status"]!==0)
+                s+=1+Writer.int32Length(m["status"])
+            if(m.$unknown)
+                for(var i=0;i<m.$unknown.length;++i)
+                s+=m.$unknown[i].length
+            return s
+        }
+        /* eslint-enable */
+    })();
+
     /**
      * Encodes the specified MyResponse, length delimited.
      * @param {MyResponse|Object} message MyResponse or plain object to encode
@@ -285,13 +362,15 @@ $root.MyResponse = (function() {
             r instanceof Reader||(r=Reader.create(r))
             var c=l===undefined?r.len:r.pos+l,m=new $root.MyResponse
             while(r.pos<c){
-                var t=r.uint32()
+                var p=r.pos,t=r.uint32()
                 switch(t>>>3){
                     case 2:
                         m["status"]=r.int32()
                         break
                     default:
                         r.skipType(t&7)
+                        if(!r.discardUnknown)
+                            util.addUnknown(m,r._slice.call(r.buf,p,r.pos))
                         break
                 }
             }
@@ -330,9 +409,131 @@ $root.MyResponse = (function() {
         /* eslint-enable */
     })();
 
+    /**
+     * Creates a MyResponse message from a plain object. Also converts values to their respective internal types.
+     * @function
+     * @param {Object.<string,*>} object Plain object
+     * @returns {MyResponse} MyResponse
+     */
+    MyResponse.fromObject = (function() {
+        /* eslint-disable */
+        var util = $protobuf.util;
+        var types; $lazyTypes.push(types = [null]);
+        return function fromObject(d) {
+            var C= $root.MyResponse
+            if(d instanceof C)
+                return d
+            var m=new C
+            if(d["status"]!==undefined&&d["status"]!==null){
+                m["status"]=d["status"]|0
+            }
+            return m
+        }
+        /* eslint-enable */
+    })();
+
+    /**
+     * Creates a plain object from a MyResponse message. Also converts values to other types if specified.
+     * @function
+     * @param {MyResponse} message MyResponse
+     * @param {Object.<string,*>} [options] Conversion options
+     * @returns {Object.<string,*>} Plain object
+     */
+    MyResponse.toObject = (function() {
+        /* eslint-disable */
+        var util = $protobuf.util;
+        var types; $lazyTypes.push(types = [null]);
+        return function toObject(m, o) {
+            if(!o)
+                o={}
+            var d={}
+            if(o.defaults){
+                d["status"]=0
+            }
+            if(m["status"]!==undefined&&m["status"]!==null&&m.hasOwnProperty("status")){
+                d["status"]=m["status"]
+            }
+            return d
+        }
+        /* eslint-enable */
+    })();
+
+    /**
+     * Creates a plain object from this MyResponse message. Also converts values to other types if specified.
+     * @param {Object.<string,*>} [options] Conversion options
+     * @returns {Object.<string,*>} Plain object
+     */
+    MyResponse.prototype.toObject = function toObject(options) {
+        return this.constructor.toObject(this, options);
+    };
+
     return MyResponse;
 })();
 
+$root.StreamService = (function() {
+
+    /**
+     * Constructs a new StreamService.
+     * @exports StreamService
+     * @extends rpc.Service
+     * @constructor
+     * @param {function(function, Uint8Array, function)} rpc RPC implementation
+     * @param {boolean} [requestDelimited=false] Whether requests are length-delimited
+     * @param {boolean} [responseDelimited=false] Whether responses are length-delimited
+     */
+    function StreamService(rpc, requestDelimited, responseDelimited) {
+        $protobuf.rpc.Service.call(this, rpc, requestDelimited, responseDelimited);
+    }
+
+    (StreamService.prototype = Object.create($protobuf.rpc.Service.prototype)).constructor = StreamService;
+
+    /**
+     * Calls Unary.
+     * @param {MyRequest|Object} request MyRequest or plain object
+     * @param {function(?Error, MyResponse=)} [callback] Node-style callback called with the error, if any, and MyResponse
+     * @returns {Promise<MyResponse>|undefined} Promise of MyResponse if `callback` has been omitted
+     */
+    StreamService.prototype["unary"] = function unary(request, callback) {
+        return this.rpcCall(unary, $root.MyRequest, $root.MyResponse, request, callback);
+    };
+
+    /**
+     * Calls ServerStream.
+     * @param {MyRequest|Object} request MyRequest or plain object
+     * @param {function(?Error, MyResponse=)} [callback] Node-style callback called with the error, if any, and MyResponse
+     * @returns {rpc.Stream|undefined} Stream of MyResponse if `callback` has been omitted
+     */
+    StreamService.prototype["serverStream"] = function serverStream(request, callback) {
+        return this.rpcCall(serverStream, $root.MyRequest, $root.MyResponse, request, callback);
+    };
+    StreamService.prototype["serverStream"].responseStream = true;
+
+    /**
+     * Calls ClientStream.
+     * @param {MyRequest|Object|Array.<MyRequest|Object>} request MyRequest or plain object, or an array, iterable or async iterable of these
+     * @param {function(?Error, MyResponse=)} [callback] Node-style callback called with the error, if any, and MyResponse
+     * @returns {Promise<MyResponse>|undefined} Promise of MyResponse if `callback` has been omitted
+     */
+    StreamService.prototype["clientStream"] = function clientStream(request, callback) {
+        return this.rpcCall(clientStream, $root.MyRequest, $root.MyResponse, request, callback);
+    };
+    StreamService.prototype["clientStream"].requestStream = true;
+
+    /**
+     * Calls Bidi.
+     * @param {MyRequest|Object|Array.<MyRequest|Object>} request MyRequest or plain object, or an array, iterable or async iterable of these
+     * @param {function(?Error, MyResponse=)} [callback] Node-style callback called with the error, if any, and MyResponse
+     * @returns {rpc.Stream|undefined} Stream of MyResponse if `callback` has been omitted
+     */
+    StreamService.prototype["bidi"] = function bidi(request, callback) {
+        return this.rpcCall(bidi, $root.MyRequest, $root.MyResponse, request, callback);
+    };
+    StreamService.prototype["bidi"].requestStream = true;
+    StreamService.prototype["bidi"].responseStream = true;
+
+    return StreamService;
+})();
+
 // Resolve lazy types
 $lazyTypes.forEach(function(types) {
     types.forEach(function(path, i) {
@@ -0,0 +1,116 @@
+var tape = require("tape");
+
+var protobuf = require("..");
+
+var fs = require("fs");
+
+// main.bin has been generated from main.proto with:
+// protoc --include_imports --descriptor_set_out=main.bin main.proto
+
+tape.test("descriptor", function(test) {
+
+    var root = protobuf.Root.fromDescriptor(fs.readFileSync("tests/data/descriptor/main.bin"));
+
+    test.test("fromDescriptor", function(test) {
+        test.deepEqual(root.files, [ "legacy.proto", "main.proto" ], "should record file names");
+        test.deepEqual(root.fileSyntax, { "main.proto": "proto3" }, "should record declared syntax");
+
+        var Message = root.lookup("test.main.Message");
+        test.equal(Message.filename, "main.proto", "should set file names on declarations");
+        test.deepEqual(root.lookup("test.main").options, { java_package: "test.main", optimize_for: "CODE_SIZE" }, "should map file options");
+        test.equal(Message.fields.name.getOption("json_name"), "fullName", "should keep custom json names");
+        test.ok(Message.fields.packed_values.packed, "should pack proto3 repeated scalars by default");
+        test.notOk(Message.fields.unpacked_values.packed, "should respect packed=false");
+        test.ok(Message.fields.nested_map.map && Message.fields.nested_map.keyType === "string", "should map map fields");
+        test.notOk(Message.get("NestedMapEntry"), "should not add map entry types");
+        test.deepEqual(Message.oneofs.choice.oneof, [ "kind", "legacy" ], "should map oneofs");
+        test.equal(Message.fields.nested.getOption("deprecated"), true, "should map field options");
+        test.deepEqual(root.lookup("test.main.Message.Kind").values, { NONE: 0, SOME: 1 }, "should map enums");
+        test.equal(root.lookup("test.main.Message.Kind").getOption("deprecated"), true, "should map enum options");
+
+        var Legacy = root.lookup("test.legacy.Legacy");
+        test.ok(Legacy.fields.id.required, "should map required fields");
+        test.equal(Legacy.fields.name.getOption("default"), "unnamed", "should map string defaults");
+        test.equal(Legacy.fields.ratio.getOption("default"), Infinity, "should map float defaults");
+        test.equal(Legacy.fields.level.getOption("default"), "HIGH", "should map enum defaults");
+        test.notOk(Legacy.fields.values.packed, "should not pack proto2 repeated scalars by default");
+        test.ok(Legacy.fields.packed_values.packed, "should respect packed=true");
+        test.ok(Legacy.get("Inner").group, "should map groups");
+        test.deepEqual(Legacy.extensions, [ [ 100, 199 ] ], "should map extension ranges");
+        test.deepEqual(Legacy.reserved, [ [ 20, 29 ], [ 40, 40 ], "old_name" ], "should map reserved ranges and names");
+        test.ok(Legacy.fields[".test.legacy.extra"], "should map extensions");
+
+        var method = root.lookup("test.main.MessageService").methods.Stream;
+        test.ok(method.requestStream && method.responseStream, "should map streaming methods");
+        test.equal(method.getOption("deprecated"), true, "should map method options");
+
+        var message = Message.decode(Message.encode({ name: "a", kind_map: { 1: 1 }, choice: "legacy", legacy: { id: 1, inner: { flag: true } } }).finish());
+        test.equal(message.legacy.inner.flag, true, "should be usable for encoding and decoding");
+        test.end();
+    });
+
+    test.test("toDescriptor", function(test) {
+        var FileDescriptorSet = protobuf.descriptor.lookup("FileDescriptorSet"),
+            buffer = root.toDescriptor(),
+            set = FileDescriptorSet.decode(buffer),
+            legacy = set.file[0],
+            main = set.file[1];
+
+        test.deepEqual(set.file.map(function(file) { return file.name; }), [ "legacy.proto", "main.proto" ], "should group declarations by file");
+        test.equal(main.syntax, "proto3", "should keep the syntax of each file");
+        test.equal(legacy.syntax, "", "should default to proto2");
+        test.deepEqual(main.dependency, [ "legacy.proto" ], "should list dependencies");
+        test.equal(main["package"], "test.main", "should set the package");
+
+        var fields = main.message_type[0].field;
+        test.equal(fields[2].options.packed, false, "should encode packed=false in proto3");
+        test.equal(fields[3].type_name, ".test.main.Message.NestedMapEntry", "should reference map entry types");
+        test.ok(main.message_type[0].nested_type[1].options.map_entry, "should generate map entry types");
+        test.deepEqual([ fields[5].oneof_index, fields[6].oneof_index ], [ 0, 0 ], "should encode oneof members");
+
+        fields = legacy.message_type[0].field;
+        test.equal(fields[1].default_value, "unnamed", "should encode defaults");
+        test.equal(fields[2].default_value, "inf", "should encode special float defaults");
+        test.equal(fields[5].options.packed, true, "should encode packed=true in proto2");
+        test.equal(fields[6].type, 10, "should encode groups");
+        test.deepEqual(legacy.message_type[0].extension_range.map(function(range) { return [ range.start, range.end ]; }), [ [ 100, 200 ] ], "should encode extension ranges");
+        test.equal(legacy.extension[0].extendee, ".test.legacy.Legacy", "should encode extensions");
+        test.deepEqual(legacy.message_type[0].reserved_name, [ "old_name" ], "should encode reserved names");
+
+        test.deepEqual(protobuf.Root.fromDescriptor(buffer).toDescriptor(), buffer, "should round-trip");
+
+        var parsed = new protobuf.Root().loadSync("tests/data/descriptor/main.proto", { keepCase: true });
+        set = FileDescriptorSet.decode(parsed.toDescriptor());
+        test.deepEqual(set.file.map(function(file) { return file.name; }), [ "main.proto", "legacy.proto" ], "should use include-relative names of parsed files");
+        test.deepEqual([ set.file[0].syntax, set.file[1].syntax ], [ "proto3", "" ], "should use the syntax of parsed files");
+
+        test.equal(FileDescriptorSet.decode(protobuf.parse("message A {}").root.toDescriptor("proto3")).file[0].syntax, "proto3", "should use the specified syntax if unknown");
+
+        parsed = new protobuf.Root().loadSync(require("path").resolve("tests/data/wrappers.proto"));
+        set = FileDescriptorSet.decode(parsed.toDescriptor());
+        var files = {};
+        set.file.forEach(function(file) {
+            files[file.name] = file;
+        });
+        test.ok(files["wrappers.proto"], "should name files loaded by absolute paths relative to their directory");
+        test.deepEqual(files["wrappers.proto"].dependency.slice().sort(), [ "any", "duration", "field_mask", "struct", "timestamp", "wrappers" ].map(function(name) { return "google/protobuf/" + name + ".proto"; }), "should depend on the files of well-known types");
+        test.deepEqual([ files["google/protobuf/timestamp.proto"].syntax, files["google/protobuf/timestamp.proto"].message_type[0].name ], [ "proto3", "Timestamp" ], "should use the files of well-known types and their syntax");
+
+        function encodeField(fieldDesc) {
+            return FileDescriptorSet.decode(protobuf.descriptor.encode({ file: [ { name: "a.proto", message_type: [ { name: "A", field: [ fieldDesc ] } ] } ] }).finish()).file[0].message_type[0].field[0];
+        }
+        var fieldDesc = encodeField({ name: "a", oneof_index: 0, default_value: "" });
+        test.ok(fieldDesc.hasOwnProperty("oneof_index") && fieldDesc.hasOwnProperty("default_value"), "should encode fields explicitly set to their defaults");
+        test.notOk(encodeField({ name: "a" }).hasOwnProperty("oneof_index"), "should not encode unset fields");
+        test.deepEqual(Buffer.from(protobuf.descriptor.encode(set).finish()), Buffer.from(parsed.toDescriptor()), "should re-encode decoded sets to the same data");
+
+        var camel = FileDescriptorSet.decode(protobuf.parse("syntax = \"proto3\";\npackage test.camel;\nmessage M {\n  int32 foo_bar = 1;\n  map<string, int32> my_map = 2;\n  reserved \"old_name\";\n}").root.toDescriptor()).file[0];
+        test.deepEqual([ camel.name, camel.syntax ], [ "test/camel.proto", "proto3" ], "should keep the syntax of sources parsed without a file name");
+        test.deepEqual(camel.message_type[0].field.map(function(field) { return field.name; }), [ "foo_bar", "my_map" ], "should use field names as declared");
+        test.equal(camel.message_type[0].nested_type[0].name, "MyMapEntry", "should name map entry types after the declared field names");
+        test.deepEqual(camel.message_type[0].reserved_name, [ "old_name" ], "should use reserved names as declared");
+        test.end();
+    });
+
+    test.end();
+});
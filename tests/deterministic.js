@@ -0,0 +1,87 @@
+var tape = require("tape");
+
+var protobuf = require("..");
+
+var root = protobuf.parse("\
+syntax = \"proto2\";\
+message Doc {\
+    map<string, int32> strings = 3;\
+    map<sint32, string> ints = 2;\
+    map<uint64, bool> longs = 4;\
+    optional string title = 10;\
+    oneof body {\
+        string text = 5;\
+        bytes data = 1;\
+    }\
+    extensions 100 to 200;\
+}\
+extend Doc {\
+    optional uint32 revision = 150;\
+}").root;
+
+var Doc = root.lookupType("Doc");
+
+function deterministic() {
+    var writer = protobuf.Writer.create();
+    writer.deterministic = true;
+    return writer;
+}
+
+// Reads the ids of all top-level fields
+function ids(buffer) {
+    var reader = protobuf.Reader.create(buffer),
+        result = [];
+    while (reader.pos < reader.len) {
+        var tag = reader.uint32();
+        result.push(tag >>> 3);
+        reader.skipType(tag & 7);
+    }
+    return result;
+}
+
+// Reads the keys of the entries of a map
+function keys(buffer, id, keyType) {
+    var reader = protobuf.Reader.create(buffer),
+        result = [];
+    while (reader.pos < reader.len) {
+        var tag = reader.uint32();
+        if (tag >>> 3 === id) {
+            var end = reader.uint32() + reader.pos;
+            reader.uint32();
+            result.push(reader[keyType]());
+            reader.pos = end;
+        } else
+            reader.skipType(tag & 7);
+    }
+    return result;
+}
+
+tape.test("deterministic encoding", function(test) {
+    var a = Doc.create({ strings: { b: 2, a: 1, c: 3 }, ints: { 10: "ten", "-1": "minus one", 9: "nine" }, title: "doc", text: "hi" }),
+        b = Doc.create({ text: "hi", title: "doc", ints: { 9: "nine", 10: "ten", "-1": "minus one" }, strings: { c: 3, a: 1, b: 2 } });
+    a[".revision"] = b[".revision"] = 7;
+
+    test.notDeepEqual(Doc.encode(a).finish(), Doc.encode(b).finish(), "should write map entries in insertion order by default");
+    test.deepEqual(Doc.encode(a, deterministic()).finish(), Doc.encode(b, deterministic()).finish(), "should write equal messages to equal bytes");
+    test.deepEqual(keys(Doc.encode(a, deterministic()).finish(), 3, "string"), [ "a", "b", "c" ], "should sort string keys");
+
+    test.deepEqual(keys(Doc.encode(a, deterministic()).finish(), 2, "sint32"), [ -1, 9, 10 ], "should sort integer keys numerically");
+    test.deepEqual(ids(Doc.encode(a).finish()), [ 3, 3, 3, 2, 2, 2, 10, 150, 5 ], "should write fields in the order they are declared, with oneof members last, by default");
+    test.deepEqual(ids(Doc.encode(a, deterministic()).finish()), [ 2, 2, 2, 3, 3, 3, 5, 10, 150 ], "should write fields, oneof members and extensions in the order of their ids");
+
+    var unknown = Doc.decode(protobuf.Writer.create().uint32(1600).uint32(1).uint32(82).string("x").finish());
+    test.deepEqual(ids(Doc.encode(unknown, deterministic()).finish()), [ 10, 200 ], "should write unknown fields after known fields");
+
+    test.deepEqual(protobuf.util.sortKeys([ "18446744073709551615", "1", "9007199254740993", "0" ], "uint64"), [ "0", "1", "9007199254740993", "18446744073709551615" ], "should sort unsigned long keys by value");
+    test.deepEqual(protobuf.util.sortKeys([ protobuf.util.longToHash(1), protobuf.util.longToHash(-1), "0" ], "int64"), [ protobuf.util.longToHash(-1), "0", protobuf.util.longToHash(1) ], "should sort hashed signed long keys by value");
+    test.deepEqual(protobuf.util.sortKeys([ "😀", "￿", "z" ], "string"), [ "z", "￿", "😀" ], "should sort strings by code point");
+    test.deepEqual(protobuf.util.sortKeys([ "true", "false" ], "bool"), [ "false", "true" ], "should sort boolean keys");
+
+    var encode = protobuf.encoder(Doc, true).eof({ Writer: protobuf.Writer, types: Doc.getFieldsArray().map(function(field) { return field.resolvedType; }), util: protobuf.util });
+    test.deepEqual(encode(b).finish(), Doc.encode(a, deterministic()).finish(), "should always sort map entries if generated as deterministic");
+
+    var encoder = new protobuf.stream.Encoder(Doc, { deterministic: true }),
+        chunks  = encoder.push(b).concat(encoder.end());
+    test.deepEqual(protobuf.Reader.create(chunks[0]).bytes(), Doc.encode(a, deterministic()).finish(), "should support deterministic stream encoding");
+    test.end();
+});
@@ -0,0 +1,90 @@
+var tape = require("tape");
+
+var protobuf = require("..");
+
+var proto = "syntax = \"proto2\";\
+message Inner { optional int32 a = 1; optional string b = 2; }\
+message Grouped { optional group Group = 20 { optional uint32 x = 21; } }\
+enum Kind { ZERO = 0; ONE = 1; MINUS = -1; }\
+message Test {\
+    optional int32 i32 = 1; optional uint32 u32 = 2; optional sint32 s32 = 3;\
+    optional int64 i64 = 4; optional uint64 u64 = 5; optional sint64 s64 = 6;\
+    optional bool b = 7; optional fixed32 f32 = 8; optional sfixed32 sf32 = 9;\
+    optional fixed64 f64 = 10; optional sfixed64 sf64 = 11; optional float fl = 12; optional double d = 13;\
+    optional string s = 14; optional bytes by = 15; optional Kind kind = 16;\
+    optional Inner inner = 17; repeated Inner inners = 18;\
+    repeated int32 packedInts = 19 [packed = true]; repeated sint64 sints = 20; repeated double packedDoubles = 21 [packed = true];\
+    map<string, Inner> innerMap = 22; map<int32, string> stringMap = 23; map<bool, double> doubleMap = 24;\
+    oneof kind_oneof { string oneofString = 25; Inner oneofInner = 26; }\
+    optional Grouped grouped = 27; required Inner req = 2000;\
+}";
+
+var root = protobuf.parse(proto).root,
+    Test = root.lookupType("Test");
+
+function encodedLength(type, message) {
+    return type.encode(message).finish().length;
+}
+
+tape.test("encoded size", function(test) {
+
+    test.test(test.name + " - writer", function(test) {
+        var values = {
+            uint32 : [ 0, 127, 128, 16383, 16384, 2097151, 2097152, 268435455, 268435456, 4294967295 ],
+            int32  : [ 0, 1, 2147483647, -1, -2147483648 ],
+            sint32 : [ 0, -1, 1, -64, 64, 2147483647, -2147483648 ],
+            uint64 : [ 0, 1, "18446744073709551615", 4294967296 ],
+            int64  : [ 0, -1, "-9223372036854775808" ],
+            sint64 : [ 0, -1, 1, "-9223372036854775808", "9223372036854775807" ],
+            string : [ "", "a", "ä", "☃", "😀", new Array(200).join("x") ],
+            bytes  : [ [], [ 1, 2, 3 ], "", "AAEC", new Uint8Array(300) ]
+        };
+        Object.keys(values).forEach(function(type) {
+            values[type].forEach(function(value) {
+                test.equal(protobuf.Writer[type + "Length"](value), protobuf.Writer.create()[type](value).finish().length, "should compute the length of " + type + " " + JSON.stringify(value).substring(0, 20));
+            });
+        });
+        test.end();
+    });
+
+    test.test(test.name + " - reflection", function(test) {
+        var message = {
+            i32: -5, u32: 300, s32: -70000, i64: "123456789012", u64: 5, s64: -3,
+            b: true, f32: 1, sf32: -1, f64: 2, sf64: 3, fl: 1.5, d: 2.5,
+            s: "héllo ☃ 😀", by: "AAEC", kind: -1,
+            inner: {}, inners: [ {}, { a: 1 } ],
+            packedInts: [ 1, -1, 300 ], sints: [ 1, -200 ], packedDoubles: [ 1, 2 ],
+            innerMap: { x: {}, y: { b: "z" } }, stringMap: { "-1": "a", "5": "" }, doubleMap: { "true": 1 },
+            oneofInner: { a: 3 }, kind_oneof: "oneofInner",
+            grouped: { group: { x: 500 } },
+            req: { b: new Array(300).join("y") }
+        };
+        test.equal(Test.encodedSize(message), encodedLength(Test, message), "should compute the length of a message using all kinds of fields");
+        test.equal(Test.encodedSize({ req: {} }), 3, "should skip fields set to their default values");
+
+        var sub = { req: {}, inner: {}, oneofInner: {}, kind_oneof: "oneofInner" };
+        test.equal(Test.encodedSize(sub), encodedLength(Test, sub), "should skip empty message fields as the encoder does");
+
+        var oneof = { req: {}, oneofString: "abc", oneofInner: { a: 1 }, kind_oneof: "oneofString" };
+        test.equal(Test.encodedSize(oneof), encodedLength(Test, oneof), "should only count the set member of a oneof");
+
+        var runtime = Test.create({ req: { a: 1 }, packedInts: [ 1, 2 ], s: "abc" });
+        test.equal(Test.encodedSize(runtime), encodedLength(Test, runtime), "should compute the length of runtime messages");
+        test.equal(Test.getCtor().encodedSize(runtime), Test.encodedSize(runtime), "should be available on classes");
+
+        var Inner = root.lookupType("Inner"),
+            Extended = protobuf.parse("syntax = \"proto2\"; message Inner { optional int32 a = 1; optional string b = 2; optional string c = 3; repeated uint64 d = 4; }").root.lookupType("Inner"),
+            decoded = Inner.decode(Extended.encode({ a: 1, c: "unknown", d: [ 1, 2 ] }).finish());
+        test.equal(Inner.encodedSize(decoded), encodedLength(Inner, decoded), "should include retained unknown fields");
+        test.end();
+    });
+
+    test.test(test.name + " - static code", function(test) {
+        var Package = require("./data/package.js").Package,
+            pkg = new Package(require("../package.json"));
+        test.equal(Package.encodedSize(pkg), Package.encode(pkg).finish().length, "should compute the length in generated static code");
+        test.end();
+    });
+
+    test.end();
+});
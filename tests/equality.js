@@ -0,0 +1,104 @@
+var tape = require("tape");
+
+var protobuf = require("..");
+
+var root = protobuf.parse("\
+syntax = \"proto3\";\
+message Item {\
+    int64 id = 1;\
+    uint64 count = 2;\
+    bytes data = 3;\
+    double score = 4;\
+    string name = 5;\
+    Kind kind = 6;\
+    repeated Sub subs = 7;\
+    map<string, Sub> byName = 8;\
+    map<int32, string> labels = 9;\
+    Sub sub = 10;\
+    oneof value {\
+        string text = 11;\
+        Sub nested = 12;\
+    }\
+}\
+message Sub {\
+    string a = 1;\
+    repeated float b = 2;\
+}\
+enum Kind {\
+    NONE = 0;\
+    SOME = 1;\
+}").root;
+
+var Item = root.lookupType("Item");
+
+var object = {
+    id: 5,
+    count: "9007199254740993",
+    data: [ 1, 2, 3 ],
+    score: NaN,
+    name: "item",
+    kind: 1,
+    subs: [ { a: "x", b: [ 1.5 ] }, {} ],
+    byName: { one: { a: "1" }, two: { a: "2" } },
+    labels: { 1: "a", 2: "b" },
+    sub: { a: "s" },
+    text: ""
+};
+
+tape.test("equality", function(test) {
+    var a = Item.fromObject(object),
+        b = Item.decode(Item.encode(a).finish());
+
+    test.ok(Item.equals(a, a), "should equal itself");
+    test.ok(Item.equals(a, b), "should equal a decoded copy");
+    test.equal(Item.hash(a), Item.hash(b), "should hash a decoded copy equally");
+    test.ok(Item.getCtor().equals(a, b) && Item.getCtor().hash(a) === Item.hash(b), "should be available on message classes");
+
+    test.test(test.name + " - field semantics", function(test) {
+        var c = Item.decode(Item.encode(a).finish());
+        c.id = protobuf.util.Long.fromNumber(5);
+        test.ok(Item.equals(a, c) && Item.hash(a) === Item.hash(c), "should compare longs by value");
+        test.ok(Item.equals({ id: -1 }, { id: protobuf.util.Long.fromNumber(-1) }) && Item.hash({ id: -1 }) === Item.hash({ id: "-1" }), "should compare negative longs by value");
+
+        c.data = protobuf.util.newBuffer(3);
+        c.data.set([ 1, 2, 3 ]);
+        test.ok(Item.equals(a, c) && Item.hash(a) === Item.hash(c), "should compare bytes byte-wise");
+        c.data[2] = 4;
+        test.notOk(Item.equals(a, c), "should detect changed bytes");
+        c.data = "AQID";
+        test.ok(Item.equals(a, c) && Item.hash(a) === Item.hash(c), "should compare base64 encoded bytes");
+
+        c.byName = { two: c.byName.two, one: c.byName.one };
+        c.labels = { 2: "b", 1: "a" };
+        test.ok(Item.equals(a, c) && Item.hash(a) === Item.hash(c), "should compare maps regardless of key order");
+        c.labels = { 1: "a", 3: "b" };
+        test.notOk(Item.equals(a, c), "should detect changed map keys");
+
+        test.ok(Item.equals(Item.create({ score: NaN }), { score: NaN }), "should treat NaN as equal to NaN");
+        test.notOk(Item.equals(a, Item.fromObject(Object.assign({}, object, { subs: [ object.subs[1], object.subs[0] ] }))), "should compare repeated fields in order");
+        test.end();
+    });
+
+    test.test(test.name + " - presence", function(test) {
+        var empty = Item.create();
+        test.ok(Item.equals(empty, { id: 0, count: "0", name: "", kind: 0, data: [], subs: [], byName: {} }), "should treat default values as unset");
+        test.equal(Item.hash(empty), Item.hash({ id: 0, name: "", subs: [] }), "should hash default values like unset fields");
+        test.notOk(Item.equals(empty, { sub: {} }), "should respect the presence of message fields");
+        test.notOk(Item.equals(empty, { text: "" }), "should respect the presence of oneof members");
+        test.notOk(Item.equals(Item.create({ text: "" }), Item.create({ nested: {} })), "should compare oneof cases");
+        test.ok(Item.equals(Item.create({ text: "" }), { text: "", value: "text" }), "should compare messages to plain objects");
+        test.notEqual(Item.hash({ text: "" }), Item.hash({}), "should hash set oneof members");
+        test.end();
+    });
+
+    test.test(test.name + " - hashing", function(test) {
+        var hashes = {};
+        for (var i = 0; i < 1000; ++i)
+            hashes[Item.hash({ id: i, name: "item" + i % 10 })] = true;
+        test.equal(Object.keys(hashes).length, 1000, "should distribute hash codes");
+        test.ok(protobuf.util.isInteger(Item.hash(a)) && Item.hash(a) === (Item.hash(a) | 0), "should return 32 bit integers");
+        test.end();
+    });
+
+    test.end();
+});
@@ -16,6 +16,7 @@ tape.test("extension fields", function(test) {
     test.deepEqual(root.deferred[0], declaringField, "should be deferred until their extended type can be resolved");
 
     var extendedType = new Type("ExtendedType");
+    extendedType.extensions = [ [ 1, 100 ] ];
     ns.add(extendedType);
     var extensionField = extendedType.get(declaringField.getFullName());
     test.equal(extensionField, declaringField.extensionField, "should become available once their extended type is known");
@@ -0,0 +1,27 @@
+var tape = require("tape");
+
+var protobuf = require("..");
+
+var fs = require("fs");
+
+var format = require("../cli/format");
+
+tape.test("formatting", function(test) {
+    var source   = fs.readFileSync("tests/data/format/unformatted.proto", "utf8"),
+        expected = fs.readFileSync("tests/data/format/formatted.proto", "utf8"),
+        output   = format(source);
+
+    test.equal(output, expected, "should format in canonical style");
+    test.equal(format(output), output, "should be idempotent");
+    test.same(protobuf.parse(output, { keepCase: true }).root.toJSON(), protobuf.parse(source, { keepCase: true }).root.toJSON(), "should not change the declarations");
+
+    test.equal(format("message A{optional int32 a=1;//a\n\n\n\noptional int32 long_name=2;}"), "message A {\n    optional int32 a = 1; //a\n\n    optional int32 long_name = 2;\n}\n", "should collapse blank lines and align only consecutive fields");
+    test.equal(format("message A {\n\n  optional int32 a = 1;\n\n}\n"), "message A {\n    optional int32 a = 1;\n}\n", "should remove blank lines at the start and end of blocks");
+    test.equal(format("message A {\n  optional string a = 1 [default='it\\'s \"x\"'];\n}"), "message A {\n    optional string a = 1 [default=\"it's \\\"x\\\"\"];\n}\n", "should use double quoted strings");
+
+    test.throws(function() {
+        format("message A {", "a.proto");
+    }, protobuf.ParseError, "should throw on invalid sources");
+
+    test.end();
+});
@@ -0,0 +1,165 @@
+var tape = require("tape");
+
+var protobuf = require("..");
+
+tape.test("proto3 json mapping", function(test) {
+
+    protobuf.load("tests/data/json.proto", function(err, root) {
+        if (err)
+            return test.fail(err.message);
+
+        var Scalars   = root.lookup("jsontest.Scalars"),
+            WellKnown = root.lookup("jsontest.WellKnown");
+
+        test.test("scalars", function(test) {
+            var msg = Scalars.create({
+                int32Value: -1,
+                uint32Value: 4294967295,
+                int64Value: protobuf.util.Long.fromString("-9007199254740993"),
+                uint64Value: protobuf.util.Long.fromString("18446744073709551615", true),
+                doubleValue: NaN,
+                floatValue: -Infinity,
+                boolValue: true,
+                stringValue: "hi",
+                bytesValue: [ 0xfb, 0xff ],
+                kind: 2,
+                renamed: "x",
+                repeatedInt64: [ 1, 2 ],
+                innerMap: { a: { value: "b" } },
+                intMap: { 1: "one" },
+                inner: { value: "c" },
+                choiceInt: 0
+            });
+            var json = Scalars.encodeJSON(msg);
+            test.deepEqual(json, {
+                int32Value: -1,
+                uint32Value: 4294967295,
+                int64Value: "-9007199254740993",
+                uint64Value: "18446744073709551615",
+                doubleValue: "NaN",
+                floatValue: "-Infinity",
+                boolValue: true,
+                stringValue: "hi",
+                bytesValue: "+/8=",
+                kind: "BAR",
+                customName: "x",
+                repeatedInt64: [ "1", "2" ],
+                innerMap: { a: { value: "b" } },
+                intMap: { 1: "one" },
+                inner: { value: "c" },
+                choiceInt: 0
+            }, "should encode to canonical json");
+            test.equal(msg.toJSON, undefined, "should leave JSON.stringify of messages alone");
+
+            var back = Scalars.decodeJSON(JSON.parse(JSON.stringify(json)));
+            test.ok(back instanceof protobuf.Message, "should decode to a message instance");
+            test.ok(back.int64Value.equals(msg.int64Value), "should decode int64 strings to longs");
+            test.equal(back.uint64Value.toString(), "18446744073709551615", "should decode uint64 strings to unsigned longs");
+            test.ok(isNaN(back.doubleValue), "should decode NaN");
+            test.equal(back.floatValue, -Infinity, "should decode -Infinity");
+            test.deepEqual(Array.prototype.slice.call(back.bytesValue), [ 0xfb, 0xff ], "should decode base64");
+            test.equal(back.kind, 2, "should decode enum names");
+            test.equal(back.renamed, "x", "should respect json_name");
+            test.equal(back.choice, "choiceInt", "should decode oneof members");
+            test.deepEqual(Scalars.encodeJSON(back), json, "should round-trip");
+
+            test.deepEqual(Scalars.encodeJSON(Scalars.create({ kind: 1 }), { enums: Number, keepCase: true }), { kind: 1 }, "should support enum ids");
+            var defaults = Scalars.encodeJSON(Scalars.create(), { defaults: true });
+            test.equal(defaults.int64Value, "0", "should emit defaults if requested");
+            test.deepEqual(defaults.repeatedInt64, [], "should emit empty repeated fields if requested");
+            test.notOk("inner" in defaults, "should not emit unset message fields");
+            test.deepEqual([ defaults.innerMap, defaults.intMap ], [ {}, {} ], "should emit empty map fields if requested");
+
+            var alt = Scalars.decodeJSON({ int32_value: "5", int64Value: 7, bytesValue: "-_8", kind: 1, doubleValue: "1.5", choiceString: null });
+            test.equal(alt.int32Value, 5, "should accept original field names and numeric strings");
+            test.equal(alt.int64Value.toNumber(), 7, "should accept numbers for int64");
+            test.deepEqual(Array.prototype.slice.call(alt.bytesValue), [ 0xfb, 0xff ], "should accept url-safe unpadded base64");
+            test.equal(alt.kind, 1, "should accept enum ids");
+            test.equal(alt.doubleValue, 1.5, "should accept numeric strings for doubles");
+            test.equal(alt.choice, undefined, "should treat null as unset");
+            test.end();
+        });
+
+        test.test("malformed input", function(test) {
+            [
+                [ { int32Value: 1.5 }, /int32Value \(32 bit integer expected\)/ ],
+                [ { int32Value: 2147483648 }, /32 bit integer expected/ ],
+                [ { uint32Value: -1 }, /32 bit unsigned integer expected/ ],
+                [ { int64Value: "1e3" }, /integer\|string expected/ ],
+                [ { int64Value: "9223372036854775808" }, /in range expected/ ],
+                [ { uint64Value: "-1" }, /unsigned integer\|string expected/ ],
+                [ { floatValue: 1e39 }, /number expected/ ],
+                [ { doubleValue: "abc" }, /number expected/ ],
+                [ { boolValue: "true" }, /boolean expected/ ],
+                [ { stringValue: 1 }, /string expected/ ],
+                [ { bytesValue: "!!" }, /base64 string expected/ ],
+                [ { kind: "BAZ" }, /enum name\|id expected/ ],
+                [ { repeatedInt64: 1 }, /array expected/ ],
+                [ { intMap: { a: "b" } }, /integer key expected/ ],
+                [ { inner: "x" }, /object expected/ ],
+                [ { choiceString: "a", choiceInt: 1 }, /multiple values for oneof choice/ ],
+                [ { unknownField: 1 }, /unknown field 'unknownField'/ ],
+                [ [], /object expected/ ]
+            ].forEach(function(testCase) {
+                test.throws(function() {
+                    Scalars.decodeJSON(testCase[0]);
+                }, testCase[1], "should reject " + JSON.stringify(testCase[0]));
+            });
+            test.deepEqual(Scalars.decodeJSON({ unknownField: 1 }, { ignoreUnknown: true }), {}, "should ignore unknown fields if requested");
+            test.end();
+        });
+
+        test.test("well-known types", function(test) {
+            var json = {
+                timestamp: "1972-01-01T10:00:20.021Z",
+                duration: "-1.500s",
+                struct: { a: [ 1, "b", true, null, { c: {} } ] },
+                value: null,
+                int64Wrapper: "12",
+                stringWrapper: "",
+                any: { "@type": "type.googleapis.com/jsontest.Inner", value: "x" },
+                anys: [
+                    { "@type": "type.googleapis.com/google.protobuf.Duration", value: "1s" },
+                    {}
+                ]
+            };
+            var msg = WellKnown.decodeJSON(json);
+            test.equal(msg.timestamp.seconds.toNumber(), 63108020, "should decode timestamp seconds");
+            test.equal(msg.timestamp.nanos, 21000000, "should decode timestamp nanos");
+            test.equal(msg.duration.seconds.toNumber(), -1, "should decode duration seconds");
+            test.equal(msg.duration.nanos, -500000000, "should decode duration nanos");
+            test.equal(msg.struct.fields.a.listValue.values[1].stringValue, "b", "should decode struct values");
+            test.equal(msg.value.kind, "nullValue", "should decode null values");
+            test.equal(msg.int64Wrapper.value.toNumber(), 12, "should decode wrappers");
+            test.equal(msg.any.type_url, "type.googleapis.com/jsontest.Inner", "should decode any type urls");
+            test.equal(root.lookup("jsontest.Inner").decode(msg.any.value).value, "x", "should decode any values");
+
+            var expected = JSON.parse(JSON.stringify(json));
+            expected.duration = "-1.500s";
+            test.deepEqual(WellKnown.encodeJSON(msg), expected, "should round-trip");
+
+            test.equal(WellKnown.encodeJSON(WellKnown.decodeJSON({ timestamp: "1972-01-01T12:00:20.5+02:00" })).timestamp, "1972-01-01T10:00:20.500Z", "should normalize offsets");
+            test.equal(WellKnown.encodeJSON(WellKnown.decodeJSON({ timestamp: "0001-01-01T00:00:00Z" })).timestamp, "0001-01-01T00:00:00Z", "should handle year 1");
+            test.equal(WellKnown.encodeJSON(WellKnown.decodeJSON({ duration: "3.000001s" })).duration, "3.000001s", "should use 0, 3, 6 or 9 fractional digits");
+
+            test.throws(function() { WellKnown.decodeJSON({ timestamp: "1972-13-01T00:00:00Z" }); }, /RFC 3339 string expected/, "should reject invalid timestamps");
+            test.throws(function() { WellKnown.decodeJSON({ duration: "1.5" }); }, /duration string expected/, "should reject invalid durations");
+            test.throws(function() { WellKnown.decodeJSON({ any: { "@type": "type.googleapis.com/nope.Nope" } }); }, /unresolvable type/, "should reject unresolvable any types");
+            test.throws(function() { WellKnown.encodeJSON({ value: { numberValue: Infinity } }); }, /finite number expected/, "should reject non-finite value numbers");
+            test.end();
+        });
+
+        test.test("field masks", function(test) {
+            var maskRoot = protobuf.Root.fromJSON({
+                nested: { google: { nested: { protobuf: { nested: { FieldMask: { fields: { paths: { rule: "repeated", type: "string", id: 1 } } } } } } } }
+            });
+            var FieldMask = maskRoot.lookup("google.protobuf.FieldMask");
+            test.equal(FieldMask.encodeJSON({ paths: [ "foo_bar", "baz.qux_quux" ] }), "fooBar,baz.quxQuux", "should encode lowerCamelCase paths");
+            test.deepEqual(FieldMask.decodeJSON("fooBar,baz.quxQuux").paths, [ "foo_bar", "baz.qux_quux" ], "should decode to snake_case paths");
+            test.end();
+        });
+
+        test.end();
+    });
+
+});
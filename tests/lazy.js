@@ -0,0 +1,121 @@
+var tape = require("tape");
+
+var protobuf = require("..");
+
+var root = protobuf.parse([
+    "syntax = \"proto2\";",
+    "message Outer {",
+    "    optional int32 count = 1;",
+    "    optional string name = 2;",
+    "    optional Inner inner = 3;",
+    "    repeated Inner inners = 4;",
+    "    repeated int32 packed = 5 [packed = true];",
+    "    repeated string names = 6;",
+    "    map<string, Inner> byName = 7;",
+    "    map<int32, string> byId = 8;",
+    "    optional group Group = 9 { optional string value = 1; }",
+    "    oneof kind { string text = 10; uint32 number = 11; }",
+    "    optional bytes data = 12;",
+    "    map<int64, bool> byLong = 13;",
+    "}",
+    "message Inner {",
+    "    optional string value = 1;",
+    "    repeated uint32 numbers = 2 [packed = true];",
+    "}"
+].join("\n")).root;
+
+var Outer = root.lookupType("Outer"),
+    Inner = root.lookupType("Inner");
+
+var object = {
+    count: 3,
+    name: "outer",
+    inner: { value: "a", numbers: [ 1, 2, 300 ] },
+    inners: [ { value: "b" }, {}, { numbers: [ 4 ] } ],
+    packed: [ 1, -1, 1000000 ],
+    names: [ "x", "", "z" ],
+    byName: { k: { value: "v" }, l: {} },
+    byId: { "1": "one", "-5": "minus five" },
+    group: { value: "g" },
+    text: "text",
+    data: [ 1, 2, 3 ]
+};
+
+function decodeLazy(type, buffer) {
+    var reader = protobuf.Reader.create(buffer);
+    reader.lazy = true;
+    return type.decode(reader);
+}
+
+var convert = { longs: String, bytes: Array };
+
+tape.test("lazy decoding", function(test) {
+    var buffer = Outer.encode(Outer.fromObject(object)).finish(),
+        eager  = Outer.decode(buffer),
+        lazy   = decodeLazy(Outer, buffer);
+
+    test.ok(lazy instanceof Outer.ctor, "should return instances of the message type");
+    test.equal(Object.getOwnPropertyDescriptor(lazy, "count").value, 3, "should decode numeric fields right away");
+    test.ok(Object.getOwnPropertyDescriptor(lazy, "name").get, "should not decode strings right away");
+    test.equal(lazy.name, "outer", "should decode strings on access");
+    test.equal(Object.getOwnPropertyDescriptor(lazy, "name").value, "outer", "should cache decoded values as own properties");
+    test.equal(lazy.inner.value, "a", "should decode nested messages on access");
+    test.ok(Object.getOwnPropertyDescriptor(lazy.inners[0], "value").get, "should decode nested messages lazily");
+    test.deepEqual(Outer.toObject(lazy, convert), Outer.toObject(eager, convert), "should decode the same as eagerly decoding");
+    test.deepEqual(Buffer.from(Outer.encode(decodeLazy(Outer, buffer)).finish()), Buffer.from(buffer), "should re-encode to the same data");
+    var longKeys = protobuf.Writer.create().uint32(106).fork().uint32(8).int64(-5).uint32(16).bool(true).ldelim().finish();
+    test.deepEqual(Object.keys(decodeLazy(Outer, longKeys).byLong), Object.keys(Outer.decode(longKeys).byLong), "should key maps by the hashes of 64 bit keys");
+    test.equal(decodeLazy(Outer, buffer).kind, "text", "should expose oneof members to virtual oneof fields");
+
+    var message = decodeLazy(Outer, buffer);
+    message.name = "changed";
+    message.inners = [];
+    test.deepEqual([ message.name, message.inners ], [ "changed", [] ], "should replace lazy fields when assigned to");
+
+    message = decodeLazy(Outer, Outer.encode({ count: 1 }).finish());
+    test.deepEqual([ message.name, message.inners, message.inner ], [ "", [], null ], "should return defaults for missing fields");
+    test.notOk(Object.prototype.hasOwnProperty.call(message, "inners"), "should not set missing fields");
+
+    var twice = Buffer.concat([ Buffer.from(Outer.encode({ name: "first", inner: { value: "a" } }).finish()), Buffer.from(Outer.encode({ name: "second", inner: { numbers: [ 1 ] } }).finish()) ]);
+    message = decodeLazy(Outer, twice);
+    test.equal(message.name, "second", "should use the last occurrence of non-repeated fields");
+
+    var unknown = Buffer.concat([ Buffer.from(buffer), Buffer.from([ 0xA8, 0x06, 0x01 ]) ]); // field 101, varint 1
+    message = decodeLazy(Outer, unknown);
+    test.equal(message.$unknown.length, 1, "should retain unknown fields");
+    test.deepEqual(Buffer.from(Outer.encode(message).finish()), unknown, "should re-encode unknown fields");
+
+    test.end();
+});
+
+tape.test("lazy decoding - reader defaults", function(test) {
+    var buffer = Inner.encode({ value: "v" }).finish();
+    protobuf.Reader.prototype.lazy = true;
+    try {
+        var message = Inner.decode(buffer);
+        test.ok(Object.getOwnPropertyDescriptor(message, "value").get, "should decode lazily if enabled on the prototype");
+        test.equal(message.value, "v", "should decode on access");
+    } finally {
+        protobuf.Reader.prototype.lazy = false;
+    }
+    test.equal(Object.getOwnPropertyDescriptor(Inner.decode(buffer), "value").value, "v", "should decode eagerly by default");
+    test.end();
+});
+
+tape.test("lazy decoding - existing APIs", function(test) {
+    var buffer = Outer.encode(Outer.fromObject(object)).finish();
+
+    test.deepEqual(Object.keys(decodeLazy(Outer, buffer)), Object.keys(Outer.decode(buffer)), "should expose the same own properties as eager decoding");
+    test.deepEqual(decodeLazy(Outer, buffer).asJSON(convert), Outer.decode(buffer).asJSON(convert), "should return the same from Message#asJSON");
+    test.equal(JSON.stringify(decodeLazy(Outer, buffer)), JSON.stringify(Outer.decode(buffer)), "should stringify the same");
+    test.ok(Outer.equals(decodeLazy(Outer, buffer), Outer.decode(buffer)), "should equal the eagerly decoded message");
+
+    protobuf.load(require.resolve("./data/mapbox/vector_tile.proto"), function(err, root) {
+        if (err)
+            return test.fail(err.message);
+        var Tile = root.lookupType("vector_tile.Tile"),
+            data = require("fs").readFileSync(require.resolve("./data/mapbox/vector_tile.bin"));
+        test.deepEqual(decodeLazy(Tile, data).asJSON(convert), Tile.decode(data).asJSON(convert), "should return the same from Message#asJSON for a vector tile");
+        test.end();
+    });
+});
@@ -0,0 +1,48 @@
+var tape = require("tape");
+
+var protobuf = require("..");
+
+var lint = require("../cli/lint").lint;
+
+tape.test("linting", function(test) {
+    var root = new protobuf.Root().loadSync([
+        "tests/data/lint/test/style/style.proto",
+        "tests/data/lint/test/style/required.proto",
+        "tests/data/lint/misplaced.proto"
+    ], { keepCase: true });
+
+    var problems = lint(root);
+    function find(rule) {
+        return problems.filter(function(problem) { return problem.rule === rule; }).map(function(problem) {
+            return problem.filename.replace(/^.*\//, "") + ":" + problem.line + ":" + problem.column + " " + problem.message;
+        });
+    }
+
+    test.same(find("type-name"), [ "style.proto:5:1 name 'good_message' is not UpperCamelCase" ], "should check type names");
+    test.same(find("field-name"), [
+        "style.proto:6:5 name 'goodField' is not lower_snake_case",
+        "style.proto:11:5 name 'Kind' is not lower_snake_case"
+    ], "should check field and oneof names");
+    test.same(find("enum-value-name"), [ "style.proto:18:5 value name 'okay' is not UPPER_SNAKE_CASE" ], "should check enum value names");
+    test.same(find("enum-zero-value"), [ "style.proto:23:5 zero value 'LOW' is not named *_UNSPECIFIED" ], "should check zero values");
+    test.same(find("proto3-required"), [ "required.proto:6:5 field 'id' is required in a proto3 file" ], "should check for required fields in proto3");
+    test.same(find("package-directory"), [ "misplaced.proto:5:1 package 'test.other' does not match directory 'tests/data/lint'" ], "should check that packages match directories");
+    test.equal(problems.filter(function(problem) { return problem.rule === "package-directory"; })[0].severity, "warning", "should use default severities");
+
+    problems = lint(root, undefined, { "field-name": "warning", "type-name": "off" });
+    test.same(find("type-name"), [], "should skip rules turned off");
+    test.ok(problems.every(function(problem) { return problem.rule !== "field-name" || problem.severity === "warning"; }), "should respect configured severities");
+    test.throws(function() {
+        lint(root, undefined, { "field-name": "fatal" });
+    }, /invalid severity 'fatal' of rule field-name/, "should throw on invalid severities");
+
+    function noGreeter(object, report) {
+        if (object instanceof protobuf.Service && object.name === "Greeter")
+            report("no greeters");
+    }
+    problems = lint(root, { "no-greeter": noGreeter });
+    test.same(find("no-greeter"), [ "style.proto:33:1 no greeters" ], "should run custom rules");
+    test.equal(problems[0].severity, "error", "should default to error");
+
+    test.end();
+});
@@ -0,0 +1,157 @@
+var tape = require("tape");
+
+var protobuf = require("..");
+
+var root = protobuf.parse("\
+syntax = \"proto3\";\
+message User {\
+    string display_name = 1;\
+    int64 id = 2;\
+    Address address = 3;\
+    repeated string tags = 4;\
+    map<string, Address> places = 5;\
+    bytes avatar = 6;\
+    oneof contact {\
+        string email = 7;\
+        Address postal = 8;\
+    }\
+}\
+message Address {\
+    string street = 1;\
+    string city = 2;\
+    repeated uint32 codes = 3;\
+}", { keepCase: true }).root;
+
+var User    = root.lookupType("User"),
+    Address = root.lookupType("Address");
+
+function plain(message) {
+    return User.toObject(message, { longs: String, bytes: Array, oneofs: true });
+}
+
+tape.test("merging", function(test) {
+
+    var a = User.fromObject({
+        display_name: "alice",
+        id: 1,
+        address: { street: "Main St", codes: [ 1 ] },
+        tags: [ "a" ],
+        places: { home: { city: "Springfield" }, work: { city: "Shelbyville" } },
+        avatar: [ 1, 2, 3 ],
+        email: "alice@example.com"
+    });
+    var b = User.fromObject({
+        id: 2,
+        address: { city: "Capital City", codes: [ 2 ] },
+        tags: [ "b", "c" ],
+        places: { work: { street: "Evergreen Terrace" } },
+        postal: { city: "Ogdenville" }
+    });
+
+    test.test(test.name + " - merge", function(test) {
+        var expected = {
+            display_name: "alice",
+            id: "2",
+            address: { street: "Main St", city: "Capital City", codes: [ 1, 2 ] },
+            tags: [ "a", "b", "c" ],
+            places: { home: { city: "Springfield" }, work: { street: "Evergreen Terrace" } },
+            avatar: [ 1, 2, 3 ],
+            postal: { city: "Ogdenville" },
+            contact: "postal"
+        };
+        var target = User.decode(User.encode(a).finish());
+        test.equal(User.merge(target, b), target, "should return the target");
+        test.deepEqual(plain(target), expected, "should merge set fields, messages recursively, repeated fields and maps by key");
+        test.equal(target.contact, "postal", "should clear other members of oneofs");
+        test.deepEqual(plain(a).tags, [ "a" ], "should not modify the source or shared values");
+
+        target.address.codes.push(3);
+        test.deepEqual(b.address.codes, [ 2 ], "should copy values");
+        test.ok(target.postal !== b.postal && target.postal instanceof protobuf.Message, "should copy messages");
+
+        var object = User.merge({ tags: [ "x" ] }, { tags: [ "y" ], postal: { city: "z" } });
+        test.deepEqual(object, { tags: [ "x", "y" ], postal: { city: "z" }, contact: "postal" }, "should merge plain objects");
+
+        var lazyA = User.decode(Object.assign(protobuf.Reader.create(User.encode(a).finish()), { lazy: true }));
+        test.deepEqual(plain(User.merge(lazyA, b)), expected, "should merge into lazily decoded messages");
+        test.end();
+    });
+
+    test.test(test.name + " - mergeWithMask", function(test) {
+        var target = User.merge(User.create(), a);
+        User.mergeWithMask(target, b, [ "id", "address.city", "display_name", "tags", "places" ]);
+        test.equal(String(target.id), "2", "should copy referenced fields");
+        test.deepEqual(Address.toObject(target.address), { street: "Main St", city: "Capital City", codes: [ 1 ] }, "should only copy referenced nested fields");
+        test.equal(target.display_name, "", "should clear referenced fields not set in the source");
+        test.deepEqual(target.tags, [ "a", "b", "c" ], "should append to repeated fields");
+        test.deepEqual(Object.keys(target.places), [ "home", "work" ], "should merge maps");
+        test.equal(target.email, "alice@example.com", "should leave unreferenced fields as is");
+
+        target = User.merge(User.create(), a);
+        User.mergeWithMask(target, b, "tags,address", { replaceRepeatedFields: true, replaceMessageFields: true });
+        test.deepEqual(target.tags, [ "b", "c" ], "should replace repeated fields if requested");
+        test.deepEqual(Address.toObject(target.address), { city: "Capital City", codes: [ 2 ] }, "should replace message fields if requested");
+
+        target = User.merge(User.create(), a);
+        User.mergeWithMask(target, b, { paths: [ "postal" ] });
+        test.equal(target.contact, "postal", "should accept field masks and set oneof members");
+
+        target = User.merge(User.create(), a);
+        User.mergeWithMask(target, User.create(), [ "address.street" ]);
+        test.equal(target.address.street, "", "should clear nested fields through absent messages");
+
+        test.throws(function() {
+            User.mergeWithMask(User.create(), b, [ "address.nope" ]);
+        }, /invalid path 'address.nope': no such field 'nope' in Address/, "should throw on unknown fields");
+        test.throws(function() {
+            User.mergeWithMask(User.create(), b, [ "tags.length" ]);
+        }, /tags is not a singular message field/, "should throw on paths through non-message fields");
+        test.end();
+    });
+
+    test.test(test.name + " - applyMask", function(test) {
+        var message = User.merge(User.create(), a);
+        test.equal(User.applyMask(message, [ "display_name", "address.codes", "places" ]), message, "should return the message");
+        test.deepEqual(plain(message), {
+            display_name: "alice",
+            address: { codes: [ 1 ] },
+            places: { home: { city: "Springfield" }, work: { city: "Shelbyville" } }
+        }, "should clear unreferenced fields");
+        test.deepEqual(User.applyMask({ email: "x", contact: "email", tags: [ "a" ] }, [ "tags" ]), { tags: [ "a" ] }, "should trim plain objects");
+        test.end();
+    });
+
+    test.test(test.name + " - diff", function(test) {
+        test.deepEqual(User.diff(a, a), [], "should return no paths for equal messages");
+        test.deepEqual(User.diff(a, User.decode(User.encode(a).finish())), [], "should compare values, not identities");
+        var paths = User.diff(a, b);
+        test.deepEqual(paths, [ "display_name", "id", "address.street", "address.city", "address.codes", "tags", "places", "avatar", "email", "postal" ], "should return the paths of changed fields");
+        test.deepEqual(User.diff(a, User.fromObject({ display_name: "alice", id: 1, address: {}, tags: [ "a" ], places: { home: { city: "Springfield" }, work: { city: "Shelbyville" } }, avatar: [ 1, 2, 3 ], email: "alice@example.com" })), [ "address.street", "address.codes" ], "should recurse into messages");
+        test.deepEqual(User.diff({ id: "1", avatar: "AQID" }, { id: 1, avatar: [ 1, 2, 3 ] }), [], "should compare longs and bytes by value");
+
+        var target = User.merge(User.create(), a);
+        User.mergeWithMask(target, b, paths, { replaceRepeatedFields: true, replaceMessageFields: true });
+        test.deepEqual(User.diff(target, b), [], "should make messages equal when merging the changed paths");
+        test.end();
+    });
+
+    test.test(test.name + " - unset oneofs", function(test) {
+        var M = protobuf.parse("\
+syntax = \"proto3\";\
+message M {\
+    string display_name = 1;\
+    oneof o {\
+        int32 a = 2;\
+        string c = 3;\
+    }\
+}").root.lookupType("M");
+        var merged = M.merge(M.create({ a: 5 }), M.create({ displayName: "x" }));
+        test.deepEqual(M.toObject(merged, { oneofs: true }), { displayName: "x", a: 5, o: "a" }, "should keep members of oneofs not set in the source");
+        merged = M.merge({ a: 5 }, { c: "" });
+        test.deepEqual(merged, { c: "", o: "c" }, "should merge members of oneofs that are own properties of plain objects");
+        test.deepEqual(M.diff(M.create({ a: 5 }), M.create({ a: 5, displayName: "x" })), [ "display_name" ], "should return declared field names");
+        test.end();
+    });
+
+    test.end();
+});
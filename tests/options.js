@@ -0,0 +1,73 @@
+var tape = require("tape");
+
+var protobuf = require("..");
+
+tape.test("custom options", function(test) {
+
+    test.test("parsing", function(test) {
+        var root = protobuf.parse([
+            "syntax = \"proto3\";",
+            "message A {",
+            "    option (my.opt) = 1;",
+            "    option (my.opt) = 2;",
+            "    option (my.sub).a.b = true;",
+            "    int32 a = 1 [(rules).min_len = 1, (rules).max_len = 5, (other) = { a: 1 b: \"x\" nested { c: [1, 2] } nested { c: 3 } }];",
+            "}"
+        ].join("\n")).root;
+        var A = root.lookup("A");
+        test.same(A.getOption("(my.opt)"), [ 1, 2 ], "should collect repeated custom options");
+        test.same(A.getOption("(my.sub)"), { a: { b: true } }, "should parse sub-fields of custom options");
+        test.same(A.fields.a.getOption("(rules)"), { minLen: 1, maxLen: 5 }, "should merge sub-fields of the same option");
+        test.same(A.fields.a.getOption("(other)"), { a: 1, b: "x", nested: [ { c: [ 1, 2 ] }, { c: 3 } ] }, "should parse aggregate values");
+        test.end();
+    });
+
+    test.test("resolving", function(test) {
+        var root = new protobuf.Root().loadSync("tests/data/options.proto", { keepCase: true }).resolveAll(),
+            Message = root.lookup("test.options.Message");
+
+        test.equal(Message.getResolvedOptions()["(test.options.message_level)"], "LEVEL_HIGH", "should resolve message options by their fully qualified names");
+        test.same(Message.fields.name.getResolvedOptions()["(test.options.rules)"], { min_len: 1, max_len: 10, tags: [ "b", "a" ] }, "should merge options referenced by different names");
+        test.same(Message.fields.text.getResolvedOptions()["(test.options.rules)"], { level: "LEVEL_HIGH", nested: { flag: true }, limits: { x: 1, y: 2 } }, "should convert aggregate values according to the extension field");
+        test.same(Message.fields.other.getResolvedOptions()["(test.options.labels)"], [ "x", "y" ], "should resolve repeated options");
+        test.equal(Message.fields.other.getResolvedOptions().deprecated, true, "should keep options that are not custom options");
+        test.equal(Message.fields.other.getResolvedOptions()["(test.options.limit)"].toString(), "9223372036854775807", "should convert 64-bit values to longs");
+        test.equal(Message.fields.other.getResolvedOptions()["(test.options.total)"].toString(), "18446744073709551615", "should convert unsigned 64-bit values to unsigned longs");
+        test.same(root.lookup("test.options.Message.Inner").fields.value.getResolvedOptions()["(test.options.rules)"], { max_len: 3 }, "should resolve options of nested types");
+        test.equal(root.lookup("test.options.Service").methods.Call.getResolvedOptions()["(test.options.route)"], "/call", "should resolve method options");
+
+        var parsed = new protobuf.Root().loadSync("tests/data/options.proto", { keepCase: true });
+        test.same(Message.fields.name.options, parsed.lookup("test.options.Message").fields.name.options, "should not modify the declared options");
+        Message.fields.name.getResolvedOptions();
+        test.same(Message.fields.name.options, parsed.lookup("test.options.Message").fields.name.options, "should not modify the declared options when resolving them");
+
+        var json = protobuf.Root.fromJSON(JSON.parse(JSON.stringify(root)));
+        test.same(json.lookup("test.options.Message").fields.text.getResolvedOptions(), Message.fields.text.getResolvedOptions(), "should resolve options of JSON descriptors alike");
+        test.end();
+    });
+
+    test.test("errors", function(test) {
+        var header = [
+            "syntax = \"proto3\";",
+            "import \"google/protobuf/descriptor.proto\";",
+            "message R { int32 n = 1; }",
+            "extend google.protobuf.FieldOptions { R r = 50000; }",
+            "extend google.protobuf.MessageOptions { int32 m = 50000; }"
+        ].join("\n");
+        function resolve(source) {
+            var root = protobuf.parse(header + source).root;
+            root.resolveAll(); // does not check options
+            return function() {
+                root.lookup("A").fields.a.getResolvedOptions();
+            };
+        }
+        test.throws(resolve("message A { int32 a = 1 [(r).n = \"x\"]; }"), /invalid option \(r\) of Field \.A\.a: n: integer expected/, "should throw on values of the wrong type");
+        test.throws(resolve("message A { int32 a = 1 [(r).x = 1]; }"), /x: no such field in Type \.R/, "should throw on unknown fields");
+        test.throws(resolve("message A { int32 a = 1 [(r).n = 1, (r).n = 2]; }"), /n: not repeated/, "should throw on repeated values of non-repeated fields");
+        test.throws(resolve("message A { int32 a = 1 [(my.nope) = 1]; }"), /unknown option \(my\.nope\) of Field \.A\.a/, "should throw on undeclared custom options");
+        test.throws(resolve("message A { int32 a = 1 [(m) = 1]; }"), /option \(m\) of Field \.A\.a does not extend google\.protobuf\.FieldOptions/, "should throw on options extending the wrong options message");
+        test.end();
+    });
+
+    test.end();
+});
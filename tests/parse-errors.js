@@ -0,0 +1,88 @@
+var tape = require("tape");
+
+var protobuf = require("..");
+
+function parseError(source, filename) {
+    protobuf.parse.filename = filename || null;
+    try {
+        protobuf.parse(source);
+    } catch (err) {
+        return err;
+    }
+    return null;
+}
+
+tape.test("parse errors", function(test) {
+
+    var err = parseError("syntax = \"proto3\";\n\nmessage Test {\n    int32 value = x;\n}\n", "test.proto");
+    test.ok(err instanceof protobuf.ParseError, "should throw a ParseError");
+    test.ok(err instanceof Error, "should be an Error");
+    test.equal(err.message, "illegal id 'x' (test.proto, line 4)", "should keep the message format");
+    test.equal(err.reason, "illegal id 'x'", "should expose the reason");
+    test.equal(err.filename, "test.proto", "should expose the file name");
+    test.equal(err.line, 4, "should expose the line");
+    test.equal(err.column, 19, "should expose the column");
+    test.equal(err.token, "x", "should expose the offending token");
+    test.deepEqual(err.expected, [ "<id>" ], "should expose the expected class of tokens");
+
+    err = parseError("message Test {\n  optional int32 value = 1\n}");
+    test.equal(err.filename, null, "should not require a file name");
+    test.equal(err.message, "illegal token '}', ';' expected (line 3)", "should report tokens expected by the tokenizer");
+    test.equal(err.line, 3, "should report the line of the unexpected token");
+    test.equal(err.column, 1, "should report the column of the unexpected token");
+    test.deepEqual(err.expected, [ ";" ], "should report the expected token");
+
+    err = parseError("message Test {\n  foo bar = 1;\n}");
+    test.equal(err.token, "foo", "should report unexpected tokens in message bodies");
+    test.ok(err.expected.indexOf("optional") > -1 && err.expected.indexOf("}") > -1, "should report the tokens expected in message bodies");
+
+    err = parseError("service Test {\n    rpc Method (Req) returns (Res);\n    call Other;\n}");
+    test.deepEqual([ err.line, err.column, err.token ], [ 3, 5, "call" ], "should report unexpected tokens in service bodies");
+    test.deepEqual(err.expected, [ "option", "rpc", "}" ], "should report the tokens expected in service bodies");
+
+    err = parseError("\n  /");
+    test.deepEqual([ err.message, err.line, err.column ], [ "illegal comment (line 2)", 2, 3 ], "should report tokenizer errors");
+
+    test.notOk(parseError("message A {}", "a.proto") || protobuf.parse.filename, "should reset the file name");
+    test.end();
+});
+
+tape.test("source locations", function(test) {
+    var source = [
+        "syntax = \"proto2\";",
+        "",
+        "message Test {",
+        "    optional string name = 1 [default = \"x\"];",
+        "    map<string, int32> counts = 2;",
+        "    oneof kind {",
+        "        uint32 id = 3;",
+        "    }",
+        "    repeated group Item = 4 {",
+        "        optional int32 value = 1;",
+        "    }",
+        "}",
+        "",
+        "enum Kind { A = 0; }",
+        "",
+        "service Service {",
+        "    rpc Method (Test) returns (Test);",
+        "}"
+    ].join("\n");
+    protobuf.parse.filename = "locations.proto";
+    var root = protobuf.parse(source).root;
+
+    var Test = root.lookup("Test");
+    test.deepEqual(Test.location, { filename: "locations.proto", line: 3, column: 1, endLine: 12, endColumn: 2 }, "should locate types");
+    test.deepEqual(Test.fields.name.location, { filename: "locations.proto", line: 4, column: 5, endLine: 4, endColumn: 46 }, "should locate fields");
+    test.deepEqual(Test.fields.counts.location, { filename: "locations.proto", line: 5, column: 5, endLine: 5, endColumn: 35 }, "should locate map fields");
+    test.deepEqual([ Test.oneofs.kind.location.line, Test.oneofs.kind.location.endLine ], [ 6, 8 ], "should locate oneofs");
+    test.deepEqual([ Test.fields.id.location.line, Test.fields.id.location.column ], [ 7, 9 ], "should locate oneof members");
+    test.deepEqual([ Test.fields.item.location.line, Test.fields.item.location.column, Test.fields.item.location.endLine ], [ 9, 5, 11 ], "should locate group fields");
+    test.deepEqual(Test.get("Item").location, Test.fields.item.location, "should locate group types");
+    test.deepEqual(root.lookup("Kind").location, { filename: "locations.proto", line: 14, column: 1, endLine: 14, endColumn: 21 }, "should locate enums");
+    test.deepEqual(root.lookup("Kind").locations.A, { filename: "locations.proto", line: 14, column: 13, endLine: 14, endColumn: 19 }, "should locate enum values");
+    test.deepEqual([ root.lookup("Service").location.line, root.lookup("Service").location.endLine ], [ 16, 18 ], "should locate services");
+    test.deepEqual(root.lookup("Service").methods.Method.location, { filename: "locations.proto", line: 17, column: 5, endLine: 17, endColumn: 38 }, "should locate methods");
+    test.equal(protobuf.Root.fromJSON(root.toJSON()).lookup("Test").location, null, "should not locate objects not parsed from source");
+    test.end();
+});
@@ -0,0 +1,44 @@
+var tape = require("tape");
+
+var protobuf = require("..");
+
+tape.test("parse recover mode", function(test) {
+
+    var result = protobuf.parse("message A {\n  optional int32 a = x;\n  optional int32 b = 2;\n}\nmessage B {\n  foo;\n}\nmessage C {}\n", { recover: true });
+    test.deepEqual(result.errors.map(function(err) { return [ err.line, err.token ]; }), [ [ 2, "x" ], [ 6, "foo" ] ], "should collect every error");
+    test.ok(result.errors[0] instanceof protobuf.ParseError, "should collect ParseErrors");
+    test.deepEqual(Object.keys(result.root.lookup("A").fields), [ "b" ], "should keep the valid statements of a block");
+    test.ok(result.root.lookup("B") && result.root.lookup("C"), "should continue after invalid statements");
+
+    result = protobuf.parse("message A {}\n}\nmessage B { optional int32 a = 1 }\nmessage C {}", { recover: true });
+    test.deepEqual(result.errors.map(function(err) { return err.line; }), [ 2, 3 ], "should recover from unbalanced and premature braces");
+    test.ok(result.root.lookup("B") && result.root.lookup("C"), "should not skip past the enclosing block");
+
+    result = protobuf.parse("message A {\n  optional int32 a = 1;\n  optional Nested nested = {\n}", { recover: true });
+    test.equal(result.errors.length, 1, "should stop at the end of the source");
+    test.equal(result.errors[0].token, "{", "should report the first error only once");
+
+    test.equal(protobuf.parse("message A {}").errors, undefined, "should not collect errors by default");
+    test.throws(function() {
+        protobuf.parse("message A { foo; }");
+    }, protobuf.ParseError, "should throw by default");
+
+    var root = new protobuf.Root().loadSync("tests/data/recover/main.proto", { recover: true });
+    test.deepEqual(root.errors.map(function(err) {
+        return [ err.filename.replace(/^.*\//, ""), err.line ];
+    }), [
+        [ "main.proto", 7 ],
+        [ "main.proto", 11 ],
+        [ "main.proto", 17 ],
+        [ "main.proto", 23 ],
+        [ "other.proto", 6 ],
+        [ "other.proto", 9 ]
+    ], "should report the errors of all loaded files");
+    test.deepEqual(Object.keys(root.lookup("Valid").fields), [ "a", "c" ], "should keep valid fields");
+    test.deepEqual(root.lookup("Kind").values, { NONE: 0, MORE: 2 }, "should keep valid enum values");
+    test.deepEqual(Object.keys(root.lookup("Svc").methods), [ "Call", "Other" ], "should keep valid methods");
+    test.deepEqual(Object.keys(root.lookup("Other").fields), [ "x" ], "should keep valid fields of imported files");
+    test.notOk(root.lookup("Invalid"), "should skip invalid declarations");
+
+    test.end();
+});
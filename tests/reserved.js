@@ -0,0 +1,64 @@
+var tape = require("tape");
+
+var protobuf = require("..");
+
+function parseError(source) {
+    try {
+        protobuf.parse(source);
+    } catch (err) {
+        return err;
+    }
+    return null;
+}
+
+tape.test("reserved", function(test) {
+
+    var root = protobuf.parse("message Test {\n  reserved 2, 15, 9 to 11, 40 to max;\n  reserved \"foo_bar\", 'baz';\n  extensions 100 to 199, 300;\n  optional int32 a = 1;\n}").root,
+        Test = root.lookup("Test");
+
+    test.deepEqual(Test.reserved, [ [ 2, 2 ], [ 15, 15 ], [ 9, 11 ], [ 40, 0x1FFFFFFF ], "foo_bar", "baz" ], "should parse reserved ids, ranges and names as declared");
+    test.deepEqual(Test.extensions, [ [ 100, 199 ], [ 300, 300 ] ], "should parse multiple extension ranges");
+    test.ok(Test.isReservedId(10) && !Test.isReservedId(12), "should test reserved ids");
+    test.ok(Test.isReservedName("foo_bar") && !Test.isReservedName("foo"), "should test reserved names");
+
+    test.deepEqual(protobuf.Type.fromJSON("Test", Test.toJSON()).reserved, Test.reserved, "should round-trip through JSON");
+
+    test.throws(function() {
+        Test.add(new protobuf.Field("b", 10, "int32"));
+    }, /^Error: id 10 is reserved in Type \.Test$/, "should throw when adding a field with a reserved id");
+    test.throws(function() {
+        Test.add(new protobuf.Field("baz", 3, "int32"));
+    }, /^Error: name 'baz' is reserved in Type \.Test$/, "should throw when adding a field with a reserved name");
+    test.throws(function() {
+        protobuf.Type.fromJSON("Test", { fields: { a: { type: "int32", id: 2 } }, reserved: [ [ 2, 2 ] ] });
+    }, /is reserved/, "should enforce reserved ids from JSON");
+
+    var err = parseError("message Test {\n  optional int32 a = 1;\n  optional int32 b = 2;\n  reserved 2;\n}");
+    test.ok(err instanceof protobuf.ParseError, "should throw a ParseError when parsing reserved ids");
+    test.deepEqual([ err.message, err.line, err.column ], [ "id 2 is reserved (line 3)", 3, 3 ], "should report the field's location");
+    err = parseError("message Test {\n  reserved \"a\";\n  oneof kind {\n    int32 a = 1;\n  }\n}");
+    test.equal(err.reason, "name 'a' is reserved", "should check oneof members");
+
+    var result = protobuf.parse("message Test {\n  optional int32 a = 1;\n  optional int32 b = 2;\n  reserved 2;\n}", { recover: true });
+    test.equal(result.errors[0].reason, "id 2 is reserved", "should collect reserved errors in recover mode");
+    test.deepEqual(Object.keys(result.root.lookup("Test").fields), [ "a" ], "should drop reserved fields in recover mode");
+
+    root = protobuf.parse("message Extended {\n  extensions 100 to 199;\n}\nextend Extended {\n  optional int32 ext = 100;\n}").root;
+    test.ok(root.lookup("Extended").get(".ext"), "should accept extension fields within extension ranges");
+    test.throws(function() {
+        protobuf.parse("message Extended {\n  extensions 100 to 199;\n}\nextend Extended {\n  optional int32 ext = 200;\n}");
+    }, /^Error: extension id 200 of Field \.ext is not within the extension ranges of Type \.Extended$/, "should throw for extension fields outside of extension ranges");
+    test.throws(function() {
+        protobuf.parse("message Extended {\n}\nextend Extended {\n  optional int32 ext = 100;\n}");
+    }, /^Error: extension id 100 of Field \.ext is not within the extension ranges of Type \.Extended$/, "should throw for extension fields of types without extension ranges");
+
+    err = parseError("message Test {\n  optional int32 foo_bar = 1;\n  reserved \"foo_bar\";\n}");
+    test.equal(err.reason, "name 'foo_bar' is reserved", "should check declared names of fields converted to camel case");
+    test.throws(function() {
+        var field = new protobuf.Field("fooBar", 3, "int32");
+        field.originalName = "foo_bar";
+        Test.add(field);
+    }, /^Error: name 'foo_bar' is reserved in Type \.Test$/, "should check declared names when adding fields converted to camel case");
+
+    test.end();
+});
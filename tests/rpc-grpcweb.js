@@ -0,0 +1,259 @@
+var tape = require("tape");
+
+var protobuf = require("..");
+
+var util   = protobuf.util,
+    Status = protobuf.rpc.grpcWeb.Status;
+
+function collect(stream) {
+    var values = [];
+    return (function next() {
+        return stream.next().then(function(step) {
+            if (step.done)
+                return values;
+            values.push(step.value.status);
+            return next();
+        });
+    })();
+}
+
+function frame(flags, data) {
+    var buf = new Uint8Array(5 + data.length);
+    buf[0] = flags;
+    buf[1] = data.length >>> 24;
+    buf[2] = data.length >>> 16 & 255;
+    buf[3] = data.length >>> 8 & 255;
+    buf[4] = data.length & 255;
+    buf.set(data, 5);
+    return buf;
+}
+
+function base64(data) {
+    return util.base64.encode(data, 0, data.length);
+}
+
+function concat(parts) {
+    var buf = new Uint8Array(parts.reduce(function(len, part) { return len + part.length; }, 0));
+    parts.reduce(function(offset, part) { buf.set(part, offset); return offset + part.length; }, 0);
+    return buf;
+}
+
+// An in-process stand-in for a gRPC-web server, backed by Service#createHandler.
+// Resolves to the HTTP status, response headers and response body chunks.
+function createServer(service, impl) {
+    var handler = service.createHandler(impl);
+    var server = function serve(url, headers, body) {
+        server.headers = headers;
+        var text = headers["content-type"] === "application/grpc-web-text";
+        if (text) {
+            var decoded = util.newBuffer(util.base64.length(body));
+            util.base64.decode(body, decoded, 0);
+            body = decoded;
+        }
+        var name = url.substring(url.lastIndexOf("/") + 1),
+            method = service.methods[name];
+        if (url.indexOf("/" + service.name + "/") < 0 || !method)
+            return Promise.resolve({ status: 404, headers: {}, chunks: [] });
+        return new Promise(function(resolve) {
+            var frames = [];
+            function end(err) {
+                if (err && !frames.length) { // trailers-only
+                    resolve({ status: 200, headers: { "grpc-status": String(/^unimplemented/.test(err.message) ? Status.UNIMPLEMENTED : Status.UNKNOWN), "grpc-message": encodeURIComponent(err.message) }, chunks: [] });
+                    return;
+                }
+                var trailers = err ? "grpc-status: 2\r\ngrpc-message: " + encodeURIComponent(err.message) + "\r\n" : "grpc-status: 0\r\n";
+                frames.push(frame(0x80, new Uint8Array(Buffer.from(trailers))));
+                // split into odd chunks to exercise reassembly
+                var data = text ? frames.map(base64).join("") : concat(frames),
+                    chunks = [];
+                for (var i = 0; i < data.length; i += 7)
+                    chunks.push(text ? data.substring(i, i + 7) : data.subarray(i, i + 7));
+                resolve({ status: 200, headers: { "content-type": headers["content-type"] }, chunks: chunks });
+            }
+            handler(name, body.subarray(5), function(err, responseData) {
+                if (err)
+                    end(err);
+                else if (responseData === null)
+                    end(null);
+                else {
+                    frames.push(frame(0, responseData));
+                    if (!method.responseStream)
+                        end(null);
+                }
+            });
+        });
+    };
+    return server;
+}
+
+// fetch implementation on top of a stand-in server
+function createFetch(server, readable) {
+    return function fetch(url, init) {
+        return server(url, init.headers, init.body).then(function(res) {
+            var chunks = res.chunks.map(function(chunk) {
+                return typeof chunk === "string" ? new Uint8Array(Buffer.from(chunk, "ascii")) : chunk;
+            });
+            return {
+                status: res.status,
+                headers: {
+                    get: function(name) { return res.headers.hasOwnProperty(name) ? res.headers[name] : null; }
+                },
+                body: readable ? {
+                    getReader: function() {
+                        return {
+                            read: function() {
+                                return Promise.resolve(chunks.length ? { value: chunks.shift(), done: false } : { done: true });
+                            }
+                        };
+                    }
+                } : null,
+                arrayBuffer: function() {
+                    var buf = concat(chunks);
+                    return Promise.resolve(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.length));
+                }
+            };
+        });
+    };
+}
+
+// XMLHttpRequest implementation on top of a stand-in server
+function createXHR(server) {
+    function XHR() {
+        this.readyState = 0;
+        this.status = 0;
+        this.responseType = "";
+        this.responseText = "";
+        this.response = null;
+        this._headers = {};
+    }
+    XHR.prototype.open = function(method, url) {
+        this._url = url;
+        this.readyState = 1;
+    };
+    XHR.prototype.setRequestHeader = function(name, value) {
+        this._headers[name] = value;
+    };
+    XHR.prototype.getResponseHeader = function(name) {
+        return this._res.headers.hasOwnProperty(name) ? this._res.headers[name] : null;
+    };
+    XHR.prototype.abort = function() {};
+    XHR.prototype.send = function(body) {
+        var xhr = this;
+        server(this._url, this._headers, body).then(function(res) {
+            xhr._res = res;
+            xhr.status = res.status;
+            xhr.readyState = 2;
+            xhr.onreadystatechange();
+            xhr.readyState = 3;
+            if (xhr.responseType === "arraybuffer") {
+                var buf = concat(res.chunks);
+                xhr.response = buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.length);
+            } else
+                res.chunks.forEach(function(chunk) {
+                    xhr.responseText += chunk;
+                    xhr.onreadystatechange();
+                });
+            xhr.readyState = 4;
+            xhr.onreadystatechange();
+        });
+    };
+    return XHR;
+}
+
+var impl = {
+    unary: function(request) {
+        if (request.path === "throw")
+            throw Error("bad request: 100%");
+        return { status: request.path.length };
+    },
+    serverStream: function(request, callback) {
+        callback(null, { status: 1 });
+        if (request.path === "fail")
+            return callback(Error("failed"));
+        callback(null, { status: 2 });
+        callback(null, { status: request.path.length });
+        return callback(null, null);
+    }
+};
+
+function testTransport(test, root, name, options) {
+    var StreamService = root.lookup("StreamService"),
+        server = createServer(StreamService, impl);
+    options.headers = { "x-custom": "1" };
+    if (options.XMLHttpRequest === true)
+        options.XMLHttpRequest = createXHR(server);
+    else
+        options.fetch = createFetch(server, options.fetch);
+    var service = StreamService.create(protobuf.rpc.grpcWeb("http://localhost/", options));
+
+    test.test(name, function(test) {
+        service.unary({ path: "abc" }).then(function(response) {
+            test.equal(response.status, 3, "should call unary methods");
+            test.equal(server.headers["x-grpc-web"], "1", "should send the x-grpc-web header");
+            test.equal(server.headers["x-custom"], "1", "should send custom headers");
+            return collect(service.serverStream({ path: "abcd" }));
+        }).then(function(values) {
+            test.deepEqual(values, [ 1, 2, 4 ], "should stream responses");
+            return service.unary({ path: "throw" }).catch(function(err) {
+                test.equal(err.code, Status.UNKNOWN, "should map trailers-only grpc-status to error codes");
+                test.equal(err.message, "bad request: 100%", "should decode grpc-message");
+                return collect(service.serverStream({ path: "fail" }));
+            });
+        }).catch(function(err) {
+            test.equal(err.code, Status.UNKNOWN, "should map grpc-status trailers to error codes");
+            test.equal(err.metadata["grpc-message"], "failed", "should expose trailers as metadata");
+            test.end();
+        });
+    });
+}
+
+tape.test("RPC gRPC-web", function(test) {
+    protobuf.load("tests/data/rpc.proto", function(err, root) {
+        if (err)
+            return test.fail(err.message);
+
+        testTransport(test, root, "binary over fetch", { fetch: true });
+        testTransport(test, root, "binary over fetch without readable body", { fetch: false });
+        testTransport(test, root, "text over fetch", { fetch: true, format: "text" });
+        testTransport(test, root, "binary over XMLHttpRequest", { XMLHttpRequest: true });
+        testTransport(test, root, "text over XMLHttpRequest", { XMLHttpRequest: true, format: "text" });
+
+        var StreamService = root.lookup("StreamService");
+
+        test.test("errors", function(test) {
+            var service = StreamService.create(protobuf.rpc.grpcWeb("http://localhost", {
+                fetch: createFetch(createServer(StreamService, {}), true)
+            }));
+            service.unary({ path: "a" }).catch(function(err) {
+                test.equal(err.code, Status.UNIMPLEMENTED, "should reject unimplemented methods");
+                return service.clientStream([ { path: "a" } ]);
+            }).catch(function(err) {
+                test.equal(err.code, Status.UNIMPLEMENTED, "should reject streamed requests");
+                var unavailable = StreamService.create(protobuf.rpc.grpcWeb("http://localhost", {
+                    fetch: function() {
+                        return Promise.resolve({ status: 503, headers: { get: function() { return null; } }, body: null, arrayBuffer: function() { return Promise.resolve(new ArrayBuffer(0)); } });
+                    }
+                }));
+                return unavailable.unary({ path: "a" });
+            }).catch(function(err) {
+                test.equal(err.code, Status.UNAVAILABLE, "should map HTTP status codes");
+                test.equal(err.message, "HTTP status 503", "should report the HTTP status");
+                test.end();
+            });
+        });
+
+        test.test("static", function(test) {
+            var staticRoot = require("./data/rpc.js"),
+                service = new staticRoot.StreamService(protobuf.rpc.grpcWeb("http://localhost", {
+                    service: "StreamService",
+                    fetch: createFetch(createServer(StreamService, impl), true)
+                }));
+            service.unary({ path: "ab" }).then(function(response) {
+                test.equal(response.status, 2, "should use the configured service name");
+                test.end();
+            });
+        });
+
+        test.end();
+    });
+});
@@ -0,0 +1,193 @@
+var tape = require("tape");
+
+var protobuf = require("..");
+
+function collect(stream) {
+    var values = [];
+    return (function next() {
+        return stream.next().then(function(step) {
+            if (step.done)
+                return values;
+            values.push(step.value.status);
+            return next();
+        });
+    })();
+}
+
+function sum(requests) {
+    var total = 0;
+    return (function next() {
+        return requests.next().then(function(step) {
+            if (step.done)
+                return total;
+            total += step.value.path.length;
+            return next();
+        });
+    })();
+}
+
+tape.test("RPC handler", function(test) {
+    protobuf.load("tests/data/rpc.proto", function(err, root) {
+        if (err)
+            return test.fail(err.message);
+
+        var StreamService = root.lookup("StreamService"),
+            MyRequest     = root.lookup("MyRequest"),
+            MyResponse    = root.lookup("MyResponse");
+
+        var handler = StreamService.createHandler({
+            unary: function(request, callback) {
+                if (request.path === "throw")
+                    throw Error("thrown");
+                if (request.path === "callback")
+                    return callback(null, { status: 1 });
+                if (request.path === "null")
+                    return null;
+                if (request.path === "null promise")
+                    return Promise.resolve(null);
+                return request.path === "reject"
+                    ? Promise.reject(Error("rejected"))
+                    : { status: request.path.length };
+            },
+            ServerStream: function(request) {
+                return [ { status: 1 }, { status: 2 }, { status: request.path.length } ];
+            },
+            clientStream: function(requests) {
+                return sum(requests).then(function(total) {
+                    return { status: total };
+                });
+            },
+            bidi: function(requests, callback) {
+                (function next() {
+                    requests.next().then(function(step) {
+                        if (step.done)
+                            return callback(null, null);
+                        callback(null, { status: step.value.path.length });
+                        return next();
+                    });
+                })();
+            }
+        });
+
+        test.test("raw usage", function(test) {
+            handler("unary", MyRequest.encode({ path: "abc" }).finish(), function(err, responseData) {
+                test.equal(err, null, "should not error");
+                test.equal(MyResponse.decode(responseData).status, 3, "should call back with the encoded response");
+                handler("Nope", new Uint8Array(0), function(err) {
+                    test.equal(err.message, "unknown method: Nope", "should reject unknown methods");
+                    StreamService.createHandler({})("unary", new Uint8Array(0), function(err) {
+                        test.equal(err.message, "unimplemented method: Unary", "should reject unimplemented methods");
+                        test.end();
+                    });
+                });
+            });
+        });
+
+        var service = StreamService.create(handler);
+
+        test.test("unary", function(test) {
+            service.unary({ path: "ab" }).then(function(response) {
+                test.equal(response.status, 2, "should support returned values");
+                return service.unary({ path: "callback" });
+            }).then(function(response) {
+                test.equal(response.status, 1, "should support callbacks");
+                return service.unary({ path: "throw" }).catch(function(err) {
+                    test.equal(err.message, "thrown", "should forward thrown errors");
+                    return service.unary({ path: "reject" });
+                });
+            }).catch(function(err) {
+                test.equal(err.message, "rejected", "should forward rejections");
+                test.end();
+            });
+        });
+
+        test.test("null responses", function(test) {
+            service.unary({ path: "null" }).then(function(response) {
+                test.equal(response.status, 0, "should send returned null as an empty response");
+                return service.unary({ path: "null promise" });
+            }).then(function(response) {
+                test.equal(response.status, 0, "should send null resolved by a promise as an empty response");
+                test.ok(service.$rpc, "should not end the service");
+                test.end();
+            });
+        });
+
+        test.test("server streaming", function(test) {
+            collect(service.serverStream({ path: "abcd" })).then(function(values) {
+                test.deepEqual(values, [ 1, 2, 4 ], "should stream returned arrays");
+                test.end();
+            });
+        });
+
+        test.test("large synchronous responses", function(test) {
+            var responses = [];
+            for (var i = 0; i < 50000; ++i)
+                responses.push({ status: i });
+            var count = 0;
+            StreamService.createHandler({
+                serverStream: function() {
+                    return responses;
+                }
+            })("ServerStream", MyRequest.encode({ path: "" }).finish(), function(err, responseData) {
+                if (err)
+                    return test.fail(err.message);
+                if (responseData)
+                    return ++count;
+                test.equal(count, 50000, "should send all responses without exhausting the stack");
+                return test.end();
+            });
+        });
+
+        test.test("failing iterables", function(test) {
+            var iterable = {};
+            iterable[Symbol.iterator] = function() {
+                var i = 0;
+                return {
+                    next: function() {
+                        if (++i > 2)
+                            throw Error("broken");
+                        return { value: { status: i }, done: false };
+                    }
+                };
+            };
+            var responses = [];
+            StreamService.createHandler({
+                serverStream: function() {
+                    return iterable;
+                }
+            })("ServerStream", MyRequest.encode({ path: "" }).finish(), function(err, responseData) {
+                if (err) {
+                    test.equal(responses.length, 2, "should send the responses up to the error");
+                    test.equal(err.message, "broken", "should call back with the error");
+                    return test.end();
+                }
+                return responses.push(responseData);
+            });
+        });
+
+        test.test("client streaming", function(test) {
+            service.clientStream([ { path: "a" }, { path: "bb" } ]).then(function(response) {
+                test.equal(response.status, 3, "should pass streamed requests");
+                test.end();
+            });
+        });
+
+        test.test("bidi streaming", function(test) {
+            collect(service.bidi([ { path: "a" }, { path: "bb" }, { path: "ccc" } ])).then(function(values) {
+                test.deepEqual(values, [ 1, 2, 3 ], "should stream responses through the callback");
+                test.end();
+            });
+        });
+
+        test.test("static client", function(test) {
+            var staticRoot = require("./data/rpc.js"),
+                staticService = new staticRoot.StreamService(handler);
+            collect(staticService.serverStream({ path: "ab" })).then(function(values) {
+                test.deepEqual(values, [ 1, 2, 2 ], "should look up methods by name");
+                test.end();
+            });
+        });
+
+        test.end();
+    });
+});
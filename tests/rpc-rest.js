@@ -0,0 +1,209 @@
+var tape = require("tape");
+
+var protobuf = require("..");
+
+var rest   = protobuf.rpc.rest,
+    Status = protobuf.rpc.grpcWeb.Status;
+
+var root    = protobuf.loadSync("tests/data/rest.proto"),
+    Library = root.lookupService("test.rest.Library");
+
+// fetch implementation recording requests and responding with the specified status and JSON body
+function createFetch(status, body) {
+    var fetch = function fetch(url, init) {
+        fetch.requests.push({ url: url, method: init.method, headers: init.headers, body: init.body });
+        return Promise.resolve({
+            status: status,
+            text: function() {
+                return Promise.resolve(body === undefined ? "" : typeof body === "string" ? body : JSON.stringify(body));
+            }
+        });
+    };
+    fetch.requests = [];
+    return fetch;
+}
+
+tape.test("rpc over rest", function(test) {
+
+    test.test(test.name + " - rules", function(test) {
+        test.deepEqual(rest.rules(Library.methods.GetShelf), [
+            { method: "GET", path: "/v1/{name=shelves/*}", body: "", responseBody: "" },
+            { method: "GET", path: "/v1/shelves/{name}", body: "", responseBody: "" }
+        ], "should parse rules including additional bindings");
+        test.deepEqual(rest.rules(Library.methods.MoveBook), [
+            { method: "MOVE", path: "/v1/{name=shelves/*/books/**}:move", body: "*", responseBody: "" }
+        ], "should parse custom patterns");
+        test.deepEqual(rest.rules(Library.methods.DeleteBook), [
+            { method: "DELETE", path: "/v1/{name=shelves/*/books/*}", body: "", responseBody: "" }
+        ], "should parse rules set through sub-field options");
+        test.deepEqual(rest.rules(Library.methods.Unbound), [], "should return no rules for methods without annotations");
+
+        var service = protobuf.parse("syntax = \"proto3\"; message A {} service S { rpc M (A) returns (A) { option (google.api.http) = { get: \"/a\" post: \"/b\" }; } }").root.lookupService("S");
+        test.throws(function() {
+            rest.rules(service.methods.M);
+        }, /multiple patterns/, "should throw on multiple patterns");
+        service = protobuf.parse("syntax = \"proto3\"; message A {} service S { rpc M (A) returns (A) { option (google.api.http) = { get: \"/{a\" }; } }").root.lookupService("S");
+        test.throws(function() {
+            rest.rules(service.methods.M);
+        }, /unbalanced braces/, "should throw on invalid path templates");
+        test.end();
+    });
+
+    test.test(test.name + " - transcode", function(test) {
+        var rules = rest.rules(Library.methods.ListBooks);
+        test.deepEqual(rest.transcode(Library.methods.ListBooks, rules[0], {
+            parent: "shelves/1",
+            pageSize: 10,
+            authors: [ "a b", "c&d" ],
+            filter: { title: "x", available: true }
+        }), {
+            method: "GET",
+            path: "/v1/shelves/1/books?pageSize=10&authors=a%20b&authors=c%26d&filter.title=x&filter.available=true",
+            body: null
+        }, "should substitute path variables and send remaining fields as query parameters");
+
+        test.deepEqual(rest.transcode(Library.methods.GetShelf, rest.rules(Library.methods.GetShelf)[1], { name: "a/b" }), {
+            method: "GET",
+            path: "/v1/shelves/a%2Fb",
+            body: null
+        }, "should escape slashes of single segment variables");
+
+        test.deepEqual(rest.transcode(Library.methods.MoveBook, rest.rules(Library.methods.MoveBook)[0], { name: "shelves/1/books/a/b", otherShelfName: "shelves/2" }), {
+            method: "MOVE",
+            path: "/v1/shelves/1/books/a/b:move",
+            body: "{\"otherShelfName\":\"shelves/2\"}"
+        }, "should keep slashes of multi segment variables and send all remaining fields as the body");
+
+        test.deepEqual(rest.transcode(Library.methods.CreateBook, rest.rules(Library.methods.CreateBook)[0], {
+            parent: "shelves/1",
+            book: { title: "t", published: { seconds: 0, nanos: 0 } },
+            requestId: "r"
+        }), {
+            method: "POST",
+            path: "/v1/shelves/1/books?requestId=r",
+            body: "{\"title\":\"t\",\"published\":\"1970-01-01T00:00:00Z\"}"
+        }, "should send the body field using the JSON mapping");
+
+        test.throws(function() {
+            rest.transcode(Library.methods.ListBooks, rules[0], { parent: "1" });
+        }, /does not match/, "should throw if a value does not match its variable's pattern");
+        test.throws(function() {
+            rest.transcode(Library.methods.ListBooks, rules[0], {});
+        }, /missing value of path variable 'parent'/, "should throw if a path variable is missing");
+        test.end();
+    });
+
+    test.test(test.name + " - rpcImpl", function(test) {
+        var fetch = createFetch(200, { books: [ { name: "shelves/1/books/1", title: "t", published: "1970-01-01T00:00:01.500Z" } ] }),
+            library = Library.create(rest("https://example.com/", { fetch: fetch, headers: { authorization: "Bearer x" } }));
+
+        library.listBooks({ parent: "shelves/1", pageSize: 1 }, function(err, response) {
+            test.error(err, "should not fail");
+            test.deepEqual(fetch.requests[0], {
+                url: "https://example.com/v1/shelves/1/books?pageSize=1",
+                method: "GET",
+                headers: { accept: "application/json", authorization: "Bearer x" },
+                body: undefined
+            }, "should send the transcoded request");
+            test.equal(response.books[0].title, "t", "should decode the JSON response");
+            test.equal(response.books[0].published.nanos, 500000000, "should decode well-known types");
+            library.end();
+            test.end();
+        });
+    });
+
+    test.test(test.name + " - unbound methods and response bodies", function(test) {
+        var fetch = createFetch(200, "");
+        Library.create(rest("https://example.com", { fetch: fetch })).unbound({}, function(err) {
+            test.error(err, "should not fail");
+            test.deepEqual([ fetch.requests[0].method, fetch.requests[0].url, fetch.requests[0].body, fetch.requests[0].headers["content-type"] ], [ "POST", "https://example.com/test.rest.Library/Unbound", "{}", "application/json" ], "should post the whole request to the method's gRPC path");
+
+            fetch = createFetch(200, [ "a", "b" ]);
+            Library.create(rest("https://example.com", { fetch: fetch })).listAuthors({ name: "shelves/1" }, function(err, response) {
+                test.error(err, "should not fail");
+                test.deepEqual(response.authors, [ "a", "b" ], "should decode the response body field");
+                test.end();
+            });
+        });
+    });
+
+    test.test(test.name + " - errors", function(test) {
+        var fetch = createFetch(404, { error: { code: 404, message: "shelf not found", status: "NOT_FOUND" } }),
+            library = Library.create(rest("https://example.com", { fetch: fetch }));
+        library.getShelf({ name: "shelves/1" }, function(err) {
+            test.equal(err.message, "shelf not found", "should use the error message of the body");
+            test.equal(err.code, Status.NOT_FOUND, "should expose the gRPC status code");
+            test.equal(err.status, 404, "should expose the HTTP status");
+            test.deepEqual(err.details, { error: { code: 404, message: "shelf not found", status: "NOT_FOUND" } }, "should expose the error body");
+
+            library = Library.create(rest("https://example.com", { fetch: createFetch(503, "<html>") }));
+            library.getShelf({ name: "shelves/1" }, function(err) {
+                test.equal(err.code, Status.UNAVAILABLE, "should map the HTTP status if the body has no status");
+                test.equal(err.message, "HTTP status 503", "should default to the HTTP status as the message");
+
+                library.getShelf({ name: "1" }, function(err) {
+                    test.equal(err.code, Status.INVALID_ARGUMENT, "should fail with INVALID_ARGUMENT if the request cannot be transcoded");
+
+                    library.watch({ name: "shelves/1" }).next().then(null, function(err) {
+                        test.equal(err.code, Status.UNIMPLEMENTED, "should not support streamed responses");
+                        test.end();
+                    });
+                });
+            });
+        });
+    });
+
+    test.test(test.name + " - XMLHttpRequest", function(test) {
+        var sent = null;
+        function XHR() {
+            this.readyState = 0;
+            this.status = 0;
+            this.responseText = "";
+            this._headers = {};
+        }
+        XHR.prototype.open = function(method, url) {
+            this._method = method;
+            this._url = url;
+        };
+        XHR.prototype.setRequestHeader = function(name, value) {
+            this._headers[name] = value;
+        };
+        XHR.prototype.abort = function() {};
+        XHR.prototype.send = function(body) {
+            var xhr = this;
+            sent = { method: xhr._method, url: xhr._url, body: body };
+            setTimeout(function() {
+                xhr.readyState = 4;
+                xhr.status = 200;
+                xhr.responseText = "{}";
+                xhr.onreadystatechange();
+            }, 0);
+        };
+
+        Library.create(rest("https://example.com", { XMLHttpRequest: XHR })).deleteBook({ name: "shelves/1/books/2" }, function(err, response) {
+            test.error(err, "should not fail");
+            test.deepEqual(sent, { method: "DELETE", url: "https://example.com/v1/shelves/1/books/2", body: null }, "should send the transcoded request");
+            test.ok(response, "should decode the response");
+            test.end();
+        });
+    });
+
+    test.test(test.name + " - static code", function(test) {
+        var fetch = createFetch(200, { name: "shelves/1", theme: "x" });
+        function rpcCall(method, request, callback) {
+            rest("https://example.com", { fetch: fetch, root: root, service: "test.rest.Library" })(method, root.lookupType("test.rest.GetShelfRequest").encode(request).finish(), callback);
+        }
+        rpcCall(function getShelf() {}, { name: "shelves/1" }, function(err, responseData) {
+            test.error(err, "should not fail");
+            test.equal(fetch.requests[0].url, "https://example.com/v1/shelves/1", "should look up the reflected method");
+            test.equal(root.lookupType("test.rest.Shelf").decode(responseData).theme, "x", "should respond with binary data");
+
+            rest("https://example.com", { fetch: fetch })(function getShelf() {}, new Uint8Array(0), function(err) {
+                test.ok(/root and service required/.test(err.message), "should require root and service options");
+                test.end();
+            });
+        });
+    });
+
+    test.end();
+});
@@ -0,0 +1,172 @@
+var tape = require("tape");
+
+var protobuf = require("..");
+
+function collect(stream) {
+    var values = [];
+    return (function next() {
+        return stream.next().then(function(step) {
+            if (step.done)
+                return values;
+            values.push(step.value.status);
+            return next();
+        });
+    })();
+}
+
+// An in-process stand-in for a server. Calls are identified by their callbacks.
+function createRpcImpl(MyRequest, MyResponse) {
+    var calls = [];
+    function respond(callback, status) {
+        callback(null, MyResponse.encode({ status: status }).finish());
+    }
+    return function rpcImpl(method, requestData, callback) {
+        if (!method) // service ended
+            return;
+        var name = method.name.toLowerCase(),
+            call = calls.filter(function(call) { return call.callback === callback; })[0];
+        if (!call)
+            calls.push(call = { callback: callback, count: 0 });
+        setTimeout(function() {
+            if (requestData === null) {
+                if (name === "clientstream")
+                    respond(callback, call.count);
+                else
+                    callback(null, null);
+                return;
+            }
+            var request = MyRequest.decode(requestData);
+            switch (name) {
+                case "unary":
+                    if (request.path === "error")
+                        callback(Error("server error"));
+                    else
+                        respond(callback, request.path.length);
+                    break;
+                case "serverstream":
+                    respond(callback, 1);
+                    respond(callback, 2);
+                    respond(callback, 3);
+                    callback(null, null);
+                    break;
+                case "clientstream":
+                    ++call.count;
+                    break;
+                case "bidi":
+                    respond(callback, request.path.length);
+                    break;
+            }
+        });
+    };
+}
+
+function testService(test, service) {
+    var Stream = protobuf.rpc.Stream;
+
+    test.test("unary", function(test) {
+        service.unary({ path: "abc" }).then(function(response) {
+            test.equal(response.status, 3, "should resolve a promise if called without a callback");
+            service.unary({ path: "ab" }, function(err, response) {
+                test.equal(response.status, 2, "should still support callbacks");
+                service.unary({ path: "error" }).catch(function(err) {
+                    test.equal(err.message, "server error", "should reject on errors");
+                    test.end();
+                });
+            });
+        });
+    });
+
+    test.test("server streaming", function(test) {
+        var stream = service.serverStream({ path: "/" });
+        test.ok(stream instanceof Stream, "should return a stream");
+        if (typeof Symbol !== "undefined" && Symbol.asyncIterator)
+            test.equal(stream[Symbol.asyncIterator](), stream, "should be async iterable");
+        collect(stream).then(function(values) {
+            test.deepEqual(values, [ 1, 2, 3 ], "should stream all responses");
+            test.end();
+        });
+    });
+
+    test.test("client streaming", function(test) {
+        service.clientStream([ { path: "a" }, { path: "b" }, { path: "c" } ]).then(function(response) {
+            test.equal(response.status, 3, "should send all requests of an array");
+            var requests = new Stream();
+            setTimeout(function() {
+                requests.push({ path: "a" }).push({ path: "b" }).end();
+            });
+            return service.clientStream(requests);
+        }).then(function(response) {
+            test.equal(response.status, 2, "should send all requests of an async iterable");
+            var requests = [];
+            for (var i = 0; i < 50000; ++i)
+                requests.push({ path: "x" });
+            return service.clientStream(requests);
+        }).then(function(response) {
+            test.equal(response.status, 50000, "should send all requests of a large array");
+            test.end();
+        });
+    });
+
+    test.test("bidi streaming", function(test) {
+        collect(service.bidi([ { path: "a" }, { path: "bb" }, { path: "ccc" } ])).then(function(values) {
+            test.deepEqual(values, [ 1, 2, 3 ], "should stream responses to streamed requests");
+            var requests = new Stream(),
+                responses = service.bidi(requests);
+            requests.push({ path: "abcd" });
+            return responses.next().then(function(step) {
+                test.equal(step.value.status, 4, "should respond before the request stream ends");
+                requests.push({ path: "abcde" }).end();
+                return collect(responses);
+            });
+        }).then(function(values) {
+            test.deepEqual(values, [ 5 ], "should end with the request stream");
+            test.end();
+        });
+    });
+}
+
+tape.test("RPC streaming", function(test) {
+    protobuf.load("tests/data/rpc.proto", function(err, root) {
+        if (err)
+            return test.fail(err.message);
+        var StreamService = root.lookup("StreamService"),
+            service = StreamService.create(createRpcImpl(root.lookup("MyRequest"), root.lookup("MyResponse")));
+        testService(test, service);
+        test.test("error events", function(test) {
+            var unhandled = null,
+                emitted   = null;
+            function onUnhandled(reason) {
+                unhandled = reason;
+            }
+            function onError(err) {
+                emitted = err;
+            }
+            process.on("unhandledRejection", onUnhandled);
+            service.on("error", onError);
+            service.unary({ path: "error" });
+            setTimeout(function() {
+                process.removeListener("unhandledRejection", onUnhandled);
+                service.off("error", onError);
+                test.equal(emitted && emitted.message, "server error", "should emit errors of calls without a callback");
+                test.equal(unhandled, null, "should not raise unhandled rejections for these");
+                test.end();
+            }, 20);
+        });
+        test.test("ended service", function(test) {
+            service.end();
+            service.unary({ path: "x" }).catch(function(err) {
+                test.equal(err.message, "service ended", "should reject calls");
+                test.end();
+            });
+        });
+        test.end();
+    });
+});
+
+tape.test("RPC streaming (static)", function(test) {
+    var root = require("./data/rpc.js");
+    var service = new root.StreamService(createRpcImpl(root.MyRequest, root.MyResponse));
+    test.ok(service instanceof protobuf.rpc.Service, "should extend rpc.Service");
+    testService(test, service);
+    test.end();
+});
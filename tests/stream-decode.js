@@ -0,0 +1,119 @@
+var tape = require("tape");
+
+var protobuf = require("..");
+
+var root = protobuf.parse("syntax = \"proto3\"; message Item { uint32 id = 1; string name = 2; bytes data = 3; }").root,
+    Item = root.lookupType("Item");
+
+var items = [
+    { id: 1, name: "one" },
+    {},
+    { id: 300, name: "large", data: new Array(200).fill(7) }, // length prefix of two bytes
+    { id: 4, name: "four" }
+];
+
+function encodeAll() {
+    var writer = protobuf.Writer.create();
+    items.forEach(function(item) {
+        Item.encodeDelimited(Item.fromObject(item), writer);
+    });
+    return writer.finish();
+}
+
+function chunks(buffer, size) {
+    var parts = [];
+    for (var i = 0; i < buffer.length; i += size)
+        parts.push(buffer.subarray(i, i + size));
+    return parts;
+}
+
+function names(messages) {
+    return messages.map(function(message) { return message.id + ":" + message.name; });
+}
+
+var expected = [ "1:one", "0:", "300:large", "4:four" ];
+
+tape.test("stream decoding", function(test) {
+
+    test.test(test.name + " - decoder", function(test) {
+        var buffer = encodeAll();
+        [ 1, 2, 3, 7, buffer.length ].forEach(function(size) {
+            var decoder  = new protobuf.stream.Decoder(Item),
+                messages = [];
+            chunks(buffer, size).forEach(function(chunk) {
+                Array.prototype.push.apply(messages, decoder.push(chunk));
+            });
+            decoder.end();
+            test.deepEqual(names(messages), expected, "should decode all messages from chunks of " + size + " bytes");
+        });
+        test.equal(new protobuf.stream.Decoder(Item).push(buffer)[2].data.length, 200, "should decode message contents");
+
+        var decoder = new protobuf.stream.Decoder(Item);
+        test.deepEqual(decoder.push(buffer.subarray(0, 3)).length, 0, "should not return incomplete messages");
+        test.throws(function() {
+            decoder.end();
+        }, /unexpected end of input/, "should throw if the input ends within a message");
+
+        test.throws(function() {
+            new protobuf.stream.Decoder(Item, { maxSize: 100 }).push(buffer);
+        }, /message of 213 bytes exceeds the maximum of 100 bytes/, "should throw if a message exceeds the maximum size");
+        test.throws(function() {
+            new protobuf.stream.Decoder(Item).push([ 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x01 ]);
+        }, /invalid length prefix/, "should throw on invalid length prefixes");
+        test.end();
+    });
+
+    test.test(test.name + " - node stream", function(test) {
+        var decodeStream = protobuf.stream.createDecodeStream(Item),
+            messages = [];
+        decodeStream.on("data", function(message) {
+            messages.push(message);
+        });
+        decodeStream.on("end", function() {
+            test.deepEqual(names(messages), expected, "should emit all messages");
+
+            decodeStream = protobuf.stream.createDecodeStream(Item, { maxSize: 10 });
+            decodeStream.on("error", function(err) {
+                test.ok(/exceeds the maximum/.test(err.message), "should emit errors");
+                test.end();
+            });
+            decodeStream.end(Buffer.from(encodeAll()));
+        });
+        chunks(Buffer.from(encodeAll()), 5).forEach(function(chunk) {
+            decodeStream.write(chunk);
+        });
+        decodeStream.end();
+    });
+
+    test.test(test.name + " - TransformStream", function(test) {
+        if (typeof TransformStream === "undefined") {
+            test.skip("TransformStream not supported");
+            return test.end();
+        }
+        var transform = protobuf.stream.createDecodeTransformStream(Item),
+            writer    = transform.writable.getWriter(),
+            reader    = transform.readable.getReader(),
+            messages  = [];
+        chunks(encodeAll(), 4).forEach(function(chunk) {
+            writer.write(chunk);
+        });
+        writer.close();
+        (function read() {
+            reader.read().then(function(result) {
+                if (result.done) {
+                    test.deepEqual(names(messages), expected, "should enqueue all messages");
+                    test.end();
+                } else {
+                    messages.push(result.value);
+                    read();
+                }
+            }, function(err) {
+                test.fail(err);
+                test.end();
+            });
+        })();
+        return undefined;
+    });
+
+    test.end();
+});
@@ -0,0 +1,111 @@
+var tape = require("tape");
+
+var protobuf = require("..");
+
+var root = protobuf.parse("syntax = \"proto3\"; message Item { uint32 id = 1; string name = 2; bytes data = 3; }").root,
+    Item = root.lookupType("Item");
+
+var items = [];
+for (var i = 0; i < 1000; ++i)
+    items.push({ id: i, name: "item " + i, data: i % 10 ? [] : new Array(1000).fill(i & 255) });
+
+function decodeAll(chunks) {
+    var decoder  = new protobuf.stream.Decoder(Item),
+        messages = [];
+    chunks.forEach(function(chunk) {
+        Array.prototype.push.apply(messages, decoder.push(chunk));
+    });
+    decoder.end();
+    return messages.map(function(message) { return message.id; });
+}
+
+var ids = items.map(function(item) { return item.id; });
+
+tape.test("stream encoding", function(test) {
+
+    test.test(test.name + " - encoder", function(test) {
+        var encoder = new protobuf.stream.Encoder(Item, { chunkSize: 64 }),
+            chunks  = [];
+        items.forEach(function(item) {
+            Array.prototype.push.apply(chunks, encoder.push(item));
+        });
+        test.ok(chunks.length > 1, "should return chunks while pushing messages");
+        Array.prototype.push.apply(chunks, encoder.end());
+        test.ok(chunks.every(function(chunk) { return chunk.length <= 64; }), "should not exceed the chunk size");
+        test.deepEqual(decodeAll(chunks), ids, "should encode all messages delimited");
+
+        var writer = protobuf.Writer.create();
+        items.forEach(function(item) {
+            Item.encodeDelimited(item, writer);
+        });
+        test.deepEqual(Buffer.concat(chunks.map(function(chunk) { return Buffer.from(chunk); })), Buffer.from(writer.finish()), "should encode the same as encodeDelimited");
+
+        encoder = new protobuf.stream.Encoder(Item);
+        test.deepEqual(encoder.push(items[0]), [], "should buffer output until a chunk is complete");
+        test.equal(encoder.end().length, 1, "should return the remaining output when ended");
+        test.deepEqual(encoder.end(), [], "should return nothing if there is no remaining output");
+        test.end();
+    });
+
+    test.test(test.name + " - node stream", function(test) {
+        var Writable = require("stream").Writable,
+            chunks = [],
+            writes = 0;
+        var sink = new Writable({
+            highWaterMark: 16,
+            write: function(chunk, encoding, callback) {
+                chunks.push(chunk);
+                ++writes;
+                setTimeout(callback, 0); // slow sink
+            }
+        });
+        var encodeStream = protobuf.stream.createEncodeStream(Item, { chunkSize: 128 });
+        encodeStream.pipe(sink);
+        sink.on("finish", function() {
+            test.ok(writes > 1, "should write multiple chunks");
+            test.ok(chunks.every(function(chunk) { return chunk.length <= 128; }), "should not exceed the chunk size");
+            test.deepEqual(decodeAll(chunks), ids, "should write all messages");
+            test.end();
+        });
+        var index = 0,
+            paused = false;
+        (function writeItems() {
+            while (index < items.length)
+                if (!encodeStream.write(items[index++])) {
+                    paused = true;
+                    encodeStream.once("drain", writeItems);
+                    return;
+                }
+            test.ok(paused, "should apply backpressure");
+            encodeStream.end();
+        })();
+    });
+
+    test.test(test.name + " - TransformStream", function(test) {
+        if (typeof TransformStream === "undefined" || typeof WritableStream === "undefined") {
+            test.skip("TransformStream not supported");
+            return test.end();
+        }
+        var chunks = [],
+            transform = protobuf.stream.createEncodeTransformStream(Item, { chunkSize: 100 });
+        transform.readable.pipeTo(new WritableStream({
+            write: function(chunk) {
+                chunks.push(chunk);
+            }
+        })).then(function() {
+            test.deepEqual(decodeAll(chunks), ids, "should write all messages");
+            test.end();
+        }, function(err) {
+            test.fail(err);
+            test.end();
+        });
+        var writer = transform.writable.getWriter();
+        items.forEach(function(item) {
+            writer.write(item);
+        });
+        writer.close();
+        return undefined;
+    });
+
+    test.end();
+});
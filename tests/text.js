@@ -0,0 +1,155 @@
+var tape = require("tape");
+
+var protobuf = require("..");
+
+var root    = new protobuf.Root().loadSync("tests/data/text.proto", { keepCase: true }),
+    Message = root.lookupType("test.text.Message"),
+    Inner   = root.lookupType("test.text.Inner"),
+    Long    = protobuf.util.Long;
+
+var source = [
+    "# a comment",
+    "int32_value: 5 string_value: \"h\\303\\251llo\\n\\x41\\u00e9\" 'x' # continued",
+    "int64_values: [1, -2, 0x10] int64_values: 9223372036854775807",
+    "string_map { key: \"a\" value: 1 } string_map <key: \"b\", value: 2>",
+    "kind: SOME; bytes_value: \"\\000\\377ab\",",
+    "inner { name: \"q\" } inners [{ name: \"1\" }, < name: \"2\" >]",
+    "float_value: 0.1f Group { value: 3 }",
+    "any { [type.googleapis.com/test.text.Inner] { name: \"packed\" } }",
+    "[test.text.extra]: 42 two: \"two\"",
+    "inner_map { key: -5 value { name: \"v\" } }",
+    "uint64_value: 18446744073709551615 double_value: -inf bool_value: t"
+].join("\n");
+
+var expected = [
+    "int32_value: 5",
+    "string_value: \"héllo\\nAéx\"",
+    "int64_values: 1",
+    "int64_values: -2",
+    "int64_values: 16",
+    "int64_values: 9223372036854775807",
+    "string_map {",
+    "  key: \"a\"",
+    "  value: 1",
+    "}",
+    "string_map {",
+    "  key: \"b\"",
+    "  value: 2",
+    "}",
+    "kind: SOME",
+    "bytes_value: \"\\000\\377ab\"",
+    "inner {",
+    "  name: \"q\"",
+    "}",
+    "inners {",
+    "  name: \"1\"",
+    "}",
+    "inners {",
+    "  name: \"2\"",
+    "}",
+    "float_value: 0.1",
+    "Group {",
+    "  value: 3",
+    "}",
+    "any {",
+    "  [type.googleapis.com/test.text.Inner] {",
+    "    name: \"packed\"",
+    "  }",
+    "}",
+    "two: \"two\"",
+    "inner_map {",
+    "  key: -5",
+    "  value {",
+    "    name: \"v\"",
+    "  }",
+    "}",
+    "uint64_value: 18446744073709551615",
+    "double_value: -inf",
+    "bool_value: true",
+    "[test.text.extra]: 42",
+    ""
+].join("\n");
+
+tape.test("text format", function(test) {
+
+    test.test(test.name + " - decode", function(test) {
+        var message = Message.fromText(source);
+        test.equal(message.int32_value, 5, "should decode integers");
+        test.equal(message.string_value, "héllo\nAéx", "should decode escapes and concatenate adjacent strings");
+        test.deepEqual(message.int64_values.map(String), [ "1", "-2", "16", "9223372036854775807" ], "should decode lists and repeated occurrences of 64 bit integers");
+        test.deepEqual(message.string_map, { a: 1, b: 2 }, "should decode map entries");
+        test.equal(message.kind, 1, "should decode enums by name");
+        test.deepEqual(Array.prototype.slice.call(message.bytes_value), [ 0, 255, 97, 98 ], "should decode bytes");
+        test.deepEqual([ message.inner.name, message.inners[0].name, message.inners[1].name ], [ "q", "1", "2" ], "should decode nested messages in both bracket styles");
+        test.equal(message.float_value, 0.1, "should decode floats with suffix");
+        test.equal(message.group.value, 3, "should decode groups by type name");
+        test.equal(message.any.type_url, "type.googleapis.com/test.text.Inner", "should set the type url of expanded Any");
+        test.equal(Inner.decode(message.any.value).name, "packed", "should encode the value of expanded Any");
+        test.equal(message[".test.text.extra"], 42, "should decode extensions");
+        test.equal(message.two, "two", "should decode oneof members");
+        test.equal(message.inner_map["-5"].name, "v", "should decode message values of maps with 64 bit keys");
+        test.ok(Long.isLong(message.uint64_value) && message.uint64_value.toString() === "18446744073709551615", "should decode unsigned 64 bit integers");
+        test.equal(message.double_value, -Infinity, "should decode special floating point values");
+        test.equal(message.bool_value, true, "should decode booleans");
+        test.end();
+    });
+
+    test.test(test.name + " - encode", function(test) {
+        var message = Message.fromText(source);
+        test.equal(Message.toText(message), expected, "should encode one field per line in field number order");
+        test.equal(Message.toText(Message.fromText(expected)), expected, "should round trip");
+        test.equal(Inner.toText({ name: "a" }, { singleLine: true }), "name: \"a\"", "should encode on a single line if requested");
+        test.equal(Message.toText({ inner: { name: "b" } }, { singleLine: true }), "inner { name: \"b\" }", "should encode nested messages on a single line");
+        test.equal(Message.toText({ string_value: "\"'\\\t\u0001" }), "string_value: \"\\\"\\'\\\\\\t\\001\"\n", "should escape special characters");
+        test.equal(Message.toText({ any: { type_url: "type.googleapis.com/unknown.Type", value: [ 1 ] } }), "any {\n  type_url: \"type.googleapis.com/unknown.Type\"\n  value: \"\\001\"\n}\n", "should not expand Any of unknown types");
+        test.equal(Message.toText({ float_value: Math.fround(0.1), double_value: 1e-7 }), "float_value: 0.1\ndouble_value: 1e-7\n", "should encode floats in their shortest form");
+        test.equal(Message.toText({ kind: 7, float_value: NaN }), "kind: 7\nfloat_value: nan\n", "should encode unknown enum values and NaN");
+
+        var unset = Message.create({ string_value: "x" });
+        test.equal(Message.toText(unset), "string_value: \"x\"\n", "should not encode members of unset oneofs");
+        test.equal(Message.toText(Message.fromText(Message.toText(unset))), "string_value: \"x\"\n", "should round trip unset oneofs");
+        test.equal(Message.toText(Message.create({ one: 0 })), "one: 0\n", "should encode selected oneof members set to their defaults");
+        test.equal(Message.toText({ two: "" }), "two: \"\"\n", "should encode oneof members that are own properties of plain objects");
+        test.end();
+    });
+
+    test.test(test.name + " - errors", function(test) {
+        test.throws(function() {
+            Message.fromText("int32_value: 1 int32_value: 2");
+        }, /field 'int32_value' specified multiple times/, "should throw on repeated non-repeated fields");
+        test.throws(function() {
+            Message.fromText("one: 1 two: \"x\"");
+        }, /multiple values for oneof choice/, "should throw on multiple oneof members");
+        test.throws(function() {
+            Message.fromText("unknown: 1");
+        }, /unknown field 'unknown' in test.text.Message/, "should throw on unknown fields");
+        test.throws(function() {
+            Message.fromText("int32_value: 3000000000");
+        }, /illegal int32 value '3000000000'/, "should throw on integers out of range");
+        test.throws(function() {
+            Message.fromText("kind: OTHER");
+        }, /illegal enum value 'OTHER'/, "should throw on unknown enum values");
+        test.throws(function() {
+            Message.fromText("inner {\n  name: \"a\"", { filename: "test.textproto" });
+        }, /unexpected end of input \(test.textproto, line 2\)/, "should report the location of errors");
+        test.throws(function() {
+            Inner.fromText("[type.googleapis.com/test.text.Inner] {}");
+        }, /expanded Any in test.text.Inner/, "should throw on expanded Any of other types");
+
+        var message = Message.fromText("unknown: 1 other { a: [1, 2] b: 'x' 'y' } list: [{}, {}] int32_value: 3", { ignoreUnknown: true });
+        test.equal(message.int32_value, 3, "should skip unknown fields if requested");
+        test.end();
+    });
+
+    test.test(test.name + " - camel case", function(test) {
+        var Type = new protobuf.Root().loadSync("tests/data/text.proto").lookupType("test.text.Message");
+        test.equal(Type.fromText("int32_value: 1").int32Value, 1, "should accept field names as declared if loaded without keepCase");
+        test.equal(Type.toText({ int32Value: 1, stringMap: { a: 2 } }, { singleLine: true }), "int32_value: 1 string_map { key: \"a\" value: 2 }", "should write field names as declared if loaded without keepCase");
+
+        var Camel = protobuf.parse("message Camel { optional int32 fooBar = 1; }").root.lookupType("Camel");
+        test.equal(Camel.toText({ fooBar: 1 }), "fooBar: 1\n", "should keep field names declared in camel case");
+        test.end();
+    });
+
+    test.end();
+});
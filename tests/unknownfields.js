@@ -0,0 +1,76 @@
+var tape = require("tape");
+
+var protobuf = require("..");
+
+var root = protobuf.Root.fromJSON({
+    nested: {
+        Old: {
+            fields: {
+                a: {
+                    type: "string",
+                    id: 1
+                }
+            }
+        },
+        New: {
+            fields: {
+                a: {
+                    type: "string",
+                    id: 1
+                },
+                b: {
+                    type: "uint32",
+                    id: 2
+                },
+                c: {
+                    rule: "repeated",
+                    type: "string",
+                    id: 3
+                },
+                d: {
+                    type: "fixed32",
+                    id: 4
+                }
+            }
+        }
+    }
+});
+
+tape.test("unknown fields", function(test) {
+    var Old = root.lookup("Old"),
+        New = root.lookup("New");
+
+    var msg = {
+        a: "hello",
+        b: 300,
+        c: [ "x", "y" ],
+        d: 1
+    };
+    var buf = New.encode(msg).finish();
+
+    var old = Old.decode(buf);
+    test.equal(old.a, "hello", "should decode known fields");
+    test.equal(old.$unknown.length, 4, "should retain one raw span per unknown field");
+    test.equal(old.$unknown[0][0], 2 << 3 | 0, "should include the tag within a span");
+    test.notOk(Object.keys(old).indexOf("$unknown") > -1, "should not expose unknown fields as an enumerable property");
+
+    var buf2 = Old.encode(old).finish();
+    test.equal(buf2.length, buf.length, "should re-encode to the same length");
+    test.deepEqual(New.decode(buf2), msg, "should re-encode unknown fields verbatim");
+
+    old.a = "world";
+    test.deepEqual(New.decode(Old.encode(old).finish()), {
+        a: "world",
+        b: 300,
+        c: [ "x", "y" ],
+        d: 1
+    }, "should re-encode unknown fields along modified known fields");
+
+    var reader = protobuf.Reader.create(buf);
+    reader.discardUnknown = true;
+    var discarded = Old.decode(reader);
+    test.equal(discarded.$unknown, undefined, "should discard unknown fields if the reader says so");
+    test.equal(Old.encode(discarded).finish().length, 7, "should not re-encode discarded fields");
+
+    test.end();
+});
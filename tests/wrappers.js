@@ -0,0 +1,148 @@
+var tape = require("tape");
+
+var protobuf = require("..");
+
+tape.test("well-known types", function(test) {
+    var root = protobuf.loadSync("tests/data/wrappers.proto");
+    root.resolveAll();
+
+    var Timestamp = root.lookupType("google.protobuf.Timestamp"),
+        Duration  = root.lookupType("google.protobuf.Duration"),
+        Any       = root.lookupType("google.protobuf.Any"),
+        Struct    = root.lookupType("google.protobuf.Struct"),
+        Value     = root.lookupType("google.protobuf.Value"),
+        FieldMask = root.lookupType("google.protobuf.FieldMask"),
+        Int32Value = root.lookupType("google.protobuf.Int32Value"),
+        Event     = root.lookupType("Event"),
+        Detail    = root.lookupType("Detail");
+
+    test.test(test.name + " - Timestamp", function(test) {
+        var date = new Date(Date.UTC(2017, 0, 15, 1, 30, 15, 10)),
+            timestamp = Timestamp.fromDate(date);
+        test.equal(Number(timestamp.seconds), 1484443815, "should set seconds from dates");
+        test.equal(timestamp.nanos, 10000000, "should set nanos from dates");
+        test.equal(Timestamp.toDate(timestamp).getTime(), date.getTime(), "should convert back to dates");
+        test.equal(Timestamp.format(timestamp), "2017-01-15T01:30:15.010Z", "should format as RFC 3339");
+        test.equal(Timestamp.toDate(Timestamp.parse("2017-01-15T01:30:15.01Z")).getTime(), date.getTime(), "should parse RFC 3339");
+        test.equal(Timestamp.toDate(Timestamp.fromDate(new Date(-1))).getTime(), -1, "should handle dates before the epoch");
+        test.ok(Math.abs(Timestamp.toDate(Timestamp.now()).getTime() - Date.now()) < 1000, "should create the current time");
+        test.end();
+    });
+
+    test.test(test.name + " - Duration", function(test) {
+        var duration = Duration.fromMillis(1500);
+        test.equal(Number(duration.seconds), 1, "should set seconds from milliseconds");
+        test.equal(duration.nanos, 500000000, "should set nanos from milliseconds");
+        test.equal(Duration.toMillis(duration), 1500, "should convert back to milliseconds");
+        duration = Duration.fromMillis(-1500);
+        test.ok(Number(duration.seconds) === -1 && duration.nanos === -500000000, "should use the same sign for seconds and nanos");
+        test.equal(Duration.toMillis(duration), -1500, "should convert negative durations back to milliseconds");
+        test.equal(Duration.format(Duration.fromMillis(1500)), "1.500s", "should format as a string");
+        test.equal(Duration.toMillis(Duration.parse("2.5s")), 2500, "should parse strings");
+        test.end();
+    });
+
+    test.test(test.name + " - Any", function(test) {
+        var detail = Detail.create({ text: "hello", tags: [ "a", "b" ] }),
+            any = Any.pack(detail);
+        test.equal(any.type_url, "type.googleapis.com/Detail", "should set the type url");
+        test.equal(Any.pack(detail, "example.com/types").type_url, "example.com/types/Detail", "should use custom type url prefixes");
+        var unpacked = Any.unpack(any);
+        test.ok(unpacked instanceof protobuf.Message && unpacked.$type === Detail, "should unpack messages of the referenced type");
+        test.deepEqual(Detail.toObject(unpacked), { text: "hello", tags: [ "a", "b" ] }, "should unpack message contents");
+        test.throws(function() {
+            Any.pack({ text: "hello" });
+        }, TypeError, "should throw when packing plain objects");
+        test.end();
+    });
+
+    test.test(test.name + " - Struct and Value", function(test) {
+        var json = { a: 1, b: "two", c: [ true, null, { d: 3 } ] },
+            struct = Struct.wrap(json);
+        test.ok(struct instanceof protobuf.Message && struct.fields.a, "should wrap plain objects");
+        test.deepEqual(Struct.unwrap(struct), json, "should unwrap to plain objects");
+        test.deepEqual(Value.unwrap(Value.wrap([ 1, "x" ])), [ 1, "x" ], "should wrap and unwrap values");
+        test.end();
+    });
+
+    test.test(test.name + " - FieldMask", function(test) {
+        var mask = FieldMask.fromPaths([ "info.text", "when" ]);
+        test.deepEqual(mask.paths, [ "info.text", "when" ], "should create from paths");
+        test.equal(FieldMask.format(mask), "info.text,when", "should format as a string");
+        test.deepEqual(FieldMask.parse("info.text,took").paths, [ "info.text", "took" ], "should parse strings");
+        test.equal(FieldMask.validate(mask, Event), null, "should validate valid masks");
+        test.equal(FieldMask.validate([ "info.nope" ], Event), "invalid path 'info.nope': no such field 'nope' in Detail", "should report unknown fields");
+        test.equal(FieldMask.validate([ "info.tags.x" ], Event), "invalid path 'info.tags.x': tags is not a singular message field", "should report paths through repeated fields");
+        test.end();
+    });
+
+    test.test(test.name + " - wrappers", function(test) {
+        test.equal(Int32Value.wrap(5).value, 5, "should wrap scalars");
+        test.equal(Int32Value.unwrap(Int32Value.create()), 0, "should unwrap defaults");
+        test.end();
+    });
+
+    test.test(test.name + " - Type#create", function(test) {
+        var date = new Date(1500),
+            detail = Detail.create({ text: "hi" });
+        var event = Event.create({
+            when: date,
+            took: 2500,
+            detail: detail,
+            meta: Struct.wrap({ a: [ 1, "x", null ] }),
+            times: [ "2017-01-01T00:00:00Z", date ],
+            values: { x: true, y: [ 1, "z" ] },
+            count: 3,
+            mask: [ "info" ],
+            info: { text: "plain" }
+        });
+        test.equal(Timestamp.toDate(event.when).getTime(), 1500, "should convert dates");
+        test.equal(Duration.toMillis(event.took), 2500, "should convert milliseconds");
+        test.equal(Any.unpack(event.detail).text, "hi", "should pack messages");
+        test.deepEqual(Struct.unwrap(event.meta), { a: [ 1, "x", null ] }, "should convert plain JSON");
+        test.deepEqual(event.times.map(function(time) { return Timestamp.toDate(time).getTime(); }), [ 1483228800000, 1500 ], "should convert repeated values");
+        test.equal(Value.unwrap(event.values.x), true, "should convert map values");
+        test.deepEqual(Value.unwrap(event.values.y), [ 1, "z" ], "should convert arrays to values");
+        test.equal(Int32Value.unwrap(event.count), 3, "should convert scalars");
+        test.deepEqual(event.mask.paths, [ "info" ], "should convert paths");
+        test.deepEqual(event.info, { text: "plain" }, "should leave other fields as is");
+
+        var decoded = Event.decode(Event.encode(event).finish());
+        test.equal(Timestamp.toDate(decoded.when).getTime(), 1500, "should encode converted values");
+
+        var properties = { when: date };
+        Event.create(properties);
+        test.equal(properties.when, date, "should not modify the specified properties");
+        test.equal(Timestamp.toDate(Timestamp.create(date)).getTime(), 1500, "should convert top-level values");
+        test.end();
+    });
+
+    test.test(test.name + " - Type#create with message properties", function(test) {
+        var event = Event.create({
+            when: new Date(1500),
+            detail: Detail.create({ text: "hi" }),
+            meta: Struct.wrap({ a: 1, b: { c: "d" } }),
+            values: { x: Value.wrap({ numberValue: 1 }), y: 2 },
+            count: 3,
+            mask: [ "info" ]
+        });
+        var object = Event.toObject(event);
+        test.ok(Event.equals(Event.create(object), event), "should round-trip the output of toObject");
+        test.deepEqual(Event.toObject(Event.create(object)), object, "should leave message-shaped objects as they are");
+
+        var value = Event.create({ values: { x: { numberValue: 1 } }, meta: { fields: { a: { stringValue: "b" } } } });
+        test.equal(Value.unwrap(value.values.x), 1, "should not convert plain objects assigned to values");
+        test.deepEqual(Struct.unwrap(value.meta), { a: "b" }, "should not convert plain objects assigned to structs");
+        test.end();
+    });
+
+    test.test(test.name + " - common", function(test) {
+        var typeRoot = new protobuf.Root();
+        typeRoot.loadSync("google/protobuf/type.proto");
+        test.ok(typeRoot.lookupType("google.protobuf.Type") && typeRoot.lookupType("google.protobuf.SourceContext") && typeRoot.lookupType("google.protobuf.Any"), "should load type.proto with its dependencies");
+        test.ok(typeRoot.lookupType("google.protobuf.Any").pack, "should install helpers on bundled types");
+        test.end();
+    });
+
+    test.end();
+});